@@ -1,13 +1,50 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { Activity, Search, Zap, List, Cpu, Settings, RefreshCw, MessageSquare, Loader2, Wand2, BookOpen, Sun, Moon, Palette } from 'lucide-react';
-
-// --- API CONFIGURATION ---
-const apiKey = ""; // System provides this at runtime
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Activity, Search, Zap, List, Cpu, Settings, RefreshCw, MessageSquare, Loader2, Wand2, BookOpen, Sun, Moon, Palette, Clock, Play, Pause, ShieldCheck, AlertTriangle, Table, Download, Pencil, ZoomIn, ZoomOut, Scan } from 'lucide-react';
+import { RECIPES } from './recipes';
+import { CELL, OFF_X, OFF_Y, SWITCH_X, SWITCH_Y, getCoords, endpointCoords, holeCoords, deviceSlots } from './board';
+import { BOARD_ROWS, RAILS, boardJumpers, SUPPLY_HOLES, STRIP_ROWS, isHole } from './breadboard';
+import { simulate, expectedOutputs, createSimState, clockInputs } from './simulator';
+import { verifyRecipe } from './verifier';
+import { buildTable, toCSV, toMarkdown, toLatex } from './truthTable';
+import { createTrace, recordSample, toVCD } from './waveform';
+import WaveformPane from './WaveformPane';
+import EditorToolbar from './EditorToolbar';
+import LibraryPanel from './LibraryPanel';
+import { loadLibrary, saveLibrary, entryRecipe } from './library';
+import { buildIndex, searchIndex } from './search';
+import SearchBox from './SearchBox';
+import RecipeBrowser from './RecipeBrowser';
+import BuildGuidePanel from './BuildGuidePanel';
+import TroubleshootPanel from './TroubleshootPanel';
+import QuizPanel from './QuizPanel';
+import PinoutPanel from './PinoutPanel';
+import { pinFunction } from './chips';
+import { availableKinds, nextQuestion, createSession, recordAnswer, quizToJSON, quizToCSV } from './quiz';
+import { applyFault, injectFault, scoreDiagnosis, describeFault } from './faults';
+import { describeEndpoint, buildSteps, progressId, loadBuildProgress, saveBuildProgress, completedSteps, toggleStep, resetProgress } from './buildGuide';
+import { loadCatalogPrefs, saveCatalogPrefs, toggleFavourite, pushRecent, recipeKey } from './catalog';
+import { validateCircuit, describeIssues } from './schema';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import LLMSettingsDialog from './LLMSettingsDialog';
+import SynthesisPanel from './SynthesisPanel';
+import GeneratorPanel from './GeneratorPanel';
+import BlockDiagram from './BlockDiagram';
+import KMapPanel from './KMapPanel';
+import { synthesize } from './synth';
+import { callLLM, parseJSONReply, repromptText, loadLLMConfig, saveLLMConfig, PROVIDERS } from './llm';
+import { routeWires, routePath } from './router';
+import { checkCircuit } from './erc';
+import ErcPanel from './ErcPanel';
+import IoDevice from './IoDevice';
+import { deviceList, deviceEndpoints, readDisplays, bounceLevels, BOUNCE_MS, clockHz as deviceHz } from './devices';
+import Minimap from './Minimap';
+import { CANVAS_W, CANVAS_H, viewBox, homeView, fitView, zoomView, panView, centreView, zoomOf, toSvgPoint, circuitBox, sceneBox } from './viewport';
+import { BOARD_COLS, BOARD_PITCH, boardCount, addBoard, removeBoard, createBlankRecipe, editableCopy, placeChip, moveChip, removeChip, addWire, removeWire, recolorWire, addInput, addOutput, removeInput, removeOutput, chipWidth, sameEndpoint, firstFreeColumn } from './editor';
 
 // --- CONFIGURATION ---
-const CELL = 15;
-const OFF_X = 140; 
-const OFF_Y = 30;
+const CLOCK_RATES = [0.5, 1, 2, 5]; // Hz
+const PULSE_MS = 150;
+const MAX_AI_ATTEMPTS = 3;
 
 // --- THEME DEFINITIONS ---
 const THEMES = {
@@ -106,506 +143,66 @@ const THEMES = {
   }
 };
 
-// --- HELPER TO GENERATE WIRES FOR VCC/GND ---
-const powerWires = (chipIdx, pins = 14) => {
-  if (pins === 14) {
-    return [
-      { s: 'VCC', e: {c: chipIdx, p: 14}, color: 'WIRE_RED' },
-      { s: 'GND', e: {c: chipIdx, p: 7}, color: 'WIRE_BLACK' }
-    ];
-  } else if (pins === 16) {
-    return [
-      { s: 'VCC', e: {c: chipIdx, p: 16}, color: 'WIRE_RED' },
-      { s: 'GND', e: {c: chipIdx, p: 8}, color: 'WIRE_BLACK' }
-    ];
-  } else if (pins === '7476') { // Weird 7476 pinout
-    return [
-      { s: 'VCC', e: {c: chipIdx, p: 5}, color: 'WIRE_RED' },
-      { s: 'GND', e: {c: chipIdx, p: 13}, color: 'WIRE_BLACK' }
-    ];
-  }
-  return [];
-};
-
-// --- COMPREHENSIVE RECIPE LIBRARY ---
-const RECIPES = {
-  // --- 1. BASIC GATES ---
-  'basic_gates': {
-    title: 'Basic Logic Gates',
-    desc: 'Verify Truth Tables for AND, OR.',
-    explanation: 'Demonstrates basic 7400-series logic gates. \n\n- AND (7408): Output High only if both inputs High. \n- OR (7432): Output High if at least one input High.',
-    bom: ['1x 7408 (AND)', '1x 7432 (OR)', 'Switches & LEDs'],
-    chips: [{id: 'u1', type: '7408', x: 20}, {id: 'u2', type: '7432', x: 35}],
-    inputs: ['A', 'B'], outputs: ['AND', 'OR'],
-    wires: [
-      ...powerWires(0), ...powerWires(1),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
-      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
-    ],
-    logic: (i) => [i[0]&i[1], i[0]|i[1]]
-  },
-
-  // --- 2. UNIVERSAL NAND IMPLEMENTATIONS ---
-  'not_using_nand': {
-    title: 'NOT using NAND',
-    desc: 'Universal Gate: Inverter created by tying NAND inputs together.',
-    explanation: 'A NAND gate can act as a NOT gate (Inverter) if you connect both of its inputs together. \n\nWhen Input A is 0, NAND(0,0) = 1. \nWhen Input A is 1, NAND(1,1) = 0.',
-    bom: ['1x 7400 (NAND)'],
-    chips: [{id: 'u1', type: '7400', x: 25}],
-    inputs: ['A'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' },
-      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [!i[0]]
-  },
-  'and_using_nand': {
-    title: 'AND using NAND',
-    desc: 'Universal Gate: NAND followed by NOT (NAND as inverter).',
-    explanation: 'An AND gate is just a NAND gate followed by an Inverter. \n\nHere, the first NAND gate produces (A NAND B). The second NAND gate (wired as an inverter) flips that output to give (A AND B).',
-    bom: ['1x 7400 (NAND)'],
-    chips: [{id: 'u1', type: '7400', x: 25}],
-    inputs: ['A', 'B'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: {c:0, p:3}, e: {c:0, p:5}, color: 'WIRE_PURPLE' },
-      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [!!(i[0]&i[1])]
-  },
-  'or_using_nand': {
-    title: 'OR using NAND',
-    desc: 'Universal Gate: Invert A, Invert B, then NAND them.',
-    explanation: 'To make an OR gate from NANDs, we use De Morgan\'s Law: A OR B = (NOT A) NAND (NOT B). \n\nWe use two NAND gates to invert inputs A and B separately, then feed those inverted signals into a third NAND gate.',
-    bom: ['1x 7400 (NAND)'],
-    chips: [{id: 'u1', type: '7400', x: 25}],
-    inputs: ['A', 'B'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      // Invert A (Gate 1)
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' },
-      // Invert B (Gate 2)
-      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_ORANGE' }, { s: 'SW_1', e: {c:0, p:5}, color: 'WIRE_ORANGE' },
-      // NAND outputs (Gate 3)
-      { s: {c:0, p:3}, e: {c:0, p:9}, color: 'WIRE_PURPLE' }, { s: {c:0, p:6}, e: {c:0, p:10}, color: 'WIRE_PURPLE' },
-      { s: {c:0, p:8}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [i[0]|i[1]]
-  },
-
-  // --- 3. UNIVERSAL NOR IMPLEMENTATIONS ---
-  'not_using_nor': {
-    title: 'NOT using NOR',
-    desc: 'Universal Gate: Inverter created by tying NOR inputs together.',
-    explanation: 'A NOR gate acts as a NOT gate if its inputs are tied together. NOR(A,A) = NOT(A).',
-    bom: ['1x 7402 (NOR)'],
-    chips: [{id: 'u1', type: '7402', x: 25}],
-    inputs: ['A'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:3}, color: 'WIRE_BLUE' },
-      { s: {c:0, p:1}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [!i[0]]
-  },
-  'or_using_nor': {
-    title: 'OR using NOR',
-    desc: 'Universal Gate: NOR followed by NOT (NOR as inverter).',
-    explanation: 'An OR gate is just a NOR gate followed by an Inverter. \n\nThe first gate produces (A NOR B). The second gate inverts it to get (A OR B).',
-    bom: ['1x 7402 (NOR)'],
-    chips: [{id: 'u1', type: '7402', x: 25}],
-    inputs: ['A', 'B'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:1}, e: {c:0, p:5}, color: 'WIRE_PURPLE' }, { s: {c:0, p:1}, e: {c:0, p:6}, color: 'WIRE_PURPLE' },
-      { s: {c:0, p:4}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [i[0]|i[1]]
-  },
-  'and_using_nor': {
-    title: 'AND using NOR',
-    desc: 'Universal Gate: Invert A, Invert B, then NOR them.',
-    explanation: 'To make an AND gate from NORs, we use De Morgan\'s Law: A AND B = (NOT A) NOR (NOT B). \n\nWe invert both inputs using NOR gates, then feed them into a final NOR gate.',
-    bom: ['1x 7402 (NOR)'],
-    chips: [{id: 'u1', type: '7402', x: 25}],
-    inputs: ['A', 'B'], outputs: ['Y'],
-    wires: [
-      ...powerWires(0),
-      // Invert A (Gate 1: In 2,3 -> Out 1)
-      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:3}, color: 'WIRE_BLUE' },
-      // Invert B (Gate 2: In 5,6 -> Out 4)
-      { s: 'SW_1', e: {c:0, p:5}, color: 'WIRE_ORANGE' }, { s: 'SW_1', e: {c:0, p:6}, color: 'WIRE_ORANGE' },
-      // NOR outputs (Gate 3: In 8,9 -> Out 10)
-      { s: {c:0, p:1}, e: {c:0, p:8}, color: 'WIRE_PURPLE' }, { s: {c:0, p:4}, e: {c:0, p:9}, color: 'WIRE_PURPLE' },
-      { s: {c:0, p:10}, e: 'LED_0', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [i[0]&i[1]]
-  },
-
-  // --- 4. ARITHMETIC ---
-  'half_adder': {
-    title: 'Half Adder',
-    desc: 'Adds 2 bits. Sum = A^B, Carry = A.B',
-    explanation: 'A Half Adder adds two binary digits. \n\n- Sum is calculated using an XOR gate (A ^ B). \n- Carry is calculated using an AND gate (A & B).',
-    bom: ['1x 7486 (XOR)', '1x 7408 (AND)'],
-    chips: [{id: 'u1', type: '7486', x: 20}, {id: 'u2', type: '7408', x: 35}],
-    inputs: ['A', 'B'], outputs: ['Sum', 'Cout'],
-    wires: [
-      ...powerWires(0), ...powerWires(1),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
-      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_YELLOW' }
-    ],
-    logic: (i) => [i[0]^i[1], i[0]&i[1]]
-  },
-  'full_adder': {
-    title: 'Full Adder',
-    desc: 'Adds A, B, Cin.',
-    explanation: 'A Full Adder adds three bits (A, B, Carry-In). \n\nIt effectively uses two Half Adders. \n- Sum = A XOR B XOR Cin. \n- Carry Out = (A AND B) OR (Cin AND (A XOR B)).',
-    bom: ['1x 7486, 1x 7408, 1x 7432'],
-    chips: [{id:'u1',type:'7486',x:15}, {id:'u2',type:'7408',x:28}, {id:'u3',type:'7432',x:41}],
-    inputs: ['A', 'B', 'Cin'], outputs: ['Sum', 'Cout'],
-    wires: [
-      ...powerWires(0), ...powerWires(1), ...powerWires(2),
-      // Sum = A^B^C
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_YELLOW' },
-      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' },
-      // Carry
-      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: {c:1, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:1, p:5}, color: 'WIRE_YELLOW' },
-      { s: {c:1, p:3}, e: {c:2, p:1}, color: 'WIRE_PURPLE' }, { s: {c:1, p:6}, e: {c:2, p:2}, color: 'WIRE_PURPLE' },
-      { s: {c:2, p:3}, e: 'LED_1', color: 'WIRE_RED' }
-    ],
-    logic: (i) => [i[0]^i[1]^i[2], (i[0]&i[1])|(i[2]&(i[0]^i[1]))]
-  },
-  'half_subtractor': {
-    title: 'Half Subtractor',
-    desc: 'Diff = A^B, Borrow = (!A).B',
-    explanation: 'Subtracts B from A (A-B). \n\n- Difference = A XOR B. \n- Borrow = (NOT A) AND B. (We need to borrow if A=0 and B=1).',
-    bom: ['1x 7486, 1x 7404, 1x 7408'],
-    chips: [{id:'u1',type:'7486',x:15}, {id:'u2',type:'7404',x:28}, {id:'u3',type:'7408',x:41}],
-    inputs: ['A', 'B'], outputs: ['Diff', 'Borr'],
-    wires: [
-      ...powerWires(0), ...powerWires(1), ...powerWires(2),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
-      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: {c:1, p:2}, e: {c:2, p:1}, color: 'WIRE_PURPLE' },
-      { s: 'SW_1', e: {c:2, p:2}, color: 'WIRE_ORANGE' }, { s: {c:2, p:3}, e: 'LED_1', color: 'WIRE_RED' }
-    ],
-    logic: (i) => [i[0]^i[1], (!i[0])&i[1]]
-  },
-  'full_subtractor': {
-    title: 'Full Subtractor',
-    desc: 'Subtracts A - B - Bin. Outputs Diff & Bout.',
-    explanation: 'Subtracts three bits: A - B - BorrowIn. \n\n- Difference = A XOR B XOR Bin. \n- Borrow Out logic handles cases where we need to borrow from the next stage.',
-    bom: ['1x 7486 (XOR)', '1x 7408 (AND)', '1x 7404 (NOT)', '1x 7432 (OR)'],
-    chips: [{id: 'u1', type: '7486', x: 10}, {id: 'u2', type: '7408', x: 22}, {id: 'u3', type: '7404', x: 34}, {id: 'u4', type: '7432', x: 46}],
-    inputs: ['A', 'B', 'Bin'], outputs: ['Diff', 'Bout'],
-    wires: [
-      ...powerWires(0), ...powerWires(1), ...powerWires(2), ...powerWires(3),
-      // Diff = A^B^Bin
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_GREEN' },
-      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' },
-      // Bout logic (simplified)
-      { s: {c:2, p:2}, e: {c:1, p:1}, color: 'WIRE_YELLOW' }, // NOT A -> AND
-      { s: {c:1, p:3}, e: {c:3, p:1}, color: 'WIRE_YELLOW' }, // AND -> OR
-      { s: {c:3, p:3}, e: 'LED_1', color: 'WIRE_RED' },
-    ],
-    logic: (i) => {
-       const diff = i[0]^i[1]^i[2];
-       const bout = ((!i[0])&i[1]) | ((!(i[0]^i[1]))&i[2]);
-       return [diff, bout];
-    }
-  },
-  'multiplier_2bit': {
-    title: '2-Bit Multiplier',
-    desc: 'Multiplies two 2-bit numbers (A1A0 * B1B0).',
-    explanation: 'Multiplies two 2-bit numbers. \n\nUses AND gates to create partial products (like digit multiplication) and Half Adders to sum them up. Output is 4 bits (P3 P2 P1 P0).',
-    bom: ['2x 7408 (AND)', '1x 7486 (XOR)', '4x LEDs'],
-    chips: [{id: 'u1', type: '7408', x: 15}, {id: 'u2', type: '7486', x: 28}, {id: 'u3', type: '7408', x: 41}],
-    inputs: ['A0', 'A1', 'B0', 'B1'], outputs: ['P0', 'P1', 'P2', 'P3'],
-    wires: [
-      ...powerWires(0), ...powerWires(1), ...powerWires(2),
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_2', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
-      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_ORANGE' }, 
-      { s: 'SW_0', e: {c:0, p:9}, color: 'WIRE_BLUE' }, { s: 'SW_3', e: {c:0, p:10}, color: 'WIRE_YELLOW' },
-      { s: {c:0, p:6}, e: {c:1, p:1}, color: 'WIRE_PURPLE' }, { s: {c:0, p:8}, e: {c:1, p:2}, color: 'WIRE_PURPLE' },
-      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
-      { s: {c:2, p:6}, e: 'LED_3', color: 'WIRE_RED' },
-    ],
-    logic: (i) => {
-       const a = i[0] + (i[1]*2);
-       const b = i[2] + (i[3]*2);
-       const p = a * b;
-       return [p&1, (p>>1)&1, (p>>2)&1, (p>>3)&1];
-    }
-  },
-
-  // --- 5. CONVERTERS ---
-  'binary_gray': {
-    title: 'Binary to Gray Code',
-    desc: '4-bit Binary to Gray using XOR (7486).',
-    explanation: 'Converts Binary to Gray code. \n\nGray code ensures only one bit changes at a time. \nLogic: G[i] = B[i] XOR B[i+1]. MSB stays the same.',
-    bom: ['1x 7486 (XOR)'],
-    chips: [{id:'u1',type:'7486',x:25}],
-    inputs: ['B3','B2','B1','B0'], outputs: ['G3','G2','G1','G0'],
-    wires: [
-      ...powerWires(0),
-      { s: 'SW_0', e: 'LED_0', color: 'WIRE_BLUE' }, // G3=B3
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
-      { s: {c:0, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
-      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_ORANGE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_YELLOW' },
-      { s: {c:0, p:6}, e: 'LED_2', color: 'WIRE_GREEN' },
-      { s: 'SW_2', e: {c:0, p:9}, color: 'WIRE_YELLOW' }, { s: 'SW_3', e: {c:0, p:10}, color: 'WIRE_PURPLE' },
-      { s: {c:0, p:8}, e: 'LED_3', color: 'WIRE_GREEN' }
-    ],
-    logic: (i) => [i[0], i[0]^i[1], i[1]^i[2], i[2]^i[3]]
-  },
-
-  // --- 6. MULTIPLEXER (74153) ---
-  'mux_74153': {
-    title: '4:1 Multiplexer (74153)',
-    desc: 'Dual 4-Input Mux. Selected by A, B.',
-    explanation: 'A 4:1 Multiplexer selects one of 4 data inputs (C0-C3) based on the Select lines (A, B) and sends it to the Output Y. \n\nLike a digital switch controlled by A and B.',
-    bom: ['1x 74153 (Dual 4:1 Mux)'],
-    chips: [{id:'u1', type:'74153', x:25}], // 16-pin
-    inputs: ['A', 'B', '1C0', '1C1', '1C2', '1C3'], outputs: ['1Y'],
-    wires: [
-      ...powerWires(0, 16), // 16 pin power
-      { s: 'GND', e: {c:0, p:1}, color: 'WIRE_BLACK' }, // 1G (Enable) grounded (Active Low)
-      { s: 'SW_0', e: {c:0, p:14}, color: 'WIRE_BLUE' }, // Select A
-      { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' }, // Select B
-      // Inputs
-      { s: 'SW_2', e: {c:0, p:6}, color: 'WIRE_GREEN' }, // 1C0
-      { s: 'SW_3', e: {c:0, p:5}, color: 'WIRE_GREEN' }, // 1C1
-      { s: 'SW_4', e: {c:0, p:4}, color: 'WIRE_GREEN' }, // 1C2
-      { s: 'SW_5', e: {c:0, p:3}, color: 'WIRE_GREEN' }, // 1C3
-      // Output
-      { s: {c:0, p:7}, e: 'LED_0', color: 'WIRE_RED' }
-    ],
-    logic: (i) => {
-      const sel = i[1]*2 + i[0]; // B is MSB
-      if(sel === 0) return [i[2]];
-      if(sel === 1) return [i[3]];
-      if(sel === 2) return [i[4]];
-      if(sel === 3) return [i[5]];
-      return [0];
-    }
-  },
-
-  // --- 7. DECODER (74139) ---
-  'decoder_74139': {
-    title: '2-to-4 Decoder (74139)',
-    desc: 'Dual 2-to-4 Line Decoder (Active Low Outputs).',
-    explanation: 'Decodes a 2-bit input (A, B) to activate one of 4 output lines. \n\nNote: The 74139 has ACTIVE LOW outputs, meaning the selected output goes to 0V (LED Off or Inverted), while others stay High.',
-    bom: ['1x 74139 (Dual Decoder)'],
-    chips: [{id:'u1', type:'74139', x:25}], // 16-pin
-    inputs: ['A', 'B', 'En'], outputs: ['Y0', 'Y1', 'Y2', 'Y3'],
-    wires: [
-      ...powerWires(0, 16),
-      { s: 'SW_2', e: {c:0, p:1}, color: 'WIRE_BLACK' }, // Enable (1G)
-      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, // A (Select 0)
-      { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_ORANGE' }, // B (Select 1)
-      // Outputs (Active Low)
-      { s: {c:0, p:4}, e: 'LED_0', color: 'WIRE_RED' },
-      { s: {c:0, p:5}, e: 'LED_1', color: 'WIRE_RED' },
-      { s: {c:0, p:6}, e: 'LED_2', color: 'WIRE_RED' },
-      { s: {c:0, p:7}, e: 'LED_3', color: 'WIRE_RED' }
-    ],
-    logic: (i) => {
-      // 74139 is Active Low outputs. Enable is Active Low.
-      if (i[2]) return [1,1,1,1]; // Disabled (High) -> All High
-      const sel = i[1]*2 + i[0];
-      const out = [1,1,1,1];
-      out[sel] = 0; // Active Low
-      return out.map(v => !v); // Invert for LED visualization (Light ON = Selected)
-    }
-  },
-
-  // --- 8. COMPARATOR (7485) ---
-  'comparator_7485': {
-    title: '4-Bit Magnitude Comparator',
-    desc: 'Compares Word A (A3..A0) and B (B3..B0).',
-    explanation: 'Compares two binary numbers (A and B). \n\nOutputs signals for: \n- A > B \n- A = B \n- A < B',
-    bom: ['1x 7485 (4-bit Comparator)'],
-    chips: [{id:'u1', type:'7485', x:25}], // 16-pin
-    inputs: ['A1', 'A0', 'B1', 'B0'], 
-    outputs: ['A>B', 'A=B', 'A<B'],
-    wires: [
-      ...powerWires(0, 16),
-      // Tie unused inputs (A3,A2,B3,B2) to Ground
-      { s: 'GND', e: {c:0, p:15}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:13}, color: 'WIRE_BLACK' },
-      { s: 'GND', e: {c:0, p:1}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:14}, color: 'WIRE_BLACK' },
-      // Cascading inputs: A=B(3) High, others Low
-      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, 
-      { s: 'GND', e: {c:0, p:2}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
-      // Inputs A1(12), A0(10), B1(11), B0(9)
-      { s: 'SW_0', e: {c:0, p:12}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:10}, color: 'WIRE_BLUE' },
-      { s: 'SW_2', e: {c:0, p:11}, color: 'WIRE_ORANGE' }, { s: 'SW_3', e: {c:0, p:9}, color: 'WIRE_ORANGE' },
-      // Outputs
-      { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' }, // A>B
-      { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_YELLOW' }, // A=B
-      { s: {c:0, p:7}, e: 'LED_2', color: 'WIRE_RED' }  // A<B
-    ],
-    logic: (i) => {
-      const a = i[0]*2 + i[1];
-      const b = i[2]*2 + i[3];
-      return [a>b, a===b, a<b];
-    }
-  },
-
-  // --- 9. FLIP FLOPS ---
-  'd_ff_7474': {
-    title: 'D Flip-Flop (7474)',
-    desc: 'Rising Edge Triggered. 1:/CLR, 2:D, 3:CLK, 4:/PRE',
-    explanation: 'A D Flip-Flop stores 1 bit of data. \n\nWhen the Clock rises, the value of D is captured and stored at Q. \nPreset and Clear pins allow forcing the state.',
-    bom: ['1x 7474 (Dual D-FF)'],
-    chips: [{id:'u1', type:'7474', x:25}],
-    inputs: ['D', 'CLK', 'PRE', 'CLR'], outputs: ['Q', '/Q'],
-    wires: [
-      ...powerWires(0, 14),
-      { s: 'SW_2', e: {c:0, p:4}, color: 'WIRE_RED' }, // PRE (Active Low, default High)
-      { s: 'SW_3', e: {c:0, p:1}, color: 'WIRE_RED' }, // CLR (Active Low)
-      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, // D
-      { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_YELLOW' }, // CLK
-      { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' },
-      { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_ORANGE' }
-    ],
-    logic: (i) => {
-      if(!i[3]) return [0,1];
-      if(!i[2]) return [1,0];
-      return [i[0], !i[0]]; 
-    }
-  },
-  'jk_ff_7476': {
-    title: 'JK Flip-Flop (7476)',
-    desc: 'Dual JK FF. Pin 5=VCC, 13=GND. 1K=16, 1J=4.',
-    explanation: 'JK Flip-Flop functionality: \n- J=0, K=0: No Change \n- J=1, K=0: Set High \n- J=0, K=1: Reset Low \n- J=1, K=1: Toggle (Flip) state.',
-    bom: ['1x 7476 (Dual JK)'],
-    chips: [{id:'u1', type:'7476', x:25}], // 16-pin
-    inputs: ['J', 'K', 'CLK'], outputs: ['Q', '/Q'],
-    wires: [
-      ...powerWires(0, '7476'), // Custom power
-      { s: 'SW_0', e: {c:0, p:4}, color: 'WIRE_BLUE' }, // 1J
-      { s: 'SW_1', e: {c:0, p:16}, color: 'WIRE_ORANGE' }, // 1K
-      { s: 'SW_2', e: {c:0, p:1}, color: 'WIRE_YELLOW' }, // 1CLK
-      { s: 'VCC', e: {c:0, p:2}, color: 'WIRE_RED' }, // PRE
-      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // CLR
-      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, // 1Q
-      { s: {c:0, p:14}, e: 'LED_1', color: 'WIRE_RED' }  // 1/Q
-    ],
-    logic: (i) => {
-      const j=i[0], k=i[1];
-      if(j && !k) return [1,0];
-      if(!j && k) return [0,1];
-      if(j && k) return [1,1]; 
-      return [0,1]; 
-    }
-  },
-
-  // --- 10. COUNTER ---
-  'counter_mod4': {
-    title: 'Mod-4 Asynchronous Counter',
-    desc: '2-bit Up Counter using JK FFs (7476). J=K=1 (Toggle).',
-    explanation: 'A 2-bit counter counts 00 -> 01 -> 10 -> 11. \n\nCreated by cascading two JK Flip-Flops in "Toggle Mode" (J=1, K=1). The output of the first FF acts as the clock for the second.',
-    bom: ['1x 7476 (Dual JK)'],
-    chips: [{id:'u1', type:'7476', x:25}],
-    inputs: ['CLK'], outputs: ['Q0', 'Q1'],
-    wires: [
-      ...powerWires(0, '7476'),
-      // Set all J, K, PRE, CLR to High
-      { s: 'VCC', e: {c:0, p:4}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:16}, color: 'WIRE_RED' }, // FF1 JK
-      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:12}, color: 'WIRE_RED' }, // FF2 JK
-      { s: 'VCC', e: {c:0, p:2}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // FF1 Pre/Clr
-      { s: 'VCC', e: {c:0, p:7}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:8}, color: 'WIRE_RED' }, // FF2 Pre/Clr
-      // Clock 1
-      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_YELLOW' },
-      // Output 1 -> Clock 2
-      { s: {c:0, p:15}, e: {c:0, p:6}, color: 'WIRE_PURPLE' },
-      // LEDs
-      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, // Q0
-      { s: {c:0, p:11}, e: 'LED_1', color: 'WIRE_GREEN' }  // Q1
-    ],
-    logic: (i) => {
-      // Hard to sim state here, just show static
-      return [i[0], !i[0]];
-    }
-  }
-};
-
 // --- API & GENERATION LOGIC ---
-const SYSTEM_PROMPT_GENERATOR = `Generate JSON circuit. Chips: 7400,7402,7404,7408,7432,7486. Format: {title, desc, explanation, bom:[], chips:[{id,type,x}], inputs:[], outputs:[], wires:[{s,e,color}], logicFuncString}`;
+const SYSTEM_PROMPT_GENERATOR = `Generate JSON circuit. Chips: 7400,7402,7404,7408,7432,7486. Format: {title, desc, explanation, bom:[], chips:[{id,type,x}], inputs:[], outputs:[], wires:[{s,e,color}], logic}. ` +
+  `"logic" is a string with one "Output = expression" per statement, separated by ";", using the input and output names. ` +
+  `Operators: ! (not), & (and), | (or), ^ (xor), parentheses, ?: and == for comparisons. Quote names with symbols, e.g. "A>B" = a > b. ` +
+  `Example: "Sum = A ^ B ^ Cin; Cout = A & B | Cin & (A ^ B)". Never return JavaScript.`;
 const SYSTEM_PROMPT_EXPLAINER = `Explain digital logic circuit provided in JSON. Short, educational.`;
 
-async function generateCircuitAI(prompt) {
-  if (!apiKey) { alert("Please set API Key in .env"); return null; }
-  try {
-    const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-      method: 'POST', headers: {'Content-Type': 'application/json'},
-      body: JSON.stringify({ contents: [{parts:[{text:prompt}]}], systemInstruction: {parts:[{text:SYSTEM_PROMPT_GENERATOR}]}, generationConfig: {responseMimeType: "application/json"} })
-    });
-    const data = await res.json();
-    const circuit = JSON.parse(data.candidates[0].content.parts[0].text);
-    // eslint-disable-next-line no-new-func
-    try { circuit.logic = new Function('return ' + circuit.logicFuncString)(); } catch { circuit.logic = () => [0]; }
-    return circuit;
-  } catch (e) { console.error(e); return null; }
+// Untrusted: validateCircuit decides what of the reply can be used
+async function generateCircuitAI(prompt, config, signal) {
+  const text = await callLLM(config, { system: SYSTEM_PROMPT_GENERATOR, prompt, json: true }, { signal });
+  return parseJSONReply(text);
 }
 
-async function explainCircuitAI(circuit) {
-  if (!apiKey) return "Please set API Key.";
-  try {
-    const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-      method: 'POST', headers: {'Content-Type': 'application/json'},
-      body: JSON.stringify({ contents: [{parts:[{text:`Explain: ${JSON.stringify({title:circuit.title, chips:circuit.chips, desc:circuit.desc})}`}]}], systemInstruction: {parts:[{text:SYSTEM_PROMPT_EXPLAINER}]} })
-    });
-    const data = await res.json();
-    return data.candidates[0].content.parts[0].text;
-  } catch { return "Error explaining."; }
+// Generate, validate and repair. With `retry`, circuits that still have errors are sent
+// back with the list of problems, up to MAX_AI_ATTEMPTS requests; the last result is kept.
+async function generateValidCircuit(prompt, retry, config, signal) {
+  let result = null;
+  let request = prompt;
+  for (let attempt = 1; attempt <= (retry ? MAX_AI_ATTEMPTS : 1); attempt++) {
+    const raw = await generateCircuitAI(request, config, signal);
+    result = { ...validateCircuit(raw), attempts: attempt };
+    if (result.ok) break;
+    request = repromptText(prompt, describeIssues(result.issues), raw);
+  }
+  return result;
 }
 
-// --- RENDER HELPERS ---
-const getCoords = (type, val, chips) => {
-  const def = { x:0, y:0 };
-  try {
-    if (type === 'RAIL_VCC') return { x: OFF_X + 10, y: OFF_Y + CELL * 1.5 };
-    if (type === 'RAIL_GND') return { x: OFF_X + 10, y: OFF_Y + CELL * 17.5 };
-    if (type === 'SW') return { x: OFF_X + (20 + (parseInt(val.split('_')[1])||0) * 2) * CELL, y: OFF_Y + 16 * CELL };
-    if (type === 'LED') return { x: OFF_X + (55 * CELL), y: OFF_Y + (4 + (parseInt(val.split('_')[1])||0) * 3) * CELL };
-    if (type === 'PIN') {
-      const chip = chips[val.c || 0];
-      const pin = val.p || 1;
-      const chipX = OFF_X + (chip.x * CELL);
-      const chipY = OFF_Y + 6 * CELL;
-      
-      // Standard 14/16 pin logic
-      // Bottom row (1-7 or 1-8)
-      const maxBottom = (chip.type === '7476' || chip.type === '74153' || chip.type === '74139' || chip.type === '7485') ? 8 : 7;
-      const maxTop = maxBottom * 2; // 16 or 14
+async function explainCircuitAI(circuit, config, signal) {
+  const prompt = `Explain: ${JSON.stringify({ title: circuit.title, chips: circuit.chips, desc: circuit.desc })}`;
+  return callLLM(config, { system: SYSTEM_PROMPT_EXPLAINER, prompt, json: false }, { signal });
+}
 
-      if (pin <= maxBottom) return { x: chipX + (pin - 1) * CELL + 5, y: chipY + 4.5 * CELL };
-      else return { x: chipX + (maxTop - pin) * CELL + 5, y: chipY - 0.5 * CELL };
-    }
-  } catch { return def; }
-  return def;
+// --- FILE EXPORT ---
+const TABLE_EXPORTS = [
+  { label: 'CSV', ext: 'csv', mime: 'text/csv', fn: toCSV },
+  { label: 'MD', ext: 'md', mime: 'text/markdown', fn: toMarkdown },
+  { label: 'TeX', ext: 'tex', mime: 'application/x-tex', fn: toLatex }
+];
+
+const downloadText = (filename, text, mime = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 };
 
-const Wire = ({ p1, p2, color }) => {
-  if (!p1 || !p2 || !p1.x || !p2.x) return null;
-  const midY = (p1.y + p2.y) / 2;
-  const jitter = (p1.x % 5);
-  const d = `M ${p1.x} ${p1.y} L ${p1.x} ${midY+jitter} L ${p2.x} ${midY+jitter} L ${p2.x} ${p2.y}`;
+const fileSlug = (title) => (title || 'circuit').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// --- RENDER HELPERS ---
+const Wire = ({ route, color, selected, dimmed, glow, onClick, onHover }) => {
+  if (!route || !route.points[0].x || !route.points[route.points.length - 1].x) return null;
+  const d = routePath(route);
+  const p1 = route.points[0], p2 = route.points[route.points.length - 1];
   return (
-    <g>
+    <g onClick={onClick} className={onClick ? 'cursor-pointer' : undefined} opacity={dimmed ? 0.2 : undefined}
+      onMouseEnter={onHover ? () => onHover(true) : undefined} onMouseLeave={onHover ? () => onHover(false) : undefined}>
+      {(onClick || onHover) && <path d={d} stroke="transparent" strokeWidth="10" fill="none" />}
+      {glow && <path d={d} stroke={color} strokeWidth="9" fill="none" opacity="0.35" strokeLinejoin="round" />}
+      {selected && <path d={d} stroke="#facc15" strokeWidth="7" fill="none" opacity="0.6" strokeLinejoin="round" />}
       <path d={d} stroke={color} strokeWidth="3" fill="none" opacity="0.9" strokeLinejoin="round" />
       <circle cx={p1.x} cy={p1.y} r={2.5} fill={color} /><circle cx={p2.x} cy={p2.y} r={2.5} fill={color} />
     </g>
@@ -619,6 +216,16 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [explanation, setExplanation] = useState('');
   const [explaining, setExplaining] = useState(false);
+  const [library, setLibrary] = useState(() => loadLibrary());
+  const [catalogPrefs, setCatalogPrefs] = useState(() => loadCatalogPrefs(RECIPES));
+  const [diagnostics, setDiagnostics] = useState(null); // validation of the last generated circuit
+  const [retryAI, setRetryAI] = useState(true);
+  const [llmConfig, setLlmConfig] = useState(() => loadLLMConfig());
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const aiAbort = useRef(null); // AbortController of the AI request in flight
+  const [simResets, setSimResets] = useState(0);
+  const [clockRunning, setClockRunning] = useState(false);
+  const [clockHz, setClockHz] = useState(1);
   
   // Theme State
   const [themeId, setThemeId] = useState('light'); // Default Light!
@@ -629,58 +236,439 @@ export default function App() {
   useEffect(() => {
     if (activeRecipe.explanation) setExplanation(activeRecipe.explanation);
     else setExplanation('');
+    setClockRunning(false);
   }, [activeRecipe]);
 
-  const outputs = useMemo(() => {
-    try { return activeRecipe.logic ? activeRecipe.logic(inputs) : [0,0,0,0]; } catch { return [0,0,0,0]; }
-  }, [inputs, activeRecipe]);
+  // Troubleshooting exercise: the board is simulated with its hidden fault applied
+  const [trouble, setTrouble] = useState(null);
+  useEffect(() => { setTrouble(null); }, [activeRecipe]);
+  const troubleFault = trouble ? trouble.fault : null;
+  const troubleActive = !!trouble;
+  const simRecipe = useMemo(() => applyFault(activeRecipe, troubleFault), [activeRecipe, troubleFault]);
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    const q = search.trim().toLowerCase();
-    if (!q) return;
-    setLoading(true); setExplanation('');
+  // Flip-flop contents survive input changes until the recipe changes or the board is reset
+  // A pending pulseClock release is dropped with them, so it cannot toggle the new circuit
+  const [simState, setSimState] = useState(createSimState);
+  const pulseTimer = useRef(null);
+  useEffect(() => {
+    clearTimeout(pulseTimer.current);
+    setSimState(createSimState());
+  }, [simRecipe, simResets]);
+  const clocks = useMemo(() => clockInputs(activeRecipe), [activeRecipe]);
+
+  // LEDs follow the wired netlist; `logic` is only the expected reference
+  // What the I/O devices are doing: buttons held, clock levels, the key held on a keypad
+  const [controls, setControls] = useState({});
+  const [ioClocks, setIoClocks] = useState({}); // { [base]: { hz, running } } once changed
+  useEffect(() => { setControls({}); setIoClocks({}); }, [activeRecipe.devices]);
+  const simResult = useMemo(() => {
+    try { return simulate(simRecipe, inputs, simState, controls); } catch { return null; }
+  }, [inputs, simRecipe, simState, controls]);
+  const displays = useMemo(() => (simResult ? readDisplays(activeRecipe, simResult.levelOf) : {}), [simResult, activeRecipe]);
+  const outputs = useMemo(() => (simResult ? simResult.outputs : activeRecipe.outputs.map(() => 0)), [simResult, activeRecipe]);
+  const expected = useMemo(() => expectedOutputs(activeRecipe, inputs), [inputs, activeRecipe]);
+  const mismatch = expected && expected.some((v, i) => v !== outputs[i]);
+  const verification = useMemo(() => verifyRecipe(activeRecipe), [activeRecipe]);
+  const table = useMemo(() => buildTable(activeRecipe), [activeRecipe]);
+  const routes = useMemo(() => routeWires(activeRecipe), [activeRecipe]);
+  const erc = useMemo(() => checkCircuit(activeRecipe), [activeRecipe]);
+  const [ercFocus, setErcFocus] = useState(null);
+  // Timing diagram: every switch toggle (clock edges included) and the resulting LEDs
+  const [trace, setTrace] = useState(() => createTrace(activeRecipe));
+  useEffect(() => { setTrace(createTrace(activeRecipe)); }, [activeRecipe]);
+  useEffect(() => { setTrace(tr => recordSample(tr, Date.now(), inputs, outputs)); }, [inputs, outputs]);
+
+  const isCurrentRow = (row) => row.inputs.every((v, i) => v === inputs[i])
+    && (!row.present || row.present.every((v, i) => v === outputs[i]));
 
-    let key = null;
-    // Map search terms to keys
-    if (q.includes('mux') || q.includes('153')) key = 'mux_74153';
-    else if (q.includes('decod') || q.includes('139')) key = 'decoder_74139';
-    else if (q.includes('compar') || q.includes('7485')) key = 'comparator_7485';
-    else if (q.includes('jk') || q.includes('7476')) key = 'jk_ff_7476';
-    else if (q.includes('d flip') || q.includes('7474')) key = 'd_ff_7474';
-    else if (q.includes('counter')) key = 'counter_mod4';
-    else if (q.includes('gray')) key = 'binary_gray';
-    else if (q.includes('sub') && q.includes('full')) key = 'full_subtractor';
-    else if (q.includes('sub') && q.includes('half')) key = 'half_subtractor';
-    else if (q.includes('add') && q.includes('full')) key = 'full_adder';
-    else if (q.includes('add') && q.includes('half')) key = 'half_adder';
-    else if (q.includes('mul')) key = 'multiplier_2bit';
-    else if (q.includes('nand') && q.includes('not')) key = 'not_using_nand';
-    else if (q.includes('nand') && q.includes('and')) key = 'and_using_nand';
-    else if (q.includes('nand') && q.includes('or')) key = 'or_using_nand';
-    else if (q.includes('nor') && q.includes('not')) key = 'not_using_nor';
-    else if (q.includes('nor') && q.includes('or')) key = 'or_using_nor';
-    else if (q.includes('nor') && q.includes('and')) key = 'and_using_nor';
-    else if (q.includes('gate') || q.includes('logic')) key = 'basic_gates';
-
-    if (key && RECIPES[key]) {
-      setActiveRecipe(RECIPES[key]);
-      setInputs([0,0,0,0,0,0]);
+  useEffect(() => { saveLibrary(library); }, [library]);
+  useEffect(() => { saveCatalogPrefs(catalogPrefs); }, [catalogPrefs]);
+  const activeKey = recipeKey(RECIPES, activeRecipe);
+
+  const loadRecipe = (recipe) => {
+    const key = recipeKey(RECIPES, recipe);
+    if (key) setCatalogPrefs(p => pushRecent(p, key));
+    setActiveRecipe(recipe);
+    setDiagnostics(null);
+    setPinoutChip(null);
+    setInputs([0,0,0,0,0,0]);
+    setView(homeView(recipe));
+    setBlockView(!!recipe.structure);
+  };
+
+  const searchDocs = useMemo(() => buildIndex(RECIPES, library), [library]);
+  const suggestions = useMemo(() => searchIndex(searchDocs, search, 6), [searchDocs, search]);
+
+  const openResult = ({ doc }) => {
+    setExplanation('');
+    if (doc.source === 'library') {
+      const entry = library.find(e => e.id === doc.entryId);
+      if (entry) {
+        try { loadRecipe(entryRecipe(entry)); } catch (err) { alert(`Could not open "${entry.name}": ${err.message}`); }
+      }
     } else {
-      const ai = await generateCircuitAI(q);
-      if (ai) {
-        setActiveRecipe(ai);
-        if (ai.explanation) setExplanation(ai.explanation);
+      loadRecipe(RECIPES[doc.key]);
+    }
+  };
+
+  // Paid call: only ever reached from an explicit request for it
+  const generateWithAI = async (q) => {
+    setLoading(true); setExplanation('');
+    aiAbort.current = new AbortController();
+    try {
+      const result = await generateValidCircuit(q, retryAI, llmConfig, aiAbort.current.signal);
+      if (result.circuit) {
+        loadRecipe(result.circuit);
+        setDiagnostics(result);
+        if (result.circuit.explanation) setExplanation(result.circuit.explanation);
       }
-      else alert("Circuit not found in library and AI could not generate it.");
+      else alert(`AI could not generate "${q}": ${result.issues.map(i => i.message).join('; ')}`);
+    } catch (err) {
+      if (!err.cancelled) alert(`AI could not generate "${q}".\n${err.message}`);
     }
+    aiAbort.current = null;
     setLoading(false);
   };
 
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const q = search.trim();
+    if (!q) return;
+
+    // An equation is built by the synthesizer rather than looked up
+    if (q.includes('=')) {
+      setExplanation('');
+      try { loadRecipe(synthesize(q)); } catch (err) { alert(`Could not synthesize: ${err.message}`); }
+      return;
+    }
+
+    const [best] = searchIndex(searchDocs, q, 1);
+    if (best) {
+      openResult(best);
+      return;
+    }
+    const provider = PROVIDERS[llmConfig.provider] ? PROVIDERS[llmConfig.provider].label : llmConfig.provider;
+    if (window.confirm(`No circuit matches "${q}". Generate it with ${provider}?`)) await generateWithAI(q);
+  };
+
+  const cancelAI = () => { if (aiAbort.current) aiAbort.current.abort(); };
+
+  const handleSettings = (config) => {
+    setLlmConfig(saveLLMConfig(config));
+    setSettingsOpen(false);
+  };
+
+  const toggleInput = (i) => setInputs(prev => { const n = [...prev]; n[i] = n[i] ? 0 : 1; return n; });
+
+  // One full clock pulse: both edges, with the switch visibly held for a moment
+  const pulseClock = () => {
+    if (!clocks.length) return;
+    toggleInput(clocks[0]);
+    pulseTimer.current = setTimeout(() => toggleInput(clocks[0]), PULSE_MS);
+  };
+
+  // Free-running clock: one toggle per half period
+  useEffect(() => {
+    if (!clockRunning || !clocks.length) return;
+    const timer = setInterval(() => toggleInput(clocks[0]), 500 / clockHz);
+    return () => clearInterval(timer);
+  }, [clockRunning, clockHz, clocks]);
+
+  // --- QUIZ ---
+  // LEDs, tables and the timing diagram are hidden while a quiz runs
+  const [quiz, setQuiz] = useState(null);
+  const [lastQuiz, setLastQuiz] = useState(null);
+  useEffect(() => { setQuiz(null); }, [activeRecipe]);
+  // Switches stay where the question put them
+  const flipSwitch = (i) => { if (!quiz) toggleInput(i); };
+
+  // --- I/O DEVICES ---
+  const devices = useMemo(() => deviceList(activeRecipe).filter(d => d.model), [activeRecipe]);
+  const slots = useMemo(() => deviceSlots(activeRecipe.devices), [activeRecipe.devices]);
+  const clockOf = (device, base) => ioClocks[base] || { hz: deviceHz(device), running: true };
+  const setControl = (base, v) => setControls(c => ({ ...c, [base]: v }));
+
+  // A bouncing button chatters through a few levels before it settles
+  const pressButton = (device, base, level) => {
+    if (quiz) return;
+    if (!device.bounce) { setControl(base, level); return; }
+    bounceLevels(level).forEach((v, k) => setTimeout(() => setControl(base, v), k * BOUNCE_MS));
+  };
+
+  // The rate steps through CLOCK_RATES
+  const stepClockRate = (device, base, dir) => {
+    const { hz, running } = clockOf(device, base);
+    const k = CLOCK_RATES.findIndex(r => r >= hz);
+    const next = CLOCK_RATES[Math.max(0, Math.min(CLOCK_RATES.length - 1, (k < 0 ? CLOCK_RATES.length - 1 : k) + dir))];
+    setIoClocks(c => ({ ...c, [base]: { hz: next, running } }));
+  };
+
+  // Every running 555 toggles its output once per half period
+  useEffect(() => {
+    const timers = devices.filter(d => d.model.prefix === 'CLK').map(({ device, base }) => {
+      const { hz, running } = ioClocks[base] || { hz: deviceHz(device), running: true };
+      return running ? setInterval(() => setControls(c => ({ ...c, [base]: c[base] ? 0 : 1 })), 500 / hz) : null;
+    });
+    return () => timers.forEach(t => t && clearInterval(t));
+  }, [devices, ioClocks]);
+  const quizAvailable = useMemo(() => availableKinds(activeRecipe).length > 0, [activeRecipe]);
+
+  const askQuestion = (session) => {
+    const question = nextQuestion(activeRecipe, Math.random, table);
+    if (!question) { setQuiz(null); return; }
+    if (question.kind === 'predict') setInputs(question.inputs.concat(Array(6).fill(0)).slice(0, Math.max(6, question.inputs.length)));
+    setQuiz({ session, question, response: question.answer.map(() => null), checked: false, askedAt: Date.now() });
+  };
+
+  const startQuiz = () => {
+    setTrouble(null);
+    setBuilding(false);
+    askQuestion(createSession(activeRecipe, Date.now()));
+  };
+
+  const stopQuiz = () => { setLastQuiz(quiz.session); setQuiz(null); };
+
+  const checkAnswer = () => setQuiz(qz => ({
+    ...qz, checked: true, session: recordAnswer(qz.session, activeRecipe, qz.question, qz.response, qz.askedAt, Date.now())
+  }));
+
+  const exportQuiz = (fmt) => {
+    const name = `${fileSlug(lastQuiz.title)}_quiz.${fmt}`;
+    if (fmt === 'json') downloadText(name, quizToJSON(lastQuiz), 'application/json');
+    else downloadText(name, quizToCSV(lastQuiz), 'text/csv');
+  };
+
+  // --- GUIDED BUILD ---
+  const [building, setBuilding] = useState(false);
+  const [buildCursor, setBuildCursor] = useState(0);
+  const [buildProgress, setBuildProgress] = useState(() => loadBuildProgress());
+  useEffect(() => { saveBuildProgress(buildProgress); }, [buildProgress]);
+  const buildPlan = useMemo(() => buildSteps(activeRecipe), [activeRecipe]);
+  const buildId = progressId(activeRecipe, activeKey);
+  const buildDone = completedSteps(buildProgress, buildId, buildPlan);
+  const buildStep = building ? buildPlan[buildCursor] : null;
+  useEffect(() => { setBuildCursor(0); }, [activeRecipe]);
+
+  // Resume at the first step not yet checked off
+  const startBuilding = () => {
+    const next = buildPlan.findIndex(st => !buildDone.includes(st.id));
+    setBuildCursor(next < 0 ? 0 : next);
+    setBuilding(true);
+  };
+
+  // --- CANVAS VIEW ---
+  // Wheel and pinch zoom about the pointer, dragging the bare board pans, and the
+  // keyboard does both while the canvas has focus. Any load starts at the home view.
+  const svgRef = useRef(null);
+  const [view, setView] = useState(() => homeView(activeRecipe));
+  const [pan, setPan] = useState(null); // { x, y, view } where a pan drag started
+  const [blockView, setBlockView] = useState(false);
+  const pinch = useRef(null); // { dist } between two fingers
+
+  const fitCircuit = () => setView(fitView(circuitBox(activeRecipe), 30));
+
+  // From the block view to the breadboard, framed on one block's chips
+  const openBlock = (b) => {
+    const { id } = activeRecipe.structure.blocks[b];
+    setBlockView(false);
+    setView(fitView(circuitBox({ chips: activeRecipe.chips.filter(chip => chip.id.startsWith(`${id}.`)) }), 30));
+  };
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      setView(v => zoomView(v, Math.exp(-e.deltaY * 0.0015), toSvgPoint(v, rect, e.clientX, e.clientY)));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const startPan = (e) => {
+    if (e.button !== 0 || (e.target !== e.currentTarget && !e.target.dataset.pan)) return;
+    setPan({ x: e.clientX, y: e.clientY, view });
+  };
+
+  const movePan = (clientX, clientY) => {
+    const start = pan;
+    const rect = svgRef.current.getBoundingClientRect();
+    const k = start.view.w / rect.width;
+    setView(panView(start.view, (start.x - clientX) * k, (start.y - clientY) * k));
+  };
+
+  const touchPoints = (e) => Array.from(e.touches).map(t => ({ x: t.clientX, y: t.clientY }));
+
+  const handleTouchStart = (e) => {
+    const pts = touchPoints(e);
+    if (pts.length === 2) {
+      setPan(null);
+      pinch.current = { dist: Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y) };
+    } else if (pts.length === 1 && (e.target === e.currentTarget || e.target.dataset.pan)) {
+      setPan({ ...pts[0], view });
+    }
+  };
+
+  const handleTouchMove = (e) => {
+    const pts = touchPoints(e);
+    if (pts.length === 2 && pinch.current) {
+      const dist = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
+      const rect = svgRef.current.getBoundingClientRect();
+      const mid = { x: (pts[0].x + pts[1].x) / 2, y: (pts[0].y + pts[1].y) / 2 };
+      setView(v => zoomView(v, dist / pinch.current.dist, toSvgPoint(v, rect, mid.x, mid.y)));
+      pinch.current = { dist };
+    } else if (pts.length === 1 && pan) {
+      movePan(pts[0].x, pts[0].y);
+    }
+  };
+
+  const endTouch = () => { pinch.current = null; setPan(null); };
+
+  const handleCanvasKey = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const step = view.w / 10;
+    const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+    if (e.key === '+' || e.key === '=') setView(v => zoomView(v, 1.25));
+    else if (e.key === '-' || e.key === '_') setView(v => zoomView(v, 1 / 1.25));
+    else if (e.key === '0') setView(homeView(activeRecipe));
+    else if (e.key === 'f') fitCircuit();
+    else if (moves[e.key]) setView(v => panView(v, ...moves[e.key]));
+    else return;
+    e.preventDefault();
+  };
+
+  // --- BREADBOARD EDITOR ---
+  const [editing, setEditing] = useState(false);
+  const [pending, setPending] = useState(null); // first endpoint of a wire being drawn
+  const [selection, setSelection] = useState(null); // { kind: 'wire' | 'chip', idx }
+  const [wireColor, setWireColor] = useState('WIRE_GREEN');
+  const [dragChip, setDragChip] = useState(null); // { idx, grab } grab = column offset inside the chip
+
+  const edit = (fn) => setActiveRecipe(r => fn(r));
+
+  const startEditing = () => {
+    if (!activeRecipe.edited) setActiveRecipe(editableCopy(activeRecipe));
+    setBuilding(false);
+    setTrouble(null);
+    setEditing(true);
+  };
+
+  // Board column under a client x position
+  const columnAt = (clientX) => (toSvgPoint(view, svgRef.current.getBoundingClientRect(), clientX, 0).x - OFF_X) / CELL;
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const type = e.dataTransfer.getData('text/x-chip');
+    if (type) edit(r => placeChip(r, type, columnAt(e.clientX) - chipWidth(type) / 2));
+  };
+
+  const startChipDrag = (e, idx) => {
+    e.stopPropagation();
+    setSelection({ kind: 'chip', idx });
+    setDragChip({ idx, grab: columnAt(e.clientX) - activeRecipe.chips[idx].x });
+  };
+
+  const handleChipDrag = (e) => edit(r => moveChip(r, dragChip.idx, columnAt(e.clientX) - dragChip.grab));
+
+  const selectWire = (idx) => {
+    setSelection({ kind: 'wire', idx });
+    setWireColor(activeRecipe.wires[idx].color);
+  };
+
+  const handleWireColor = (color) => {
+    setWireColor(color);
+    if (selection?.kind === 'wire') edit(r => recolorWire(r, selection.idx, color));
+  };
+
+  const handleEndpoint = (ep) => {
+    if (!pending) { setPending(ep); setSelection(null); return; }
+    edit(r => addWire(r, pending, ep, wireColor));
+    setPending(null);
+  };
+
+  const deleteSelection = () => {
+    if (!selection) return;
+    edit(r => (selection.kind === 'wire' ? removeWire(r, selection.idx) : removeChip(r, selection.idx)));
+    setSelection(null);
+  };
+
+  useEffect(() => {
+    if (!editing) return;
+    const onKey = (e) => {
+      if (e.target.tagName === 'INPUT') return;
+      if (e.key === 'Escape') { setPending(null); setSelection(null); }
+      if ((e.key === 'Delete' || e.key === 'Backspace') && selection) { e.preventDefault(); deleteSelection(); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  // Every point a wire can be attached to while editing, or probed while troubleshooting
+  const boardTargets = useMemo(() => {
+    if (!editing && !troubleActive) return [];
+    const eps = ['VCC', 'GND',
+      ...activeRecipe.inputs.map((_, i) => `SW_${i}`),
+      ...activeRecipe.outputs.map((_, i) => `LED_${i}`),
+      ...deviceEndpoints(activeRecipe),
+      ...activeRecipe.chips.flatMap((chip, c) => Array.from({ length: chipWidth(chip.type) * 2 }, (_, k) => ({ c, p: k + 1 })))];
+    return eps.map(ep => ({ ep, pos: endpointCoords(ep, activeRecipe.chips, activeRecipe.devices) }));
+  }, [editing, troubleActive, activeRecipe]);
+
+  // --- PIN OVERLAY ---
+  // Hovering a pin shows its datasheet name and level, hovering a wire lights up its net,
+  // clicking a chip opens its pinout. Off while troubleshooting or quizzing, where the
+  // levels would give the answer away.
+  const [hover, setHover] = useState(null); // { ep } for a pin, { net } for a wire
+  const [pinoutChip, setPinoutChip] = useState(null);
+  const overlayOn = !trouble && !quiz;
+  const pinoutOpen = pinoutChip !== null && activeRecipe.chips[pinoutChip] ? activeRecipe.chips[pinoutChip] : null;
+  const hoverNet = overlayOn && hover && hover.net && simResult ? hover.net : null;
+  const levelText = (v) => (v === 1 ? 'HIGH' : v === 0 ? 'LOW' : 'floating');
+  const pinTip = (() => {
+    if (!overlayOn || !hover || !hover.ep || !activeRecipe.chips[hover.ep.c]) return null;
+    const { ep } = hover;
+    const pt = endpointCoords(ep, activeRecipe.chips);
+    const text = `${describeEndpoint(ep, activeRecipe)} · ${pinFunction(activeRecipe.chips[ep.c].type, ep.p) || 'unknown'} · ${levelText(simResult ? simResult.levelOf(ep) : null)}`;
+    const width = text.length * 6 + 12;
+    // Kept inside the visible window
+    return { pt, text, width, x: Math.min(pt.x + 8, view.x + view.w - width - 4) };
+  })();
+
+  // --- TROUBLESHOOTING ---
+  const startTrouble = () => {
+    const fault = injectFault(activeRecipe);
+    if (!fault) { alert('No fault in this circuit would show on its LEDs.'); return; }
+    setBuilding(false);
+    setTrouble({ fault, tool: 'probe', probes: [], guess: { type: '', at: null }, result: null });
+  };
+
+  const handleProbe = (ep) => {
+    if (trouble.result) return;
+    if (trouble.tool === 'mark') { setTrouble(t => ({ ...t, guess: { ...t.guess, at: ep } })); return; }
+    const probe = {
+      label: describeEndpoint(ep, activeRecipe),
+      level: simResult ? simResult.levelOf(ep) : null,
+      inputs: activeRecipe.inputs.map((_, i) => inputs[i]).join('')
+    };
+    setTrouble(t => ({ ...t, probes: [probe, ...t.probes] }));
+  };
+
+  const submitDiagnosis = () => setTrouble(t => ({ ...t, result: scoreDiagnosis(activeRecipe, t.fault, t.guess) }));
+
+  // Where the fault was, once revealed
+  const revealedFault = trouble && trouble.result ? trouble.fault : null;
+  const faultPoints = !revealedFault ? [] : revealedFault.type === 'stuck' ? [{ c: revealedFault.c, p: revealedFault.p }]
+    : revealedFault.w !== undefined ? [activeRecipe.wires[revealedFault.w].s, activeRecipe.wires[revealedFault.w].e, revealedFault.to].filter(Boolean) : [];
+
   const handleExplain = async () => {
     setExplaining(true);
-    const text = await explainCircuitAI(activeRecipe);
-    setExplanation(text);
+    aiAbort.current = new AbortController();
+    try {
+      setExplanation(await explainCircuitAI(activeRecipe, llmConfig, aiAbort.current.signal));
+    } catch (err) {
+      if (!err.cancelled) setExplanation(`Error explaining: ${err.message}`);
+    }
+    aiAbort.current = null;
     setExplaining(false);
   };
 
@@ -702,19 +690,26 @@ export default function App() {
 
         <div className="flex items-center gap-4">
           <form onSubmit={handleSearch} className="flex gap-2">
-            <div className="relative">
-              <input type="text" placeholder="Type: 'JK Flip Flop', 'Mux', 'Full Adder'..." value={search} onChange={(e)=>setSearch(e.target.value)} 
-                className="border rounded pl-3 pr-10 py-1.5 text-sm w-64 focus:outline-none focus:border-green-500 transition-colors"
-                style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}
-              />
-              {loading && <Loader2 className="absolute right-3 top-1.5 animate-spin text-green-500" size={16} />}
-            </div>
-            <button type="submit" disabled={loading} className="px-4 rounded font-bold text-sm flex items-center gap-2 transition-colors"
-              style={{ backgroundColor: COLORS.BTN_BG || '#22c55e', color: COLORS.BTN_TXT }}>
-              {loading ? '...' : <><Wand2 size={14}/> LOAD</>}
-            </button>
+            <SearchBox colors={COLORS} value={search} onChange={setSearch} suggestions={suggestions} loading={loading}
+              onPick={openResult} onGenerate={generateWithAI} />
+            {loading ? (
+              <button type="button" onClick={cancelAI} className="px-4 rounded font-bold text-sm flex items-center gap-2 transition-colors"
+                style={{ backgroundColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}>
+                CANCEL
+              </button>
+            ) : (
+              <button type="submit" className="px-4 rounded font-bold text-sm flex items-center gap-2 transition-colors"
+                style={{ backgroundColor: COLORS.BTN_BG || '#22c55e', color: COLORS.BTN_TXT }}>
+                <Wand2 size={14}/> LOAD
+              </button>
+            )}
           </form>
 
+          <button onClick={() => setSettingsOpen(true)} title={`AI settings (${PROVIDERS[llmConfig.provider] ? PROVIDERS[llmConfig.provider].label : llmConfig.provider})`}
+            className="p-1.5 rounded" style={{ color: COLORS.TEXT_SEC }}>
+            <Settings size={18} />
+          </button>
+
           {/* THEME SWITCHER */}
           <div className="flex bg-gray-200 rounded p-1" style={{ backgroundColor: COLORS.BORDER }}>
             {Object.values(THEMES).map(theme => {
@@ -743,6 +738,35 @@ export default function App() {
             <p className="text-sm" style={{ color: COLORS.TEXT_SEC }}>{activeRecipe.desc}</p>
           </div>
           
+          {pinoutOpen && (
+            <PinoutPanel colors={COLORS} chip={pinoutOpen} onClose={() => setPinoutChip(null)}
+              levelOf={overlayOn && simResult ? (p) => simResult.levelOf({ c: pinoutChip, p }) : null} />
+          )}
+
+          <RecipeBrowser colors={COLORS} recipes={RECIPES} prefs={catalogPrefs} activeKey={activeKey}
+            onOpen={(key) => { setExplanation(''); loadRecipe(RECIPES[key]); }} onToggleFavourite={(key) => setCatalogPrefs(p => toggleFavourite(p, key))} />
+
+          <LibraryPanel colors={COLORS} library={library} setLibrary={setLibrary} activeRecipe={activeRecipe} query={search}
+            onLoad={loadRecipe} onSaved={setActiveRecipe} onDownload={(name, text) => downloadText(name, text, 'application/json')} />
+
+          <SynthesisPanel colors={COLORS} onBuild={loadRecipe} />
+
+          <GeneratorPanel colors={COLORS} onBuild={loadRecipe} />
+
+          <BuildGuidePanel colors={COLORS} building={building && !editing} steps={buildPlan} done={buildDone} current={buildCursor}
+            onStart={startBuilding} onExit={() => setBuilding(false)} onSelect={setBuildCursor}
+            onToggle={(stepId) => setBuildProgress(p => toggleStep(p, buildId, buildPlan, stepId))}
+            onReset={() => { setBuildProgress(p => resetProgress(p, buildId)); setBuildCursor(0); }} />
+
+          <TroubleshootPanel colors={COLORS} session={trouble} disabled={editing} describe={(ep) => describeEndpoint(ep, activeRecipe)}
+            reveal={revealedFault ? describeFault(activeRecipe, revealedFault, describeEndpoint) : ''}
+            onStart={startTrouble} onStop={() => setTrouble(null)} onTool={(tool) => setTrouble(t => ({ ...t, tool }))}
+            onGuessType={(type) => setTrouble(t => ({ ...t, guess: { ...t.guess, type } }))} onSubmit={submitDiagnosis} />
+
+          {diagnostics && (
+            <DiagnosticsPanel colors={COLORS} diagnostics={diagnostics} retry={retryAI} onRetryChange={setRetryAI} onDismiss={() => setDiagnostics(null)} />
+          )}
+
           <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER }}>
              <div className="flex items-center gap-2 mb-2 text-blue-500 font-bold">
                <BookOpen size={16} />
@@ -751,7 +775,7 @@ export default function App() {
              {explanation ? (
                <div className="text-xs leading-relaxed whitespace-pre-line animate-in fade-in" style={{ color: COLORS.TEXT_MAIN }}>{explanation}</div>
              ) : (
-               <button onClick={handleExplain} disabled={explaining} 
+               <button onClick={explaining ? cancelAI : handleExplain} title={explaining ? 'Cancel' : undefined}
                  className="w-full py-2 border rounded text-xs font-bold flex items-center justify-center gap-2 transition-colors"
                  style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_SEC, backgroundColor: COLORS.BG }}>
                 {explaining ? <Loader2 className="animate-spin" size={14}/> : <MessageSquare size={14}/>} {explaining ? 'Analyzing...' : 'Generate Explanation'}
@@ -770,12 +794,16 @@ export default function App() {
              </ul>
           </div>
 
+          <QuizPanel colors={COLORS} recipe={activeRecipe} quiz={quiz} lastSession={lastQuiz} available={quizAvailable && !editing}
+            onStart={startQuiz} onStop={stopQuiz} onCheck={checkAnswer} onNext={() => askQuestion(quiz.session)} onExport={exportQuiz}
+            onRespond={(k, v) => setQuiz(qz => ({ ...qz, response: qz.response.map((r, j) => (j === k ? v : r)) }))} />
+
           <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER }}>
              <div className="flex items-center gap-2 mb-3 text-green-500 font-bold"><Zap size={16} /><span className="text-xs uppercase">Simulation</span></div>
              <div className="space-y-4">
                 <div className="flex gap-2 flex-wrap">
                   {activeRecipe.inputs.map((lbl, i) => (
-                    <button key={i} onClick={() => {const n=[...inputs];n[i]=n[i]?0:1;setInputs(n)}} 
+                    <button key={i} onClick={() => flipSwitch(i)} 
                       className={`px-2 py-1 rounded text-xs font-mono font-bold border transition-all ${inputs[i] ? 'bg-green-600 text-white border-green-700' : ''}`}
                       style={!inputs[i] ? { borderColor: COLORS.BORDER, color: COLORS.TEXT_SEC } : {}}
                     >
@@ -786,51 +814,227 @@ export default function App() {
                 <div className="flex gap-2 flex-wrap">
                   {activeRecipe.outputs.map((lbl, i) => (
                     <div key={i} 
-                      className={`px-2 py-1 rounded text-xs font-mono font-bold border ${outputs[i] ? 'bg-red-600 text-white border-red-700' : ''}`}
-                      style={!outputs[i] ? { borderColor: COLORS.BORDER, color: COLORS.TEXT_SEC } : {}}
+                      className={`px-2 py-1 rounded text-xs font-mono font-bold border ${outputs[i] && !quiz ? 'bg-red-600 text-white border-red-700' : ''}`}
+                      style={!outputs[i] || quiz ? { borderColor: COLORS.BORDER, color: COLORS.TEXT_SEC } : {}}
                     >
-                      {lbl}={outputs[i]}
+                      {lbl}={quiz ? '?' : outputs[i]}
                     </div>
                   ))}
                 </div>
+                {clocks.length > 0 && (
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <button onClick={pulseClock} disabled={clockRunning}
+                      className="px-2 py-1 rounded text-xs font-bold border flex items-center gap-1"
+                      style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}>
+                      <Clock size={12}/> Pulse {activeRecipe.inputs[clocks[0]]}
+                    </button>
+                    <button onClick={() => setClockRunning(r => !r)}
+                      className="px-2 py-1 rounded text-xs font-bold border flex items-center gap-1"
+                      style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}>
+                      {clockRunning ? <Pause size={12}/> : <Play size={12}/>} {clockRunning ? 'Stop' : 'Run'}
+                    </button>
+                    <select value={clockHz} onChange={(e) => setClockHz(Number(e.target.value))}
+                      className="border rounded text-xs px-1 py-1"
+                      style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}>
+                      {CLOCK_RATES.map(hz => <option key={hz} value={hz}>{hz} Hz</option>)}
+                    </select>
+                    <button onClick={() => setSimResets(n => n + 1)} title="Power-cycle the flip-flops"
+                      className="p-1 rounded border" style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_SEC }}>
+                      <RefreshCw size={12}/>
+                    </button>
+                  </div>
+                )}
+                {mismatch && !quiz && (
+                  <div className="text-xs font-mono p-2 rounded border border-yellow-500 text-yellow-600">
+                    Wiring differs from expected: {activeRecipe.outputs.map((lbl, i) => `${lbl}=${expected[i]}`).join(' ')}
+                  </div>
+                )}
              </div>
           </div>
+
+          {/* Tables would give the answers away */}
+          {!quiz && (
+            <>
+            <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER }}>
+               <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+                 <Table size={16} />
+                 <span className="text-xs uppercase">{table.kind === 'state' ? 'State / Excitation Table' : 'Truth Table'}</span>
+               </div>
+               {table.error ? (
+                 <div className="text-xs" style={{ color: COLORS.TEXT_SEC }}>{table.error}.</div>
+               ) : (
+               <>
+               <div className="max-h-64 overflow-auto border rounded" style={{ borderColor: COLORS.BORDER }}>
+                 <table className="w-full text-xs font-mono text-center">
+                   <thead>
+                     <tr>
+                       {table.columns.map((col, k) => (
+                         <th key={k} className="px-1 py-1 sticky top-0" style={{ backgroundColor: COLORS.SIDEBAR, color: col.group === 'in' ? COLORS.TEXT_SEC : COLORS.TEXT_MAIN }}>{col.label}</th>
+                       ))}
+                     </tr>
+                   </thead>
+                   <tbody>
+                     {table.rows.map((row, r) => (
+                       <tr key={r} onClick={() => setInputs(prev => row.inputs.concat(prev.slice(row.inputs.length)))}
+                         className="cursor-pointer" style={isCurrentRow(row) ? { backgroundColor: COLORS.BTN_BG, color: COLORS.BTN_TXT } : {}}>
+                         {row.cells.map((v, k) => <td key={k} className="px-1">{v}</td>)}
+                       </tr>
+                     ))}
+                   </tbody>
+                 </table>
+               </div>
+               <div className="flex gap-2 mt-2">
+                 {TABLE_EXPORTS.map(fmt => (
+                   <button key={fmt.ext} onClick={() => downloadText(`${fileSlug(activeRecipe.title)}.${fmt.ext}`, fmt.fn(table), fmt.mime)}
+                     className="px-2 py-1 rounded text-xs font-bold border flex items-center gap-1"
+                     style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN }}>
+                     <Download size={12}/> {fmt.label}
+                   </button>
+                 ))}
+               </div>
+               </>
+               )}
+            </div>
+
+            <KMapPanel colors={COLORS} recipe={activeRecipe} table={table} onLoad={loadRecipe} />
+            </>
+          )}
+
+          <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: COLORS.BG, borderColor: COLORS.BORDER }}>
+             <div className={`flex items-center gap-2 mb-3 font-bold ${verification.ok ? 'text-green-500' : 'text-yellow-500'}`}>
+               {verification.ok ? <ShieldCheck size={16} /> : <AlertTriangle size={16} />}
+               <span className="text-xs uppercase">Verification</span>
+             </div>
+             <div className="text-xs space-y-1 font-mono" style={{ color: COLORS.TEXT_MAIN }}>
+               {verification.logicError && <div className="text-red-500">Expected logic: {verification.logicError}</div>}
+               {verification.mode === 'none' && !verification.logicError && <div style={{ color: COLORS.TEXT_SEC }}>No expected behaviour to check against.</div>}
+               {typeof activeRecipe.logic === 'string' && (
+                 <pre className="whitespace-pre-wrap p-2 rounded" style={{ backgroundColor: COLORS.BORDER }}>{activeRecipe.logic.split(';').map(st => st.trim()).filter(Boolean).join('\n')}</pre>
+               )}
+               {verification.mode !== 'none' && !verification.rows.length && (
+                 <div>{verification.checked} {verification.mode === 'sequence' ? 'steps' : 'rows'} match the wiring.</div>
+               )}
+               {verification.rows.slice(0, 6).map((row, k) => (
+                 <div key={k}>
+                   {row.step !== undefined ? `#${row.step} ` : ''}
+                   {activeRecipe.inputs.map((lbl, i) => `${lbl}=${row.inputs[i]}`).join(' ')}:{' '}
+                   {[...row.wrong.map(o => `${activeRecipe.outputs[o]} ${row.actual[o]}≠${row.expected ? row.expected[o] : '?'}`),
+                     ...(row.displays || []).map(d => `${d.base} ${d.actual || '-'}≠${d.expected || '-'}`)].join(', ')}
+                 </div>
+               ))}
+               {verification.rows.length > 6 && <div style={{ color: COLORS.TEXT_SEC }}>+{verification.rows.length - 6} more rows</div>}
+               {verification.wrongOutputs.length > 0 && (
+                 <div>Wrong: {verification.wrongOutputs.map(o => `${o.led} (${o.label})`).join(', ')}</div>
+               )}
+               {verification.floating.map((f, k) => (
+                 <div key={`f${k}`} className="text-yellow-600">{activeRecipe.chips[f.c].id} ({f.type}) pin {f.p} floating</div>
+               ))}
+             </div>
+          </div>
+
+          <ErcPanel colors={COLORS} issues={erc} focus={ercFocus} onFocus={setErcFocus} />
         </div>
 
         {/* CANVAS */}
-        <div className="flex-1 relative overflow-auto flex items-center justify-center" style={{ backgroundColor: COLORS.BG }}>
-           <div className="relative shadow-2xl rounded-xl overflow-hidden" style={{ width: 1200, height: 600 }}>
-             <svg width="100%" height="100%" viewBox="0 0 1200 600">
+        <div className="flex-1 relative overflow-auto flex flex-col items-center p-6" style={{ backgroundColor: COLORS.BG }}>
+           {editing ? (
+             <EditorToolbar colors={COLORS} wireColor={wireColor} selection={selection} pending={pending}
+               onWireColor={handleWireColor} onPlace={(type) => edit(r => { const x = firstFreeColumn(r.chips, type, boardCount(r)); return x === null ? r : placeChip(r, type, x); })}
+               onDelete={deleteSelection} onNew={() => { setActiveRecipe(editableCopy(createBlankRecipe())); setSelection(null); setPending(null); setView(homeView(createBlankRecipe())); }}
+               onInputs={(d) => edit(d > 0 ? addInput : removeInput)} onOutputs={(d) => edit(d > 0 ? addOutput : removeOutput)}
+               boards={boardCount(activeRecipe)} onBoards={(d) => edit(d > 0 ? addBoard : removeBoard)}
+               onDone={() => { setEditing(false); setPending(null); setSelection(null); }} />
+           ) : (
+             <div className="mb-4 flex justify-end gap-2" style={{ width: 1200 }}>
+               {activeRecipe.structure && (
+                 <div className="flex rounded border overflow-hidden text-xs font-bold" style={{ borderColor: COLORS.BORDER }}>
+                   {[['Blocks', true], ['Breadboard', false]].map(([label, on]) => (
+                     <button key={label} onClick={() => setBlockView(on)} className="px-3 py-1.5"
+                       style={blockView === on ? { backgroundColor: COLORS.BTN_BG, color: COLORS.BTN_TXT } : { backgroundColor: COLORS.SIDEBAR, color: COLORS.TEXT_MAIN }}>
+                       {label}
+                     </button>
+                   ))}
+                 </div>
+               )}
+               <button onClick={startEditing} className="px-3 py-1.5 rounded text-xs font-bold border flex items-center gap-2"
+                 style={{ borderColor: COLORS.BORDER, color: COLORS.TEXT_MAIN, backgroundColor: COLORS.SIDEBAR }}>
+                 <Pencil size={12}/> Edit Breadboard
+               </button>
+             </div>
+           )}
+           <div className="relative shadow-2xl rounded-xl overflow-hidden outline-none" style={{ width: CANVAS_W, height: CANVAS_H }}
+             tabIndex={0} onKeyDown={handleCanvasKey}>
+             <svg ref={svgRef} width="100%" height="100%" viewBox={viewBox(view)}
+               className={pan ? 'cursor-grabbing' : undefined}
+               onMouseDown={startPan}
+               onMouseMove={dragChip ? handleChipDrag : pan ? (e) => movePan(e.clientX, e.clientY) : undefined}
+               onMouseUp={() => { setDragChip(null); setPan(null); }}
+               onMouseLeave={() => { setDragChip(null); setPan(null); }}
+               onTouchStart={handleTouchStart} onTouchMove={handleTouchMove} onTouchEnd={endTouch}
+               onDragOver={editing ? (e) => e.preventDefault() : undefined}
+               onDrop={editing ? handleDrop : undefined}>
+                <rect {...sceneBox(activeRecipe)} fill="none" pointerEvents="all" data-pan="1" />
                 <g transform="translate(20, 100)">
                   <rect width="100" height="150" rx="6" fill="#e4e4e7" stroke={COLORS.BORDER} strokeWidth="2" />
                   <rect x="10" y="15" width="80" height="40" rx="2" fill="#27272a" />
                   <text x="50" y="40" textAnchor="middle" fill="#22c55e" fontFamily="monospace" fontSize="16" fontWeight="bold">5.0V</text>
                   <circle cx="30" cy="120" r="6" fill="#18181b" /><circle cx="70" cy="120" r="6" fill="#ef4444" />
-                  <path d="M 70 120 C 100 120, 100 52, 150 52" stroke="#ef4444" strokeWidth="4" fill="none" /><path d="M 30 120 C 60 120, 60 300, 150 300" stroke="#1f2937" strokeWidth="4" fill="none" />
                 </g>
-                <g transform={`translate(${OFF_X}, ${OFF_Y})`}>
-                   <rect width={63 * CELL} height={20 * CELL} rx="6" fill={COLORS.BOARD_BODY} />
-                   <rect x="0" y={8.5 * CELL} width={63 * CELL} height={2 * CELL} fill={COLORS.BOARD_GROOVE} />
-                   {Array.from({length: 20}).map((_, r) => Array.from({length: 63}).map((_, c) => {
-                       if (r===8||r===9) return null;
-                       let fill = COLORS.PIN_HOLE; if (r===1) fill=COLORS.VCC_RAIL; if (r===17) fill=COLORS.GND_RAIL;
+                {SUPPLY_HOLES.map(({ rail, hole }, k) => {
+                   const pt = holeCoords(hole);
+                   const post = rail === 'VCC' ? { x: 90, y: 220 } : { x: 50, y: 220 };
+                   return <path key={k} d={`M ${post.x} ${post.y} C ${post.x + 30} ${post.y}, ${pt.x - 40} ${pt.y}, ${pt.x} ${pt.y}`} stroke={rail === 'VCC' ? '#ef4444' : '#1f2937'} strokeWidth="3" fill="none" />;
+                })}
+                {Array.from({ length: boardCount(activeRecipe) }, (_, b) => (
+                <g key={b} transform={`translate(${OFF_X + b * BOARD_PITCH * CELL}, ${OFF_Y})`}>
+                   <rect width={BOARD_COLS * CELL} height={BOARD_ROWS * CELL} rx="6" fill={COLORS.BOARD_BODY} data-pan="1" />
+                   <rect x="0" y={8 * CELL} width={BOARD_COLS * CELL} height={2 * CELL} fill={COLORS.BOARD_GROOVE} data-pan="1" />
+                   {RAILS.map(({ row, rail }) => (
+                     <line key={row} x1={CELL} x2={(BOARD_COLS - 1) * CELL} y1={rail === 'VCC' ? (row + 1) * CELL - 1 : row * CELL + 1} y2={rail === 'VCC' ? (row + 1) * CELL - 1 : row * CELL + 1}
+                       stroke={rail === 'VCC' ? COLORS.VCC_RAIL : COLORS.GND_RAIL} strokeWidth="2" />
+                   ))}
+                   {Array.from({length: BOARD_ROWS}).map((_, r) => Array.from({length: BOARD_COLS}).map((_, c) => {
+                       if (!isHole({ col: c, row: r })) return null;
+                       const rail = RAILS.find(x => x.row === r);
+                       const fill = !rail ? COLORS.PIN_HOLE : rail.rail === 'VCC' ? COLORS.VCC_RAIL : COLORS.GND_RAIL;
                        return <circle key={`${r}-${c}`} cx={c*CELL+CELL/2} cy={r*CELL+CELL/2} r={2} fill={fill} />
                    }))}
+                   {Array.from(STRIP_ROWS).map((letter, k) => (
+                     <text key={letter} x={-4} y={(k < 5 ? 3 + k : 5 + k) * CELL + CELL / 2 + 3} textAnchor="end" fontSize="8" fill={COLORS.PIN_HOLE}>{letter}</text>
+                   ))}
+                   {Array.from({length: BOARD_COLS}).map((_, c) => ((c + 1) % 5 === 0 || c === 0) && (
+                     <text key={c} x={c*CELL+CELL/2} y={2 * CELL + CELL / 2 + 3} textAnchor="middle" fontSize="8" fill={COLORS.PIN_HOLE}>{c + 1}</text>
+                   ))}
+                   {b > 0 && <text x={BOARD_COLS * CELL - 6} y={BOARD_ROWS * CELL - 4} textAnchor="end" fontSize="9" fontWeight="bold" fill={COLORS.PIN_HOLE}>board {b + 1}</text>}
+                </g>
+                ))}
+                <g transform={`translate(${OFF_X}, ${OFF_Y})`}>
+                   {boardJumpers(boardCount(activeRecipe)).map((j, k) => (
+                     <path key={k} d={`M ${j.from.col*CELL+CELL/2} ${j.from.row*CELL+CELL/2} Q ${(j.from.col + j.to.col + 1)*CELL/2} ${j.from.row*CELL-2} ${j.to.col*CELL+CELL/2} ${j.to.row*CELL+CELL/2}`}
+                       stroke={j.rail === 'VCC' ? '#ef4444' : '#1f2937'} strokeWidth="2" fill="none" />
+                   ))}
                 </g>
-                {activeRecipe.chips.map(chip => {
-                    const w = (chip.type==='7476'||chip.type==='74153'||chip.type==='74139'||chip.type==='7485') ? 8 : 7;
+                {activeRecipe.chips.map((chip, c) => {
+                    const w = chipWidth(chip.type);
+                    const selected = (editing && selection?.kind === 'chip' && selection.idx === c)
+                      || (buildStep?.kind === 'chip' && buildStep.index === c);
+                    const faulty = revealedFault && revealedFault.c === c && (revealedFault.type === 'dead' || revealedFault.type === 'power');
                     return (
-                    <g key={chip.id} transform={`translate(${OFF_X + chip.x * CELL}, ${OFF_Y + 7 * CELL})`}>
-                       <rect width={w * CELL} height={5 * CELL} rx="3" fill={COLORS.IC_BODY} />
-                       <text x={(w/2) * CELL} y={2.5 * CELL + 4} textAnchor="middle" fill={COLORS.IC_TEXT} fontSize="10" fontFamily="monospace" fontWeight="bold">{chip.type}</text>
-                       <circle cx={6} cy={2.5 * CELL} r={3} fill="#4b5563" />
-                       {Array.from({length:w}).map((_, i) => <React.Fragment key={i}><rect x={i*CELL+4} y={-3} width={6} height={4} fill="#9ca3af" /><rect x={i*CELL+4} y={5*CELL-1} width={6} height={4} fill="#9ca3af" /></React.Fragment>)}
+                    <g key={chip.id} transform={`translate(${OFF_X + chip.x * CELL}, ${OFF_Y + 7 * CELL})`}
+                       className={editing ? 'cursor-move' : 'cursor-pointer'}
+                       onMouseDown={editing ? (e) => startChipDrag(e, c) : undefined}
+                       onClick={!editing ? () => setPinoutChip(c) : undefined}>
+                       {Array.from({length:w}).map((_, i) => <React.Fragment key={i}><rect x={i*CELL+4} y={CELL/2-3} width={6} height={8} fill="#9ca3af" /><rect x={i*CELL+4} y={3.5*CELL-5} width={6} height={8} fill="#9ca3af" /></React.Fragment>)}
+                       <rect x={1} y={CELL/2+4} width={w * CELL - 2} height={3 * CELL - 8} rx="3" fill={COLORS.IC_BODY}
+                         stroke={faulty ? '#ef4444' : selected ? '#facc15' : 'none'} strokeWidth="3" />
+                       <text x={(w/2) * CELL} y={2 * CELL + 4} textAnchor="middle" fill={COLORS.IC_TEXT} fontSize="10" fontFamily="monospace" fontWeight="bold">{chip.type}</text>
+                       <circle cx={7} cy={2 * CELL} r={3} fill="#4b5563" />
                     </g>
                 )})}
-                <g transform={`translate(${OFF_X + 22 * CELL}, ${OFF_Y + 16 * CELL})`}>
+                <g transform={`translate(${SWITCH_X}, ${SWITCH_Y})`}>
                    <rect x="-10" y="-10" width={activeRecipe.inputs.length * 20 + 20} height="55" fill="#1d4ed8" rx="4" />
                    {activeRecipe.inputs.map((lbl, i) => (
-                     <g key={i} transform={`translate(${i * 20}, 0)`} onClick={() => { const n = [...inputs]; n[i] = n[i] ? 0 : 1; setInputs(n); }} className="cursor-pointer">
+                     <g key={i} transform={`translate(${i * 20}, 0)`} onClick={() => flipSwitch(i)} className="cursor-pointer">
                         <rect x="0" y="0" width="10" height="30" fill="white" rx="1" />
                         <rect x="0" y={inputs[i] ? 0 : 15} width="10" height="15" fill="#1e3a8a" rx="1" />
                         <text x="5" y="42" textAnchor="middle" fontSize="10" fill="white" fontWeight="bold">{lbl}</text>
@@ -840,7 +1044,7 @@ export default function App() {
                 {activeRecipe.outputs.map((lbl, i) => {
                    const pos = getCoords('LED', `LED_${i}`, activeRecipe.chips);
                    if (pos.x === 0) return null;
-                   const isOn = outputs[i];
+                   const isOn = outputs[i] && !quiz;
                    return (
                      <g key={i} transform={`translate(${pos.x}, ${pos.y})`}>
                         <path d="M -50 15 L -10 15" stroke="#9ca3af" strokeWidth="2" />
@@ -853,21 +1057,95 @@ export default function App() {
                      </g>
                    );
                 })}
-                {activeRecipe.wires.map((w, i) => {
-                   let p1 = {x:0, y:0}, p2 = {x:0, y:0};
-                   if (w.s === 'VCC') p1 = getCoords('RAIL_VCC', null, activeRecipe.chips); 
-                   else if (w.s === 'GND') p1 = getCoords('RAIL_GND', null, activeRecipe.chips); 
-                   else if (typeof w.s === 'string' && w.s.includes('SW')) p1 = getCoords('SW', w.s, activeRecipe.chips); 
-                   else p1 = getCoords('PIN', w.s, activeRecipe.chips);
-
-                   if (typeof w.e === 'string' && w.e.includes('LED')) p2 = getCoords('LED', w.e, activeRecipe.chips); 
-                   else p2 = getCoords('PIN', w.e, activeRecipe.chips);
-                   return <Wire key={i} p1={p1} p2={p2} color={COLORS[w.color] || COLORS.WIRE_GREEN} />
+                {devices.map(({ device, model, base, index }, k) => {
+                   const clock = model.prefix === 'CLK' ? clockOf(device, base) : {};
+                   return (
+                     <IoDevice key={index} device={device} model={model} slot={slots[index]} colors={COLORS}
+                       lit={quiz ? [] : displays[base]} level={controls[base] || 0} value={controls[base] || 0}
+                       hz={clock.hz} running={clock.running}
+                       onPress={(level) => pressButton(device, base, level)}
+                       onKey={(n) => { if (!quiz) setControl(base, n); }}
+                       onHz={(dir) => stepClockRate(device, base, dir)}
+                       onRun={() => setIoClocks(c => ({ ...c, [base]: { ...clock, running: !clock.running } }))} />
+                   );
+                })}
+                {activeRecipe.wires.map((w, i) => (
+                   <Wire key={i} route={routes[i]}
+                     color={COLORS[w.color] || COLORS.WIRE_GREEN}
+                     selected={(editing && selection?.kind === 'wire' && selection.idx === i) || (buildStep?.kind === 'wire' && buildStep.index === i)}
+                     dimmed={building && buildDone.includes(`wire:${i}`) && buildStep?.index !== i}
+                     glow={hoverNet !== null && simResult.netOf(w.s) === hoverNet}
+                     onHover={overlayOn ? (on) => setHover(on ? { net: simResult && simResult.netOf(w.s) } : null) : undefined}
+                     onClick={editing ? () => selectWire(i) : undefined} />
+                ))}
+                {overlayOn && !editing && activeRecipe.chips.flatMap((chip, c) => Array.from({ length: chipWidth(chip.type) * 2 }, (_, k) => {
+                   const ep = { c, p: k + 1 };
+                   const pt = endpointCoords(ep, activeRecipe.chips);
+                   return (
+                     <circle key={`p${c}-${k}`} cx={pt.x} cy={pt.y} r={5} fill="transparent" className="cursor-pointer"
+                       onMouseEnter={() => setHover({ ep })} onMouseLeave={() => setHover(null)} onClick={() => setPinoutChip(c)} />
+                   );
+                }))}
+                {buildStep && buildStep.points.filter(pt => pt.x).map((pt, k) => (
+                   <circle key={`b${k}`} cx={pt.x} cy={pt.y} r={7} fill="none" stroke="#facc15" strokeWidth="2.5" className="animate-pulse" pointerEvents="none" />
+                ))}
+                {trouble && !trouble.result && boardTargets.map(({ ep, pos }, k) => {
+                   const marked = trouble.guess.at && sameEndpoint(trouble.guess.at, ep);
+                   return (
+                     <circle key={`t${k}`} cx={pos.x} cy={pos.y} r={marked ? 6 : 4} className="cursor-crosshair"
+                       fill={marked ? '#ef4444' : 'transparent'} stroke={marked ? '#991b1b' : '#94a3b8'} strokeWidth="1.5"
+                       onClick={(e) => { e.stopPropagation(); handleProbe(ep); }} />
+                   );
+                })}
+                {erc.flatMap((issue, k) => issue.at.map((ep, n) => {
+                   const pt = endpointCoords(ep, activeRecipe.chips, activeRecipe.devices);
+                   const tone = issue.severity === 'error' ? '#ef4444' : '#eab308';
+                   return pt.x ? (
+                     <circle key={`e${k}-${n}`} cx={pt.x} cy={pt.y} r={ercFocus === k ? 11 : 7} fill="none" stroke={tone}
+                       strokeWidth={ercFocus === k ? 3 : 2} strokeDasharray="3 2" className={ercFocus === k ? 'animate-pulse' : undefined}>
+                       <title>{issue.message}</title>
+                     </circle>
+                   ) : null;
+                }))}
+                {faultPoints.map((ep, k) => {
+                   const pt = endpointCoords(ep, activeRecipe.chips, activeRecipe.devices);
+                   return pt.x ? <circle key={`f${k}`} cx={pt.x} cy={pt.y} r={8} fill="none" stroke="#ef4444" strokeWidth="2.5" pointerEvents="none" /> : null;
+                })}
+                {pinTip && (
+                   <g pointerEvents="none">
+                     <circle cx={pinTip.pt.x} cy={pinTip.pt.y} r={6} fill="none" stroke="#facc15" strokeWidth="2" />
+                     <rect x={pinTip.x} y={pinTip.pt.y - 26} width={pinTip.width} height={18} rx="3" fill={COLORS.IC_BODY} opacity="0.95" />
+                     <text x={pinTip.x + 6} y={pinTip.pt.y - 13} fontSize="10" fontFamily="monospace" fill={COLORS.IC_TEXT}>{pinTip.text}</text>
+                   </g>
+                )}
+                {editing && boardTargets.map(({ ep, pos }, k) => {
+                   const active = pending && sameEndpoint(pending, ep);
+                   return (
+                     <circle key={k} cx={pos.x} cy={pos.y} r={active ? 6 : 4} className="cursor-crosshair"
+                       fill={active ? '#facc15' : 'transparent'} stroke={active ? '#a16207' : '#facc15'} strokeWidth="1.5"
+                       onClick={(e) => { e.stopPropagation(); handleEndpoint(ep); }} />
+                   );
                 })}
              </svg>
+             <div className="absolute top-2 right-2 flex items-center gap-1 rounded border shadow px-1 py-0.5"
+               style={{ borderColor: COLORS.BORDER, backgroundColor: COLORS.SIDEBAR, color: COLORS.TEXT_MAIN }}>
+               <button onClick={() => setView(v => zoomView(v, 1 / 1.25))} title="Zoom out (-)" className="p-1"><ZoomOut size={14}/></button>
+               <button onClick={() => setView(homeView(activeRecipe))} title="Reset view (0)" className="text-xs font-mono w-12">
+                 {Math.round(zoomOf(view) * 100)}%
+               </button>
+               <button onClick={() => setView(v => zoomView(v, 1.25))} title="Zoom in (+)" className="p-1"><ZoomIn size={14}/></button>
+               <button onClick={fitCircuit} title="Fit to circuit (F)" className="p-1 flex items-center gap-1 text-xs font-bold"><Scan size={14}/> Fit</button>
+             </div>
+             <Minimap colors={COLORS} recipe={activeRecipe} view={view} onCentre={(at) => setView(v => centreView(v, at))} />
+             {blockView && activeRecipe.structure && !editing && <BlockDiagram colors={COLORS} recipe={activeRecipe} levelOf={simResult ? simResult.levelOf : null} onOpen={openBlock} />}
            </div>
+           {!quiz && <WaveformPane trace={trace} colors={COLORS} width={1200}
+             onClear={() => setTrace(recordSample(createTrace(activeRecipe), Date.now(), inputs, outputs))}
+             onExport={() => downloadText(`${fileSlug(activeRecipe.title)}.vcd`, toVCD(trace, { title: activeRecipe.title }))} />}
         </div>
       </div>
+
+      {settingsOpen && <LLMSettingsDialog colors={COLORS} config={llmConfig} onSave={handleSettings} onClose={() => setSettingsOpen(false)} />}
     </div>
   );
 }
\ No newline at end of file
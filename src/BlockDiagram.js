@@ -0,0 +1,81 @@
+import React from 'react';
+import { blockLayout, flatEndpoint } from './subcircuits';
+import { CANVAS_W, CANVAS_H } from './viewport';
+
+const LEVEL_STROKE = { 1: '#ef4444', 0: '#2563eb' };
+
+// --- BLOCK VIEW ---
+// A recipe built from subcircuits drawn as its blocks and the wires between them,
+// coloured by live level (`levelOf(ep)` on the flat circuit → 1, 0 or null). Clicking a
+// block calls onOpen(b) so the canvas can show its chips on the breadboard.
+export default function BlockDiagram({ colors, recipe, levelOf, onOpen }) {
+  const { blocks, point } = blockLayout(recipe, CANVAS_W, CANVAS_H);
+  const level = (ep) => {
+    const flat = flatEndpoint(recipe, ep);
+    return levelOf && flat ? levelOf(flat) : null;
+  };
+  const stroke = (v) => LEVEL_STROKE[v] || colors.TEXT_SEC;
+
+  const wire = (w, i) => {
+    const a = point(w.s), b = point(w.e);
+    if (a && b) {
+      const midX = (a.x + b.x) / 2;
+      return <polyline key={i} points={`${a.x},${a.y} ${midX},${a.y} ${midX},${b.y} ${b.x},${b.y}`} fill="none" stroke={stroke(level(w.s))} strokeWidth="2.5" strokeLinejoin="round" />;
+    }
+    // A rail: a short stub at the end that can be drawn, named
+    const end = a || b;
+    const rail = a ? w.e : w.s;
+    if (!end || (rail !== 'VCC' && rail !== 'GND')) return null;
+    return (
+      <g key={i}>
+        <line x1={end.x} y1={end.y} x2={end.x - 30} y2={end.y} stroke={stroke(rail === 'VCC' ? 1 : 0)} strokeWidth="2.5" />
+        <text x={end.x - 34} y={end.y + 4} textAnchor="end" fontSize="10" fontFamily="monospace" fontWeight="bold" fill={colors.TEXT_SEC}>{rail}</text>
+      </g>
+    );
+  };
+
+  return (
+    <svg width="100%" height="100%" viewBox={`0 0 ${CANVAS_W} ${CANVAS_H}`} className="absolute inset-0" style={{ backgroundColor: colors.BG }}>
+      {recipe.structure.wires.map(wire)}
+      {recipe.inputs.map((label, i) => {
+        const pt = point(`SW_${i}`);
+        return (
+          <g key={`sw${i}`}>
+            <rect x={pt.x - 8} y={pt.y - 8} width={16} height={16} rx="3" fill={stroke(level(`SW_${i}`))} />
+            <text x={pt.x - 14} y={pt.y + 4} textAnchor="end" fontSize="12" fontWeight="bold" fill={colors.TEXT_MAIN}>{label}</text>
+          </g>
+        );
+      })}
+      {recipe.outputs.map((label, i) => {
+        const pt = point(`LED_${i}`);
+        return (
+          <g key={`led${i}`}>
+            <circle cx={pt.x} cy={pt.y} r={8} fill={level(`LED_${i}`) === 1 ? colors.LED_ON : colors.LED_OFF} />
+            <text x={pt.x + 14} y={pt.y + 4} fontSize="12" fontWeight="bold" fill={colors.TEXT_MAIN}>{label}</text>
+          </g>
+        );
+      })}
+      {recipe.structure.blocks.map((block, b) => {
+        const box = blocks[b];
+        return (
+          <g key={block.id} onClick={onOpen ? () => onOpen(b) : undefined} className={onOpen ? 'cursor-pointer' : undefined}>
+            <title>{`${block.id}: ${block.type}${onOpen ? ' (click for its chips)' : ''}`}</title>
+            <rect x={box.x} y={box.y} width={box.width} height={box.height} rx="6" fill={colors.IC_BODY} stroke={colors.BORDER} strokeWidth="2" />
+            <text x={box.x + box.width / 2} y={box.y + 15} textAnchor="middle" fontSize="12" fontFamily="monospace" fontWeight="bold" fill={colors.IC_TEXT}>{block.id}</text>
+            <text x={box.x + box.width / 2} y={box.y + 27} textAnchor="middle" fontSize="9" fontFamily="monospace" fill="#9ca3af">{block.type}</text>
+            {[...block.inputs, ...block.outputs].map(port => {
+              const pt = box.ports[port];
+              const left = pt.x === box.x;
+              return (
+                <g key={port}>
+                  <circle cx={pt.x} cy={pt.y} r={4} fill={stroke(level({ b, port }))} />
+                  <text x={pt.x + (left ? 8 : -8)} y={pt.y + 3} textAnchor={left ? 'start' : 'end'} fontSize="10" fontFamily="monospace" fill={colors.IC_TEXT}>{port}</text>
+                </g>
+              );
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { CELL, OFF_X, OFF_Y, wireEnds } from './board';
+import { BOARD_ROWS, RAILS } from './breadboard';
+import { BOARD_COLS, BOARD_PITCH, boardCount, boardColumns, chipWidth } from './editor';
+
+// --- MINIATURE BREADBOARD ---
+// The boards, chips and wires of a recipe drawn with the canvas geometry, scaled down.
+// No holes, labels or components: at this size they are only noise. `box` is the part
+// of the canvas to show (all the boards by default); `children` draw on top of it in
+// canvas coordinates.
+export default function BoardThumbnail({ colors, recipe, width = 96, box, children }) {
+  const boards = boardCount(recipe);
+  const w = BOARD_COLS * CELL, h = BOARD_ROWS * CELL;
+  const area = box || { x: OFF_X, y: OFF_Y, width: boardColumns(boards) * CELL, height: h };
+  const ends = wireEnds(recipe);
+  return (
+    <svg width={width} height={(width * area.height) / area.width} viewBox={`${area.x} ${area.y} ${area.width} ${area.height}`} className="rounded shrink-0" aria-hidden="true">
+      {Array.from({ length: boards }, (_, k) => {
+        const x = OFF_X + k * BOARD_PITCH * CELL;
+        return (
+          <g key={k}>
+            <rect x={x} y={OFF_Y} width={w} height={h} rx="6" fill={colors.BOARD_BODY} stroke={colors.BORDER} strokeWidth="4" />
+            <rect x={x} y={OFF_Y + 8 * CELL} width={w} height={2 * CELL} fill={colors.BOARD_GROOVE} />
+            {RAILS.map(({ row, rail }) => (
+              <rect key={row} x={x} y={OFF_Y + row * CELL} width={w} height={CELL} fill={rail === 'VCC' ? colors.VCC_RAIL : colors.GND_RAIL} />
+            ))}
+          </g>
+        );
+      })}
+      {recipe.chips.map((chip, c) => (
+        <rect key={c} x={OFF_X + chip.x * CELL} y={OFF_Y + 7.5 * CELL} width={chipWidth(chip.type) * CELL} height={3 * CELL} rx="3" fill={colors.IC_BODY} />
+      ))}
+      {recipe.wires.map((wire, i) => {
+        const { s: p1, e: p2 } = ends[i];
+        if (!p1.x || !p2.x) return null;
+        const midY = (p1.y + p2.y) / 2;
+        return <polyline key={i} points={`${p1.x},${p1.y} ${p1.x},${midY} ${p2.x},${midY} ${p2.x},${p2.y}`}
+          stroke={colors[wire.color] || colors.WIRE_GREEN} strokeWidth="6" fill="none" strokeLinejoin="round" />;
+      })}
+      {children}
+    </svg>
+  );
+}
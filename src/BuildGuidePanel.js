@@ -0,0 +1,66 @@
+import React from 'react';
+import { ListChecks, ChevronLeft, ChevronRight, Check, RotateCcw, X } from 'lucide-react';
+
+// --- GUIDED BUILD SIDEBAR CARD ---
+// Steps come from buildSteps(); `done` holds the ids already checked off and `current`
+// is the step highlighted on the board.
+export default function BuildGuidePanel({ colors, building, steps, done, current, onStart, onExit, onSelect, onToggle, onReset }) {
+  const step = steps[current];
+  const btn = 'px-2 py-1 rounded text-xs font-bold border flex items-center gap-1';
+
+  const checkAndNext = () => {
+    if (!done.includes(step.id)) onToggle(step.id);
+    if (current < steps.length - 1) onSelect(current + 1);
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <ListChecks size={16} />
+        <span className="text-xs uppercase flex-1">Build Mode</span>
+        <span className="text-xs font-mono" style={{ color: colors.TEXT_SEC }}>{done.length}/{steps.length}</span>
+        {building && <button onClick={onExit} title="Leave build mode" className="p-1 rounded hover:opacity-70" style={{ color: colors.TEXT_SEC }}><X size={12} /></button>}
+      </div>
+      <div className="h-1 rounded mb-3" style={{ backgroundColor: colors.BORDER }}>
+        <div className="h-1 rounded bg-green-500" style={{ width: `${steps.length ? (100 * done.length) / steps.length : 0}%` }} />
+      </div>
+      {!building ? (
+        <button onClick={onStart} disabled={!steps.length} className="w-full py-2 border rounded text-xs font-bold"
+          style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+          {done.length ? 'Resume guided build' : 'Start guided build'}
+        </button>
+      ) : step && (
+        <div className="space-y-2">
+          <div className="p-2 rounded border text-xs" style={{ borderColor: '#facc15' }}>
+            <div className="font-bold">{current + 1}. {step.title}</div>
+            <div className="font-mono mt-1" style={{ color: colors.TEXT_SEC }}>{step.detail}</div>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onSelect(current - 1)} disabled={current === 0} className={btn} style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+              <ChevronLeft size={12} />
+            </button>
+            <button onClick={checkAndNext} className={`${btn} flex-1 justify-center`} style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG }}>
+              <Check size={12} /> Done
+            </button>
+            <button onClick={() => onSelect(current + 1)} disabled={current === steps.length - 1} className={btn} style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+              <ChevronRight size={12} />
+            </button>
+            <button onClick={() => { if (window.confirm('Clear the progress for this circuit?')) onReset(); }} title="Start over"
+              className={btn} style={{ borderColor: colors.BORDER, color: colors.TEXT_SEC }}>
+              <RotateCcw size={12} />
+            </button>
+          </div>
+          <ol className="max-h-48 overflow-y-auto text-xs space-y-0.5">
+            {steps.map((s, k) => (
+              <li key={s.id} onClick={() => onSelect(k)} className="flex items-center gap-2 px-1 rounded cursor-pointer"
+                style={k === current ? { backgroundColor: colors.BORDER } : {}}>
+                <input type="checkbox" checked={done.includes(s.id)} onChange={() => onToggle(s.id)} onClick={(e) => e.stopPropagation()} />
+                <span className={`truncate ${done.includes(s.id) ? 'line-through opacity-60' : ''}`} title={s.title}>{k + 1}. {s.title}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Stethoscope, X } from 'lucide-react';
+
+const SEVERITY_STYLE = {
+  error: { label: 'Error', className: 'text-red-500' },
+  warning: { label: 'Warning', className: 'text-yellow-600' },
+  repaired: { label: 'Fixed', className: 'text-green-600' }
+};
+
+// --- GENERATED CIRCUIT DIAGNOSTICS CARD ---
+export default function DiagnosticsPanel({ colors, diagnostics, retry, onRetryChange, onDismiss }) {
+  const { issues, ok, attempts } = diagnostics;
+  const counts = Object.keys(SEVERITY_STYLE).map(k => [k, issues.filter(i => i.severity === k).length]).filter(([, n]) => n);
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className={`flex items-center gap-2 mb-3 font-bold ${ok ? 'text-green-500' : 'text-red-500'}`}>
+        <Stethoscope size={16} />
+        <span className="text-xs uppercase flex-1">Generated Circuit</span>
+        <button onClick={onDismiss} title="Dismiss" className="p-1 rounded hover:opacity-70"><X size={14} /></button>
+      </div>
+      <div className="text-xs mb-2" style={{ color: colors.TEXT_SEC }}>
+        {ok ? 'Valid' : 'Still has errors'}
+        {attempts > 1 && ` after ${attempts} attempts`}
+        {counts.length > 0 && ` — ${counts.map(([k, n]) => `${n} ${SEVERITY_STYLE[k].label.toLowerCase()}`).join(', ')}`}
+      </div>
+      <ul className="text-xs font-mono space-y-1 max-h-48 overflow-auto" style={{ color: colors.TEXT_MAIN }}>
+        {issues.map((issue, k) => (
+          <li key={k}>
+            <span className={SEVERITY_STYLE[issue.severity].className}>{SEVERITY_STYLE[issue.severity].label}</span>
+            {issue.path && <span style={{ color: colors.TEXT_SEC }}> {issue.path}</span>}: {issue.message}
+          </li>
+        ))}
+      </ul>
+      <label className="flex items-center gap-2 mt-3 text-xs" style={{ color: colors.TEXT_SEC }}>
+        <input type="checkbox" checked={retry} onChange={(e) => onRetryChange(e.target.checked)} />
+        Send remaining errors back to the AI and retry
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Plus, Minus, Trash2, FilePlus, Check } from 'lucide-react';
+import { CHIPS } from './chips';
+import { WIRE_COLORS } from './editor';
+
+// --- BREADBOARD EDITOR TOOLBAR ---
+// Chip palette (drag onto the board or click to drop in the first free column), wire
+// colour picker, switch/LED count controls and the number of chained boards.
+export default function EditorToolbar({ colors, wireColor, onWireColor, selection, pending, onPlace, onDelete, onNew, onInputs, onOutputs, boards, onBoards, onDone }) {
+  const btn = 'px-2 py-1 rounded text-xs font-bold border flex items-center gap-1';
+  const btnStyle = { borderColor: colors.BORDER, color: colors.TEXT_MAIN };
+  return (
+    <div className="rounded-xl border shadow-sm mb-4 p-3 flex flex-col gap-2" style={{ width: 1200, backgroundColor: colors.SIDEBAR, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="text-xs font-bold uppercase" style={{ color: colors.TEXT_SEC }}>Chips</span>
+        {Object.entries(CHIPS).map(([type, chip]) => (
+          <div key={type} draggable title={chip.name}
+            onDragStart={(e) => e.dataTransfer.setData('text/x-chip', type)}
+            onClick={() => onPlace(type)}
+            className="px-2 py-1 rounded text-xs font-mono font-bold cursor-grab"
+            style={{ backgroundColor: colors.IC_BODY, color: colors.IC_TEXT }}>
+            {type}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="text-xs font-bold uppercase" style={{ color: colors.TEXT_SEC }}>Wire</span>
+        {WIRE_COLORS.map(c => (
+          <button key={c} onClick={() => onWireColor(c)} title={c}
+            className="w-5 h-5 rounded-full border-2"
+            style={{ backgroundColor: colors[c], borderColor: wireColor === c ? colors.TEXT_MAIN : 'transparent' }} />
+        ))}
+        <span className="text-xs font-mono" style={{ color: colors.TEXT_SEC }}>
+          {pending ? 'Click a second point to finish the wire (Esc cancels)' : 'Click a switch, rail, pin or LED to start a wire'}
+        </span>
+        <div className="flex-1" />
+        <span className="text-xs font-bold uppercase" style={{ color: colors.TEXT_SEC }}>Switches</span>
+        <button onClick={() => onInputs(-1)} className={btn} style={btnStyle}><Minus size={12}/></button>
+        <button onClick={() => onInputs(1)} className={btn} style={btnStyle}><Plus size={12}/></button>
+        <span className="text-xs font-bold uppercase" style={{ color: colors.TEXT_SEC }}>LEDs</span>
+        <button onClick={() => onOutputs(-1)} className={btn} style={btnStyle}><Minus size={12}/></button>
+        <button onClick={() => onOutputs(1)} className={btn} style={btnStyle}><Plus size={12}/></button>
+        <span className="text-xs font-bold uppercase" style={{ color: colors.TEXT_SEC }}>Boards {boards}</span>
+        <button onClick={() => onBoards(-1)} className={btn} style={btnStyle}><Minus size={12}/></button>
+        <button onClick={() => onBoards(1)} className={btn} style={btnStyle}><Plus size={12}/></button>
+        <button onClick={onDelete} disabled={!selection} className={btn} style={btnStyle}><Trash2 size={12}/> Delete</button>
+        <button onClick={onNew} className={btn} style={btnStyle}><FilePlus size={12}/> New</button>
+        <button onClick={onDone} className={btn} style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG }}><Check size={12}/> Done</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import { CircuitBoard } from 'lucide-react';
+import { ERC_RULES, ercSummary } from './erc';
+
+const SEVERITY_STYLE = {
+  error: { label: 'Error', className: 'text-red-500' },
+  warning: { label: 'Warning', className: 'text-yellow-600' }
+};
+
+// --- ELECTRICAL RULE CHECK SIDEBAR CARD ---
+// Hovering an issue picks out its markers on the canvas (`focus` is the issue index).
+export default function ErcPanel({ colors, issues, focus, onFocus }) {
+  const { errors, warnings } = ercSummary(issues);
+  const tone = errors ? 'text-red-500' : warnings ? 'text-yellow-500' : 'text-green-500';
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className={`flex items-center gap-2 mb-3 font-bold ${tone}`}>
+        <CircuitBoard size={16} />
+        <span className="text-xs uppercase flex-1">Electrical Check</span>
+        {issues.length > 0 && <span className="text-xs font-mono">{errors}E {warnings}W</span>}
+      </div>
+      {!issues.length ? (
+        <div className="text-xs" style={{ color: colors.TEXT_SEC }}>No contention, floating inputs or power mistakes found.</div>
+      ) : (
+        <ul className="text-xs font-mono space-y-1 max-h-48 overflow-auto" style={{ color: colors.TEXT_MAIN }}>
+          {issues.map((issue, k) => (
+            <li key={k} title={ERC_RULES[issue.rule]} onMouseEnter={() => onFocus(k)} onMouseLeave={() => onFocus(null)}
+              className="px-1 rounded cursor-default" style={focus === k ? { backgroundColor: colors.BORDER } : {}}>
+              <span className={SEVERITY_STYLE[issue.severity].className}>{SEVERITY_STYLE[issue.severity].label}</span>: {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
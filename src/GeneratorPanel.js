@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { Layers } from 'lucide-react';
+import { GENERATORS, generateRecipe } from './generators';
+
+// --- N-BIT GENERATOR SIDEBAR CARD ---
+export default function GeneratorPanel({ colors, onBuild }) {
+  const [key, setKey] = useState('ripple_adder');
+  const [bits, setBits] = useState(GENERATORS.ripple_adder.bits);
+  const [error, setError] = useState('');
+  const gen = GENERATORS[key];
+
+  const choose = (next) => {
+    setKey(next);
+    setBits(GENERATORS[next].bits);
+    setError('');
+  };
+
+  const build = () => {
+    try {
+      onBuild(generateRecipe(key, bits));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <Layers size={16} />
+        <span className="text-xs uppercase">Generate</span>
+      </div>
+      <select value={key} onChange={(e) => choose(e.target.value)} className="w-full border rounded px-1 py-1 text-xs"
+        style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+        {Object.entries(GENERATORS).map(([id, g]) => <option key={id} value={id}>{g.title}</option>)}
+      </select>
+      {error && <div className="text-xs font-mono text-red-500 mt-1">{error}</div>}
+      <div className="flex items-center gap-2 mt-2">
+        <input type="number" value={bits} min={gen.min} max={gen.max} onChange={(e) => setBits(Number(e.target.value))}
+          className="w-14 border rounded px-1 text-xs font-mono"
+          style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }} />
+        <span className="flex-1 text-xs" style={{ color: colors.TEXT_SEC }}>bits ({gen.min}–{gen.max})</span>
+        <button onClick={build} className="px-3 py-1 rounded text-xs font-bold"
+          style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT }}>
+          Build
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React from 'react';
+import { CELL } from './board';
+
+// Segment bars of a digit 40 wide and 72 tall, as [x, y, width, height]
+const SEGMENT_BARS = {
+  a: [6, 0, 28, 5], b: [34, 5, 5, 29], c: [34, 38, 5, 29], d: [6, 67, 28, 5],
+  e: [1, 38, 5, 29], f: [1, 5, 5, 29], g: [6, 33, 28, 5]
+};
+const KEYS = '0123456789ABCDEF';
+const BODY_FILL = '#1f2937';
+
+// --- I/O DEVICE ON THE CANVAS ---
+// One device in its slot below the board (board.js deviceSlots): pins along the top edge,
+// the part itself underneath. `lit` lists the lit pins of a display; `level` is what a
+// button or clock drives now, `value` the key held on a keypad.
+export default function IoDevice({ device, model, slot, lit = [], level = 0, value = 0, hz, running, colors, onPress, onKey, onHz, onRun }) {
+  const width = slot.width * CELL;
+  const pins = model.pins(device);
+  const on = (pin) => lit.includes(pin);
+  const ledFill = (pin) => (on(pin) ? colors.LED_ON : colors.LED_OFF);
+
+  let body = null;
+  if (model.prefix === 'SEG') {
+    const x0 = width / 2 - 22;
+    body = (
+      <g>
+        <rect x="0" y="14" width={width} height="88" rx="3" fill={BODY_FILL} />
+        <g transform={`translate(${x0}, 22)`}>
+          {Object.entries(SEGMENT_BARS).map(([seg, [x, y, w, h]]) => (
+            <rect key={seg} x={x} y={y} width={w} height={h} rx="2" fill={ledFill(seg)} opacity={on(seg) ? 1 : 0.35} />
+          ))}
+          <circle cx="45" cy="69" r="3" fill={ledFill('dp')} opacity={on('dp') ? 1 : 0.35} />
+        </g>
+      </g>
+    );
+  } else if (model.prefix === 'BAR') {
+    body = (
+      <g>
+        <rect x="0" y="14" width={width} height="40" rx="3" fill={BODY_FILL} />
+        {pins.map((pin, k) => (
+          <rect key={pin} x={(slot.pinOffset + k) * CELL + 3} y="19" width={CELL - 6} height="30" rx="1" fill={ledFill(pin)} opacity={on(pin) ? 1 : 0.35} />
+        ))}
+      </g>
+    );
+  } else if (model.prefix === 'BTN') {
+    const press = (v) => (e) => { e.preventDefault(); onPress(v); };
+    body = (
+      <g className="cursor-pointer" onMouseDown={press(1)} onMouseUp={press(0)} onMouseLeave={() => level && onPress(0)}
+        onTouchStart={press(1)} onTouchEnd={press(0)}>
+        <rect x="0" y="14" width={width} height="34" rx="3" fill={BODY_FILL} />
+        <circle cx={width / 2} cy="31" r={level ? 9 : 11} fill={level ? '#b91c1c' : '#ef4444'} stroke="#7f1d1d" strokeWidth="2" />
+        {device.bounce && <text x={width / 2} y="58" textAnchor="middle" fontSize="7" fill={colors.TEXT_SEC}>bounce</text>}
+      </g>
+    );
+  } else if (model.prefix === 'CLK') {
+    body = (
+      <g>
+        <rect x="0" y="14" width={width} height="44" rx="3" fill={BODY_FILL} />
+        <text x={width / 2} y="28" textAnchor="middle" fontSize="9" fontFamily="monospace" fontWeight="bold" fill="#e5e7eb">555</text>
+        <circle cx={width - 7} cy="20" r="3" fill={level ? colors.LED_ON : colors.LED_OFF} />
+        <text x="4" y="52" fontSize="11" fill="#e5e7eb" className="cursor-pointer select-none" onClick={() => onHz(-1)}>−</text>
+        <text x={width / 2} y="51" textAnchor="middle" fontSize="8" fill="#e5e7eb" className="cursor-pointer select-none" onClick={onRun}>
+          {running ? `${hz} Hz` : 'stop'}
+        </text>
+        <text x={width - 4} y="52" textAnchor="end" fontSize="11" fill="#e5e7eb" className="cursor-pointer select-none" onClick={() => onHz(1)}>+</text>
+      </g>
+    );
+  } else if (model.prefix === 'KEY') {
+    const size = width / 4;
+    body = (
+      <g>
+        <rect x="0" y="14" width={width} height={size * 4 + 4} rx="3" fill={BODY_FILL} />
+        {Array.from(KEYS).map((key, n) => (
+          <g key={key} transform={`translate(${(n % 4) * size + 1}, ${16 + Math.floor(n / 4) * size})`} className="cursor-pointer" onClick={() => onKey(n)}>
+            <rect width={size - 2} height={size - 2} rx="2" fill={n === value ? '#facc15' : '#4b5563'} />
+            <text x={(size - 2) / 2} y={size / 2 + 2} textAnchor="middle" fontSize="8" fontFamily="monospace" fill={n === value ? '#111827' : '#e5e7eb'}>{key}</text>
+          </g>
+        ))}
+      </g>
+    );
+  }
+
+  return (
+    <g transform={`translate(${slot.x}, ${slot.y})`}>
+      {body}
+      {pins.map((pin, k) => (
+        <g key={pin || k} transform={`translate(${(slot.pinOffset + k + 0.5) * CELL}, 0)`}>
+          <line x1="0" y1="0" x2="0" y2="14" stroke="#9ca3af" strokeWidth="2" />
+          {pin && <text x="2" y="-2" fontSize="7" fill={colors.TEXT_SEC}>{pin}</text>}
+        </g>
+      ))}
+      <text x={width / 2} y={model.prefix === 'SEG' ? 114 : model.prefix === 'KEY' ? width + 30 : 68} textAnchor="middle" fontSize="10" fontWeight="bold" fill={colors.TEXT_SEC}>
+        {device.label || slot.base}
+      </text>
+    </g>
+  );
+}
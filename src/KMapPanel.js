@@ -0,0 +1,166 @@
+import React, { useState, useMemo } from 'react';
+import { Grid3x3 } from 'lucide-react';
+import { minimize, kmapLayout, tableMinterms, covers, implicantMinterms, MAX_QM_VARS } from './minimize';
+import { synthesize, circuitCost } from './synth';
+
+const GROUP_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#64748b'];
+
+const parseList = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isInteger);
+const outputName = (label) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(label) ? label : 'Y');
+
+// Synthesize one form for the cost comparison and the Load buttons
+const build = (name, text, vars) => {
+  try { return synthesize(`${name} = ${text}`, { inputs: vars }); } catch { return null; }
+};
+
+// --- K-MAP / MINIMISATION SIDEBAR CARD ---
+export default function KMapPanel({ colors, recipe, table, onLoad }) {
+  const [source, setSource] = useState('circuit'); // 'circuit' | 'minterms'
+  const [output, setOutput] = useState(0);
+  const [form, setForm] = useState('sop'); // groupings shown on the map
+  const [manual, setManual] = useState({ vars: 'A, B, C, D', minterms: '0, 2, 5, 7, 8, 10, 13, 15', dontCares: '' });
+
+  const fromCircuit = source === 'circuit';
+  const k = Math.min(output, recipe.outputs.length - 1);
+  const problem = fromCircuit && (table.kind !== 'truth' ? 'K-maps need a combinational circuit.'
+    : recipe.inputs.length > MAX_QM_VARS ? `Minimisation handles up to ${MAX_QM_VARS} inputs.`
+    : !recipe.outputs.length ? 'This circuit has no outputs.' : null);
+
+  const result = useMemo(() => {
+    if (problem) return null;
+    try {
+      if (fromCircuit) return minimize(recipe.inputs, tableMinterms(table, k));
+      const vars = manual.vars.split(',').map(s => s.trim()).filter(Boolean);
+      if (!vars.length) return { error: 'List the variables, e.g. A, B, C.' };
+      const dc = parseList(manual.dontCares);
+      const bad = [...parseList(manual.minterms), ...dc].find(m => m < 0 || m >= 1 << vars.length);
+      if (bad !== undefined) return { error: `${bad} is not a row of a ${vars.length}-variable table.` };
+      return minimize(vars, parseList(manual.minterms), dc);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [problem, fromCircuit, recipe, table, k, manual]);
+
+  const name = fromCircuit ? outputName(recipe.outputs[k] || 'Y') : 'Y';
+  const circuits = useMemo(() => (result && !result.error ? {
+    canonical: build(name, result.canonical, result.vars),
+    sop: build(name, result.sop.text, result.vars),
+    pos: build(name, result.pos.text, result.vars)
+  } : null), [result, name]);
+
+  const layout = result && !result.error ? kmapLayout(result.vars) : null;
+  const groups = result && !result.error ? result[form].implicants : [];
+  const cellValue = (m) => (result.dontCares.includes(m) ? 'X' : result.minterms.includes(m) ? 1 : 0);
+
+  const input = 'w-full border rounded px-2 py-0.5 text-xs font-mono';
+  const inputStyle = { backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN };
+  const tab = (active) => ({ backgroundColor: active ? colors.BTN_BG : 'transparent', color: active ? colors.BTN_TXT : colors.TEXT_SEC });
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <Grid3x3 size={16} />
+        <span className="text-xs uppercase flex-1">K-Map / Minimise</span>
+      </div>
+      <div className="flex gap-1 mb-2 text-xs">
+        <button onClick={() => setSource('circuit')} className="px-2 py-0.5 rounded" style={tab(fromCircuit)}>This circuit</button>
+        <button onClick={() => setSource('minterms')} className="px-2 py-0.5 rounded" style={tab(!fromCircuit)}>Minterms</button>
+      </div>
+
+      {fromCircuit && recipe.outputs.length > 1 && !problem && (
+        <select value={k} onChange={(e) => setOutput(Number(e.target.value))} className={`${input} mb-2`} style={inputStyle}>
+          {recipe.outputs.map((lbl, i) => <option key={i} value={i}>{lbl}</option>)}
+        </select>
+      )}
+      {!fromCircuit && (
+        <div className="space-y-1 mb-2 text-xs" style={{ color: colors.TEXT_SEC }}>
+          {[['vars', 'Variables'], ['minterms', 'm( )'], ['dontCares', 'd( )']].map(([key, label]) => (
+            <label key={key} className="flex items-center gap-2">
+              <span className="w-16">{label}</span>
+              <input value={manual[key]} onChange={(e) => setManual(m => ({ ...m, [key]: e.target.value }))} className={input} style={inputStyle} />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {problem && <div className="text-xs" style={{ color: colors.TEXT_SEC }}>{problem}</div>}
+      {result && result.error && <div className="text-xs font-mono text-red-500">{result.error}</div>}
+
+      {result && !result.error && (
+        <>
+          {layout && (
+            <table className="text-xs font-mono text-center mb-2 mx-auto">
+              <thead>
+                <tr>
+                  <th className="px-1" style={{ color: colors.TEXT_SEC }}>{layout.rowVars.join('')}\{layout.colVars.join('')}</th>
+                  {layout.colLabels.map(l => <th key={l} className="px-2" style={{ color: colors.TEXT_SEC }}>{l}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {layout.cells.map((row, r) => (
+                  <tr key={r}>
+                    <th className="px-1" style={{ color: colors.TEXT_SEC }}>{layout.rowLabels[r]}</th>
+                    {row.map(m => {
+                      const inGroups = groups.map((g, i) => (covers(g, m) ? i : -1)).filter(i => i >= 0);
+                      return (
+                        <td key={m} title={`m${m}`} className="w-8 h-8 border" style={{
+                          borderColor: colors.BORDER,
+                          boxShadow: inGroups.map((g, n) => `inset 0 0 0 ${2 * (n + 1)}px ${GROUP_COLORS[g % GROUP_COLORS.length]}`).join(', ') || 'none'
+                        }}>
+                          {cellValue(m)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="flex gap-1 mb-1 text-xs">
+            <button onClick={() => setForm('sop')} className="px-2 py-0.5 rounded" style={tab(form === 'sop')}>SOP groups</button>
+            <button onClick={() => setForm('pos')} className="px-2 py-0.5 rounded" style={tab(form === 'pos')}>POS groups</button>
+          </div>
+          <ul className="text-xs font-mono mb-2" style={{ color: colors.TEXT_MAIN }}>
+            {groups.map((g, i) => (
+              <li key={i}>
+                <span style={{ color: GROUP_COLORS[i % GROUP_COLORS.length] }}>■</span>{' '}
+                {form === 'sop' ? 'm' : 'M'}({implicantMinterms(g, result.vars.length).join(',')})
+              </li>
+            ))}
+          </ul>
+          <div className="text-xs font-mono space-y-1 break-all" style={{ color: colors.TEXT_MAIN }}>
+            <div><span style={{ color: colors.TEXT_SEC }}>SOP</span> {name} = {result.sop.text}</div>
+            <div><span style={{ color: colors.TEXT_SEC }}>POS</span> {name} = {result.pos.text}</div>
+          </div>
+          <table className="w-full text-xs font-mono text-center mt-2">
+            <thead>
+              <tr style={{ color: colors.TEXT_SEC }}><th className="text-left">Form</th><th>Gates</th><th>Chips</th><th /></tr>
+            </thead>
+            <tbody>
+              {[
+                ...(fromCircuit ? [['Current circuit', recipe, null]] : []),
+                ['Canonical SOP', circuits.canonical, null],
+                ['Minimal SOP', circuits.sop, 'sop'],
+                ['Minimal POS', circuits.pos, 'pos']
+              ].map(([label, circuit, key]) => {
+                const cost = circuit && circuitCost(circuit);
+                return (
+                  <tr key={label}>
+                    <td className="text-left">{label}</td>
+                    <td>{cost ? cost.gates : '—'}</td>
+                    <td>{cost ? cost.chips : '—'}</td>
+                    <td>
+                      {key && circuit && (
+                        <button onClick={() => onLoad(circuit)} className="px-1 rounded border" style={{ borderColor: colors.BORDER }}>Load</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
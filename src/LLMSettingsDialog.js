@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Settings, X, Loader2 } from 'lucide-react';
+import { PROVIDERS, DEFAULT_LLM_CONFIG, callLLM } from './llm';
+
+// Per-provider fields: [key, label, input type]
+const FIELDS = {
+  gemini: [['apiKey', 'API key', 'password'], ['model', 'Model', 'text']],
+  openai: [['baseUrl', 'Base URL', 'text'], ['apiKey', 'API key (optional for local servers)', 'password'], ['model', 'Model', 'text']],
+  mock: [['delayMs', 'Simulated latency (ms)', 'number']]
+};
+
+// --- AI PROVIDER SETTINGS DIALOG ---
+export default function LLMSettingsDialog({ colors, config, onSave, onClose }) {
+  const [draft, setDraft] = useState(config);
+  const [test, setTest] = useState(null); // { running } | { ok, message }
+  const settings = draft[draft.provider];
+  const input = 'w-full border rounded px-2 py-1 text-sm';
+  const inputStyle = { backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN };
+
+  const setField = (key, value) => setDraft(d => ({ ...d, [d.provider]: { ...d[d.provider], [key]: value } }));
+
+  const runTest = async () => {
+    setTest({ running: true });
+    try {
+      const reply = await callLLM({ ...draft, retries: 0 }, { system: 'Reply with the single word OK.', prompt: 'Ping', json: false });
+      setTest({ ok: true, message: `Reply: ${reply.slice(0, 80)}` });
+    } catch (err) {
+      setTest({ ok: false, message: err.message });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0,0,0,0.4)' }} onClick={onClose}>
+      <div className="w-96 p-5 rounded-lg border shadow-lg space-y-3" style={{ backgroundColor: colors.SIDEBAR, borderColor: colors.BORDER, color: colors.TEXT_MAIN }}
+        onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2 font-bold">
+          <Settings size={16} />
+          <span className="flex-1">AI Settings</span>
+          <button onClick={onClose} title="Close" className="p-1 rounded hover:opacity-70"><X size={14} /></button>
+        </div>
+
+        <label className="block text-xs" style={{ color: colors.TEXT_SEC }}>
+          Provider
+          <select className={input} style={inputStyle} value={draft.provider} onChange={(e) => { setDraft(d => ({ ...d, provider: e.target.value })); setTest(null); }}>
+            {Object.entries(PROVIDERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+          </select>
+        </label>
+
+        {FIELDS[draft.provider].map(([key, label, type]) => (
+          <label key={key} className="block text-xs" style={{ color: colors.TEXT_SEC }}>
+            {label}
+            <input type={type} className={input} style={inputStyle} value={settings[key] ?? ''}
+              placeholder={String(DEFAULT_LLM_CONFIG[draft.provider][key] ?? '')}
+              onChange={(e) => setField(key, type === 'number' ? Number(e.target.value) : e.target.value)} />
+          </label>
+        ))}
+
+        <div className="flex gap-2">
+          <label className="block text-xs flex-1" style={{ color: colors.TEXT_SEC }}>
+            Timeout (s)
+            <input type="number" min="1" className={input} style={inputStyle} value={Math.round(draft.timeoutMs / 1000)}
+              onChange={(e) => setDraft(d => ({ ...d, timeoutMs: Math.max(1, Number(e.target.value)) * 1000 }))} />
+          </label>
+          <label className="block text-xs flex-1" style={{ color: colors.TEXT_SEC }}>
+            Retries
+            <input type="number" min="0" max="5" className={input} style={inputStyle} value={draft.retries}
+              onChange={(e) => setDraft(d => ({ ...d, retries: Math.max(0, Math.min(5, Number(e.target.value))) }))} />
+          </label>
+        </div>
+
+        {test && !test.running && (
+          <div className={`text-xs font-mono ${test.ok ? 'text-green-600' : 'text-red-500'}`}>{test.message}</div>
+        )}
+
+        <div className="flex gap-2 justify-end">
+          <button onClick={runTest} disabled={test && test.running} className="px-3 py-1 rounded text-xs font-bold border flex items-center gap-1"
+            style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+            {test && test.running && <Loader2 className="animate-spin" size={12} />} Test
+          </button>
+          <button onClick={() => onSave(draft)} className="px-3 py-1 rounded text-xs font-bold"
+            style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT }}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
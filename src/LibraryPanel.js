@@ -0,0 +1,93 @@
+import React, { useRef } from 'react';
+import { FolderOpen, Save, Upload, Download, Pencil, Copy, Tag, Trash2 } from 'lucide-react';
+import { addEntry, updateCircuit, renameEntry, duplicateEntry, deleteEntry, setTags, searchEntries, entryRecipe, exportCircuitFile, exportLibraryFile, parseImportFile, importEntries } from './library';
+
+// --- MY LIBRARY SIDEBAR CARD ---
+export default function LibraryPanel({ colors, library, setLibrary, activeRecipe, query, onLoad, onSaved, onDownload }) {
+  const fileRef = useRef(null);
+  const entries = searchEntries(library, query);
+  const iconBtn = 'p-1 rounded hover:opacity-70';
+
+  const handleSave = () => {
+    if (activeRecipe.libraryId && library.some(e => e.id === activeRecipe.libraryId)) {
+      setLibrary(updateCircuit(library, activeRecipe.libraryId, activeRecipe));
+      return;
+    }
+    const name = window.prompt('Save circuit as:', activeRecipe.title);
+    if (name === null) return;
+    const next = addEntry(library, activeRecipe, { name });
+    const saved = next[next.length - 1];
+    setLibrary(next);
+    onSaved({ ...activeRecipe, title: saved.name, libraryId: saved.id });
+  };
+
+  const handleLoad = (entry) => {
+    try { onLoad(entryRecipe(entry)); } catch (err) { alert(`Could not open "${entry.name}": ${err.message}`); }
+  };
+
+  const handleRename = (entry) => {
+    const name = window.prompt('Rename circuit:', entry.name);
+    if (name) setLibrary(renameEntry(library, entry.id, name));
+  };
+
+  const handleTags = (entry) => {
+    const tags = window.prompt('Tags (comma separated):', entry.tags.join(', '));
+    if (tags !== null) setLibrary(setTags(library, entry.id, tags));
+  };
+
+  const handleDelete = (entry) => {
+    if (window.confirm(`Delete "${entry.name}" from your library?`)) setLibrary(deleteEntry(library, entry.id));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const items = parseImportFile(await file.text());
+      setLibrary(importEntries(library, items));
+      const notes = items.flatMap(item => item.issues.map(i => `- ${item.name}: ${i.path ? `${i.path}: ` : ''}${i.message}`));
+      if (notes.length) alert(`Imported with changes:\n${notes.join('\n')}`);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <FolderOpen size={16} />
+        <span className="text-xs uppercase flex-1">My Library</span>
+        <button onClick={handleSave} title={activeRecipe.libraryId ? 'Save changes' : 'Save current circuit'} className={iconBtn}><Save size={14} /></button>
+        <button onClick={() => fileRef.current.click()} title="Import JSON" className={iconBtn}><Upload size={14} /></button>
+        <button onClick={() => onDownload('circuit_library.json', exportLibraryFile(library))} disabled={!library.length} title="Export library" className={iconBtn}><Download size={14} /></button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" style={{ display: 'none' }} onChange={handleImport} />
+      </div>
+      {!entries.length && (
+        <div className="text-xs" style={{ color: colors.TEXT_SEC }}>{library.length ? 'No saved circuits match the search.' : 'Saved circuits appear here.'}</div>
+      )}
+      <ul className="space-y-2">
+        {entries.map(entry => (
+          <li key={entry.id} className="text-sm" style={{ color: colors.TEXT_MAIN }}>
+            <div className="flex items-center gap-1">
+              <button onClick={() => handleLoad(entry)} className="flex-1 text-left font-bold truncate"
+                style={{ color: activeRecipe.libraryId === entry.id ? colors.BTN_BG : colors.TEXT_MAIN }}>
+                {entry.name}
+              </button>
+              <button onClick={() => handleRename(entry)} title="Rename" className={iconBtn}><Pencil size={12} /></button>
+              <button onClick={() => setLibrary(duplicateEntry(library, entry.id))} title="Duplicate" className={iconBtn}><Copy size={12} /></button>
+              <button onClick={() => handleTags(entry)} title="Tags" className={iconBtn}><Tag size={12} /></button>
+              <button onClick={() => onDownload(`${entry.name.replace(/[^\w-]+/g, '_')}.json`, exportCircuitFile(entry))} title="Export" className={iconBtn}><Download size={12} /></button>
+              <button onClick={() => handleDelete(entry)} title="Delete" className={iconBtn}><Trash2 size={12} /></button>
+            </div>
+            {entry.tags.length > 0 && (
+              <div className="flex gap-1 flex-wrap mt-1">
+                {entry.tags.map(t => <span key={t} className="px-1.5 rounded text-xs" style={{ backgroundColor: colors.BORDER, color: colors.TEXT_SEC }}>{t}</span>)}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
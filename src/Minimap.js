@@ -0,0 +1,32 @@
+import React, { useRef } from 'react';
+import BoardThumbnail from './BoardThumbnail';
+import { sceneBox } from './viewport';
+
+// --- MINIMAP ---
+// The whole scene in the corner of the canvas with the visible window outlined. Click
+// or drag on it to move the window there.
+export default function Minimap({ colors, recipe, view, onCentre, width = 200 }) {
+  const ref = useRef(null);
+  const dragging = useRef(false);
+  const scene = sceneBox(recipe);
+
+  const centreAt = (e) => {
+    const rect = ref.current.getBoundingClientRect();
+    onCentre({
+      x: scene.x + ((e.clientX - rect.left) * scene.width) / rect.width,
+      y: scene.y + ((e.clientY - rect.top) * scene.height) / rect.height
+    });
+  };
+
+  return (
+    <div ref={ref} className="absolute bottom-2 right-2 rounded border shadow cursor-pointer select-none"
+      style={{ borderColor: colors.BORDER, backgroundColor: colors.SIDEBAR, opacity: 0.9, lineHeight: 0 }}
+      onMouseDown={(e) => { e.stopPropagation(); dragging.current = true; centreAt(e); }}
+      onMouseMove={(e) => { if (dragging.current) centreAt(e); }}
+      onMouseUp={() => { dragging.current = false; }} onMouseLeave={() => { dragging.current = false; }}>
+      <BoardThumbnail colors={colors} recipe={recipe} width={width} box={scene}>
+        <rect x={view.x} y={view.y} width={view.w} height={view.h} fill="#3b82f6" fillOpacity="0.12" stroke="#3b82f6" strokeWidth={scene.width / width * 1.5} />
+      </BoardThumbnail>
+    </div>
+  );
+}
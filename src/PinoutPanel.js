@@ -0,0 +1,70 @@
+import React from 'react';
+import { Cpu, X } from 'lucide-react';
+import { getChip, pinName, pinFunction } from './chips';
+
+const LEVEL_FILL = { 1: '#ef4444', 0: '#2563eb' };
+const ROW = 18;
+
+// --- PINOUT DIAGRAM SIDEBAR CARD ---
+// Top view of the DIP package, pin 1 top left, with the live level of every pin
+// (`levelOf(pin)` → 1, 0 or null) and the datasheet function table.
+export default function PinoutPanel({ colors, chip, levelOf, onClose }) {
+  const model = getChip(chip.type);
+  const half = model ? model.pins / 2 : 0;
+  const height = half * ROW + 12;
+
+  const pinRow = (pin, k, side) => {
+    const y = 10 + k * ROW;
+    const level = levelOf ? levelOf(pin) : null;
+    const left = side === 'left';
+    return (
+      <g key={pin}>
+        <title>{`Pin ${pin} ${pinName(chip.type, pin)}: ${pinFunction(chip.type, pin)}`}</title>
+        <rect x={left ? 52 : 168} y={y} width={20} height={8} fill="#9ca3af" />
+        <circle cx={left ? 44 : 196} cy={y + 4} r={4} fill={LEVEL_FILL[level] || 'none'} stroke={colors.TEXT_SEC} />
+        <text x={left ? 30 : 210} y={y + 8} fontSize="10" fontFamily="monospace" textAnchor={left ? 'end' : 'start'} fill={colors.TEXT_SEC}>{pin}</text>
+        <text x={left ? 78 : 162} y={y + 8} fontSize="10" fontFamily="monospace" textAnchor={left ? 'start' : 'end'} fill={colors.IC_TEXT}>{pinName(chip.type, pin)}</text>
+      </g>
+    );
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <Cpu size={16} />
+        <span className="text-xs uppercase flex-1">Pinout: {chip.id} ({chip.type})</span>
+        <button onClick={onClose} title="Close" className="p-1 rounded hover:opacity-70" style={{ color: colors.TEXT_SEC }}><X size={12} /></button>
+      </div>
+      {!model ? (
+        <div className="text-xs" style={{ color: colors.TEXT_SEC }}>No datasheet for this part.</div>
+      ) : (
+        <>
+          <div className="text-xs mb-2" style={{ color: colors.TEXT_SEC }}>{model.name}. VCC on pin {model.vcc}, GND on pin {model.gnd}.</div>
+          <svg width="100%" viewBox={`0 0 240 ${height}`} className="mb-2">
+            <rect x={72} y={2} width={96} height={height - 4} rx="4" fill={colors.IC_BODY} />
+            <path d={`M 110 2 A 10 10 0 0 0 130 2`} fill={colors.BG} />
+            {Array.from({ length: half }, (_, k) => pinRow(k + 1, k, 'left'))}
+            {Array.from({ length: half }, (_, k) => pinRow(model.pins - k, k, 'right'))}
+          </svg>
+          {model.functionTable && (
+            <div className="overflow-x-auto border rounded" style={{ borderColor: colors.BORDER }}>
+              <table className="w-full text-xs font-mono text-center">
+                <thead>
+                  <tr>{model.functionTable.columns.map((col, k) => <th key={k} className="px-1" style={{ backgroundColor: colors.SIDEBAR, color: colors.TEXT_SEC }}>{col}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {model.functionTable.rows.map((row, r) => (
+                    <tr key={r}>{row.map((v, k) => <td key={k} className="px-1">{v}</td>)}</tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {model.sections && model.sections.length > 1 && (
+            <div className="text-xs mt-1" style={{ color: colors.TEXT_SEC }}>One row per {model.flipFlops ? 'flip-flop' : 'section'}; all {model.sections.length} work alike.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
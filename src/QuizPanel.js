@@ -0,0 +1,112 @@
+import React from 'react';
+import { GraduationCap, Flame, Timer, Download, X } from 'lucide-react';
+import { QUIZ_KINDS, sessionStats } from './quiz';
+
+const formatTime = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+
+// --- QUIZ SIDEBAR CARD ---
+// `quiz` is { session, question, response, checked } while running, otherwise null.
+// `response` has one slot per answer value (null until chosen).
+export default function QuizPanel({ colors, recipe, quiz, lastSession, available, onStart, onStop, onRespond, onCheck, onNext, onExport }) {
+  const btn = 'px-2 py-1 rounded text-xs font-bold border flex items-center gap-1';
+  const session = quiz ? quiz.session : lastSession;
+  const stats = session ? sessionStats(session) : null;
+  const q = quiz && quiz.question;
+
+  const bitButton = (k, label) => {
+    const value = quiz.response[k];
+    const right = quiz.checked && value === q.answer[k];
+    const wrong = quiz.checked && value !== q.answer[k];
+    return (
+      <button key={k} disabled={quiz.checked} onClick={() => onRespond(k, value === 1 ? 0 : 1)}
+        className={`px-2 py-1 rounded text-xs font-mono font-bold border ${right ? 'border-green-500 text-green-600' : wrong ? 'border-red-500 text-red-500' : ''}`}
+        style={!quiz.checked ? { borderColor: colors.BORDER, color: colors.TEXT_MAIN } : {}}>
+        {label}={value === null ? '?' : value}{wrong ? ` (${q.answer[k]})` : ''}
+      </button>
+    );
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <GraduationCap size={16} />
+        <span className="text-xs uppercase flex-1">Quiz</span>
+        {quiz && <button onClick={onStop} title="End the quiz" className="p-1 rounded hover:opacity-70" style={{ color: colors.TEXT_SEC }}><X size={12} /></button>}
+      </div>
+
+      {stats && stats.asked > 0 && (
+        <div className="flex items-center gap-3 text-xs font-mono mb-2" style={{ color: colors.TEXT_SEC }}>
+          <span style={{ color: colors.TEXT_MAIN }}>{stats.correct}/{stats.asked} ({stats.percent}%)</span>
+          <span className="flex items-center gap-1" title="Streak (best)"><Flame size={12} className="text-orange-500" />{session.streak} ({session.bestStreak})</span>
+          <span className="flex items-center gap-1" title="Time answering"><Timer size={12} />{formatTime(stats.ms)}</span>
+        </div>
+      )}
+
+      {!quiz ? (
+        <div className="space-y-2">
+          <button onClick={onStart} disabled={!available} className="w-full py-2 border rounded text-xs font-bold"
+            style={{ borderColor: colors.BORDER, color: available ? colors.TEXT_MAIN : colors.TEXT_SEC }}>
+            {available ? 'Start quiz (LEDs hidden)' : 'No questions for this circuit'}
+          </button>
+          {stats && stats.asked > 0 && (
+            <div className="flex gap-2">
+              {['json', 'csv'].map(fmt => (
+                <button key={fmt} onClick={() => onExport(fmt)} className={btn} style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+                  <Download size={12} /> {fmt.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : q && (
+        <div className="space-y-2 text-xs">
+          <div className="font-bold">{QUIZ_KINDS[q.kind]}</div>
+          {q.kind === 'predict' && (
+            <>
+              <div className="font-mono" style={{ color: colors.TEXT_SEC }}>{recipe.inputs.map((lbl, i) => `${lbl}=${q.inputs[i]}`).join(' ')}</div>
+              <div className="flex gap-2 flex-wrap">{q.labels.map((lbl, k) => bitButton(k, lbl))}</div>
+            </>
+          )}
+          {q.kind === 'row' && (
+            <>
+              <div className="overflow-x-auto">
+                <table className="text-xs font-mono text-center">
+                  <thead><tr>{q.columns.map((c, k) => <th key={k} className="px-1" style={{ color: colors.TEXT_SEC }}>{c}</th>)}</tr></thead>
+                  <tbody><tr>{q.cells.map((v, k) => <td key={k} className="px-1">{v === null ? '?' : v}</td>)}</tr></tbody>
+                </table>
+              </div>
+              <div className="flex gap-2 flex-wrap">{q.labels.map((lbl, k) => bitButton(k, lbl))}</div>
+            </>
+          )}
+          {q.kind === 'chip' && (
+            <>
+              <div>Which chip drives <span className="font-mono font-bold">{q.output}</span>?</div>
+              <div className="flex gap-2 flex-wrap">
+                {q.options.map((opt, k) => {
+                  const chosen = quiz.response[0] === k;
+                  const tone = quiz.checked && k === q.answer[0] ? 'border-green-500 text-green-600' : quiz.checked && chosen ? 'border-red-500 text-red-500' : '';
+                  return (
+                    <button key={k} disabled={quiz.checked} onClick={() => onRespond(0, k)} className={`${btn} ${tone}`}
+                      style={!tone ? (chosen ? { backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG } : { borderColor: colors.BORDER, color: colors.TEXT_MAIN }) : {}}>
+                      {opt}
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          )}
+          {!quiz.checked ? (
+            <button onClick={onCheck} disabled={quiz.response.includes(null)} className={`${btn} w-full justify-center`}
+              style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG, opacity: quiz.response.includes(null) ? 0.5 : 1 }}>
+              Check
+            </button>
+          ) : (
+            <button onClick={onNext} className={`${btn} w-full justify-center`} style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG }}>
+              {quiz.session.answers[quiz.session.answers.length - 1].correct ? 'Correct!' : 'Not quite.'} Next question
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
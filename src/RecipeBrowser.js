@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Library, Star, History, ChevronDown, ChevronRight } from 'lucide-react';
+import BoardThumbnail from './BoardThumbnail';
+import { groupRecipes, recipeDifficulty } from './catalog';
+
+const DIFFICULTY_STYLES = {
+  beginner: 'border-green-500 text-green-600',
+  intermediate: 'border-yellow-500 text-yellow-600',
+  advanced: 'border-red-500 text-red-500'
+};
+
+// --- BUILT-IN EXPERIMENTS SIDEBAR CARD ---
+export default function RecipeBrowser({ colors, recipes, prefs, activeKey, onOpen, onToggleFavourite }) {
+  const [open, setOpen] = useState(true);
+  const [expanded, setExpanded] = useState({});
+  const groups = groupRecipes(recipes);
+  const badge = 'px-1 rounded border text-[10px] leading-4 whitespace-nowrap';
+
+  const row = (key) => {
+    const recipe = recipes[key];
+    const difficulty = recipeDifficulty(recipe);
+    const favourite = prefs.favourites.includes(key);
+    return (
+      <li key={key} className="flex items-center gap-2 p-1 rounded cursor-pointer"
+        style={key === activeKey ? { backgroundColor: colors.BORDER } : {}} onClick={() => onOpen(key)}>
+        <BoardThumbnail colors={colors} recipe={recipe} />
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-bold truncate" title={recipe.title}>{recipe.title}</div>
+          <div className="flex gap-1 mt-0.5">
+            <span className={badge} style={{ borderColor: colors.BORDER, color: colors.TEXT_SEC }}>{recipe.chips.length} IC</span>
+            <span className={`${badge} ${DIFFICULTY_STYLES[difficulty]}`}>{difficulty}</span>
+          </div>
+        </div>
+        <button onClick={(e) => { e.stopPropagation(); onToggleFavourite(key); }} title={favourite ? 'Remove from favourites' : 'Add to favourites'}
+          className="p-1 rounded hover:opacity-70" style={{ color: favourite ? '#eab308' : colors.TEXT_SEC }}>
+          <Star size={12} fill={favourite ? 'currentColor' : 'none'} />
+        </button>
+      </li>
+    );
+  };
+
+  const section = (id, label, icon, keys) => {
+    const isOpen = expanded[id] ?? (id === 'favourites' || id === 'recent');
+    return (
+      <div key={id}>
+        <button onClick={() => setExpanded(x => ({ ...x, [id]: !isOpen }))}
+          className="w-full flex items-center gap-1 py-1 text-xs font-bold" style={{ color: colors.TEXT_MAIN }}>
+          {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+          {icon}
+          <span className="flex-1 text-left">{label}</span>
+          <span style={{ color: colors.TEXT_SEC }}>{keys.length}</span>
+        </button>
+        {isOpen && <ul className="space-y-1 mb-1">{keys.map(row)}</ul>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <button onClick={() => setOpen(o => !o)} className={`w-full flex items-center gap-2 ${open ? 'mb-3' : ''} text-blue-500 font-bold`}>
+        <Library size={16} />
+        <span className="text-xs uppercase flex-1 text-left">Experiments</span>
+        {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+      </button>
+      {open && (
+        <div>
+          {prefs.favourites.length > 0 && section('favourites', 'Favourites', <Star size={12} />, prefs.favourites)}
+          {prefs.recent.length > 0 && section('recent', 'Recently used', <History size={12} />, prefs.recent)}
+          {groups.map(g => section(g.category, g.category, null, g.keys))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Loader2, Wand2, FolderOpen, Sigma } from 'lucide-react';
+
+// --- SEARCH INPUT WITH LIVE SUGGESTIONS ---
+// Arrow keys move through the list, Enter opens the highlighted row (or submits the form
+// when nothing is highlighted), Escape closes it. The last row asks the AI explicitly.
+export default function SearchBox({ colors, value, onChange, suggestions, loading, onPick, onGenerate }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const query = value.trim();
+  const isEquation = query.includes('=');
+  const rows = isEquation ? [] : suggestions;
+  const count = rows.length + (query && !isEquation ? 1 : 0);
+  const showList = open && query && !loading;
+
+  const choose = (k) => {
+    setOpen(false);
+    setActive(-1);
+    if (k < rows.length) onPick(rows[k]);
+    else onGenerate(query);
+  };
+
+  const handleKey = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setOpen(true);
+      if (count) setActive(a => (e.key === 'ArrowDown' ? (a + 1) % count : (a <= 0 ? count - 1 : a - 1)));
+    } else if (e.key === 'Enter' && showList && active >= 0 && active < count) {
+      e.preventDefault();
+      choose(active);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActive(-1);
+    }
+  };
+
+  const rowStyle = (k) => ({ backgroundColor: k === active ? colors.BTN_BG : 'transparent', color: k === active ? colors.BTN_TXT : colors.TEXT_MAIN });
+
+  return (
+    <div className="relative">
+      <input type="text" placeholder="Type: 'JK Flip Flop', 'Mux', 'Y = AB + C'..." value={value}
+        onChange={(e) => { onChange(e.target.value); setOpen(true); setActive(-1); }}
+        onFocus={() => setOpen(true)} onBlur={() => setOpen(false)} onKeyDown={handleKey}
+        role="combobox" aria-controls="search-suggestions" aria-expanded={!!showList} aria-autocomplete="list"
+        className="border rounded pl-3 pr-10 py-1.5 text-sm w-64 focus:outline-none focus:border-green-500 transition-colors"
+        style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }}
+      />
+      {loading && <Loader2 className="absolute right-3 top-1.5 animate-spin text-green-500" size={16} />}
+      {showList && (
+        <ul id="search-suggestions" role="listbox" className="absolute left-0 top-full mt-1 w-80 rounded border shadow-lg z-40 text-sm overflow-hidden"
+          style={{ backgroundColor: colors.SIDEBAR, borderColor: colors.BORDER }}>
+          {isEquation && (
+            <li className="px-3 py-1.5 flex items-center gap-2 text-xs" style={{ color: colors.TEXT_SEC }}>
+              <Sigma size={12} /> Press Enter to synthesize this equation
+            </li>
+          )}
+          {rows.map((r, k) => (
+            <li key={r.doc.id} role="option" aria-selected={k === active} className="px-3 py-1.5 cursor-pointer flex items-center gap-2"
+              style={rowStyle(k)} onMouseDown={(e) => { e.preventDefault(); choose(k); }} onMouseEnter={() => setActive(k)}>
+              {r.doc.source === 'library' && <FolderOpen size={12} />}
+              <span className="flex-1 truncate">{r.doc.title}</span>
+              <span className="text-xs opacity-70">{r.doc.category}</span>
+            </li>
+          ))}
+          {!isEquation && (
+            <li role="option" aria-selected={active === rows.length} className="px-3 py-1.5 cursor-pointer flex items-center gap-2 border-t text-xs"
+              style={{ ...rowStyle(rows.length), borderColor: colors.BORDER }}
+              onMouseDown={(e) => { e.preventDefault(); choose(rows.length); }} onMouseEnter={() => setActive(rows.length)}>
+              <Wand2 size={12} /> {rows.length ? 'None of these?' : 'No matching circuit.'} Generate "{query}" with AI
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { Sigma } from 'lucide-react';
+import { synthesize, SYNTH_STYLES } from './synth';
+
+// --- EXPRESSION SYNTHESIZER SIDEBAR CARD ---
+export default function SynthesisPanel({ colors, onBuild }) {
+  const [source, setSource] = useState("Y = A'B + AB'C");
+  const [style, setStyle] = useState('mixed');
+  const [error, setError] = useState('');
+
+  const build = () => {
+    try {
+      onBuild(synthesize(source, { style }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <Sigma size={16} />
+        <span className="text-xs uppercase">Synthesize</span>
+      </div>
+      <textarea value={source} onChange={(e) => setSource(e.target.value)} rows={3} spellCheck={false}
+        placeholder={"Y = A'B + AB'C\nF(A,B,C) = m(1,2,4,7)"}
+        className="w-full border rounded px-2 py-1 text-xs font-mono"
+        style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }} />
+      {error && <div className="text-xs font-mono text-red-500 mt-1">{error}</div>}
+      <div className="flex gap-2 mt-2">
+        <select value={style} onChange={(e) => setStyle(e.target.value)} className="flex-1 border rounded px-1 text-xs"
+          style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+          {Object.entries(SYNTH_STYLES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button onClick={build} className="px-3 py-1 rounded text-xs font-bold"
+          style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT }}>
+          Build
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Bug, Crosshair, Flag, Eye, X } from 'lucide-react';
+import { FAULT_TYPES, SCORE_TYPE, SCORE_LOCATION } from './faults';
+
+const LEVEL_TEXT = { 1: 'HIGH', 0: 'LOW' };
+const LEVEL_CLASS = { 1: 'text-red-500', 0: 'text-blue-500' };
+
+// --- TROUBLESHOOTING EXERCISE SIDEBAR CARD ---
+// `session` is { fault, tool: 'probe' | 'mark', probes: [{ label, level, inputs }],
+// guess: { type, at }, result } while an exercise runs, otherwise null.
+export default function TroubleshootPanel({ colors, session, disabled, describe, reveal, onStart, onStop, onTool, onGuessType, onSubmit }) {
+  const btn = 'px-2 py-1 rounded text-xs font-bold border flex items-center gap-1';
+  const toolBtn = (tool, icon, label) => (
+    <button onClick={() => onTool(tool)} className={`${btn} flex-1 justify-center`}
+      style={session.tool === tool ? { backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG } : { borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+      {icon} {label}
+    </button>
+  );
+
+  return (
+    <div className="p-4 rounded-lg border shadow-sm" style={{ backgroundColor: colors.BG, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 mb-3 text-blue-500 font-bold">
+        <Bug size={16} />
+        <span className="text-xs uppercase flex-1">Troubleshoot</span>
+        {session && <button onClick={onStop} title="End the exercise" className="p-1 rounded hover:opacity-70" style={{ color: colors.TEXT_SEC }}><X size={12} /></button>}
+      </div>
+      {!session ? (
+        <>
+          <p className="text-xs mb-2" style={{ color: colors.TEXT_SEC }}>A hidden fault is put into this board. Probe it, then mark where you think the fault is.</p>
+          <button onClick={onStart} disabled={disabled} className="w-full py-2 border rounded text-xs font-bold"
+            style={{ borderColor: colors.BORDER, color: disabled ? colors.TEXT_SEC : colors.TEXT_MAIN }}>
+            Break this circuit
+          </button>
+        </>
+      ) : (
+        <div className="space-y-2 text-xs">
+          {!session.result && (
+            <div className="flex gap-2">
+              {toolBtn('probe', <Crosshair size={12} />, 'Probe')}
+              {toolBtn('mark', <Flag size={12} />, 'Mark fault')}
+            </div>
+          )}
+          <div style={{ color: colors.TEXT_SEC }}>
+            {session.result ? 'The fault is circled on the board.' : session.tool === 'probe' ? 'Click any pin, switch, LED or rail to read its level.' : 'Click the pin or wire end you suspect.'}
+          </div>
+          <ul className="max-h-32 overflow-y-auto font-mono space-y-0.5">
+            {session.probes.map((pr, k) => (
+              <li key={k} className="flex gap-2">
+                <span className="flex-1 truncate" title={pr.label}>{pr.label}</span>
+                <span style={{ color: colors.TEXT_SEC }}>{pr.inputs}</span>
+                <span className={`w-10 text-right font-bold ${LEVEL_CLASS[pr.level] || ''}`} style={pr.level === null ? { color: colors.TEXT_SEC } : {}}>{LEVEL_TEXT[pr.level] || 'FLOAT'}</span>
+              </li>
+            ))}
+          </ul>
+          {!session.result ? (
+            <div className="space-y-2 pt-2 border-t" style={{ borderColor: colors.BORDER }}>
+              <select value={session.guess.type} onChange={(e) => onGuessType(e.target.value)} className="w-full border rounded px-1 py-1"
+                style={{ backgroundColor: colors.BG, borderColor: colors.BORDER, color: colors.TEXT_MAIN }}>
+                <option value="">Kind of fault…</option>
+                {Object.entries(FAULT_TYPES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <div style={{ color: colors.TEXT_SEC }}>Marked: {session.guess.at ? describe(session.guess.at) : 'nothing yet'}</div>
+              <button onClick={onSubmit} disabled={!session.guess.type || !session.guess.at} className={`${btn} w-full justify-center`}
+                style={{ backgroundColor: colors.BTN_BG, color: colors.BTN_TXT, borderColor: colors.BTN_BG, opacity: session.guess.type && session.guess.at ? 1 : 0.5 }}>
+                <Eye size={12} /> Submit diagnosis
+              </button>
+            </div>
+          ) : (
+            <div className="p-2 rounded border" style={{ borderColor: colors.BORDER }}>
+              <div className="font-bold text-sm mb-1">Score {session.result.total} / {SCORE_TYPE + SCORE_LOCATION}</div>
+              <div style={{ color: colors.TEXT_SEC }}>Kind {session.result.type}/{SCORE_TYPE}, location {session.result.location}/{SCORE_LOCATION}, {session.probes.length} probes</div>
+              <div className="mt-1">{FAULT_TYPES[session.fault.type]}: {reveal}</div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { ZoomIn, ZoomOut, Download, Trash2, Activity } from 'lucide-react';
+import { traceEnd, valuesAt } from './waveform';
+
+// --- WAVEFORM VIEWER ---
+const LABEL_W = 70;
+const ROW_H = 26;
+const AXIS_H = 20;
+const SCALES = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2]; // px per ms
+
+// Tick step from the 1-2-5 series so labels sit at least ~80px apart
+const tickStep = (scale) => {
+  for (let mag = 1; ; mag *= 10) {
+    for (const m of [1, 2, 5]) if (m * mag * scale >= 80) return m * mag;
+  }
+};
+
+const formatTime = (ms) => (ms >= 1000 ? `${+(ms / 1000).toFixed(2)}s` : `${Math.round(ms)}ms`);
+
+export default function WaveformPane({ trace, colors, width, onClear, onExport }) {
+  const [scaleIdx, setScaleIdx] = useState(3);
+  const [cursor, setCursor] = useState(null);
+  const scale = SCALES[scaleIdx];
+  const end = traceEnd(trace);
+  const plotW = Math.max(width - LABEL_W, end * scale + 40);
+  const height = AXIS_H + trace.signals.length * ROW_H;
+  const step = tickStep(scale);
+  const cursorValues = cursor === null ? null : valuesAt(trace, cursor);
+
+  const tracePath = (i, top) => {
+    const y = (v) => top + (v ? 5 : ROW_H - 7);
+    let d = '';
+    trace.samples.forEach((s, k) => {
+      const x = s.t * scale;
+      d += k === 0 ? `M ${x} ${y(s.values[i])}` : ` L ${x} ${y(trace.samples[k - 1].values[i])} L ${x} ${y(s.values[i])}`;
+    });
+    if (trace.samples.length) d += ` L ${plotW} ${y(trace.samples[trace.samples.length - 1].values[i])}`;
+    return d;
+  };
+
+  const handleMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    setCursor(Math.max(0, (e.clientX - box.left) / scale));
+  };
+
+  const handleWheel = (e) => {
+    if (!e.ctrlKey) return;
+    setScaleIdx(k => Math.min(SCALES.length - 1, Math.max(0, k + (e.deltaY < 0 ? 1 : -1))));
+  };
+
+  return (
+    <div className="rounded-xl border shadow-sm mt-4" style={{ width, backgroundColor: colors.SIDEBAR, borderColor: colors.BORDER }}>
+      <div className="flex items-center gap-2 px-3 py-2 border-b text-xs" style={{ borderColor: colors.BORDER, color: colors.TEXT_SEC }}>
+        <Activity size={14} className="text-green-500" />
+        <span className="font-bold uppercase">Timing Diagram</span>
+        <span className="font-mono">{cursor === null ? '' : `@ ${formatTime(cursor)}`}</span>
+        <div className="flex-1" />
+        <button onClick={() => setScaleIdx(k => Math.max(0, k - 1))} title="Zoom out" className="p-1 rounded border" style={{ borderColor: colors.BORDER }}><ZoomOut size={12}/></button>
+        <button onClick={() => setScaleIdx(k => Math.min(SCALES.length - 1, k + 1))} title="Zoom in" className="p-1 rounded border" style={{ borderColor: colors.BORDER }}><ZoomIn size={12}/></button>
+        <button onClick={onExport} disabled={!trace.samples.length} className="px-2 py-1 rounded border font-bold flex items-center gap-1" style={{ borderColor: colors.BORDER, color: colors.TEXT_MAIN }}><Download size={12}/> VCD</button>
+        <button onClick={onClear} title="Clear trace" className="p-1 rounded border" style={{ borderColor: colors.BORDER }}><Trash2 size={12}/></button>
+      </div>
+      <div className="flex">
+        <svg width={LABEL_W} height={height} className="shrink-0">
+          {trace.signals.map((sig, i) => (
+            <text key={i} x={6} y={AXIS_H + i * ROW_H + ROW_H / 2 + 4} fontSize="11" fontFamily="monospace" fontWeight="bold"
+              fill={sig.kind === 'in' ? colors.TEXT_SEC : colors.TEXT_MAIN}>
+              {sig.name}{cursorValues && cursorValues[i] !== null ? `=${cursorValues[i]}` : ''}
+            </text>
+          ))}
+        </svg>
+        <div className="overflow-x-auto" style={{ width: width - LABEL_W }} onWheel={handleWheel}>
+          <svg width={plotW} height={height} onMouseMove={handleMove} onMouseLeave={() => setCursor(null)}>
+            {Array.from({ length: Math.floor(plotW / (step * scale)) + 1 }).map((_, k) => (
+              <g key={k}>
+                <line x1={k * step * scale} y1={AXIS_H - 4} x2={k * step * scale} y2={height} stroke={colors.BORDER} />
+                <text x={k * step * scale + 3} y={12} fontSize="9" fontFamily="monospace" fill={colors.TEXT_SEC}>{formatTime(k * step)}</text>
+              </g>
+            ))}
+            {trace.signals.map((sig, i) => (
+              <path key={i} d={tracePath(i, AXIS_H + i * ROW_H)} fill="none" strokeWidth="2"
+                stroke={sig.kind === 'in' ? colors.WIRE_BLUE : colors.WIRE_GREEN} />
+            ))}
+            {cursor !== null && <line x1={cursor * scale} y1={0} x2={cursor * scale} y2={height} stroke={colors.WIRE_RED} strokeDasharray="3 3" />}
+          </svg>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { SUPPLY_HOLES, pinHole, wireHoles } from './breadboard';
+import { BOARD_COLS } from './editor';
+import { deviceList, parseDeviceEndpoint } from './devices';
+
+// --- BREADBOARD GEOMETRY ---
+// SVG coordinates of the board and of every wire endpoint, shared by the main canvas
+// and the recipe thumbnails. Chip pins are the holes they sit in (breadboard.js).
+export const CELL = 15;
+export const OFF_X = 140;
+export const OFF_Y = 30;
+
+// Centre of a breadboard hole { col, row }
+export const holeCoords = (hole) => ({ x: OFF_X + (hole.col + 0.5) * CELL, y: OFF_Y + (hole.row + 0.5) * CELL });
+
+// Switches sit on their own panel below the board
+export const SWITCH_X = OFF_X + 22 * CELL;
+export const SWITCH_Y = OFF_Y + 21 * CELL;
+
+// I/O devices stand in a row below the switches, filling the bays either side of the
+// switch panel from the left. Each takes a cell per pin (at least three), pins along
+// its top edge on the hole columns so wires drop straight onto them.
+export const DEVICE_Y = OFF_Y + 25 * CELL;
+const DEVICE_BAYS = [[1, 21], [35, BOARD_COLS]];
+
+export const deviceSlots = (devices = []) => {
+  let bay = 0;
+  let col = DEVICE_BAYS[0][0];
+  return deviceList({ devices }).map(({ device, model, base }) => {
+    const pins = model ? model.pins(device) : [];
+    const width = Math.max(3, pins.length);
+    while (bay < DEVICE_BAYS.length - 1 && col + width > DEVICE_BAYS[bay][1]) col = DEVICE_BAYS[++bay][0];
+    const slot = { base, col, width, x: OFF_X + col * CELL, y: DEVICE_Y, pinOffset: Math.floor((width - pins.length) / 2) };
+    col += width + 1;
+    return slot;
+  });
+};
+
+const devicePinCoords = (devices, ep) => {
+  const parsed = parseDeviceEndpoint(ep);
+  const list = deviceList({ devices });
+  const k = list.findIndex(d => d.base === parsed.base);
+  if (k < 0) return null;
+  const { device, model } = list[k];
+  const slot = deviceSlots(devices)[k];
+  const pin = model.pins(device).indexOf(parsed.pin);
+  return pin < 0 ? null : { x: slot.x + (slot.pinOffset + pin + 0.5) * CELL, y: slot.y };
+};
+
+const supplyHole = (rail, side) => SUPPLY_HOLES.find(s => s.rail === rail && s.side === side).hole;
+
+export const getCoords = (type, val, chips) => {
+  const def = { x:0, y:0 };
+  try {
+    if (type === 'RAIL_VCC') return holeCoords(supplyHole('VCC', 'top'));
+    if (type === 'RAIL_GND') return holeCoords(supplyHole('GND', 'bottom'));
+    if (type === 'SW') return { x: SWITCH_X + (parseInt(val.split('_')[1])||0) * 20 + 5, y: SWITCH_Y - 10 };
+    // Two rows apart, so all eight LEDs stay level with the board
+    if (type === 'LED') return { x: OFF_X + (55 * CELL), y: OFF_Y + (3 + (parseInt(val.split('_')[1])||0) * 2) * CELL };
+    if (type === 'PIN') {
+      const hole = pinHole(chips[val.c || 0], val.p || 1);
+      return hole ? holeCoords(hole) : def;
+    }
+  } catch { return def; }
+  return def;
+};
+
+// Coordinates of any wire endpoint: rail, switch, LED, device pin or chip pin
+export const endpointCoords = (ep, chips, devices = []) => {
+  if (ep === 'VCC') return getCoords('RAIL_VCC', null, chips);
+  if (ep === 'GND') return getCoords('RAIL_GND', null, chips);
+  if (parseDeviceEndpoint(ep)) return devicePinCoords(devices, ep) || { x: 0, y: 0 };
+  if (typeof ep === 'string' && ep.startsWith('SW')) return getCoords('SW', ep, chips);
+  if (typeof ep === 'string' && ep.startsWith('LED')) return getCoords('LED', ep, chips);
+  return getCoords('PIN', ep, chips);
+};
+
+// [{ s, e }] SVG points per wire: the hole each end plugs into, or the endpoint itself
+// when it is off the hole grid
+export const wireEnds = (recipe) => {
+  const holes = wireHoles(recipe);
+  return (recipe.wires || []).map((w, i) => ({
+    s: holes[i].s ? holeCoords(holes[i].s) : endpointCoords(w.s, recipe.chips, recipe.devices),
+    e: holes[i].e ? holeCoords(holes[i].e) : endpointCoords(w.e, recipe.chips, recipe.devices)
+  }));
+};
@@ -0,0 +1,150 @@
+import { getChip } from './chips';
+import { BOARD_COLS, BOARD_PITCH, boardCount, boardColumns, boardOf } from './editor';
+
+// --- BREADBOARD MODEL ---
+// A full-size (830-point) solderless breadboard on the CELL grid, 63 columns by 20 rows
+// (0-based):
+//   row 0   top − rail            row 1   top + rail
+//   rows 3-7   terminal strip rows a-e, one 5-hole strip per column
+//   rows 8-9   centre groove (no holes)
+//   rows 10-14 terminal strip rows f-j
+//   row 17  bottom − rail         row 18  bottom + rail
+// Every rail is split in two at column 31, which has no rail hole. The bench supply
+// feeds the left half of each rail and jumpers (boardJumpers) bridge the split, the way a board
+// is set up before the first chip goes in. A chip straddles the groove with its pins in
+// rows e and f; wires plug into the free holes of the strip they connect to.
+// Chained boards (editor.js BOARD_PITCH) repeat the layout to the right; each gets its
+// rails from the board before it through jumpers across the gap.
+
+export const BOARD_ROWS = 20;
+export const STRIP_ROWS = 'abcdefghij';
+const TOP_STRIP = [3, 4, 5, 6, 7];
+const BOTTOM_STRIP = [10, 11, 12, 13, 14];
+export const RAILS = [
+  { row: 0, rail: 'GND', side: 'top' },
+  { row: 1, rail: 'VCC', side: 'top' },
+  { row: 17, rail: 'GND', side: 'bottom' },
+  { row: 18, rail: 'VCC', side: 'bottom' }
+];
+export const RAIL_SPLIT = 31;
+// Rail jumpers of a chain of boards: across the split of every board, and from the
+// right end of each board to the left end of the next
+export const boardJumpers = (boards = 1) => Array.from({ length: boards }, (_, k) => {
+  const left = k * BOARD_PITCH;
+  return RAILS.flatMap(({ row, rail }) => [
+    ...(k ? [{ rail, from: { col: left - BOARD_PITCH + BOARD_COLS - 1, row }, to: { col: left, row } }] : []),
+    { rail, from: { col: left + RAIL_SPLIT - 1, row }, to: { col: left + RAIL_SPLIT + 1, row } }
+  ]);
+}).flat();
+export const SUPPLY_HOLES = RAILS.map(({ row, rail, side }) => ({ rail, side, hole: { col: 0, row } }));
+
+const railAt = (row) => RAILS.find(r => r.row === row);
+
+// On any board of the chain; callers keep to the boards a recipe has
+export const isHole = ({ col, row }) => col >= 0 && col % BOARD_PITCH < BOARD_COLS && (
+  TOP_STRIP.includes(row) || BOTTOM_STRIP.includes(row) || (!!railAt(row) && col % BOARD_PITCH !== RAIL_SPLIT)
+);
+
+// Connectivity node of a hole: its strip or rail half, or null off the hole grid
+export const holeNode = (hole) => {
+  if (!isHole(hole)) return null;
+  const { col, row } = hole;
+  if (TOP_STRIP.includes(row)) return `strip ${col} a-e`;
+  if (BOTTOM_STRIP.includes(row)) return `strip ${col} f-j`;
+  const board = boardOf(col);
+  return `rail ${row} ${col % BOARD_PITCH < RAIL_SPLIT ? 'left' : 'right'}${board ? ` ${board + 1}` : ''}`;
+};
+
+// Printed label: column 1-63 and strip row a-j, or the rail and column, with the board
+// when it is not the first
+export const holeName = (hole) => {
+  const board = boardOf(hole.col);
+  const col = hole.col % BOARD_PITCH;
+  const prefix = board ? `board ${board + 1} ` : '';
+  const rail = railAt(hole.row);
+  if (rail) return `${prefix}${rail.side} ${rail.rail === 'VCC' ? '+' : '−'} rail, column ${col + 1}`;
+  const strip = TOP_STRIP.includes(hole.row) ? TOP_STRIP.indexOf(hole.row) : 5 + BOTTOM_STRIP.indexOf(hole.row);
+  return `${prefix}hole ${col + 1}${STRIP_ROWS[strip]}`;
+};
+
+// --- CHIP PLACEMENT ---
+// Pin 1 is bottom left in row f; the pins count along row f, then back along row e
+export const pinHole = (chip, pin) => {
+  const model = getChip(chip.type);
+  if (!model || pin < 1 || pin > model.pins) return null;
+  const half = model.pins / 2;
+  const hole = pin <= half ? { col: chip.x + pin - 1, row: BOTTOM_STRIP[0] } : { col: chip.x + model.pins - pin, row: TOP_STRIP[4] };
+  return isHole(hole) ? hole : null;
+};
+
+export const chipHoles = (chip) => {
+  const model = getChip(chip.type);
+  return model ? Array.from({ length: model.pins }, (_, k) => ({ p: k + 1, hole: pinHole(chip, k + 1) })) : [];
+};
+
+// --- WIRE PLACEMENT ---
+// [{ s, e }] per wire: the hole each end plugs into, or null when the end is off the
+// hole grid (switches, LEDs) or no hole is left. A pin end takes the free hole of its
+// strip nearest the chip; a rail end takes the rail on the same side as the other end,
+// in the same column when it can, so power wires are short straight jumpers.
+export const wireHoles = (recipe) => {
+  const chips = recipe.chips || [];
+  const cols = boardColumns(boardCount(recipe));
+  const taken = new Set();
+  const key = (h) => `${h.col},${h.row}`;
+  chips.forEach(chip => chipHoles(chip).forEach(({ hole }) => hole && taken.add(key(hole))));
+  boardJumpers(boardCount(recipe)).forEach(j => { taken.add(key(j.from)); taken.add(key(j.to)); });
+  SUPPLY_HOLES.forEach(s => taken.add(key(s.hole)));
+  const take = (hole) => { taken.add(key(hole)); return hole; };
+
+  const pinEnd = (ep) => {
+    const chip = chips[ep.c];
+    const hole = chip && pinHole(chip, ep.p);
+    if (!hole) return null;
+    const rows = hole.row === BOTTOM_STRIP[0] ? BOTTOM_STRIP.slice(1) : TOP_STRIP.slice(0, 4).reverse();
+    const row = rows.find(r => !taken.has(key({ col: hole.col, row: r })));
+    return row === undefined ? null : take({ col: hole.col, row });
+  };
+
+  const railEnd = (rail, near) => {
+    const side = near && near.row <= TOP_STRIP[4] ? 'top' : 'bottom';
+    const { row } = RAILS.find(r => r.rail === rail && r.side === side);
+    const start = near ? near.col : 1;
+    for (let d = 0; d < cols; d++) {
+      const col = [start + d, start - d].find(c => c < cols && isHole({ col: c, row }) && !taken.has(key({ col: c, row })));
+      if (col !== undefined) return take({ col, row });
+    }
+    return null;
+  };
+
+  const isRail = (ep) => ep === 'VCC' || ep === 'GND';
+  return (recipe.wires || []).map(w => {
+    const s = typeof w.s === 'object' ? pinEnd(w.s) : null;
+    const e = typeof w.e === 'object' ? pinEnd(w.e) : null;
+    return {
+      s: isRail(w.s) ? railEnd(w.s, e) : s,
+      e: isRail(w.e) ? railEnd(w.e, s) : e
+    };
+  });
+};
+
+// --- CONNECTIVITY ---
+// Pairs of keys that are electrically joined by the board itself: chip pins to their
+// strips, wire ends to the strip or rail they plug into, the supply and the jumpers.
+// `endpointKey` turns a wire endpoint into the simulator's key.
+export const boardLinks = (recipe, endpointKey) => {
+  const links = [];
+  (recipe.chips || []).forEach((chip, c) => chipHoles(chip).forEach(({ p, hole }) => {
+    if (hole) links.push([endpointKey({ c, p }), holeNode(hole)]);
+  }));
+  SUPPLY_HOLES.forEach(s => links.push([s.rail, holeNode(s.hole)]));
+  boardJumpers(boardCount(recipe)).forEach(j => links.push([holeNode(j.from), holeNode(j.to)]));
+  const holes = wireHoles(recipe);
+  (recipe.wires || []).forEach((w, i) => {
+    const end = (ep, hole) => (hole ? holeNode(hole) : endpointKey(ep));
+    links.push([end(w.s, holes[i].s), end(w.e, holes[i].e)]);
+  });
+  return links;
+};
+
+export const isBoardNode = (k) => k.startsWith('strip ') || k.startsWith('rail ');
@@ -0,0 +1,99 @@
+import { RECIPES, powerWires } from './recipes';
+import { buildNetlist, simulate, endpointKey } from './simulator';
+import { isHole, holeNode, holeName, pinHole, wireHoles, boardLinks, boardJumpers, RAIL_SPLIT } from './breadboard';
+
+test('terminal strips are five holes per column on each side of the groove', () => {
+  const node = (row) => holeNode({ col: 12, row });
+  expect([3, 4, 5, 6, 7].map(node)).toEqual(Array(5).fill('strip 12 a-e'));
+  expect([10, 11, 12, 13, 14].map(node)).toEqual(Array(5).fill('strip 12 f-j'));
+  expect(node(8)).toBe(null);
+  expect(holeNode({ col: 13, row: 5 })).not.toBe(node(5));
+});
+
+test('power rails are split in the middle', () => {
+  expect(isHole({ col: RAIL_SPLIT, row: 1 })).toBe(false);
+  expect(holeNode({ col: 0, row: 1 })).toBe(holeNode({ col: RAIL_SPLIT - 1, row: 1 }));
+  expect(holeNode({ col: 0, row: 1 })).not.toBe(holeNode({ col: RAIL_SPLIT + 1, row: 1 }));
+  expect(isHole({ col: RAIL_SPLIT, row: 5 })).toBe(true);
+});
+
+test('holes are named by column and row letter', () => {
+  expect(holeName({ col: 0, row: 3 })).toBe('hole 1a');
+  expect(holeName({ col: 19, row: 10 })).toBe('hole 20f');
+  expect(holeName({ col: 4, row: 18 })).toBe('bottom + rail, column 5');
+});
+
+test('a chip straddles the groove with pin 1 bottom left', () => {
+  const chip = { id: 'u1', type: '7408', x: 20 };
+  expect(pinHole(chip, 1)).toEqual({ col: 20, row: 10 });
+  expect(pinHole(chip, 7)).toEqual({ col: 26, row: 10 });
+  expect(pinHole(chip, 8)).toEqual({ col: 26, row: 7 });
+  expect(pinHole(chip, 14)).toEqual({ col: 20, row: 7 });
+  expect(pinHole(chip, 15)).toBe(null);
+});
+
+test('wires plug into free holes of the pin strip and power wires run to the nearest rail', () => {
+  const recipe = RECIPES['basic_gates'];
+  const holes = wireHoles(recipe);
+  const used = holes.flatMap(h => [h.s, h.e]).filter(Boolean).map(h => `${h.col},${h.row}`);
+  expect(new Set(used).size).toBe(used.length);
+  const powerPins = recipe.wires.map((w, i) => ({ w, i })).filter(({ w }) => w.s === 'VCC' && typeof w.e === 'object');
+  expect(powerPins.length).toBeGreaterThan(0);
+  powerPins.forEach(({ w, i }) => {
+    const pin = pinHole(recipe.chips[w.e.c], w.e.p);
+    expect(holes[i].s).toEqual({ col: pin.col, row: pin.row === 7 ? 1 : 18 });
+  });
+  const pinEnds = recipe.wires.map((w, i) => ({ w, i })).filter(({ w }) => typeof w.e === 'object');
+  pinEnds.forEach(({ w, i }) => expect(holeNode(holes[i].e)).toBe(holeNode(pinHole(recipe.chips[w.e.c], w.e.p))));
+});
+
+test('two wires in the same strip are on the same net', () => {
+  // Both chips sit in columns 20-26, so their pins share strips
+  const recipe = {
+    inputs: ['A'], outputs: ['X'],
+    chips: [{ id: 'u1', type: '7404', x: 20 }, { id: 'u2', type: '7404', x: 20 }],
+    wires: [{ s: 'SW_0', e: { c: 0, p: 1 } }, { s: { c: 1, p: 1 }, e: 'LED_0' }]
+  };
+  const { netOf } = buildNetlist(recipe);
+  expect(netOf('SW_0')).toBe(netOf('LED_0'));
+  expect(simulate(recipe, [1]).outputs).toEqual([1]);
+});
+
+test('the board links every built-in pin and wire end to a hole', () => {
+  Object.values(RECIPES).forEach(recipe => {
+    const holes = wireHoles(recipe);
+    const onBoard = (ep) => typeof ep === 'object' || ep === 'VCC' || ep === 'GND';
+    const missing = recipe.wires.flatMap((w, i) => [onBoard(w.s) && !holes[i].s, onBoard(w.e) && !holes[i].e]).filter(Boolean);
+    expect(missing).toEqual([]);
+    expect(boardLinks(recipe, endpointKey).every(([a, b]) => a && b)).toBe(true);
+  });
+});
+
+test('a full strip leaves the wire connected to its pin by name', () => {
+  const pin = { c: 0, p: 1 };
+  const recipe = {
+    inputs: ['A'], outputs: ['X', 'Y', 'Z', 'W', 'V'],
+    chips: [{ id: 'u1', type: '7404', x: 20 }],
+    wires: [0, 1, 2, 3, 4].map(o => ({ s: pin, e: `LED_${o}` }))
+  };
+  const holes = wireHoles(recipe);
+  expect(holes.map(h => h.s && h.s.row)).toEqual([11, 12, 13, 14, null]);
+  const { netOf } = buildNetlist(recipe);
+  expect(netOf('LED_4')).toBe(netOf(endpointKey(pin)));
+});
+
+test('a chained board gets its rails from the one before and numbers its holes afresh', () => {
+  // An inverter on the second board, powered from its own rails
+  const recipe = {
+    boards: 2, inputs: ['A'], outputs: ['X'],
+    chips: [{ id: 'u1', type: '7404', x: 70 }],
+    wires: [...powerWires(0), { s: 'SW_0', e: { c: 0, p: 1 } }, { s: { c: 0, p: 2 }, e: 'LED_0' }]
+  };
+  expect(isHole({ col: 64, row: 5 })).toBe(false);
+  expect(holeName({ col: 70, row: 10 })).toBe('board 2 hole 5f');
+  expect(wireHoles(recipe)[0].s.col).toBeGreaterThan(63);
+  expect(boardJumpers(2)).toHaveLength(12);
+  expect(simulate(recipe, [0]).outputs).toEqual([1]);
+  expect(simulate(recipe, [1]).outputs).toEqual([0]);
+  expect(holeNode({ col: 66, row: 1 })).not.toBe(holeNode({ col: 62, row: 1 }));
+});
@@ -0,0 +1,99 @@
+import { endpointCoords, wireEnds } from './board';
+import { pinHole, wireHoles, holeName } from './breadboard';
+import { getChip, pinName } from './chips';
+import { parseDeviceEndpoint, deviceLabel } from './devices';
+
+// --- GUIDED BUILD ---
+// A recipe as bench instructions: place every chip, then run every wire, in recipe
+// order. Step ids ('chip:0', 'wire:3') are what the progress store remembers, so a
+// session can be resumed after a reload.
+
+export const BUILD_STORAGE_KEY = 'circuitgen.build';
+
+// Chips are named by type, plus their id when the board has more than one of that type
+const chipLabel = (chips, c) => {
+  const chip = chips[c];
+  return chips.filter(x => x.type === chip.type).length > 1 ? `${chip.type} (${chip.id})` : chip.type;
+};
+
+export const describeEndpoint = (ep, recipe) => {
+  if (ep === 'VCC') return '+5V rail';
+  if (ep === 'GND') return 'GND rail';
+  if (parseDeviceEndpoint(ep)) return deviceLabel(recipe, ep);
+  if (typeof ep === 'string') {
+    const [kind, n] = ep.split('_');
+    if (kind === 'SW') return `switch ${recipe.inputs[n] || ep}`;
+    if (kind === 'LED') return `LED ${recipe.outputs[n] || ep}`;
+    return ep;
+  }
+  const chip = recipe.chips[ep.c];
+  if (!chip) return `chip ${ep.c} pin ${ep.p}`;
+  const name = pinName(chip.type, ep.p);
+  return `${chipLabel(recipe.chips, ep.c)} pin ${ep.p}${name ? ` (${name})` : ''}`;
+};
+
+// Where the wire end goes on the board; switches, LEDs and devices sit off the hole grid
+const endpointPlace = (ep, hole, recipe) => (hole ? holeName(hole) : describeEndpoint(ep, recipe));
+
+// [{ id, kind: 'chip' | 'wire', index, title, detail, points }], `points` being the
+// SVG positions to highlight for the step
+export const buildSteps = (recipe) => {
+  const holes = wireHoles(recipe);
+  const ends = wireEnds(recipe);
+  return [
+    ...recipe.chips.map((chip, c) => {
+      const part = getChip(chip.type);
+      const pin1 = pinHole(chip, 1);
+      return {
+        id: `chip:${c}`, kind: 'chip', index: c,
+        title: `Place ${chip.id}: ${chip.type}${part ? ` ${part.name}` : ''}`,
+        detail: `Straddle the centre groove, notch to the left, pin 1 in ${pin1 ? holeName(pin1) : `column ${chip.x + 1}`}`,
+        points: [endpointCoords({ c, p: 1 }, recipe.chips, recipe.devices)]
+      };
+    }),
+    ...recipe.wires.map((wire, i) => ({
+      id: `wire:${i}`, kind: 'wire', index: i,
+      title: `${describeEndpoint(wire.e, recipe)} ← ${describeEndpoint(wire.s, recipe)}`,
+      detail: `${endpointPlace(wire.e, holes[i].e, recipe)} ← ${endpointPlace(wire.s, holes[i].s, recipe)}`,
+      points: [ends[i].s, ends[i].e]
+    }))
+  ];
+};
+
+// Which saved progress belongs to a circuit: its RECIPES key, library entry or title
+export const progressId = (recipe, key) => (key ? `recipe:${key}` : recipe.libraryId ? `library:${recipe.libraryId}` : `title:${recipe.title}`);
+
+// --- PROGRESS STORE ---
+// { [progressId]: { total, done: [stepId] } }. A record whose step count no longer
+// matches the circuit (it was edited) is ignored. Pure updates.
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+export const loadBuildProgress = (storage = defaultStorage()) => {
+  try {
+    const data = JSON.parse(storage.getItem(BUILD_STORAGE_KEY) || 'null');
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch { return {}; }
+};
+
+export const saveBuildProgress = (progress, storage = defaultStorage()) => {
+  try { storage.setItem(BUILD_STORAGE_KEY, JSON.stringify(progress)); } catch (e) { console.error(e); }
+  return progress;
+};
+
+export const completedSteps = (progress, id, steps) => {
+  const record = progress[id];
+  if (!record || record.total !== steps.length) return [];
+  return steps.map(s => s.id).filter(s => record.done.includes(s));
+};
+
+export const toggleStep = (progress, id, steps, stepId) => {
+  const done = completedSteps(progress, id, steps);
+  const next = done.includes(stepId) ? done.filter(s => s !== stepId) : [...done, stepId];
+  return { ...progress, [id]: { total: steps.length, done: next } };
+};
+
+export const resetProgress = (progress, id) => {
+  const next = { ...progress };
+  delete next[id];
+  return next;
+};
@@ -0,0 +1,70 @@
+import { RECIPES } from './recipes';
+import { pinName } from './chips';
+import { buildSteps, describeEndpoint, progressId, completedSteps, toggleStep, resetProgress, loadBuildProgress, saveBuildProgress } from './buildGuide';
+import { wireHoles, holeName } from './breadboard';
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+};
+
+test('pins carry their datasheet names', () => {
+  expect(pinName('7408', 1)).toBe('1A');
+  expect(pinName('7408', 3)).toBe('1Y');
+  expect(pinName('7402', 1)).toBe('1Y');
+  expect(pinName('7404', 13)).toBe('6A');
+  expect(pinName('7474', 1)).toBe('/1CLR');
+  expect(pinName('7476', 5)).toBe('VCC');
+  expect(pinName('74153', 2)).toBe('B');
+  expect(pinName('7408', 15)).toBe(null);
+  expect(pinName('9999', 1)).toBe(null);
+});
+
+test('chips are placed before any wire, then wires in recipe order', () => {
+  const recipe = RECIPES['basic_gates'];
+  const steps = buildSteps(recipe);
+  expect(steps).toHaveLength(recipe.chips.length + recipe.wires.length);
+  expect(steps.slice(0, 2).map(s => s.kind)).toEqual(['chip', 'chip']);
+  expect(steps[0].title).toBe('Place u1: 7408 Quad 2-input AND');
+  const wireSteps = steps.filter(s => s.kind === 'wire');
+  expect(wireSteps.map(s => s.index)).toEqual(recipe.wires.map((_, i) => i));
+  expect(wireSteps.map(s => s.title)).toContain('7408 pin 1 (1A) ← switch A');
+  expect(wireSteps.map(s => s.title)).toContain('LED AND ← 7408 pin 3 (1Y)');
+});
+
+test('wire steps give the holes to use', () => {
+  const recipe = RECIPES['basic_gates'];
+  const steps = buildSteps(recipe);
+  expect(steps[0].detail).toBe(`Straddle the centre groove, notch to the left, pin 1 in hole ${recipe.chips[0].x + 1}f`);
+  const step = steps.find(s => s.title === '7408 pin 1 (1A) ← switch A');
+  const hole = wireHoles(recipe)[step.index].e;
+  expect(holeName(hole)).toBe(`hole ${recipe.chips[0].x + 1}g`);
+  expect(step.detail).toBe(`${holeName(hole)} ← switch A`);
+  expect(step.points).toHaveLength(2);
+});
+
+test('chips of the same type are told apart by id', () => {
+  const recipe = { ...RECIPES['basic_gates'], chips: [{ id: 'u1', type: '7408', x: 20 }, { id: 'u2', type: '7408', x: 35 }] };
+  expect(describeEndpoint({ c: 1, p: 4 }, recipe)).toBe('7408 (u2) pin 4 (2A)');
+  expect(describeEndpoint({ c: 0, p: 1 }, RECIPES['basic_gates'])).toBe('7408 pin 1 (1A)');
+  expect(describeEndpoint('VCC', recipe)).toBe('+5V rail');
+});
+
+test('progress is kept per circuit and dropped when the circuit changes', () => {
+  const recipe = RECIPES['half_adder'];
+  const steps = buildSteps(recipe);
+  const id = progressId(recipe, 'half_adder');
+  let progress = toggleStep({}, id, steps, 'wire:0');
+  progress = toggleStep(progress, id, steps, 'chip:1');
+  expect(completedSteps(progress, id, steps)).toEqual(['chip:1', 'wire:0']);
+  expect(completedSteps(toggleStep(progress, id, steps, 'wire:0'), id, steps)).toEqual(['chip:1']);
+
+  const storage = memoryStorage();
+  saveBuildProgress(progress, storage);
+  expect(completedSteps(loadBuildProgress(storage), id, steps)).toEqual(['chip:1', 'wire:0']);
+
+  const edited = { ...recipe, wires: recipe.wires.slice(1) };
+  expect(completedSteps(progress, id, buildSteps(edited))).toEqual([]);
+  expect(completedSteps(resetProgress(progress, id), id, steps)).toEqual([]);
+  expect(progressId({ title: 'X', libraryId: 'c_1' }, null)).toBe('library:c_1');
+});
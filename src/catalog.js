@@ -0,0 +1,58 @@
+// --- RECIPE BROWSER ---
+// Groups the built-in recipes by category for the browser card, grades them, and keeps
+// the user's favourites and recently opened recipes (by RECIPES key) in localStorage.
+
+export const CATALOG_STORAGE_KEY = 'circuitgen.catalog';
+export const MAX_RECENT = 5;
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Graded on wiring effort; anything clocked is one step harder to reason about
+export const recipeDifficulty = (recipe) => {
+  const wires = (recipe.wires || []).length;
+  const level = (wires <= 10 ? 0 : wires <= 18 ? 1 : 2) + (Array.isArray(recipe.sequence) ? 1 : 0);
+  return DIFFICULTIES[Math.min(level, DIFFICULTIES.length - 1)];
+};
+
+// [{ category, keys }] in the order categories first appear in `recipes`
+export const groupRecipes = (recipes) => {
+  const groups = new Map();
+  Object.entries(recipes).forEach(([key, recipe]) => {
+    const category = recipe.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(key);
+  });
+  return [...groups].map(([category, keys]) => ({ category, keys }));
+};
+
+export const recipeKey = (recipes, recipe) => Object.keys(recipes).find(k => recipes[k] === recipe) || null;
+
+// --- PREFERENCES ---
+// { favourites: [key], recent: [key] }, most recent first. Pure updates.
+export const EMPTY_PREFS = { favourites: [], recent: [] };
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+export const loadCatalogPrefs = (recipes, storage = defaultStorage()) => {
+  try {
+    const data = JSON.parse(storage.getItem(CATALOG_STORAGE_KEY) || 'null') || {};
+    // Keys of recipes that no longer exist are dropped
+    const known = (list) => (Array.isArray(list) ? list.filter(k => k in recipes) : []);
+    return { favourites: known(data.favourites), recent: known(data.recent).slice(0, MAX_RECENT) };
+  } catch { return EMPTY_PREFS; }
+};
+
+export const saveCatalogPrefs = (prefs, storage = defaultStorage()) => {
+  try { storage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(prefs)); } catch (e) { console.error(e); }
+  return prefs;
+};
+
+export const toggleFavourite = (prefs, key) => ({
+  ...prefs,
+  favourites: prefs.favourites.includes(key) ? prefs.favourites.filter(k => k !== key) : [...prefs.favourites, key]
+});
+
+export const pushRecent = (prefs, key) => ({
+  ...prefs,
+  recent: [key, ...prefs.recent.filter(k => k !== key)].slice(0, MAX_RECENT)
+});
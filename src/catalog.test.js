@@ -0,0 +1,49 @@
+import { RECIPES } from './recipes';
+import { groupRecipes, recipeDifficulty, recipeKey, loadCatalogPrefs, saveCatalogPrefs, toggleFavourite, pushRecent, EMPTY_PREFS, MAX_RECENT, CATALOG_STORAGE_KEY } from './catalog';
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+};
+
+test('recipes are grouped by category in file order', () => {
+  const groups = groupRecipes(RECIPES);
+  expect(groups.map(g => g.category)).toEqual([
+    'Basic Gates', 'Universal NAND', 'Universal NOR', 'Arithmetic', 'Code Converters',
+    'Multiplexers', 'Decoders', 'Comparators', 'Flip-Flops', 'Counters'
+  ]);
+  expect(groups.flatMap(g => g.keys)).toEqual(Object.keys(RECIPES));
+});
+
+test('difficulty grows with wiring and clocking', () => {
+  expect(recipeDifficulty(RECIPES['not_using_nand'])).toBe('beginner');
+  expect(recipeDifficulty(RECIPES['full_adder'])).toBe('intermediate');
+  expect(recipeDifficulty(RECIPES['multiplier_2bit'])).toBe('advanced');
+  expect(recipeDifficulty(RECIPES['d_ff_7474'])).toBe('intermediate');
+  expect(recipeDifficulty(RECIPES['counter_mod4'])).toBe('advanced');
+});
+
+test('recipes are found by identity', () => {
+  expect(recipeKey(RECIPES, RECIPES['mux_74153'])).toBe('mux_74153');
+  expect(recipeKey(RECIPES, { ...RECIPES['mux_74153'] })).toBe(null);
+});
+
+test('favourites toggle and recent keeps the latest few', () => {
+  let prefs = toggleFavourite(EMPTY_PREFS, 'full_adder');
+  expect(prefs.favourites).toEqual(['full_adder']);
+  expect(toggleFavourite(prefs, 'full_adder').favourites).toEqual([]);
+
+  Object.keys(RECIPES).slice(0, MAX_RECENT + 2).forEach(k => { prefs = pushRecent(prefs, k); });
+  prefs = pushRecent(prefs, 'basic_gates');
+  expect(prefs.recent).toHaveLength(MAX_RECENT);
+  expect(prefs.recent[0]).toBe('basic_gates');
+  expect(new Set(prefs.recent).size).toBe(MAX_RECENT);
+});
+
+test('preferences round-trip and forget unknown recipes', () => {
+  const storage = memoryStorage();
+  saveCatalogPrefs({ favourites: ['full_adder', 'gone'], recent: ['half_adder'] }, storage);
+  expect(loadCatalogPrefs(RECIPES, storage)).toEqual({ favourites: ['full_adder'], recent: ['half_adder'] });
+  storage.setItem(CATALOG_STORAGE_KEY, '{broken');
+  expect(loadCatalogPrefs(RECIPES, storage)).toEqual(EMPTY_PREFS);
+});
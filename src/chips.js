@@ -0,0 +1,396 @@
+// --- TTL CHIP MODELS ---
+// Every part lists its package size, power pins, the role of each signal pin, its
+// datasheet pin names and function table (H/L/X, ↑/↓ for clock edges) and an
+// evaluate(read, state, edges) function. `read(pin)` returns the level seen on an input
+// pin (a floating TTL input reads HIGH). evaluate returns { [pin]: level } for its
+// outputs. `state` is a per-chip object kept by the simulator between calls; `edges` is
+// false while the board is settling at power-on so no clock edge is acted upon.
+
+const bit = (v) => (v ? 1 : 0);
+
+// Gate packages: each gate is [...inputPins, outputPin]; pins are named the datasheet
+// way, 1A/1B/1Y for the first gate (1A/1B/1C/1Y on 3-input parts)
+const gatePinNames = (gates) => Object.fromEntries(gates.flatMap((g, n) => g.map((pin, k) => (
+  [pin, `${n + 1}${k === g.length - 1 ? 'Y' : 'ABC'[k]}`]
+))));
+
+// Datasheet function table of one gate: every input combination, H/L
+const gateTable = (fn, inputs) => ({
+  columns: [...'ABC'.slice(0, inputs), 'Y'],
+  rows: Array.from({ length: 1 << inputs }, (_, r) => {
+    const levels = Array.from({ length: inputs }, (_, b) => (r >> (inputs - 1 - b)) & 1);
+    return [...levels, bit(fn(...levels))].map(v => (v ? 'H' : 'L'));
+  })
+});
+
+const gateChip = (name, fn, gates) => ({
+  name,
+  pins: 14, vcc: 14, gnd: 7,
+  pinNames: gatePinNames(gates),
+  functionTable: gateTable(fn, gates[0].length - 1),
+  inputs: gates.flatMap(g => g.slice(0, -1)),
+  outputs: gates.map(g => g[g.length - 1]),
+  sections: gates,
+  evaluate: (read) => Object.fromEntries(gates.map(g => [g[g.length - 1], bit(fn(...g.slice(0, -1).map(read)))]))
+});
+
+const QUAD_2IN = [[1, 2, 3], [4, 5, 6], [9, 10, 8], [12, 13, 11]];
+
+// Flip-flop state is { q, clk } per section: the stored bit and the clock level seen on
+// the previous evaluation, used to detect edges. PRE/CLR are asynchronous and active
+// low; with both asserted a real 7474/7476 drives Q and /Q HIGH together.
+// Counters and shift registers keep their whole 4-bit word in one such entry.
+const flipFlop = (state, n, clkLevel) => state[n] || (state[n] = { q: 0, clk: clkLevel });
+
+const driveFlipFlop = (ff, pre, clr, out, q, nq) => {
+  if (!pre && !clr) { ff.q = 1; out[q] = 1; out[nq] = 1; return; }
+  if (!pre) ff.q = 1;
+  else if (!clr) ff.q = 0;
+  out[q] = ff.q;
+  out[nq] = bit(!ff.q);
+};
+
+// 7485 output for equal words, decided by the cascade inputs
+const cascade = (gt, eq, lt) => {
+  if (eq) return [0, 1, 0];
+  if (gt && !lt) return [1, 0, 0];
+  if (!gt && lt) return [0, 0, 1];
+  if (gt && lt) return [0, 0, 0];
+  return [1, 0, 1];
+};
+
+// Value of a word of input pins, first pin most significant
+const word = (read, pins) => pins.reduce((acc, p) => acc * 2 + read(p), 0);
+
+// Bits of a 4-bit register onto its QA..QD pins, QA least significant
+const drive = (q, pins) => Object.fromEntries(pins.map((p, k) => [p, (q >> k) & 1]));
+
+// 7447 segments lit for inputs 0-15 (10-15 are the datasheet's odd glyphs, 15 is blank)
+const SEVEN_SEGMENT = ['abcdef', 'bc', 'abdeg', 'abcdg', 'bcfg', 'acdfg', 'cdefg', 'abc', 'abcdefg', 'abcfg', 'deg', 'cdg', 'bfg', 'adfg', 'defg', ''];
+const SEGMENT_PINS = { a: 13, b: 12, c: 11, d: 10, e: 9, f: 15, g: 14 };
+
+// 7447/7448: the same decoder with lit segments LOW (common-anode displays, open
+// collector) or HIGH (common-cathode displays, pull-up outputs). /BI/RBO is used as
+// the blanking input only.
+const segmentDecoder = (name, litLevel) => {
+  const [on, off] = litLevel ? ['H', 'L'] : ['L', 'H'];
+  return {
+    name,
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['/LT', '/RBI', '/BI', 'DCBA', 'a..g'],
+      rows: [['L', 'X', 'H', 'X', `all ${on} (lit)`], ['H', 'X', 'L', 'X', `all ${off} (dark)`], ['H', 'L', 'H', '0', `all ${off} (dark)`],
+        ['H', 'H', 'H', '0-9', `digit, lit = ${on}`], ['H', 'X', 'H', '15', `all ${off} (dark)`]]
+    },
+    pinNames: { 1: 'B', 2: 'C', 3: '/LT', 4: '/BI/RBO', 5: '/RBI', 6: 'D', 7: 'A', 9: 'e', 10: 'd', 11: 'c', 12: 'b', 13: 'a', 14: 'g', 15: 'f' },
+    inputs: [1, 2, 3, 4, 5, 6, 7],
+    outputs: [9, 10, 11, 12, 13, 14, 15],
+    evaluate: (read) => {
+      const n = word(read, [6, 2, 1, 7]);
+      const blank = !read(4) || (!read(5) && n === 0);
+      const lit = !read(3) ? 'abcdefg' : blank ? '' : SEVEN_SEGMENT[n];
+      return Object.fromEntries(Object.entries(SEGMENT_PINS).map(([seg, p]) => [p, bit(lit.includes(seg) === !!litLevel)]));
+    }
+  };
+};
+
+export const CHIPS = {
+  '7400': gateChip('Quad 2-input NAND', (a, b) => !(a && b), QUAD_2IN),
+  '7402': gateChip('Quad 2-input NOR', (a, b) => !(a || b), [[2, 3, 1], [5, 6, 4], [8, 9, 10], [11, 12, 13]]),
+  '7404': gateChip('Hex Inverter', (a) => !a, [[1, 2], [3, 4], [5, 6], [9, 8], [11, 10], [13, 12]]),
+  '7408': gateChip('Quad 2-input AND', (a, b) => a && b, QUAD_2IN),
+  '7432': gateChip('Quad 2-input OR', (a, b) => a || b, QUAD_2IN),
+  '7486': gateChip('Quad 2-input XOR', (a, b) => a !== b, QUAD_2IN),
+  '7411': gateChip('Triple 3-input AND', (a, b, c) => a && b && c, [[1, 2, 13, 12], [3, 4, 5, 6], [9, 10, 11, 8]]),
+
+  '7474': {
+    name: 'Dual D Flip-Flop (+edge, PRE/CLR)',
+    pins: 14, vcc: 14, gnd: 7,
+    functionTable: {
+      columns: ['/PRE', '/CLR', 'CLK', 'D', 'Q', '/Q'],
+      rows: [['L', 'H', 'X', 'X', 'H', 'L'], ['H', 'L', 'X', 'X', 'L', 'H'], ['L', 'L', 'X', 'X', 'H', 'H'],
+        ['H', 'H', '↑', 'H', 'H', 'L'], ['H', 'H', '↑', 'L', 'L', 'H'], ['H', 'H', 'L', 'X', 'Q0', '/Q0']]
+    },
+    pinNames: { 1: '/1CLR', 2: '1D', 3: '1CLK', 4: '/1PRE', 5: '1Q', 6: '/1Q', 8: '/2Q', 9: '2Q', 10: '/2PRE', 11: '2CLK', 12: '2D', 13: '/2CLR' },
+    inputs: [1, 2, 3, 4, 10, 11, 12, 13],
+    outputs: [5, 6, 8, 9],
+    // [CLR, D, CLK, PRE, Q, /Q]
+    flipFlops: [[1, 2, 3, 4, 5, 6], [13, 12, 11, 10, 9, 8]],
+    sections: [[1, 2, 3, 4, 5, 6], [13, 12, 11, 10, 9, 8]],
+    clockPins: [3, 11],
+    dataInputs: { D: 1 }, // index into each flipFlops entry
+    sequential: true,
+    // D is captured on the rising clock edge
+    evaluate: (read, state, edges) => {
+      const out = {};
+      CHIPS['7474'].flipFlops.forEach(([clr, d, clk, pre, q, nq], n) => {
+        const ff = flipFlop(state, n, read(clk));
+        if (edges && read(clk) && !ff.clk) ff.q = read(d);
+        ff.clk = read(clk);
+        driveFlipFlop(ff, read(pre), read(clr), out, q, nq);
+      });
+      return out;
+    }
+  },
+
+  '7476': {
+    name: 'Dual JK Flip-Flop (PRE/CLR)',
+    pins: 16, vcc: 5, gnd: 13,
+    functionTable: {
+      columns: ['/PRE', '/CLR', 'CLK', 'J', 'K', 'Q', '/Q'],
+      rows: [['L', 'H', 'X', 'X', 'X', 'H', 'L'], ['H', 'L', 'X', 'X', 'X', 'L', 'H'], ['L', 'L', 'X', 'X', 'X', 'H', 'H'],
+        ['H', 'H', '↓', 'L', 'L', 'Q0', '/Q0'], ['H', 'H', '↓', 'H', 'L', 'H', 'L'], ['H', 'H', '↓', 'L', 'H', 'L', 'H'],
+        ['H', 'H', '↓', 'H', 'H', 'toggle', 'toggle']]
+    },
+    pinNames: { 1: '1CLK', 2: '/1PRE', 3: '/1CLR', 4: '1J', 6: '2CLK', 7: '/2PRE', 8: '/2CLR', 9: '2J', 10: '/2Q', 11: '2Q', 12: '2K', 14: '/1Q', 15: '1Q', 16: '1K' },
+    inputs: [1, 2, 3, 4, 6, 7, 8, 9, 12, 16],
+    outputs: [10, 11, 14, 15],
+    // [CLK, PRE, CLR, J, K, Q, /Q]
+    flipFlops: [[1, 2, 3, 4, 16, 15, 14], [6, 7, 8, 9, 12, 11, 10]],
+    sections: [[1, 2, 3, 4, 16, 15, 14], [6, 7, 8, 9, 12, 11, 10]],
+    clockPins: [1, 6],
+    dataInputs: { J: 3, K: 4 },
+    sequential: true,
+    // J/K act on the falling clock edge (master-slave output change)
+    evaluate: (read, state, edges) => {
+      const out = {};
+      CHIPS['7476'].flipFlops.forEach(([clk, pre, clr, j, k, q, nq], n) => {
+        const ff = flipFlop(state, n, read(clk));
+        if (edges && !read(clk) && ff.clk) {
+          if (read(j) && read(k)) ff.q = bit(!ff.q);
+          else if (read(j)) ff.q = 1;
+          else if (read(k)) ff.q = 0;
+        }
+        ff.clk = read(clk);
+        driveFlipFlop(ff, read(pre), read(clr), out, q, nq);
+      });
+      return out;
+    }
+  },
+
+  '74139': {
+    name: 'Dual 2-to-4 Decoder (active-low)',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['/G', 'B', 'A', '/Y0', '/Y1', '/Y2', '/Y3'],
+      rows: [['H', 'X', 'X', 'H', 'H', 'H', 'H'], ['L', 'L', 'L', 'L', 'H', 'H', 'H'], ['L', 'L', 'H', 'H', 'L', 'H', 'H'],
+        ['L', 'H', 'L', 'H', 'H', 'L', 'H'], ['L', 'H', 'H', 'H', 'H', 'H', 'L']]
+    },
+    pinNames: { 1: '/1G', 2: '1A', 3: '1B', 4: '/1Y0', 5: '/1Y1', 6: '/1Y2', 7: '/1Y3', 9: '/2Y3', 10: '/2Y2', 11: '/2Y1', 12: '/2Y0', 13: '2B', 14: '2A', 15: '/2G' },
+    inputs: [1, 2, 3, 13, 14, 15],
+    outputs: [4, 5, 6, 7, 9, 10, 11, 12],
+    sections: [[1, 2, 3, 4, 5, 6, 7], [15, 14, 13, 12, 11, 10, 9]],
+    evaluate: (read) => {
+      const out = {};
+      // [G, A, B, Y0..Y3]
+      [[1, 2, 3, 4, 5, 6, 7], [15, 14, 13, 12, 11, 10, 9]].forEach(([g, a, b, ...ys]) => {
+        const sel = read(b) * 2 + read(a);
+        ys.forEach((y, k) => { out[y] = bit(read(g) || k !== sel); });
+      });
+      return out;
+    }
+  },
+
+  '74153': {
+    name: 'Dual 4-to-1 Multiplexer',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['B', 'A', '/G', 'Y'],
+      rows: [['X', 'X', 'H', 'L'], ['L', 'L', 'L', 'C0'], ['L', 'H', 'L', 'C1'], ['H', 'L', 'L', 'C2'], ['H', 'H', 'L', 'C3']]
+    },
+    pinNames: { 1: '/1G', 2: 'B', 3: '1C3', 4: '1C2', 5: '1C1', 6: '1C0', 7: '1Y', 9: '2Y', 10: '2C0', 11: '2C1', 12: '2C2', 13: '2C3', 14: 'A', 15: '/2G' },
+    inputs: [1, 2, 3, 4, 5, 6, 10, 11, 12, 13, 14, 15],
+    outputs: [7, 9],
+    sections: [[1, 6, 5, 4, 3, 7], [15, 10, 11, 12, 13, 9]],
+    sharedInputs: [2, 14],
+    evaluate: (read) => {
+      const sel = read(2) * 2 + read(14); // B is MSB, shared by both sections
+      const out = {};
+      // [G, C0..C3, Y]
+      [[1, 6, 5, 4, 3, 7], [15, 10, 11, 12, 13, 9]].forEach(([g, ...rest]) => {
+        const y = rest.pop();
+        out[y] = read(g) ? 0 : read(rest[sel]);
+      });
+      return out;
+    }
+  },
+
+  '74151': {
+    name: '8-to-1 Multiplexer',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['C', 'B', 'A', '/G', 'Y', 'W'],
+      rows: [['X', 'X', 'X', 'H', 'L', 'H'], ['L', 'L', 'L', 'L', 'D0', '/D0'], ['L', 'L', 'H', 'L', 'D1', '/D1'], ['L', 'H', 'L', 'L', 'D2', '/D2'],
+        ['L', 'H', 'H', 'L', 'D3', '/D3'], ['H', 'L', 'L', 'L', 'D4', '/D4'], ['H', 'L', 'H', 'L', 'D5', '/D5'], ['H', 'H', 'L', 'L', 'D6', '/D6'],
+        ['H', 'H', 'H', 'L', 'D7', '/D7']]
+    },
+    pinNames: { 1: 'D3', 2: 'D2', 3: 'D1', 4: 'D0', 5: 'Y', 6: 'W', 7: '/G', 9: 'C', 10: 'B', 11: 'A', 12: 'D7', 13: 'D6', 14: 'D5', 15: 'D4' },
+    inputs: [1, 2, 3, 4, 7, 9, 10, 11, 12, 13, 14, 15],
+    outputs: [5, 6],
+    evaluate: (read) => {
+      // D0..D7, selected by C (MSB), B, A
+      const data = [4, 3, 2, 1, 15, 14, 13, 12];
+      const y = read(7) ? 0 : read(data[word(read, [9, 10, 11])]);
+      return { 5: y, 6: bit(!y) };
+    }
+  },
+
+  '74138': {
+    name: '3-to-8 Decoder (active-low)',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['G1', '/G2A', '/G2B', 'C', 'B', 'A', 'Y'],
+      rows: [['L', 'X', 'X', 'X', 'X', 'X', 'all H'], ['X', 'H', 'X', 'X', 'X', 'X', 'all H'], ['X', 'X', 'H', 'X', 'X', 'X', 'all H'],
+        ['H', 'L', 'L', 'L', 'L', 'L', '/Y0 L'], ['H', 'L', 'L', 'L', 'L', 'H', '/Y1 L'], ['H', 'L', 'L', 'L', 'H', 'L', '/Y2 L'],
+        ['H', 'L', 'L', 'L', 'H', 'H', '/Y3 L'], ['H', 'L', 'L', 'H', 'L', 'L', '/Y4 L'], ['H', 'L', 'L', 'H', 'L', 'H', '/Y5 L'],
+        ['H', 'L', 'L', 'H', 'H', 'L', '/Y6 L'], ['H', 'L', 'L', 'H', 'H', 'H', '/Y7 L']]
+    },
+    pinNames: { 1: 'A', 2: 'B', 3: 'C', 4: '/G2A', 5: '/G2B', 6: 'G1', 7: '/Y7', 9: '/Y6', 10: '/Y5', 11: '/Y4', 12: '/Y3', 13: '/Y2', 14: '/Y1', 15: '/Y0' },
+    inputs: [1, 2, 3, 4, 5, 6],
+    outputs: [7, 9, 10, 11, 12, 13, 14, 15],
+    evaluate: (read) => {
+      const enabled = read(6) && !read(4) && !read(5);
+      const sel = word(read, [3, 2, 1]);
+      // /Y0../Y7
+      return Object.fromEntries([15, 14, 13, 12, 11, 10, 9, 7].map((y, k) => [y, bit(!enabled || k !== sel)]));
+    }
+  },
+
+  '74283': {
+    name: '4-bit Binary Full Adder',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['A4..A1', 'B4..B1', 'C0', 'Σ4..Σ1', 'C4'],
+      rows: [['A', 'B', 'L', 'A + B', 'carry'], ['A', 'B', 'H', 'A + B + 1', 'carry']]
+    },
+    pinNames: { 1: 'Σ2', 2: 'B2', 3: 'A2', 4: 'Σ1', 5: 'A1', 6: 'B1', 7: 'C0', 9: 'C4', 10: 'Σ4', 11: 'B4', 12: 'A4', 13: 'Σ3', 14: 'A3', 15: 'B3' },
+    inputs: [2, 3, 5, 6, 7, 11, 12, 14, 15],
+    outputs: [1, 4, 9, 10, 13],
+    evaluate: (read) => {
+      const sum = word(read, [12, 14, 3, 5]) + word(read, [11, 15, 2, 6]) + read(7);
+      // Σ1..Σ4, then the carry out
+      return drive(sum, [4, 1, 13, 10, 9]);
+    }
+  },
+
+  '74161': {
+    name: 'Synchronous 4-bit Binary Counter',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['/CLR', '/LOAD', 'ENP', 'ENT', 'CLK', 'QD..QA'],
+      rows: [['L', 'X', 'X', 'X', 'X', 'clear'], ['H', 'L', 'X', 'X', '↑', 'load D..A'], ['H', 'H', 'H', 'H', '↑', 'count'],
+        ['H', 'H', 'L', 'X', 'X', 'hold'], ['H', 'H', 'X', 'L', 'X', 'hold']]
+    },
+    pinNames: { 1: '/CLR', 2: 'CLK', 3: 'A', 4: 'B', 5: 'C', 6: 'D', 7: 'ENP', 9: '/LOAD', 10: 'ENT', 11: 'QD', 12: 'QC', 13: 'QB', 14: 'QA', 15: 'RCO' },
+    inputs: [1, 2, 3, 4, 5, 6, 7, 9, 10],
+    outputs: [11, 12, 13, 14, 15],
+    clockPins: [2],
+    sequential: true,
+    // Loads or counts on the rising clock edge; /CLR is asynchronous. RCO is HIGH at 15
+    // while ENT is HIGH, for cascading.
+    evaluate: (read, state, edges) => {
+      const reg = flipFlop(state, 0, read(2));
+      if (edges && read(2) && !reg.clk) {
+        if (!read(9)) reg.q = word(read, [6, 5, 4, 3]);
+        else if (read(7) && read(10)) reg.q = (reg.q + 1) % 16;
+      }
+      reg.clk = read(2);
+      if (!read(1)) reg.q = 0;
+      return { ...drive(reg.q, [14, 13, 12, 11]), 15: bit(read(10) && reg.q === 15) };
+    }
+  },
+
+  '74194': {
+    name: '4-bit Bidirectional Shift Register',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['/CLR', 'S1', 'S0', 'CLK', 'QA', 'QB', 'QC', 'QD'],
+      rows: [['L', 'X', 'X', 'X', 'L', 'L', 'L', 'L'], ['H', 'L', 'L', 'X', 'QA0', 'QB0', 'QC0', 'QD0'],
+        ['H', 'L', 'H', '↑', 'SR', 'QA0', 'QB0', 'QC0'], ['H', 'H', 'L', '↑', 'QB0', 'QC0', 'QD0', 'SL'],
+        ['H', 'H', 'H', '↑', 'A', 'B', 'C', 'D']]
+    },
+    pinNames: { 1: '/CLR', 2: 'SR', 3: 'A', 4: 'B', 5: 'C', 6: 'D', 7: 'SL', 9: 'S0', 10: 'S1', 11: 'CLK', 12: 'QD', 13: 'QC', 14: 'QB', 15: 'QA' },
+    inputs: [1, 2, 3, 4, 5, 6, 7, 9, 10, 11],
+    outputs: [12, 13, 14, 15],
+    clockPins: [11],
+    sequential: true,
+    // S1 S0 pick the mode on the rising clock edge: hold, shift right (toward QD), shift
+    // left (toward QA) or parallel load. /CLR is asynchronous.
+    evaluate: (read, state, edges) => {
+      const reg = flipFlop(state, 0, read(11));
+      if (edges && read(11) && !reg.clk) {
+        const mode = word(read, [10, 9]);
+        if (mode === 1) reg.q = ((reg.q << 1) & 15) | read(2);
+        else if (mode === 2) reg.q = (reg.q >> 1) | (read(7) << 3);
+        else if (mode === 3) reg.q = word(read, [6, 5, 4, 3]);
+      }
+      reg.clk = read(11);
+      if (!read(1)) reg.q = 0;
+      return drive(reg.q, [15, 14, 13, 12]);
+    }
+  },
+
+  '7447': segmentDecoder('BCD to 7-Segment Decoder/Driver (active-low)', 0),
+  '7448': segmentDecoder('BCD to 7-Segment Decoder (active-high)', 1),
+
+  '7485': {
+    name: '4-bit Magnitude Comparator',
+    pins: 16, vcc: 16, gnd: 8,
+    functionTable: {
+      columns: ['A3..A0 vs B3..B0', 'A>B in', 'A=B in', 'A<B in', 'A>B', 'A=B', 'A<B'],
+      rows: [['A > B', 'X', 'X', 'X', 'H', 'L', 'L'], ['A < B', 'X', 'X', 'X', 'L', 'L', 'H'], ['A = B', 'X', 'H', 'X', 'L', 'H', 'L'],
+        ['A = B', 'H', 'L', 'L', 'H', 'L', 'L'], ['A = B', 'L', 'L', 'H', 'L', 'L', 'H'], ['A = B', 'H', 'L', 'H', 'L', 'L', 'L'],
+        ['A = B', 'L', 'L', 'L', 'H', 'L', 'H']]
+    },
+    pinNames: { 1: 'B3', 2: 'A<B in', 3: 'A=B in', 4: 'A>B in', 5: 'A>B out', 6: 'A=B out', 7: 'A<B out', 9: 'B0', 10: 'A0', 11: 'B1', 12: 'A1', 13: 'A2', 14: 'B2', 15: 'A3' },
+    inputs: [1, 2, 3, 4, 9, 10, 11, 12, 13, 14, 15],
+    outputs: [5, 6, 7],
+    evaluate: (read) => {
+      const a = word(read, [15, 13, 12, 10]);
+      const b = word(read, [1, 14, 11, 9]);
+      const [gt, eq, lt] = a > b ? [1, 0, 0] : a < b ? [0, 0, 1] : cascade(read(4), read(3), read(2));
+      return { 5: gt, 6: eq, 7: lt };
+    }
+  }
+};
+
+export const getChip = (type) => CHIPS[type] || null;
+
+// Independent sections of a package (gates, flip-flops, decoder halves). Parts without
+// a split are one section holding every input and output.
+export const chipSections = (type) => {
+  const chip = getChip(type);
+  if (!chip) return [];
+  return chip.sections || [[...chip.inputs, ...chip.outputs]];
+};
+
+// Datasheet name of a pin ('1A', '/1CLR', 'VCC'), or null for unknown parts and pins
+export const pinName = (type, pin) => {
+  const chip = getChip(type);
+  if (!chip || pin < 1 || pin > chip.pins) return null;
+  if (pin === chip.vcc) return 'VCC';
+  if (pin === chip.gnd) return 'GND';
+  return (chip.pinNames && chip.pinNames[pin]) || 'NC';
+};
+
+const PIN_FUNCTIONS = { in: 'input', out: 'output', vcc: '+5V supply', gnd: 'ground', nc: 'not connected' };
+
+// What a pin does, for tooltips and the pinout diagram: 'input', 'output', '+5V supply'...
+export const pinFunction = (type, pin) => {
+  const role = pinRole(type, pin);
+  if (!role) return null;
+  const chip = getChip(type);
+  if (role === 'in' && (chip.clockPins || []).includes(pin)) return 'clock input';
+  return PIN_FUNCTIONS[role];
+};
+
+// 'in' | 'out' | 'vcc' | 'gnd' | 'nc' for a given pin of a part
+export const pinRole = (type, pin) => {
+  const chip = getChip(type);
+  if (!chip || pin < 1 || pin > chip.pins) return null;
+  if (pin === chip.vcc) return 'vcc';
+  if (pin === chip.gnd) return 'gnd';
+  if (chip.outputs.includes(pin)) return 'out';
+  if (chip.inputs.includes(pin)) return 'in';
+  return 'nc';
+};
@@ -0,0 +1,106 @@
+import { CHIPS, pinName, pinFunction } from './chips';
+import { powerWires } from './recipes';
+
+test('every signal pin of every part has a datasheet name', () => {
+  Object.entries(CHIPS).forEach(([type, chip]) => {
+    [...chip.inputs, ...chip.outputs].forEach(p => expect(pinName(type, p)).not.toBe('NC'));
+    expect(new Set(Array.from({ length: chip.pins }, (_, k) => pinName(type, k + 1))).size).toBe(chip.pins);
+  });
+});
+
+test('pin functions include the odd 7476 power pins', () => {
+  expect(pinFunction('7476', 5)).toBe('+5V supply');
+  expect(pinFunction('7476', 13)).toBe('ground');
+  expect(pinName('7476', 13)).toBe('GND');
+  expect(pinFunction('7476', 1)).toBe('clock input');
+  expect([10, 11, 12].map(p => pinName('7476', p))).toEqual(['/2Q', '2Q', '2K']);
+  expect(pinFunction('7408', 3)).toBe('output');
+  expect(pinFunction('7408', 20)).toBe(null);
+});
+
+test('gate function tables agree with the gate models', () => {
+  ['7400', '7402', '7404', '7408', '7432', '7486', '7411'].forEach(type => {
+    const chip = CHIPS[type];
+    const [gate] = chip.sections;
+    chip.functionTable.rows.forEach(row => {
+      const levels = row.slice(0, -1).map(v => (v === 'H' ? 1 : 0));
+      const out = chip.evaluate(p => levels[gate.indexOf(p)] ?? 0, {}, false);
+      expect(out[gate[gate.length - 1]] ? 'H' : 'L').toBe(row[row.length - 1]);
+    });
+  });
+});
+
+test('every part has a function table with rows as wide as its columns', () => {
+  Object.values(CHIPS).forEach(chip => {
+    expect(chip.functionTable.rows.length).toBeGreaterThan(0);
+    chip.functionTable.rows.forEach(row => expect(row).toHaveLength(chip.functionTable.columns.length));
+  });
+});
+
+test('power wires come from the catalogue entry of each part', () => {
+  Object.entries(CHIPS).forEach(([type, chip]) => {
+    expect(powerWires(2, type).map(w => [w.s, w.e])).toEqual([['VCC', { c: 2, p: chip.vcc }], ['GND', { c: 2, p: chip.gnd }]]);
+  });
+  expect(powerWires(0, 16).map(w => w.e.p)).toEqual([16, 8]);
+  expect(powerWires(0, '9999')).toEqual([]);
+});
+
+// Evaluate a part with the given input levels (unlisted inputs read HIGH)
+const run = (type, levels, state = {}, edges = true) => CHIPS[type].evaluate(p => levels[p] ?? 1, state, edges);
+
+test('7447 blanking and lamp test override the digit', () => {
+  // Digit 1 (A = 1) lights b and c only; outputs are active low
+  const one = run('7447', { 7: 1, 1: 0, 2: 0, 6: 0 });
+  expect([13, 12, 11, 10, 9, 15, 14].map(p => one[p])).toEqual([1, 0, 0, 1, 1, 1, 1]);
+  expect(Object.values(run('7447', { 7: 1, 1: 0, 2: 0, 6: 0, 3: 0 }))).toEqual(Array(7).fill(0));
+  expect(Object.values(run('7447', { 7: 1, 1: 0, 2: 0, 6: 0, 4: 0 }))).toEqual(Array(7).fill(1));
+  // /RBI blanks a zero only
+  expect(Object.values(run('7447', { 7: 0, 1: 0, 2: 0, 6: 0, 5: 0 }))).toEqual(Array(7).fill(1));
+  expect(run('7447', { 7: 0, 1: 0, 2: 0, 6: 0 })[14]).toBe(1);
+});
+
+test('7448 is the 7447 with lit segments high', () => {
+  const one = run('7448', { 7: 1, 1: 0, 2: 0, 6: 0 });
+  expect([13, 12, 11, 10, 9, 15, 14].map(p => one[p])).toEqual([0, 1, 1, 0, 0, 0, 0]);
+  expect(Object.values(run('7448', { 4: 0 }))).toEqual(Array(7).fill(0));
+});
+
+test('74161 loads on the clock edge and flags 15 on RCO', () => {
+  const state = {};
+  run('74161', { 2: 0 }, state);
+  // /LOAD low with D..A = 1110
+  const loaded = run('74161', { 2: 1, 9: 0, 3: 0 }, state);
+  expect([14, 13, 12, 11].map(p => loaded[p])).toEqual([0, 1, 1, 1]);
+  run('74161', { 2: 0 }, state);
+  expect(run('74161', { 2: 1 }, state)[15]).toBe(1);
+  expect(run('74161', { 2: 1, 10: 0 }, state)[15]).toBe(0);
+  expect(run('74161', { 2: 1, 1: 0 }, state)[11]).toBe(0);
+});
+
+test('74194 shifts left, holds and clears', () => {
+  const state = {};
+  const clock = (levels) => { run('74194', { ...levels, 11: 0 }, state); return run('74194', { ...levels, 11: 1 }, state); };
+  const q = (out) => [15, 14, 13, 12].map(p => out[p]);
+  // Parallel load A..D = 0011
+  expect(q(clock({ 3: 0, 4: 0 }))).toEqual([0, 0, 1, 1]);
+  // Shift left (S1 = 1, S0 = 0) with SL low
+  expect(q(clock({ 9: 0, 7: 0 }))).toEqual([0, 1, 1, 0]);
+  expect(q(clock({ 9: 0, 10: 0 }))).toEqual([0, 1, 1, 0]);
+  expect(q(run('74194', { 1: 0 }, state))).toEqual([0, 0, 0, 0]);
+});
+
+test('7476 clocks its second flip-flop through 2J, 2K and 2CLK', () => {
+  const state = {};
+  const q = (out) => [out[11], out[10]];
+  // Falling edge on 2CLK (pin 6) with 2J (9) high and 2K (12) low sets 2Q
+  run('7476', { 6: 1, 12: 0 }, state);
+  expect(q(run('7476', { 6: 0, 12: 0 }, state))).toEqual([1, 0]);
+  // J = K = 1 toggles
+  run('7476', { 6: 1 }, state);
+  expect(q(run('7476', { 6: 0 }, state))).toEqual([0, 1]);
+  // /2PRE (7) and /2CLR (8) act without the clock
+  expect(q(run('7476', { 6: 0, 7: 0 }, state))).toEqual([1, 0]);
+  expect(q(run('7476', { 6: 0, 8: 0 }, state))).toEqual([0, 1]);
+  // The first flip-flop is untouched
+  expect(run('7476', { 1: 1 }, state)[15]).toBe(0);
+});
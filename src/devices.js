@@ -0,0 +1,133 @@
+// --- I/O DEVICES ---
+// Parts that sit off the breadboard next to the switches and LEDs: displays, push
+// buttons, a clock source and a hex keypad. A recipe lists them in `devices`, each
+// { type, label, ...options }, and wires address them like switches and LEDs: the
+// n-th device with a given prefix is '<PREFIX>_n', its pins '<PREFIX>_n.<pin>'
+// ('SEG_0.a', 'KEY_0.4', 'BTN_1'). Sources drive their net from the `controls` passed
+// to simulate() ({ BTN_0: 1, CLK_0: 0, KEY_0: 9 }); displays only read levels.
+
+const SEGMENTS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
+export const BAR_SIZE = 10;
+
+// `pins` are the wirable pins ('' is a single unnamed output); `common` is the level the
+// common pin of a display needs, `lit` the level that lights one of its segments.
+// `noun` names the part in build steps and tooltips.
+export const DEVICES = {
+  SEG_CA: { prefix: 'SEG', name: 'Common-anode 7-segment display', noun: 'display', kind: 'display', pins: () => [...SEGMENTS, 'com'], common: 1, lit: 0 },
+  SEG_CC: { prefix: 'SEG', name: 'Common-cathode 7-segment display', noun: 'display', kind: 'display', pins: () => [...SEGMENTS, 'com'], common: 0, lit: 1 },
+  BARGRAPH: { prefix: 'BAR', name: 'Bar-graph LED', noun: 'bar graph', kind: 'display', pins: (d) => Array.from({ length: d.size || BAR_SIZE }, (_, k) => String(k)), lit: 1 },
+  BUTTON: { prefix: 'BTN', name: 'Push button', noun: 'button', kind: 'source', pins: () => [''] },
+  CLOCK: { prefix: 'CLK', name: '555 clock', noun: 'clock', kind: 'source', pins: () => [''] },
+  KEYPAD: { prefix: 'KEY', name: 'Hex keypad', noun: 'keypad', kind: 'source', pins: () => ['1', '2', '4', '8'] }
+};
+
+const PREFIXES = [...new Set(Object.values(DEVICES).map(d => d.prefix))];
+const ENDPOINT = new RegExp(`^(${PREFIXES.join('|')})_(\\d+)(?:\\.(\\w+))?$`);
+
+export const getDevice = (type) => DEVICES[type] || null;
+
+// 'SEG_0.a' → { prefix: 'SEG', n: 0, pin: 'a', base: 'SEG_0' }; null for anything else
+export const parseDeviceEndpoint = (ep) => {
+  const m = typeof ep === 'string' && ep.match(ENDPOINT);
+  return m ? { prefix: m[1], n: Number(m[2]), pin: m[3] || '', base: `${m[1]}_${m[2]}` } : null;
+};
+
+// 'display' or 'source' from the endpoint alone, null when it is not a device pin
+export const deviceKind = (ep) => {
+  const parsed = parseDeviceEndpoint(ep);
+  const model = parsed && Object.values(DEVICES).find(d => d.prefix === parsed.prefix);
+  return model ? model.kind : null;
+};
+
+// The recipe's devices with their addresses: [{ device, model, index, base }]
+export const deviceList = (recipe) => {
+  const counts = {};
+  return (recipe.devices || []).map((device, index) => {
+    const model = getDevice(device.type);
+    if (!model) return { device, model, index, base: null };
+    const n = counts[model.prefix] || 0;
+    counts[model.prefix] = n + 1;
+    return { device, model, index, base: `${model.prefix}_${n}` };
+  });
+};
+
+// Device entry behind an endpoint, with the pin it names, or null when the device or
+// the pin does not exist
+export const findDevice = (recipe, ep) => {
+  const parsed = parseDeviceEndpoint(ep);
+  if (!parsed) return null;
+  const entry = deviceList(recipe).find(d => d.base === parsed.base);
+  if (!entry || !entry.model.pins(entry.device).includes(parsed.pin)) return null;
+  return { ...entry, pin: parsed.pin };
+};
+
+const endpointName = (base, pin) => (pin ? `${base}.${pin}` : base);
+
+// Every wirable device endpoint of a recipe
+export const deviceEndpoints = (recipe) => deviceList(recipe).filter(d => d.model).flatMap(d => (
+  d.model.pins(d.device).map(pin => endpointName(d.base, pin))
+));
+
+export const isDeviceSource = (recipe, ep) => {
+  const found = findDevice(recipe, ep);
+  return !!found && found.model.kind === 'source';
+};
+
+export const isDeviceDisplay = (recipe, ep) => {
+  const found = findDevice(recipe, ep);
+  return !!found && found.model.kind === 'display';
+};
+
+// 'display Units segment a', 'keypad KEY_0 pin 4'
+export const deviceLabel = (recipe, ep) => {
+  const found = findDevice(recipe, ep);
+  if (!found) return ep;
+  const { device, model, base, pin } = found;
+  const name = `${model.noun} ${device.label || base}`;
+  if (!pin) return name;
+  return `${name} ${model.prefix === 'SEG' && pin !== 'com' ? 'segment ' : 'pin '}${pin}`;
+};
+
+// --- SOURCES ---
+// Level a source endpoint drives, or null when the key is not a source. Buttons and the
+// clock are HIGH while pressed / in the high half of their period; a keypad drives the
+// binary weights of the key held (0 when none is).
+export const sourceLevel = (recipe, ep, controls = {}) => {
+  const found = findDevice(recipe, ep);
+  if (!found || found.model.kind !== 'source') return null;
+  const value = Number(controls[found.base]) || 0;
+  if (found.model.prefix === 'KEY') return value & Number(found.pin) ? 1 : 0;
+  return value ? 1 : 0;
+};
+
+// Contact bounce: a press or release chatters a few times before it settles. The levels
+// a button goes through on its way to `level`, one every BOUNCE_MS.
+export const BOUNCE_MS = 12;
+export const bounceLevels = (level, bounces = 3) => [
+  ...Array.from({ length: bounces * 2 }, (_, k) => (k % 2 ? 1 - level : level)),
+  level
+];
+
+export const DEFAULT_HZ = 1;
+export const clockHz = (device) => (device.hz > 0 ? device.hz : DEFAULT_HZ);
+
+// --- DISPLAYS ---
+// { [base]: lit pins } for every display of the recipe. A 7-segment display needs its
+// common pin on the right level before anything lights.
+export const readDisplays = (recipe, levelOf) => Object.fromEntries(deviceList(recipe)
+  .filter(({ model }) => model && model.kind === 'display')
+  .map(({ device, model, base }) => {
+    const level = (pin) => levelOf(endpointName(base, pin));
+    const on = model.common === undefined || level('com') === model.common;
+    return [base, on ? model.pins(device).filter(pin => pin !== 'com' && level(pin) === model.lit) : []];
+  }));
+
+// Sequence steps may name what the displays should show, as their lit pins run
+// together: { SEG_0: 'abcdg', BAR_0: '012' }. Returns [{ base, expected, actual }] for
+// the displays that differ.
+export const displayMismatches = (recipe, levelOf, expected = {}) => {
+  const shown = readDisplays(recipe, levelOf);
+  return Object.entries(expected)
+    .map(([base, text]) => ({ base, expected: text, actual: (shown[base] || []).join('') }))
+    .filter(d => d.expected !== d.actual);
+};
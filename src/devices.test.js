@@ -0,0 +1,50 @@
+import { RECIPES } from './recipes';
+import { simulate } from './simulator';
+import { checkCircuit } from './erc';
+import { validateCircuit } from './schema';
+import {
+  parseDeviceEndpoint, deviceEndpoints, deviceLabel, sourceLevel, bounceLevels, readDisplays, displayMismatches
+} from './devices';
+
+const keypad = RECIPES['keypad_7seg'];
+
+test('device endpoints are addressed per prefix', () => {
+  expect(parseDeviceEndpoint('SEG_0.a')).toEqual({ prefix: 'SEG', n: 0, pin: 'a', base: 'SEG_0' });
+  expect(parseDeviceEndpoint('BTN_1')).toEqual({ prefix: 'BTN', n: 1, pin: '', base: 'BTN_1' });
+  expect(parseDeviceEndpoint('SW_0')).toBeNull();
+  expect(deviceEndpoints(keypad)).toEqual(['KEY_0.1', 'KEY_0.2', 'KEY_0.4', 'KEY_0.8',
+    'SEG_0.a', 'SEG_0.b', 'SEG_0.c', 'SEG_0.d', 'SEG_0.e', 'SEG_0.f', 'SEG_0.g', 'SEG_0.dp', 'SEG_0.com']);
+  expect(deviceLabel(keypad, 'SEG_0.a')).toBe('display Digit segment a');
+  expect(deviceLabel(keypad, 'KEY_0.4')).toBe('keypad Keys pin 4');
+});
+
+test('a keypad drives the binary weights of the key held', () => {
+  expect(['KEY_0.1', 'KEY_0.2', 'KEY_0.4', 'KEY_0.8'].map(ep => sourceLevel(keypad, ep, { KEY_0: 9 }))).toEqual([1, 0, 0, 1]);
+  expect(sourceLevel(keypad, 'KEY_0.8')).toBe(0);
+  expect(sourceLevel(keypad, 'SEG_0.a', { KEY_0: 9 })).toBeNull();
+});
+
+test('a bouncing button chatters before it settles', () => {
+  expect(bounceLevels(1)).toEqual([1, 0, 1, 0, 1, 0, 1]);
+  expect(bounceLevels(0, 1)).toEqual([0, 1, 0]);
+});
+
+test('displays light what the keypad selects', () => {
+  const { levelOf } = simulate(keypad, [], undefined, { KEY_0: 7 });
+  expect(readDisplays(keypad, levelOf)).toEqual({ SEG_0: ['a', 'b', 'c'] });
+  expect(displayMismatches(keypad, levelOf, { SEG_0: 'abc' })).toEqual([]);
+  expect(displayMismatches(keypad, levelOf, { SEG_0: 'bc' })).toEqual([{ base: 'SEG_0', expected: 'bc', actual: 'abc' }]);
+});
+
+test('a display with its common pin on the wrong rail stays dark and is flagged', () => {
+  const recipe = { ...keypad, wires: keypad.wires.map(w => (w.e === 'SEG_0.com' ? { ...w, s: 'GND' } : w)) };
+  expect(readDisplays(recipe, simulate(recipe, [], undefined, { KEY_0: 8 }).levelOf).SEG_0).toEqual([]);
+  expect(checkCircuit(recipe).find(i => i.rule === 'power').message).toBe('display Digit pin com is not on +5V');
+});
+
+test('wires to devices that do not exist', () => {
+  const recipe = { ...keypad, wires: [...keypad.wires, { s: 'BTN_0', e: { c: 0, p: 6 }, color: 'WIRE_GREEN' }] };
+  expect(checkCircuit(recipe).map(i => i.message)).toContain('Wire 18: there is no device pin BTN_0');
+  const { issues } = validateCircuit({ ...keypad, wires: [...keypad.wires, { s: 'SEG_0.x', e: { c: 0, p: 6 } }] });
+  expect(issues.map(i => i.message)).toContain("'SEG_0.x' is not a pin of any device");
+});
@@ -0,0 +1,177 @@
+import { CHIPS, getChip } from './chips';
+import { deviceKind } from './devices';
+
+// --- BREADBOARD EDITING OPERATIONS ---
+// Pure functions: each takes a recipe and returns a new one, so the result can go
+// straight into state and be simulated. Chip references in wires ({c, p}) are indices
+// into `chips` and are renumbered when a chip is removed.
+
+export const BOARD_COLS = 63;
+
+// Larger circuits chain more boards to the right (`boards` in the recipe, default 1).
+// Columns count on across the chain; the BOARD_GAP columns between two boards have no
+// holes, so a chip always sits on one board.
+export const BOARD_GAP = 3;
+export const BOARD_PITCH = BOARD_COLS + BOARD_GAP;
+export const MAX_BOARDS = 4;
+export const boardCount = (recipe) => Math.max(1, Math.min(MAX_BOARDS, Math.round(Number(recipe && recipe.boards)) || 1));
+export const boardColumns = (boards) => boards * BOARD_PITCH - BOARD_GAP;
+export const boardOf = (col) => Math.floor(col / BOARD_PITCH);
+export const WIRE_COLORS = ['WIRE_RED', 'WIRE_BLACK', 'WIRE_BLUE', 'WIRE_ORANGE', 'WIRE_GREEN', 'WIRE_PURPLE', 'WIRE_YELLOW'];
+
+export const chipWidth = (type) => (getChip(type) ? getChip(type).pins / 2 : 7);
+
+export const createBlankRecipe = () => ({
+  title: 'Custom Circuit',
+  desc: 'Built in the breadboard editor.',
+  explanation: '',
+  bom: [],
+  chips: [],
+  inputs: ['A', 'B'],
+  outputs: ['Y'],
+  wires: []
+});
+
+// BOM lines grouped by part, e.g. '2x 7408 (Quad 2-input AND)'
+export const bomFor = (chips) => {
+  const counts = {};
+  chips.forEach(chip => { counts[chip.type] = (counts[chip.type] || 0) + 1; });
+  return Object.entries(counts).map(([type, n]) => `${n}x ${type}${CHIPS[type] ? ` (${CHIPS[type].name})` : ''}`);
+};
+
+const withChips = (recipe, chips, wires = recipe.wires) => ({ ...recipe, chips, wires, bom: bomFor(chips) });
+
+const overlaps = (chips, x, width, skip = -1) => chips.some((chip, i) => (
+  i !== skip && x < chip.x + chipWidth(chip.type) + 1 && chip.x < x + width + 1
+));
+
+// A chip across the gap between two boards moves onto the nearer one
+export const ontoBoard = (col, width) => {
+  const start = col - (col % BOARD_PITCH);
+  const lastOnLeft = start + BOARD_COLS - width;
+  if (col <= lastOnLeft) return col;
+  return col - lastOnLeft <= start + BOARD_PITCH - col ? lastOnLeft : start + BOARD_PITCH;
+};
+
+// Column for a chip of `type` near `x`, clamped to the boards, or null if it would
+// collide with another chip
+export const snapChip = (chips, type, x, skip = -1, boards = 1) => {
+  const width = chipWidth(type);
+  const col = ontoBoard(Math.max(0, Math.min(boardColumns(boards) - width, Math.round(x))), width);
+  return overlaps(chips, col, width, skip) ? null : col;
+};
+
+const nextChipId = (chips) => {
+  const ids = new Set(chips.map(chip => chip.id));
+  let n = chips.length + 1;
+  while (ids.has(`u${n}`)) n++;
+  return `u${n}`;
+};
+
+// Leftmost column where a chip of `type` fits, or null when the boards are full
+export const firstFreeColumn = (chips, type, boards = 1) => {
+  for (let x = 2; x <= boardColumns(boards) - chipWidth(type); x++) {
+    if (snapChip(chips, type, x, -1, boards) === x) return x;
+  }
+  return null;
+};
+
+// Place a chip and wire its supply pins to the rails
+export const placeChip = (recipe, type, x) => {
+  const model = getChip(type);
+  const col = model ? snapChip(recipe.chips, type, x, -1, boardCount(recipe)) : null;
+  if (col === null) return recipe;
+  const c = recipe.chips.length;
+  return withChips(recipe, [...recipe.chips, { id: nextChipId(recipe.chips), type, x: col }], [
+    ...recipe.wires,
+    { s: 'VCC', e: { c, p: model.vcc }, color: 'WIRE_RED' },
+    { s: 'GND', e: { c, p: model.gnd }, color: 'WIRE_BLACK' }
+  ]);
+};
+
+export const moveChip = (recipe, idx, x) => {
+  const col = snapChip(recipe.chips, recipe.chips[idx].type, x, idx, boardCount(recipe));
+  if (col === null || col === recipe.chips[idx].x) return recipe;
+  return withChips(recipe, recipe.chips.map((chip, i) => (i === idx ? { ...chip, x: col } : chip)));
+};
+
+const renumber = (ep, idx) => (typeof ep === 'object' && ep.c > idx ? { ...ep, c: ep.c - 1 } : ep);
+
+export const removeChip = (recipe, idx) => withChips(
+  recipe,
+  recipe.chips.filter((_, i) => i !== idx),
+  recipe.wires
+    .filter(w => !(typeof w.s === 'object' && w.s.c === idx) && !(typeof w.e === 'object' && w.e.c === idx))
+    .map(w => ({ ...w, s: renumber(w.s, idx), e: renumber(w.e, idx) }))
+);
+
+export const sameEndpoint = (a, b) => (
+  typeof a === 'object' && typeof b === 'object' ? a.c === b.c && a.p === b.p : a === b
+);
+
+// Sources (rails, switches, buttons...) go first and LEDs and displays last, matching
+// the hand-written recipes
+const endpointRank = (ep) => {
+  if (typeof ep === 'object') return 1;
+  if (ep.startsWith('LED_') || deviceKind(ep) === 'display') return 2;
+  return 0;
+};
+
+export const addWire = (recipe, a, b, color = 'WIRE_GREEN') => {
+  if (sameEndpoint(a, b)) return recipe;
+  const [s, e] = endpointRank(a) <= endpointRank(b) ? [a, b] : [b, a];
+  if (recipe.wires.some(w => (sameEndpoint(w.s, s) && sameEndpoint(w.e, e)) || (sameEndpoint(w.s, e) && sameEndpoint(w.e, s)))) return recipe;
+  return { ...recipe, wires: [...recipe.wires, { s, e, color }] };
+};
+
+export const removeWire = (recipe, idx) => ({ ...recipe, wires: recipe.wires.filter((_, i) => i !== idx) });
+
+export const recolorWire = (recipe, idx, color) => ({
+  ...recipe,
+  wires: recipe.wires.map((w, i) => (i === idx ? { ...w, color } : w))
+});
+
+const nextLabel = (labels, prefix) => {
+  let n = labels.length;
+  while (labels.includes(prefix + n)) n++;
+  return `${prefix}${n}`;
+};
+
+export const addInput = (recipe) => ({ ...recipe, inputs: [...recipe.inputs, nextLabel(recipe.inputs, 'I')] });
+export const addOutput = (recipe) => ({ ...recipe, outputs: [...recipe.outputs, nextLabel(recipe.outputs, 'O')] });
+
+// Dropping the last switch/LED also drops the wires that used it
+export const removeInput = (recipe) => {
+  if (!recipe.inputs.length) return recipe;
+  const sw = `SW_${recipe.inputs.length - 1}`;
+  return { ...recipe, inputs: recipe.inputs.slice(0, -1), wires: recipe.wires.filter(w => w.s !== sw && w.e !== sw) };
+};
+export const removeOutput = (recipe) => {
+  if (!recipe.outputs.length) return recipe;
+  const led = `LED_${recipe.outputs.length - 1}`;
+  return { ...recipe, outputs: recipe.outputs.slice(0, -1), wires: recipe.wires.filter(w => w.s !== led && w.e !== led) };
+};
+
+// Chain another board on the right; the last board only comes off when no chip is on it
+export const addBoard = (recipe) => (
+  boardCount(recipe) >= MAX_BOARDS ? recipe : { ...recipe, boards: boardCount(recipe) + 1 }
+);
+export const removeBoard = (recipe) => {
+  const n = boardCount(recipe);
+  if (n === 1 || recipe.chips.some(chip => chip.x + chipWidth(chip.type) > boardColumns(n - 1))) return recipe;
+  return { ...recipe, boards: n - 1 };
+};
+
+// Start editing a recipe: a detached copy. `logic`/`sequence` are kept so the checker
+// keeps comparing the edited wiring against the original behaviour; the block
+// `structure` of a generated recipe is not, since edits would leave it behind.
+export const editableCopy = ({ structure, ...recipe }) => ({
+  ...recipe,
+  title: recipe.edited ? recipe.title : `${recipe.title} (edited)`,
+  edited: true,
+  chips: recipe.chips.map(chip => ({ ...chip })),
+  wires: recipe.wires.map(w => ({ ...w })),
+  inputs: [...recipe.inputs],
+  outputs: [...recipe.outputs],
+  bom: [...(recipe.bom || [])]
+});
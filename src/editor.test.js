@@ -0,0 +1,59 @@
+import { RECIPES } from './recipes';
+import { simulate } from './simulator';
+import { createBlankRecipe, placeChip, moveChip, removeChip, addWire, removeInput, firstFreeColumn, editableCopy, addBoard, removeBoard } from './editor';
+
+test('a circuit drawn in the editor simulates immediately', () => {
+  let r = placeChip(createBlankRecipe(), '7408', 20.4);
+  expect(r.chips).toEqual([{ id: 'u1', type: '7408', x: 20 }]);
+  expect(r.bom).toEqual(['1x 7408 (Quad 2-input AND)']);
+  r = addWire(r, 'SW_0', { c: 0, p: 1 }, 'WIRE_BLUE');
+  r = addWire(r, { c: 0, p: 2 }, 'SW_1', 'WIRE_ORANGE');
+  r = addWire(r, 'LED_0', { c: 0, p: 3 });
+  expect(r.wires.slice(2)).toEqual([
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 2 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 3 }, e: 'LED_0', color: 'WIRE_GREEN' }
+  ]);
+  expect(simulate(r, [1, 1]).outputs).toEqual([1]);
+  expect(simulate(r, [1, 0]).outputs).toEqual([0]);
+});
+
+test('chips snap to free columns and never overlap', () => {
+  const r = placeChip(createBlankRecipe(), '7400', 10);
+  expect(placeChip(r, '7404', 14)).toBe(r);
+  expect(firstFreeColumn(r.chips, '7404')).toBe(2);
+  expect(moveChip(r, 0, 70).chips[0].x).toBe(56);
+});
+
+test('chained boards take chips on every board, never across the gap', () => {
+  const r = addBoard(placeChip(createBlankRecipe(), '7400', 10));
+  expect(r.boards).toBe(2);
+  expect(moveChip(r, 0, 58).chips[0].x).toBe(56);
+  expect(moveChip(r, 0, 63).chips[0].x).toBe(66);
+  expect(moveChip(r, 0, 200).chips[0].x).toBe(122);
+  expect(firstFreeColumn([{ id: 'u1', type: '7400', x: 2 }], '7400', 2)).toBe(10);
+  // The last board only comes off once it is empty
+  expect(removeBoard(moveChip(r, 0, 70))).toEqual(moveChip(r, 0, 70));
+  const one = removeBoard(r);
+  expect(one.boards).toBe(1);
+  expect(removeBoard(one)).toBe(one);
+});
+
+test('removing a chip drops its wires and renumbers the rest', () => {
+  const r = removeChip(RECIPES['half_adder'], 0);
+  expect(r.chips.map(c => c.id)).toEqual(['u2']);
+  expect(r.wires.every(w => [w.s, w.e].every(ep => typeof ep !== 'object' || ep.c === 0))).toBe(true);
+  expect(simulate(r, [1, 1]).outputs).toEqual([0, 1]);
+});
+
+test('removing a switch drops its wires', () => {
+  const r = removeInput(editableCopy(RECIPES['basic_gates']));
+  expect(r.inputs).toEqual(['A']);
+  expect(r.wires.some(w => w.s === 'SW_1')).toBe(false);
+});
+
+test('duplicate and self wires are ignored', () => {
+  const r = RECIPES['basic_gates'];
+  expect(addWire(r, { c: 0, p: 1 }, 'SW_0')).toBe(r);
+  expect(addWire(r, 'VCC', 'VCC')).toBe(r);
+});
@@ -0,0 +1,143 @@
+import { getChip, pinRole, pinName } from './chips';
+import { buildNetlist, pinKey } from './simulator';
+import { floatingPins } from './verifier';
+import { parseDeviceEndpoint, findDevice, isDeviceSource, deviceList, deviceLabel } from './devices';
+
+// --- ELECTRICAL RULE CHECK ---
+// Static checks over `chips` and `wires`, independent of any input pattern. Every issue
+// is { rule, severity: 'error' | 'warning', message, at: [endpoint] }, `at` being the
+// pins, switches, LEDs, devices or rails to mark on the canvas.
+
+export const ERC_RULES = {
+  'bad-pin': 'Wire to a pin that does not exist',
+  power: 'Chip power',
+  contention: 'Outputs driving the same net',
+  'output-rail': 'Output tied to a rail',
+  floating: 'Unconnected input',
+  'undriven-led': 'LED not driven'
+};
+
+const STANDARD_VCC = { 14: 14, 16: 16 };
+
+const pinLabel = (chips, c, p) => {
+  const chip = chips[c];
+  const name = chip && pinName(chip.type, p);
+  return `${chip ? `${chip.id} (${chip.type})` : `chip ${c}`} pin ${p}${name && name !== 'NC' ? ` ${name}` : ''}`;
+};
+
+// Netlist keys back to endpoints: '2:5' is pin 5 of chip 2
+const keyEndpoint = (k) => {
+  if (!k.includes(':')) return k;
+  const [c, p] = k.split(':').map(Number);
+  return { c, p };
+};
+
+const isOutput = (chips, k) => {
+  const ep = keyEndpoint(k);
+  return typeof ep === 'object' && !!chips[ep.c] && pinRole(chips[ep.c].type, ep.p) === 'out';
+};
+
+// Wire ends that name a chip, pin, switch or LED the circuit does not have
+const badEndpoints = (recipe) => {
+  const chips = recipe.chips || [];
+  const issues = [];
+  (recipe.wires || []).forEach((w, i) => [w.s, w.e].forEach(ep => {
+    let problem = null;
+    if (ep && typeof ep === 'object') {
+      const chip = chips[ep.c];
+      const model = chip && getChip(chip.type);
+      if (!chip) problem = `there is no chip ${ep.c}`;
+      else if (!model) problem = `${chip.id} is an unknown part (${chip.type})`;
+      else if (!(ep.p >= 1 && ep.p <= model.pins)) problem = `${chip.id} (${chip.type}) has no pin ${ep.p}`;
+    } else if (typeof ep === 'string' && ep.startsWith('SW_')) {
+      if (!(Number(ep.slice(3)) < (recipe.inputs || []).length)) problem = `there is no switch ${ep}`;
+    } else if (typeof ep === 'string' && ep.startsWith('LED_')) {
+      if (!(Number(ep.slice(4)) < (recipe.outputs || []).length)) problem = `there is no LED ${ep}`;
+    } else if (parseDeviceEndpoint(ep)) {
+      if (!findDevice(recipe, ep)) problem = `there is no device pin ${ep}`;
+    } else if (ep !== 'VCC' && ep !== 'GND') {
+      problem = `unknown endpoint ${JSON.stringify(ep)}`;
+    }
+    if (problem) issues.push({ rule: 'bad-pin', severity: 'error', message: `Wire ${i + 1}: ${problem}`, at: [] });
+  }));
+  return issues;
+};
+
+export const checkCircuit = (recipe) => {
+  const chips = recipe.chips || [];
+  const { netOf, nets } = buildNetlist(recipe);
+  const issues = badEndpoints(recipe);
+  const vcc = netOf('VCC'), gnd = netOf('GND');
+
+  // Power: VCC and GND pins on the right rails, wherever the part has them
+  chips.forEach((chip, c) => {
+    const model = getChip(chip.type);
+    if (!model) return;
+    const label = `${chip.id} (${chip.type})`;
+    const odd = STANDARD_VCC[model.pins] !== model.vcc ? ` (on this part VCC is pin ${model.vcc} and GND pin ${model.gnd})` : '';
+    const supply = netOf(pinKey(c, model.vcc)), ground = netOf(pinKey(c, model.gnd));
+    if (supply === vcc && ground === gnd) return;
+    if (supply === gnd && ground === vcc) {
+      issues.push({ rule: 'power', severity: 'error', message: `${label} is powered backwards`, at: [{ c, p: model.vcc }, { c, p: model.gnd }] });
+      return;
+    }
+    if (supply !== vcc) issues.push({ rule: 'power', severity: 'error', message: `${label} pin ${model.vcc} is not on +5V${odd}`, at: [{ c, p: model.vcc }] });
+    if (ground !== gnd) issues.push({ rule: 'power', severity: 'error', message: `${label} pin ${model.gnd} is not on GND${odd}`, at: [{ c, p: model.gnd }] });
+  });
+
+  // Displays: the common anode goes to +5V, the common cathode to GND
+  deviceList(recipe).forEach(({ model, base }) => {
+    if (!model || model.common === undefined) return;
+    const com = `${base}.com`;
+    if (netOf(com) !== (model.common ? vcc : gnd)) {
+      issues.push({ rule: 'power', severity: 'error', message: `${deviceLabel(recipe, com)} is not on ${model.common ? '+5V' : 'GND'}`, at: [com] });
+    }
+  });
+
+  // Drivers per net: chip outputs, switches and device sources; rails count separately
+  const isSource = (k) => k.startsWith('SW_') || isDeviceSource(recipe, k);
+  for (const [root, keys] of nets) {
+    const outputs = keys.filter(k => isOutput(chips, k));
+    const switches = keys.filter(isSource);
+    const rail = root === vcc ? 'VCC' : root === gnd ? 'GND' : null;
+    const name = (k) => {
+      const ep = keyEndpoint(k);
+      if (typeof ep === 'object') return pinLabel(chips, ep.c, ep.p);
+      return k.startsWith('SW_') ? `switch ${(recipe.inputs || [])[Number(k.slice(3))] || k}` : deviceLabel(recipe, k);
+    };
+    if (rail && outputs.length) {
+      issues.push({
+        rule: 'output-rail', severity: 'error',
+        message: `${outputs.map(name).join(', ')} tied to ${rail === 'VCC' ? '+5V' : 'GND'}`,
+        at: [...outputs.map(keyEndpoint), rail]
+      });
+    } else if (!rail && outputs.length + switches.length > 1) {
+      issues.push({
+        rule: 'contention', severity: 'error',
+        message: `${[...outputs, ...switches].map(name).join(' and ')} drive the same net`,
+        at: [...outputs, ...switches].map(keyEndpoint)
+      });
+    }
+  }
+
+  floatingPins(recipe).forEach(({ c, p }) => issues.push({
+    rule: 'floating', severity: 'warning',
+    message: `${pinLabel(chips, c, p)} is unconnected and floats HIGH`,
+    at: [{ c, p }]
+  }));
+
+  // LEDs need an output, a switch or a rail on their net
+  (recipe.outputs || []).forEach((label, o) => {
+    const led = `LED_${o}`;
+    const keys = nets.get(netOf(led)) || [led];
+    const driven = netOf(led) === vcc || netOf(led) === gnd || keys.some(k => isSource(k) || isOutput(chips, k));
+    if (!driven) issues.push({ rule: 'undriven-led', severity: 'warning', message: `LED ${label} has no output driving it`, at: [led] });
+  });
+
+  return issues;
+};
+
+export const ercSummary = (issues) => ({
+  errors: issues.filter(i => i.severity === 'error').length,
+  warnings: issues.filter(i => i.severity === 'warning').length
+});
@@ -0,0 +1,95 @@
+import { RECIPES, powerWires } from './recipes';
+import { checkCircuit, ercSummary } from './erc';
+
+const rules = (recipe) => checkCircuit(recipe).map(i => i.rule);
+
+// One 7408 AND gate: A, B → 1A, 1B; 1Y → LED X
+const andGate = (extra = [], chips = [{ id: 'u1', type: '7408', x: 20 }]) => ({
+  title: 'AND', inputs: ['A', 'B'], outputs: ['X'], chips,
+  wires: [
+    ...powerWires(0),
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_GREEN' },
+    { s: 'SW_1', e: { c: 0, p: 2 }, color: 'WIRE_GREEN' },
+    { s: { c: 0, p: 3 }, e: 'LED_0', color: 'WIRE_YELLOW' },
+    ...extra
+  ]
+});
+
+test('the built-in recipes pass', () => {
+  Object.values(RECIPES).forEach(recipe => expect(checkCircuit(recipe)).toEqual([]));
+  expect(checkCircuit(andGate())).toEqual([]);
+});
+
+test('two outputs on one net are contention', () => {
+  const issues = checkCircuit(andGate([{ s: { c: 0, p: 3 }, e: { c: 0, p: 6 }, color: 'WIRE_RED' }]));
+  const fight = issues.find(i => i.rule === 'contention');
+  expect(fight.severity).toBe('error');
+  expect(fight.at).toEqual(expect.arrayContaining([{ c: 0, p: 3 }, { c: 0, p: 6 }]));
+  expect(fight.message).toContain('u1 (7408) pin 3 1Y');
+});
+
+test('a switch driving an output is contention too', () => {
+  expect(rules(andGate([{ s: 'SW_0', e: { c: 0, p: 3 }, color: 'WIRE_RED' }]))).toContain('contention');
+});
+
+test('an output tied to a rail is flagged', () => {
+  const issue = checkCircuit(andGate([{ s: 'GND', e: { c: 0, p: 3 }, color: 'WIRE_BLACK' }])).find(i => i.rule === 'output-rail');
+  expect(issue.message).toBe('u1 (7408) pin 3 1Y tied to GND');
+  expect(issue.at).toContainEqual('GND');
+});
+
+test('unconnected inputs of a used gate are warnings', () => {
+  const recipe = andGate();
+  recipe.wires = recipe.wires.filter(w => w.s !== 'SW_1');
+  const issue = checkCircuit(recipe).find(i => i.rule === 'floating');
+  expect(issue.severity).toBe('warning');
+  expect(issue.at).toEqual([{ c: 0, p: 2 }]);
+});
+
+test('missing power is reported per pin', () => {
+  const recipe = andGate();
+  recipe.wires = recipe.wires.filter(w => w.s !== 'VCC' && w.e !== 'VCC');
+  const issues = checkCircuit(recipe).filter(i => i.rule === 'power');
+  expect(issues.map(i => i.message)).toEqual(['u1 (7408) pin 14 is not on +5V']);
+});
+
+test('the 7476 is checked on pins 5 and 13', () => {
+  const recipe = { ...RECIPES['jk_ff_7476'] };
+  // Power it like an ordinary 16-pin part
+  recipe.wires = [
+    ...recipe.wires.filter(w => !['VCC', 'GND'].includes(w.s) && !['VCC', 'GND'].includes(w.e)),
+    { s: 'VCC', e: { c: 0, p: 16 }, color: 'WIRE_RED' },
+    { s: 'GND', e: { c: 0, p: 8 }, color: 'WIRE_BLACK' }
+  ];
+  const power = checkCircuit(recipe).filter(i => i.rule === 'power');
+  expect(power.map(i => i.at[0].p)).toEqual([5, 13]);
+  expect(power[0].message).toContain('on this part VCC is pin 5 and GND pin 13');
+});
+
+test('reversed power is one error', () => {
+  const recipe = andGate();
+  recipe.wires = recipe.wires.map(w => (w.s === 'VCC' ? { ...w, s: 'GND' } : w.s === 'GND' ? { ...w, s: 'VCC' } : w));
+  expect(checkCircuit(recipe).filter(i => i.rule === 'power').map(i => i.message)).toEqual(['u1 (7408) is powered backwards']);
+});
+
+test('wires to pins, chips, switches or LEDs that do not exist', () => {
+  const issues = checkCircuit(andGate([
+    { s: 'SW_0', e: { c: 0, p: 15 }, color: 'WIRE_GREEN' },
+    { s: 'SW_5', e: { c: 3, p: 1 }, color: 'WIRE_GREEN' },
+    { s: { c: 0, p: 6 }, e: 'LED_2', color: 'WIRE_GREEN' }
+  ])).filter(i => i.rule === 'bad-pin');
+  expect(issues.map(i => i.message)).toEqual([
+    'Wire 6: u1 (7408) has no pin 15',
+    'Wire 7: there is no switch SW_5',
+    'Wire 7: there is no chip 3',
+    'Wire 8: there is no LED LED_2'
+  ]);
+});
+
+test('an LED with nothing driving it is a warning', () => {
+  const recipe = { ...andGate(), outputs: ['X', 'Y'] };
+  const issue = checkCircuit(recipe).find(i => i.rule === 'undriven-led');
+  expect(issue.message).toBe('LED Y has no output driving it');
+  expect(issue.at).toEqual(['LED_1']);
+  expect(ercSummary(checkCircuit(recipe))).toEqual({ errors: 0, warnings: 1 });
+});
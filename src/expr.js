@@ -0,0 +1,200 @@
+// --- LOGIC EXPRESSION LANGUAGE ---
+// Declarative description of a circuit's expected outputs, evaluated by a small
+// interpreter so nothing coming from a recipe, a saved file or the AI is ever run as
+// JavaScript. A program is one assignment per line (or separated by ';'):
+//
+//   Sum  = A ^ B ^ Cin
+//   Cout = A & B | Cin & (A ^ B)
+//   a = A0 + 2 * A1          # helper values are allowed
+//   "A>B" = a > b            # quote names that contain operator characters
+//
+// Operators, loosest to tightest binding (C precedence):
+//   ?:   |   ^   &   == !=   < > <= >=   << >>   + -   *   unary ! ~ - and postfix ' x[k]
+// `!`, `~` and a trailing `'` are logical NOT (result 0/1). `x[k]` is bit k of x.
+// Each output is 1 when its expression is non-zero.
+
+export class ExprError extends Error {
+  constructor(message, line, col) {
+    super(line ? `Line ${line}, col ${col}: ${message}` : message);
+    this.name = 'ExprError';
+    this.line = line;
+    this.col = col;
+  }
+}
+
+// --- TOKENIZER ---
+const OPERATORS = ['<<', '>>', '<=', '>=', '==', '!=', '=', '|', '^', '&', '<', '>', '+', '-', '*', '!', '~', "'", '?', ':', '(', ')', '[', ']'];
+
+export const tokenize = (src) => {
+  const tokens = [];
+  let i = 0, line = 1, col = 1, depth = 0;
+  const push = (type, value, len) => { tokens.push({ type, value, line, col }); i += len; col += len; };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\n') {
+      if (depth === 0) tokens.push({ type: 'sep', value: '\n', line, col });
+      i++; line++; col = 1;
+    } else if (ch === ';') {
+      push('sep', ';', 1);
+    } else if (ch === '#') {
+      while (i < src.length && src[i] !== '\n') { i++; col++; }
+    } else if (/\s/.test(ch)) {
+      i++; col++;
+    } else if (ch === '"') {
+      const end = src.indexOf('"', i + 1);
+      if (end < 0 || src.slice(i, end).includes('\n')) throw new ExprError('Unterminated quoted name', line, col);
+      push('name', src.slice(i + 1, end), end - i + 1);
+    } else if (/[A-Za-z0-9_]/.test(ch)) {
+      const word = src.slice(i).match(/^[A-Za-z0-9_]+/)[0];
+      if (/^\d+$/.test(word)) push('num', parseInt(word, 10), word.length);
+      else push('name', word, word.length);
+    } else {
+      const at = i;
+      const op = OPERATORS.find(o => src.startsWith(o, at));
+      if (!op) throw new ExprError(`Unexpected character '${ch}'`, line, col);
+      if (op === '(' || op === '[') depth++;
+      if ((op === ')' || op === ']') && depth > 0) depth--;
+      push('op', op, op.length);
+    }
+  }
+  tokens.push({ type: 'eof', value: null, line, col });
+  return tokens;
+};
+
+// --- PARSER ---
+// AST nodes: { type: 'num', value } | { type: 'ref', name } | { type: 'unary', op, arg }
+// | { type: 'binary', op, left, right } | { type: 'cond', test, then, else } | { type: 'bit', arg, index }
+const BINARY_LEVELS = [['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*']];
+
+export const parseLogic = (src) => {
+  const tokens = tokenize(String(src || ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (msg, tok = peek()) => { throw new ExprError(msg, tok.line, tok.col); };
+  const describe = (tok) => (tok.type === 'eof' ? 'end of input' : tok.type === 'sep' ? 'end of line' : `'${tok.value}'`);
+  const isOp = (op) => peek().type === 'op' && peek().value === op;
+  const expectOp = (op) => { if (!isOp(op)) fail(`Expected '${op}' but found ${describe(peek())}`); return tokens[pos++]; };
+
+  const primary = () => {
+    const tok = peek();
+    if (tok.type === 'num') { pos++; return { type: 'num', value: tok.value }; }
+    if (tok.type === 'name') { pos++; return { type: 'ref', name: tok.value, line: tok.line, col: tok.col }; }
+    if (isOp('(')) { pos++; const e = expression(); expectOp(')'); return e; }
+    return fail(`Expected a signal, number or '(' but found ${describe(tok)}`);
+  };
+
+  const postfix = () => {
+    let node = primary();
+    for (;;) {
+      if (isOp("'")) { pos++; node = { type: 'unary', op: '!', arg: node }; }
+      else if (isOp('[')) { pos++; const index = expression(); expectOp(']'); node = { type: 'bit', arg: node, index }; }
+      else return node;
+    }
+  };
+
+  const unary = () => {
+    if (isOp('!') || isOp('~')) { pos++; return { type: 'unary', op: '!', arg: unary() }; }
+    if (isOp('-')) { pos++; return { type: 'unary', op: '-', arg: unary() }; }
+    return postfix();
+  };
+
+  const binary = (level) => {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (peek().type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: binary(level + 1) };
+    }
+    return left;
+  };
+
+  const expression = () => {
+    const test = binary(0);
+    if (!isOp('?')) return test;
+    pos++;
+    const then = expression();
+    expectOp(':');
+    return { type: 'cond', test, then, else: expression() };
+  };
+
+  const statements = [];
+  while (peek().type !== 'eof') {
+    if (peek().type === 'sep') { pos++; continue; }
+    const target = peek();
+    if (target.type !== 'name') fail(`Expected an output name but found ${describe(target)}`);
+    pos++;
+    expectOp('=');
+    const expr = expression();
+    if (peek().type !== 'sep' && peek().type !== 'eof') fail(`Unexpected ${describe(peek())} after expression`);
+    statements.push({ name: target.value, expr, line: target.line, col: target.col });
+  }
+  return statements;
+};
+
+// --- EVALUATION ---
+const bool = (v) => (v ? 1 : 0);
+
+const BINARY_OPS = {
+  '|': (a, b) => a | b, '^': (a, b) => a ^ b, '&': (a, b) => a & b,
+  '==': (a, b) => bool(a === b), '!=': (a, b) => bool(a !== b),
+  '<': (a, b) => bool(a < b), '>': (a, b) => bool(a > b), '<=': (a, b) => bool(a <= b), '>=': (a, b) => bool(a >= b),
+  '<<': (a, b) => a << b, '>>': (a, b) => a >> b,
+  '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b
+};
+
+const evaluate = (node, env) => {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'ref': return env[node.name];
+    case 'unary': return node.op === '!' ? bool(!evaluate(node.arg, env)) : -evaluate(node.arg, env);
+    case 'bit': return (evaluate(node.arg, env) >> evaluate(node.index, env)) & 1;
+    case 'cond': return evaluate(node.test, env) ? evaluate(node.then, env) : evaluate(node.else, env);
+    default: return BINARY_OPS[node.op](evaluate(node.left, env), evaluate(node.right, env));
+  }
+};
+
+const checkRefs = (node, known) => {
+  if (node.type === 'ref' && !known.has(node.name)) throw new ExprError(`Unknown signal '${node.name}'`, node.line, node.col);
+  ['arg', 'index', 'left', 'right', 'test', 'then', 'else'].forEach(k => { if (node[k]) checkRefs(node[k], known); });
+};
+
+// Compile a program against a recipe's input and output labels. Returns
+// (inputs: number[]) => outputs: (0|1)[] or throws an ExprError.
+export const compileLogic = (src, inputs, outputs) => {
+  const statements = parseLogic(src);
+  const known = new Set(inputs);
+  const assigned = new Set();
+  statements.forEach(st => {
+    if (inputs.includes(st.name)) throw new ExprError(`Cannot assign to input '${st.name}'`, st.line, st.col);
+    if (assigned.has(st.name)) throw new ExprError(`'${st.name}' is assigned twice`, st.line, st.col);
+    checkRefs(st.expr, known);
+    assigned.add(st.name);
+    known.add(st.name);
+  });
+  const missing = outputs.filter(o => !assigned.has(o));
+  if (missing.length) throw new ExprError(`No expression for output${missing.length > 1 ? 's' : ''} ${missing.map(o => `'${o}'`).join(', ')}`);
+
+  return (values) => {
+    const env = {};
+    inputs.forEach((name, k) => { env[name] = values[k] ? 1 : 0; });
+    statements.forEach(st => { env[st.name] = evaluate(st.expr, env); });
+    return outputs.map(o => bool(env[o]));
+  };
+};
+
+// Quote labels that are not plain identifiers
+export const formatName = (name) => (/^[A-Za-z0-9_]+$/.test(name) && !/^\d+$/.test(name) ? name : `"${name}"`);
+
+// --- RECIPE INTEGRATION ---
+// `recipe.logic` is an expression string. Compiled programs are cached per recipe.
+const compiled = new WeakMap();
+
+export const recipeLogic = (recipe) => {
+  if (typeof recipe.logic !== 'string' || !recipe.logic.trim()) return { fn: null, error: null };
+  if (!compiled.has(recipe)) {
+    try { compiled.set(recipe, { fn: compileLogic(recipe.logic, recipe.inputs, recipe.outputs), error: null }); }
+    catch (e) { compiled.set(recipe, { fn: null, error: e.message }); }
+  }
+  return compiled.get(recipe);
+};
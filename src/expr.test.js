@@ -0,0 +1,55 @@
+import { tokenize, parseLogic, compileLogic, recipeLogic, formatName, ExprError } from './expr';
+
+test('tokenizer joins lines inside brackets and skips comments', () => {
+  const types = tokenize('Y = (A &\n B) # and\nZ = "A>B"').map(t => t.type);
+  expect(types).toEqual(['name', 'op', 'op', 'name', 'op', 'name', 'op', 'sep', 'name', 'op', 'name', 'eof']);
+});
+
+test('operators follow C precedence', () => {
+  const fn = compileLogic('Y = A | B & C; Z = A & B == C', ['A', 'B', 'C'], ['Y', 'Z']);
+  expect(fn([1, 0, 0])).toEqual([1, 1]);
+  expect(fn([0, 0, 0])).toEqual([0, 0]);
+  expect(fn([0, 1, 1])).toEqual([1, 0]);
+});
+
+test('not, ternary, arithmetic and bit select', () => {
+  const fn = compileLogic(`
+    n = 2 * A1 + A0
+    Q0 = (n + 1)[0]; Q1 = (n + 1)[1]
+    NA = A0'
+    Z = !A1 ? ~A0 : n == 3
+  `, ['A1', 'A0'], ['Q1', 'Q0', 'NA', 'Z']);
+  expect(fn([0, 0])).toEqual([0, 1, 1, 1]);
+  expect(fn([0, 1])).toEqual([1, 0, 0, 0]);
+  expect(fn([1, 0])).toEqual([1, 1, 1, 0]);
+  expect(fn([1, 1])).toEqual([0, 0, 0, 1]);
+});
+
+test('quoted names hold operator characters', () => {
+  const fn = compileLogic('"A>B" = A & !B', ['A', 'B'], ['A>B']);
+  expect(fn([1, 0])).toEqual([1]);
+  expect(formatName('A>B')).toBe('"A>B"');
+  expect(formatName('Cout')).toBe('Cout');
+});
+
+test('errors carry line and column', () => {
+  expect(() => parseLogic('Y = A &\nZ = B')).toThrow(/Line 1, col 8: Expected a signal/);
+  expect(() => parseLogic('Y = A $ B')).toThrow(ExprError);
+  expect(() => compileLogic('Y = A & C', ['A', 'B'], ['Y'])).toThrow("Line 1, col 9: Unknown signal 'C'");
+  expect(() => compileLogic('A = B', ['A', 'B'], [])).toThrow(/Cannot assign to input 'A'/);
+  expect(() => compileLogic('Y = A; Y = B', ['A', 'B'], ['Y'])).toThrow(/assigned twice/);
+  expect(() => compileLogic('Y = A', ['A'], ['Y', 'Z'])).toThrow("No expression for output 'Z'");
+});
+
+test('nothing in the source is run as JavaScript', () => {
+  expect(() => compileLogic('Y = (() => 1)()', ['A'], ['Y'])).toThrow(ExprError);
+  expect(() => compileLogic('Y = constructor', ['A'], ['Y'])).toThrow(/Unknown signal/);
+});
+
+test('recipe logic compiles once and reports errors instead of throwing', () => {
+  const recipe = { inputs: ['A'], outputs: ['Y'], logic: 'Y = A &' };
+  expect(recipeLogic(recipe)).toEqual({ fn: null, error: expect.stringMatching(/^Line 1/) });
+  const ok = { inputs: ['A'], outputs: ['Y'], logic: 'Y = !A' };
+  expect(recipeLogic(ok)).toBe(recipeLogic(ok));
+  expect(recipeLogic(ok).fn([0])).toEqual([1]);
+});
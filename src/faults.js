@@ -0,0 +1,165 @@
+import { getChip, pinRole } from './chips';
+import { simulate, createSimState, endpointKey } from './simulator';
+import { inputRows } from './verifier';
+import { sameEndpoint } from './editor';
+import { readDisplays } from './devices';
+
+// --- FAULT INJECTION ---
+// A fault is plain data describing one thing wrong with the built board:
+//   { type: 'stuck', c, p, level }       pin shorted to a rail inside the chip
+//   { type: 'missing', w }               wire never plugged in
+//   { type: 'misplaced', w, end, to }    one end of a wire in the neighbouring pin
+//   { type: 'dead', c }                  chip that drives nothing
+//   { type: 'power', c }                 chip's VCC and GND wires swapped
+// applyFault() returns the board as actually built; the displayed recipe stays the
+// intended one, so the student has to find the difference with the logic probe.
+
+export const FAULT_TYPES = {
+  stuck: 'Pin stuck at 0/1',
+  missing: 'Missing wire',
+  misplaced: 'Misplaced wire',
+  dead: 'Dead chip',
+  power: 'Swapped power pins'
+};
+
+const MAX_BEHAVIOUR_INPUTS = 8;
+
+const swapRail = (ep) => (ep === 'VCC' ? 'GND' : ep === 'GND' ? 'VCC' : ep);
+
+export const applyFault = (recipe, fault) => {
+  if (!fault) return recipe;
+  switch (fault.type) {
+    case 'stuck':
+      return { ...recipe, stuck: [{ c: fault.c, p: fault.p, level: fault.level }] };
+    case 'missing':
+      return { ...recipe, wires: recipe.wires.filter((_, i) => i !== fault.w) };
+    case 'misplaced':
+      return { ...recipe, wires: recipe.wires.map((w, i) => (i === fault.w ? { ...w, [fault.end]: fault.to } : w)) };
+    case 'dead':
+      return { ...recipe, chips: recipe.chips.map((chip, c) => (c === fault.c ? { ...chip, dead: true } : chip)) };
+    case 'power': {
+      const model = getChip(recipe.chips[fault.c].type);
+      const isPower = (ep) => typeof ep === 'object' && ep.c === fault.c && (ep.p === model.vcc || ep.p === model.gnd);
+      return {
+        ...recipe,
+        wires: recipe.wires.map(w => (isPower(w.s) || isPower(w.e) ? { ...w, s: swapRail(w.s), e: swapRail(w.e) } : w))
+      };
+    }
+    default:
+      return recipe;
+  }
+};
+
+// --- CANDIDATES ---
+const isSignalPin = (recipe, ep) => {
+  if (typeof ep !== 'object' || !recipe.chips[ep.c]) return false;
+  const role = pinRole(recipe.chips[ep.c].type, ep.p);
+  return role === 'in' || role === 'out';
+};
+
+// Every fault that could be injected, before checking whether it shows
+export const possibleFaults = (recipe) => {
+  const wiredPins = [];
+  recipe.wires.forEach(w => [w.s, w.e].forEach(ep => {
+    if (isSignalPin(recipe, ep) && !wiredPins.some(q => sameEndpoint(q, ep))) wiredPins.push(ep);
+  }));
+  return [
+    ...wiredPins.flatMap(({ c, p }) => [0, 1].map(level => ({ type: 'stuck', c, p, level }))),
+    ...recipe.wires.map((_, w) => ({ type: 'missing', w })),
+    ...recipe.wires.flatMap((wire, w) => ['s', 'e'].flatMap(end => {
+      const ep = wire[end];
+      if (!isSignalPin(recipe, ep)) return [];
+      return [ep.p - 1, ep.p + 1]
+        .map(p => ({ c: ep.c, p }))
+        .filter(to => isSignalPin(recipe, to))
+        .map(to => ({ type: 'misplaced', w, end, to }));
+    })),
+    ...recipe.chips.flatMap((chip, c) => (getChip(chip.type) ? [{ type: 'dead', c }, { type: 'power', c }] : []))
+  ];
+};
+
+// What the board shows, LEDs and displays, over the recipe's sequence (working its
+// devices as the verifier does) or over every input row for combinational circuits;
+// null when there are too many inputs to try them all
+const shown = (recipe, result) => ({ outputs: result.outputs, displays: readDisplays(recipe, result.levelOf) });
+
+export const behaviour = (recipe) => {
+  if (Array.isArray(recipe.sequence) && recipe.sequence.length) {
+    const state = createSimState();
+    return recipe.sequence.map(step => shown(recipe, simulate(recipe, step.inputs, state, step.controls)));
+  }
+  const n = recipe.inputs.length;
+  if (n > MAX_BEHAVIOUR_INPUTS) return null;
+  return inputRows(n).map(inputs => shown(recipe, simulate(recipe, inputs)));
+};
+
+// A fault only makes an exercise if some input shows it on an LED or a display
+export const isObservable = (recipe, fault, reference = behaviour(recipe)) => {
+  if (!reference) return false;
+  const faulty = behaviour(applyFault(recipe, fault));
+  return JSON.stringify(faulty) !== JSON.stringify(reference);
+};
+
+// Pick an observable fault at random, trying candidates in shuffled order
+export const injectFault = (recipe, random = Math.random) => {
+  const reference = behaviour(recipe);
+  if (!reference) return null;
+  const candidates = possibleFaults(recipe);
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+  return candidates.find(f => isObservable(recipe, f, reference)) || null;
+};
+
+// --- DIAGNOSIS ---
+// A guess is { type, at } where `at` is the endpoint the student marked. The type is
+// worth 40 points and the location 60: the exact pin or wire end, or for chip-wide
+// faults any pin of the chip. A stuck fault marked on the right chip but wrong pin
+// earns half the location points.
+export const SCORE_TYPE = 40;
+export const SCORE_LOCATION = 60;
+
+const onChip = (ep, c) => typeof ep === 'object' && ep !== null && ep.c === c;
+
+export const locationScore = (recipe, fault, at) => {
+  if (!at) return 0;
+  switch (fault.type) {
+    case 'stuck':
+      if (sameEndpoint(at, { c: fault.c, p: fault.p })) return SCORE_LOCATION;
+      return onChip(at, fault.c) ? SCORE_LOCATION / 2 : 0;
+    case 'missing':
+    case 'misplaced': {
+      const wire = recipe.wires[fault.w];
+      const ends = [wire.s, wire.e, fault.to].filter(Boolean);
+      return ends.some(ep => endpointKey(ep) === endpointKey(at)) ? SCORE_LOCATION : 0;
+    }
+    default:
+      return onChip(at, fault.c) ? SCORE_LOCATION : 0;
+  }
+};
+
+export const scoreDiagnosis = (recipe, fault, guess) => {
+  const type = guess.type === fault.type ? SCORE_TYPE : 0;
+  const location = locationScore(recipe, fault, guess.at);
+  return { type, location, total: type + location };
+};
+
+// Plain-language reveal, using the describer from the build guide
+export const describeFault = (recipe, fault, describe) => {
+  const chip = recipe.chips[fault.c];
+  switch (fault.type) {
+    case 'stuck': return `${describe({ c: fault.c, p: fault.p }, recipe)} was stuck at ${fault.level}.`;
+    case 'missing': {
+      const w = recipe.wires[fault.w];
+      return `The wire ${describe(w.e, recipe)} ← ${describe(w.s, recipe)} was never plugged in.`;
+    }
+    case 'misplaced': {
+      const w = recipe.wires[fault.w];
+      return `The wire meant for ${describe(w[fault.end], recipe)} went into ${describe(fault.to, recipe)} instead.`;
+    }
+    case 'dead': return `${chip.id} (${chip.type}) was dead: its outputs never drove anything.`;
+    case 'power': return `${chip.id} (${chip.type}) had its VCC and GND wires swapped.`;
+    default: return 'Unknown fault.';
+  }
+};
@@ -0,0 +1,77 @@
+import { RECIPES } from './recipes';
+import { simulate } from './simulator';
+import { describeEndpoint } from './buildGuide';
+import { applyFault, possibleFaults, isObservable, injectFault, scoreDiagnosis, describeFault, behaviour, SCORE_TYPE, SCORE_LOCATION } from './faults';
+
+const seeded = (seed) => () => { seed = (seed * 16807) % 2147483647; return (seed - 1) / 2147483646; };
+
+test('each kind of fault changes what the board does', () => {
+  const recipe = RECIPES['basic_gates'];
+  expect(simulate(recipe, [1, 1]).outputs).toEqual([1, 1]);
+  expect(simulate(applyFault(recipe, { type: 'stuck', c: 0, p: 3, level: 0 }), [1, 1]).outputs).toEqual([0, 1]);
+  expect(simulate(applyFault(recipe, { type: 'dead', c: 1 }), [1, 1]).outputs).toEqual([1, 0]);
+  expect(simulate(applyFault(recipe, { type: 'power', c: 0 }), [1, 1]).outputs).toEqual([0, 1]);
+
+  const andOut = recipe.wires.findIndex(w => w.e === 'LED_0');
+  expect(simulate(applyFault(recipe, { type: 'missing', w: andOut }), [1, 1]).outputs).toEqual([0, 1]);
+  // A's wire moved from 1A to 1B shorts switches A and B together, and LOW wins
+  const inA = recipe.wires.findIndex(w => w.s === 'SW_0' && w.e.c === 0);
+  const moved = applyFault(recipe, { type: 'misplaced', w: inA, end: 'e', to: { c: 0, p: 2 } });
+  expect(simulate(moved, [0, 1]).outputs).toEqual([0, 0]);
+  expect(simulate(moved, [1, 1]).outputs).toEqual([1, 1]);
+});
+
+test('the intended recipe is left untouched', () => {
+  const recipe = RECIPES['half_adder'];
+  const before = JSON.stringify(recipe);
+  possibleFaults(recipe).forEach(f => applyFault(recipe, f));
+  expect(JSON.stringify(recipe)).toBe(before);
+});
+
+test('only faults that show on an LED are injected', () => {
+  const recipe = RECIPES['full_adder'];
+  const reference = behaviour(recipe);
+  const candidates = possibleFaults(recipe);
+  expect(candidates.some(f => !isObservable(recipe, f, reference))).toBe(true);
+  const random = seeded(7);
+  for (let k = 0; k < 10; k++) {
+    const fault = injectFault(recipe, random);
+    expect(isObservable(recipe, fault, reference)).toBe(true);
+  }
+});
+
+test('sequential circuits are judged on their sequence', () => {
+  const recipe = RECIPES['counter_mod4'];
+  const fault = injectFault(recipe, seeded(3));
+  expect(fault).not.toBe(null);
+  expect(JSON.stringify(behaviour(applyFault(recipe, fault)))).not.toBe(JSON.stringify(behaviour(recipe)));
+});
+
+test('device recipes are judged on their displays, with their controls worked', () => {
+  ['keypad_7seg', 'clock_counter_7448', 'button_counter_74161'].forEach(key => {
+    const recipe = RECIPES[key];
+    const reference = behaviour(recipe);
+    expect(reference.some(step => Object.values(step.displays).some(lit => lit.length))).toBe(true);
+    const fault = injectFault(recipe, seeded(5));
+    expect(fault).not.toBe(null);
+    expect(JSON.stringify(behaviour(applyFault(recipe, fault)))).not.toBe(JSON.stringify(reference));
+  });
+});
+
+test('diagnoses are scored on kind and location', () => {
+  const recipe = RECIPES['basic_gates'];
+  const stuck = { type: 'stuck', c: 0, p: 3, level: 0 };
+  expect(scoreDiagnosis(recipe, stuck, { type: 'stuck', at: { c: 0, p: 3 } }).total).toBe(SCORE_TYPE + SCORE_LOCATION);
+  expect(scoreDiagnosis(recipe, stuck, { type: 'stuck', at: { c: 0, p: 6 } }).location).toBe(SCORE_LOCATION / 2);
+  expect(scoreDiagnosis(recipe, stuck, { type: 'dead', at: 'LED_0' }).total).toBe(0);
+
+  const w = recipe.wires.findIndex(x => x.e === 'LED_0');
+  expect(scoreDiagnosis(recipe, { type: 'missing', w }, { type: 'missing', at: 'LED_0' }).total).toBe(SCORE_TYPE + SCORE_LOCATION);
+  expect(scoreDiagnosis(recipe, { type: 'dead', c: 1 }, { type: 'power', at: { c: 1, p: 9 } })).toEqual({ type: 0, location: SCORE_LOCATION, total: SCORE_LOCATION });
+});
+
+test('faults are revealed in words', () => {
+  const recipe = RECIPES['basic_gates'];
+  expect(describeFault(recipe, { type: 'stuck', c: 0, p: 3, level: 1 }, describeEndpoint)).toBe('7408 pin 3 (1Y) was stuck at 1.');
+  expect(describeFault(recipe, { type: 'power', c: 1 }, describeEndpoint)).toBe('u2 (7432) had its VCC and GND wires swapped.');
+});
@@ -0,0 +1,136 @@
+import { powerWires } from './recipes';
+import { flattenCircuit, layoutChips } from './subcircuits';
+import { bomFor, chipWidth } from './editor';
+
+// --- PARAMETRIC RECIPE GENERATORS ---
+// Recipes built for a chosen bit width, chips placed and wired in full. Each generator
+// is { title, category, min, max, bits (default), build(n) }; generateRecipe() checks
+// the width and records it on the recipe as `generator`. Words are listed MSB first, as
+// in the hand-written recipes: inputs A3 A2 A1 A0 B3 ...
+
+// 'A3', 'A2', 'A1', 'A0' for n = 4
+const bitNames = (prefix, n) => Array.from({ length: n }, (_, k) => `${prefix}${n - 1 - k}`);
+
+// '8 * A3 + 4 * A2 + 2 * A1 + A0' for the expression language
+const wordExpr = (prefix, n) => bitNames(prefix, n).map((name, k) => {
+  const weight = 2 ** (n - 1 - k);
+  return weight === 1 ? name : `${weight} * ${name}`;
+}).join(' + ');
+
+// Chips of the given types laid out by layoutChips from column `start`, with ids u1,
+// u2, ... Starting near the switch panel, as the hand-written recipes do, keeps the
+// switch wires short and clear of each other.
+const placeChips = (types, start) => {
+  const { xs, boards } = layoutChips(types.map(chipWidth), 4, start);
+  return { chips: types.map((type, k) => ({ id: `u${k + 1}`, type, x: xs[k] })), boards };
+};
+
+// --- RIPPLE-CARRY ADDER ---
+// n full_adder recipes as blocks, each carry out feeding the next carry in
+const rippleAdder = (n) => {
+  const wires = [{ s: 'GND', e: { b: 0, port: 'Cin' }, color: 'WIRE_BLACK' }];
+  for (let k = 0; k < n; k++) {
+    wires.push(
+      { s: `SW_${n - 1 - k}`, e: { b: k, port: 'A' }, color: 'WIRE_BLUE' },
+      { s: `SW_${2 * n - 1 - k}`, e: { b: k, port: 'B' }, color: 'WIRE_ORANGE' },
+      { s: { b: k, port: 'Sum' }, e: `LED_${n - k}`, color: 'WIRE_GREEN' }
+    );
+    if (k) wires.push({ s: { b: k - 1, port: 'Cout' }, e: { b: k, port: 'Cin' }, color: 'WIRE_PURPLE' });
+  }
+  wires.push({ s: { b: n - 1, port: 'Cout' }, e: 'LED_0', color: 'WIRE_RED' });
+  return flattenCircuit({
+    title: `${n}-bit Ripple-Carry Adder`,
+    category: 'Arithmetic',
+    desc: `Adds two ${n}-bit words with ${n} full adders in a chain.`,
+    explanation: `Each bit is the Full Adder recipe used as a block: its A, B and Cin switches and its Sum and Cout LEDs become ports. \n\nThe carry out of each stage is the carry in of the next, so a carry can ripple from bit 0 all the way to Cout. The first carry in is tied to GND. Open the block view to see the stages, or the breadboard to see all ${3 * n} chips.`,
+    blocks: Array.from({ length: n }, (_, k) => ({ id: `fa${k}`, type: 'full_adder' })),
+    chips: [],
+    inputs: [...bitNames('A', n), ...bitNames('B', n)],
+    outputs: ['Cout', ...bitNames('S', n)],
+    wires,
+    logic: [`s = ${wordExpr('A', n)} + ${wordExpr('B', n)}`, `Cout = s[${n}]`, ...bitNames('S', n).map((name, k) => `${name} = s[${n - 1 - k}]`)].join('; ')
+  });
+};
+
+// --- BINARY TO GRAY ---
+// G(n-1) = B(n-1), G(k) = B(k+1) ^ B(k): n-1 XOR gates, four to a 7486
+const XOR_GATES = [[1, 2, 3], [4, 5, 6], [9, 10, 8], [12, 13, 11]];
+
+const binaryGray = (n) => {
+  const { chips, boards } = placeChips(Array.from({ length: Math.ceil((n - 1) / 4) }, () => '7486'), 20);
+  const wires = [...chips.flatMap((_, c) => powerWires(c)), { s: 'SW_0', e: 'LED_0', color: 'WIRE_BLUE' }];
+  for (let g = 0; g < n - 1; g++) {
+    const c = Math.floor(g / 4);
+    const [a, b, y] = XOR_GATES[g % 4];
+    wires.push(
+      { s: `SW_${g}`, e: { c, p: a }, color: 'WIRE_BLUE' }, { s: `SW_${g + 1}`, e: { c, p: b }, color: 'WIRE_ORANGE' },
+      { s: { c, p: y }, e: `LED_${g + 1}`, color: 'WIRE_GREEN' }
+    );
+  }
+  const b = bitNames('B', n), gray = bitNames('G', n);
+  return {
+    title: `${n}-bit Binary to Gray Code`,
+    category: 'Code Converters',
+    desc: `${n}-bit Binary to Gray using XOR (7486).`,
+    explanation: 'Converts Binary to Gray code. \n\nThe MSB stays the same; every other Gray bit is the XOR of its binary bit and the one above it, so counting up changes one Gray bit at a time.',
+    bom: bomFor(chips),
+    chips, boards,
+    inputs: b, outputs: gray,
+    wires,
+    logic: gray.map((name, k) => `${name} = ${k ? `${b[k - 1]} ^ ${b[k]}` : b[0]}`).join('; ')
+  };
+};
+
+// --- MAGNITUDE COMPARATOR ---
+// One 7485 compares up to four bits; the bits above n and the cascade inputs are tied so
+// equal words read A=B
+const A_PINS = [10, 12, 13, 15]; // A0..A3
+const B_PINS = [9, 11, 14, 1]; // B0..B3
+
+const comparator = (n) => {
+  const { chips, boards } = placeChips(['7485'], 28);
+  const wires = [
+    ...powerWires(0, '7485'),
+    { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // A=B in
+    { s: 'GND', e: {c:0, p:2}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' }
+  ];
+  for (let k = 0; k < 4; k++) {
+    const a = k < n ? `SW_${n - 1 - k}` : 'GND', b = k < n ? `SW_${2 * n - 1 - k}` : 'GND';
+    wires.push(
+      { s: a, e: {c:0, p:A_PINS[k]}, color: k < n ? 'WIRE_BLUE' : 'WIRE_BLACK' },
+      { s: b, e: {c:0, p:B_PINS[k]}, color: k < n ? 'WIRE_ORANGE' : 'WIRE_BLACK' }
+    );
+  }
+  wires.push(
+    { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' },
+    { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_YELLOW' },
+    { s: {c:0, p:7}, e: 'LED_2', color: 'WIRE_RED' }
+  );
+  return {
+    title: `${n}-bit Magnitude Comparator`,
+    category: 'Comparators',
+    desc: `Compares two ${n}-bit words with a 7485.`,
+    explanation: `Compares two binary numbers A and B. \n\nThe 7485 compares four bits from the top down. ${n < 4 ? 'Its unused upper bits are tied Low on both sides, so they always match. ' : ''}Its A=B cascade input is tied High, so equal words light A=B.`,
+    bom: bomFor(chips),
+    chips, boards,
+    inputs: [...bitNames('A', n), ...bitNames('B', n)],
+    outputs: ['A>B', 'A=B', 'A<B'],
+    wires,
+    logic: `a = ${wordExpr('A', n)}; b = ${wordExpr('B', n)}; "A>B" = a > b; "A=B" = a == b; "A<B" = a < b`
+  };
+};
+
+// Widths are capped by the eight switches on the board
+export const GENERATORS = {
+  ripple_adder: { title: 'Ripple-Carry Adder', category: 'Arithmetic', min: 1, max: 4, bits: 4, build: rippleAdder },
+  binary_gray: { title: 'Binary to Gray Code', category: 'Code Converters', min: 2, max: 8, bits: 8, build: binaryGray },
+  comparator: { title: 'Magnitude Comparator', category: 'Comparators', min: 1, max: 4, bits: 3, build: comparator }
+};
+
+export const generateRecipe = (key, bits) => {
+  const gen = GENERATORS[key];
+  if (!gen) throw new Error(`Unknown generator '${key}'`);
+  const n = Number(bits);
+  if (!Number.isInteger(n) || n < gen.min || n > gen.max) throw new Error(`${gen.title}: ${gen.min} to ${gen.max} bits`);
+  return { ...gen.build(n), generator: { key, bits: n } };
+};
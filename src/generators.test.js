@@ -0,0 +1,62 @@
+import { GENERATORS, generateRecipe } from './generators';
+import { simulate } from './simulator';
+import { verifyRecipe } from './verifier';
+import { checkCircuit } from './erc';
+import { routeWires, overlaps } from './router';
+import { validateCircuit } from './schema';
+import { editableCopy } from './editor';
+
+const everyWidth = () => Object.entries(GENERATORS).flatMap(([key, gen]) => (
+  Array.from({ length: gen.max - gen.min + 1 }, (_, k) => [key, gen.min + k])
+));
+
+test('every generated width verifies, passes the rule check and routes cleanly', () => {
+  everyWidth().forEach(([key, bits]) => {
+    const recipe = generateRecipe(key, bits);
+    const result = verifyRecipe(recipe);
+    expect({ key, bits, mode: result.mode, ok: result.ok }).toEqual({ key, bits, mode: 'exhaustive', ok: true });
+    expect(checkCircuit(recipe)).toEqual([]);
+    const routes = routeWires(recipe);
+    expect(routes.every(r => r.routed)).toBe(true);
+    expect(overlaps(routes)).toEqual([]);
+    expect(validateCircuit(recipe).issues).toEqual([]);
+  });
+});
+
+test('a generated recipe records its generator and width', () => {
+  const recipe = generateRecipe('binary_gray', 6);
+  expect(recipe.generator).toEqual({ key: 'binary_gray', bits: 6 });
+  expect(recipe.inputs).toEqual(['B5', 'B4', 'B3', 'B2', 'B1', 'B0']);
+  expect(recipe.outputs).toEqual(['G5', 'G4', 'G3', 'G2', 'G1', 'G0']);
+  expect(recipe.chips.map(c => c.type)).toEqual(['7486', '7486']);
+  expect(recipe.bom).toEqual(['2x 7486 (Quad 2-input XOR)']);
+});
+
+test('the ripple adder is built from full_adder blocks and adds', () => {
+  const recipe = generateRecipe('ripple_adder', 3);
+  expect(recipe.structure.blocks.map(b => b.type)).toEqual(['full_adder', 'full_adder', 'full_adder']);
+  expect(recipe.chips).toHaveLength(9);
+  expect(recipe.boards).toBe(2);
+  // 6 + 3 = 9: Cout S2 S1 S0 = 1 0 0 1
+  expect(simulate(recipe, [1, 1, 0, 0, 1, 1]).outputs).toEqual([1, 0, 0, 1]);
+});
+
+test('the comparator ties unused bits Low', () => {
+  const recipe = generateRecipe('comparator', 2);
+  expect(recipe.wires.filter(w => w.s === 'GND' && w.e.c === 0 && [13, 15, 1, 14].includes(w.e.p))).toHaveLength(4);
+  expect(simulate(recipe, [1, 0, 0, 1]).outputs).toEqual([1, 0, 0]);
+  expect(simulate(recipe, [1, 0, 1, 0]).outputs).toEqual([0, 1, 0]);
+});
+
+test('widths outside a generator’s range and unknown generators are refused', () => {
+  expect(() => generateRecipe('ripple_adder', 5)).toThrow('Ripple-Carry Adder: 1 to 4 bits');
+  expect(() => generateRecipe('binary_gray', 1)).toThrow('2 to 8 bits');
+  expect(() => generateRecipe('comparator', 2.5)).toThrow('1 to 4 bits');
+  expect(() => generateRecipe('multiplier', 4)).toThrow("Unknown generator 'multiplier'");
+});
+
+test('editing a generated recipe drops its block structure', () => {
+  const copy = editableCopy(generateRecipe('ripple_adder', 2));
+  expect(copy.structure).toBeUndefined();
+  expect(copy.chips).toHaveLength(6);
+});
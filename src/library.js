@@ -0,0 +1,134 @@
+import { validateCircuit, describeIssues } from './schema';
+import { structureFits } from './subcircuits';
+
+// --- PERSONAL CIRCUIT LIBRARY ---
+// Saved circuits live in localStorage as entries { id, name, tags, savedAt, updatedAt,
+// circuit }, where `circuit` is the serialised recipe below. The same serialised form is
+// used for the JSON files users import and export. Whatever is read back goes through
+// validateCircuit like an AI reply: repairs are applied, errors reject the circuit.
+
+export const STORAGE_KEY = 'circuitgen.library';
+export const FORMAT = 'circuitgen';
+export const FORMAT_VERSION = 1;
+
+const CIRCUIT_FIELDS = ['title', 'desc', 'explanation', 'bom', 'chips', 'wires', 'inputs', 'outputs', 'devices', 'boards'];
+
+// --- LOGIC AS DATA ---
+// Logic is stored as its expression source (expr.js); anything else is left out.
+export const logicToData = (recipe) => (typeof recipe.logic === 'string' ? { type: 'expr', source: recipe.logic } : null);
+
+export const logicFromData = (data) => (data && data.type === 'expr' && typeof data.source === 'string' ? data.source : undefined);
+
+export const serializeCircuit = (recipe) => {
+  const out = {};
+  CIRCUIT_FIELDS.forEach(k => { if (recipe[k] !== undefined) out[k] = JSON.parse(JSON.stringify(recipe[k])); });
+  const logic = logicToData(recipe);
+  if (logic) out.logic = logic;
+  if (Array.isArray(recipe.sequence)) out.sequence = JSON.parse(JSON.stringify(recipe.sequence));
+  // The block view of a recipe built from subcircuits (subcircuits.js)
+  if (recipe.structure) out.structure = JSON.parse(JSON.stringify(recipe.structure));
+  return out;
+};
+
+// { recipe, issues }: the validated recipe and what validation repaired or warned about.
+// Throws when the circuit still has errors.
+export const readCircuit = (data) => {
+  if (!data || !Array.isArray(data.chips) || !Array.isArray(data.wires) || !Array.isArray(data.inputs) || !Array.isArray(data.outputs)) {
+    throw new Error('Circuit is missing chips, wires, inputs or outputs.');
+  }
+  const { circuit, issues, ok } = validateCircuit({ title: 'Untitled Circuit', ...data, logic: logicFromData(data.logic) });
+  if (!ok) throw new Error(`Circuit has errors:\n${describeIssues(issues.filter(i => i.severity === 'error'))}`);
+  const recipe = { ...circuit };
+  if (data.structure !== undefined) {
+    if (structureFits(data.structure, recipe)) recipe.structure = JSON.parse(JSON.stringify(data.structure));
+    else issues.push({ severity: 'warning', path: 'structure', message: 'Block view does not match the circuit; ignored' });
+  }
+  return { recipe, issues };
+};
+
+export const deserializeCircuit = (data) => readCircuit(data).recipe;
+
+// --- STORAGE ---
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+export const loadLibrary = (storage = defaultStorage()) => {
+  try {
+    const data = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    return data && data.version === FORMAT_VERSION && Array.isArray(data.entries) ? data.entries : [];
+  } catch { return []; }
+};
+
+export const saveLibrary = (entries, storage = defaultStorage()) => {
+  try { storage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, entries })); } catch (e) { console.error(e); }
+  return entries;
+};
+
+// --- ENTRY OPERATIONS ---
+// Pure: each returns a new entries array.
+const newId = () => `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+export const normalizeTags = (tags) => [...new Set((Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map(t => t.trim().toLowerCase()).filter(Boolean))];
+
+export const addEntry = (entries, recipe, { name, tags = [] } = {}) => {
+  const now = Date.now();
+  const entry = { id: newId(), name: name || recipe.title || 'Untitled Circuit', tags: normalizeTags(tags), savedAt: now, updatedAt: now, circuit: serializeCircuit(recipe) };
+  return [...entries, entry];
+};
+
+const updateEntry = (entries, id, fn) => entries.map(e => (e.id === id ? { ...fn(e), updatedAt: Date.now() } : e));
+
+export const updateCircuit = (entries, id, recipe) => updateEntry(entries, id, e => ({ ...e, circuit: serializeCircuit(recipe) }));
+export const renameEntry = (entries, id, name) => updateEntry(entries, id, e => ({ ...e, name: name.trim() || e.name, circuit: { ...e.circuit, title: name.trim() || e.circuit.title } }));
+export const setTags = (entries, id, tags) => updateEntry(entries, id, e => ({ ...e, tags: normalizeTags(tags) }));
+export const deleteEntry = (entries, id) => entries.filter(e => e.id !== id);
+
+export const duplicateEntry = (entries, id) => {
+  const src = entries.find(e => e.id === id);
+  if (!src) return entries;
+  const now = Date.now();
+  return [...entries, { ...JSON.parse(JSON.stringify(src)), id: newId(), name: `${src.name} (copy)`, savedAt: now, updatedAt: now }];
+};
+
+// Recipe for an entry, tagged with its library id so later saves update it in place
+export const entryRecipe = (entry) => ({ ...deserializeCircuit(entry.circuit), title: entry.name, libraryId: entry.id });
+
+export const searchEntries = (entries, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return entries;
+  return entries.filter(e => e.name.toLowerCase().includes(q) || e.tags.some(t => t.includes(q)) || (e.circuit.desc || '').toLowerCase().includes(q));
+};
+
+// --- FILES ---
+// { format, version, kind: 'circuit' | 'library', ... } JSON documents.
+export const exportCircuitFile = (entry) => JSON.stringify({
+  format: FORMAT, version: FORMAT_VERSION, kind: 'circuit',
+  name: entry.name, tags: entry.tags, circuit: entry.circuit
+}, null, 2);
+
+export const exportLibraryFile = (entries) => JSON.stringify({
+  format: FORMAT, version: FORMAT_VERSION, kind: 'library',
+  circuits: entries.map(e => ({ name: e.name, tags: e.tags, circuit: e.circuit }))
+}, null, 2);
+
+// Parse an imported file into [{ name, tags, circuit, issues }], `issues` being what
+// validation repaired or warned about. Throws with a readable message.
+export const parseImportFile = (text) => {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('File is not valid JSON.'); }
+  if (!data || data.format !== FORMAT) throw new Error('Not a CircuitGen circuit file.');
+  if (typeof data.version !== 'number' || data.version > FORMAT_VERSION) {
+    throw new Error(`Unsupported file version ${data.version}; this app reads up to version ${FORMAT_VERSION}.`);
+  }
+  const items = data.kind === 'library' ? data.circuits : [data];
+  if (!Array.isArray(items)) throw new Error('Library file has no circuits.');
+  return items.map(item => {
+    const { issues } = readCircuit(item && item.circuit);
+    return { name: item.name || item.circuit.title, tags: normalizeTags(item.tags), circuit: item.circuit, issues };
+  });
+};
+
+export const importEntries = (entries, items) => items.reduce(
+  (acc, item) => addEntry(acc, deserializeCircuit(item.circuit), { name: item.name, tags: item.tags }),
+  entries
+);
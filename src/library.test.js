@@ -0,0 +1,105 @@
+import { RECIPES } from './recipes';
+import { verifyRecipe } from './verifier';
+import { recipeLogic } from './expr';
+import { BOARD_PITCH } from './editor';
+import { generateRecipe } from './generators';
+import { loadLibrary, saveLibrary, addEntry, renameEntry, duplicateEntry, deleteEntry, setTags, searchEntries, entryRecipe, exportLibraryFile, exportCircuitFile, parseImportFile, importEntries, STORAGE_KEY } from './library';
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+};
+
+test('circuits round-trip through storage with their logic as data', () => {
+  const storage = memoryStorage();
+  saveLibrary(addEntry([], RECIPES['full_adder'], { tags: 'Adder, arithmetic ,adder' }), storage);
+  expect(JSON.parse(storage.getItem(STORAGE_KEY)).entries[0].circuit.logic).toEqual({ type: 'expr', source: RECIPES['full_adder'].logic });
+
+  const [entry] = loadLibrary(storage);
+  expect(entry.tags).toEqual(['adder', 'arithmetic']);
+  const recipe = entryRecipe(entry);
+  expect(recipe.libraryId).toBe(entry.id);
+  expect(recipeLogic(recipe).fn([1, 0, 1])).toEqual([0, 1]);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('only expression logic is stored, and only expression logic is read back', () => {
+  const [entry] = addEntry([], { ...RECIPES['half_adder'], logic: 'Sum = A ^ B; Cout = A | B' });
+  expect(entry.circuit.logic).toEqual({ type: 'expr', source: 'Sum = A ^ B; Cout = A | B' });
+  expect(recipeLogic(entryRecipe(entry)).fn([1, 1])).toEqual([0, 1]);
+  const table = { ...entry, circuit: { ...entry.circuit, logic: { type: 'table', rows: [[0, 0], [1, 0], [1, 0], [0, 1]] } } };
+  expect(entryRecipe(table).logic).toBeUndefined();
+});
+
+test('sequential recipes keep their sequence', () => {
+  const recipe = entryRecipe(addEntry([], RECIPES['counter_mod4'])[0]);
+  expect(recipe.sequence).toEqual(RECIPES['counter_mod4'].sequence);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('recipes with I/O devices keep them and still verify', () => {
+  const recipe = entryRecipe(addEntry([], RECIPES['keypad_7seg'])[0]);
+  expect(recipe.devices).toEqual(RECIPES['keypad_7seg'].devices);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('chips on a chained board stay there', () => {
+  const chained = { ...RECIPES['half_adder'], boards: 2, chips: RECIPES['half_adder'].chips.map(chip => ({ ...chip, x: chip.x + BOARD_PITCH })) };
+  const recipe = entryRecipe(addEntry([], chained)[0]);
+  expect(recipe.boards).toBe(2);
+  expect(recipe.chips).toEqual(chained.chips);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('recipes built from blocks keep their block view', () => {
+  const adder = generateRecipe('ripple_adder', 4);
+  const [entry] = addEntry([], adder);
+  const recipe = entryRecipe(entry);
+  expect(recipe.structure).toEqual(adder.structure);
+  expect(recipe.boards).toBe(adder.boards);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+
+  const broken = { ...entry.circuit, structure: { ...entry.circuit.structure, ports: [] } };
+  const file = JSON.stringify({ format: 'circuitgen', version: 1, kind: 'circuit', name: 'Adder', circuit: broken });
+  const [item] = parseImportFile(file);
+  expect(item.issues.map(i => i.path)).toEqual(['structure']);
+  expect(importEntries([], [item])[0].circuit.structure).toBeUndefined();
+});
+
+test('rename, duplicate, tag and delete', () => {
+  let lib = addEntry([], RECIPES['half_adder']);
+  const id = lib[0].id;
+  lib = renameEntry(lib, id, 'My HA');
+  lib = duplicateEntry(lib, id);
+  lib = setTags(lib, lib[1].id, ['lab 2']);
+  expect(lib.map(e => e.name)).toEqual(['My HA', 'My HA (copy)']);
+  expect(lib[1].id).not.toBe(id);
+  expect(searchEntries(lib, 'lab').map(e => e.name)).toEqual(['My HA (copy)']);
+  expect(deleteEntry(lib, id).map(e => e.name)).toEqual(['My HA (copy)']);
+});
+
+test('library and circuit files import back', () => {
+  const lib = addEntry(addEntry([], RECIPES['half_adder']), RECIPES['mux_74153'], { tags: ['mux'] });
+  const items = parseImportFile(exportLibraryFile(lib));
+  expect(items.map(i => i.name)).toEqual(['Half Adder', '4:1 Multiplexer (74153)']);
+  expect(importEntries([], parseImportFile(exportCircuitFile(lib[1])))[0].tags).toEqual(['mux']);
+});
+
+test('bad files are rejected with a reason', () => {
+  expect(() => parseImportFile('nope')).toThrow('not valid JSON');
+  expect(() => parseImportFile('{"format":"other"}')).toThrow('Not a CircuitGen');
+  expect(() => parseImportFile('{"format":"circuitgen","version":99,"kind":"circuit"}')).toThrow('Unsupported file version 99');
+  expect(() => parseImportFile('{"format":"circuitgen","version":1,"kind":"circuit","circuit":{"chips":[]}}')).toThrow('missing');
+});
+
+test('imported circuits are validated: repairs are reported, errors reject the file', () => {
+  const [entry] = addEntry([], RECIPES['half_adder']);
+  const file = (circuit) => JSON.stringify({ format: 'circuitgen', version: 1, kind: 'circuit', name: 'X', circuit });
+  const repaired = parseImportFile(file({ ...entry.circuit, chips: entry.circuit.chips.map(chip => ({ ...chip, id: undefined })), extra: 'ignored' }));
+  expect(repaired[0].issues.map(i => i.severity)).toEqual(expect.arrayContaining(['repaired']));
+  const recipe = importEntries([], repaired)[0].circuit;
+  expect(recipe.extra).toBeUndefined();
+  expect(() => parseImportFile(file({ ...entry.circuit, chips: [{ id: 'u1', type: '9999', x: 20 }] }))).toThrow('Circuit has errors');
+  expect(() => parseImportFile(file({ ...entry.circuit, logic: { type: 'expr', source: 'Sum = A +' } }))).toThrow('logic');
+  expect(parseImportFile(file(entry.circuit))[0].issues).toEqual([]);
+});
@@ -0,0 +1,189 @@
+import { MOCK_CIRCUITS } from './llmFixtures';
+
+// --- LLM PROVIDERS ---
+// One `complete({ system, prompt, json }, { signal })` for every backend: Gemini, any
+// OpenAI-compatible chat endpoint (OpenAI, Ollama, llama.cpp server, ...) and an offline
+// mock that answers from fixtures. `callLLM` adds timeouts, retries and cancellation.
+
+export const LLM_STORAGE_KEY = 'circuitgen.llm';
+export const REPROMPT_MARKER = 'Your previous circuit was invalid';
+
+export class LLMError extends Error {
+  constructor(message, { status = null, retryable = false, cancelled = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.retryable = retryable;
+    this.cancelled = cancelled;
+  }
+}
+
+const env = (name) => (typeof process !== 'undefined' && process.env[name]) || '';
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: env('REACT_APP_LLM_PROVIDER') || 'gemini',
+  timeoutMs: 60000,
+  retries: 2,
+  gemini: { apiKey: env('REACT_APP_GEMINI_API_KEY'), model: 'gemini-2.5-flash-preview-09-2025' },
+  openai: { baseUrl: 'http://localhost:11434/v1', apiKey: env('REACT_APP_OPENAI_API_KEY'), model: 'llama3.1' },
+  mock: { delayMs: 400 }
+};
+
+// --- CONFIGURATION ---
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+// Saved settings over the defaults, one level deep so new fields pick up their default
+export const mergeLLMConfig = (saved) => {
+  const out = { ...DEFAULT_LLM_CONFIG, ...saved };
+  ['gemini', 'openai', 'mock'].forEach(k => { out[k] = { ...DEFAULT_LLM_CONFIG[k], ...(saved && saved[k]) }; });
+  return out;
+};
+
+export const loadLLMConfig = (storage = defaultStorage()) => {
+  try { return mergeLLMConfig(JSON.parse(storage.getItem(LLM_STORAGE_KEY) || 'null')); } catch { return mergeLLMConfig(null); }
+};
+
+export const saveLLMConfig = (config, storage = defaultStorage()) => {
+  try { storage.setItem(LLM_STORAGE_KEY, JSON.stringify(config)); } catch (e) { console.error(e); }
+  return config;
+};
+
+// --- HTTP BACKENDS ---
+const postJSON = async (fetchImpl, url, headers, body, signal) => {
+  let res;
+  try {
+    res = await fetchImpl(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body), signal });
+  } catch (e) {
+    if (signal && signal.aborted) throw e;
+    throw new LLMError(`Network error: ${e.message}`, { retryable: true });
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new LLMError(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`, { status: res.status, retryable: res.status === 429 || res.status >= 500 });
+  }
+  return res.json();
+};
+
+const gemini = (settings, fetchImpl) => ({
+  async complete({ system, prompt, json }, { signal } = {}) {
+    if (!settings.apiKey) throw new LLMError('Gemini API key is not set. Add it in AI settings or REACT_APP_GEMINI_API_KEY.');
+    const data = await postJSON(fetchImpl,
+      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(settings.model)}:generateContent?key=${encodeURIComponent(settings.apiKey)}`,
+      {},
+      {
+        contents: [{ parts: [{ text: prompt }] }],
+        systemInstruction: { parts: [{ text: system }] },
+        ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+      },
+      signal);
+    const text = data && data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts[0].text;
+    if (typeof text !== 'string') throw new LLMError('Gemini returned no text.');
+    return text;
+  }
+});
+
+const openai = (settings, fetchImpl) => ({
+  async complete({ system, prompt, json }, { signal } = {}) {
+    if (!settings.baseUrl) throw new LLMError('Endpoint URL is not set.');
+    const data = await postJSON(fetchImpl,
+      `${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+      {
+        model: settings.model,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      },
+      signal);
+    const text = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (typeof text !== 'string') throw new LLMError('Endpoint returned no message.');
+    return text;
+  }
+});
+
+// --- MOCK BACKEND ---
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) { reject(new LLMError('Cancelled.', { cancelled: true })); return; }
+  const timer = setTimeout(resolve, ms);
+  if (signal) signal.addEventListener('abort', () => { clearTimeout(timer); reject(new LLMError('Cancelled.', { cancelled: true })); }, { once: true });
+});
+
+// Same answer for the same request: the first fixture whose keywords all appear in the
+// prompt. Follow-up prompts with validation errors get the fixture's corrected circuit.
+export const mockReply = ({ prompt, json }) => {
+  const text = prompt.toLowerCase();
+  if (!json) {
+    const title = (prompt.match(/"title":"([^"]*)"/) || [])[1] || 'this circuit';
+    return `[mock] ${title} is built from the chips listed in the BOM. Follow each wire from the switches through the gates to the LEDs and compare the LEDs with the truth table.`;
+  }
+  const request = text.split(REPROMPT_MARKER.toLowerCase())[0];
+  const fixture = MOCK_CIRCUITS.find(f => f.keywords.every(k => request.includes(k)));
+  if (!fixture) throw new LLMError(`No mock circuit matches "${prompt.slice(0, 60)}". Try: ${MOCK_CIRCUITS.map(f => f.keywords.join(' ')).join(', ')}.`);
+  const circuit = text.includes(REPROMPT_MARKER.toLowerCase()) && fixture.corrected ? fixture.corrected : fixture.circuit;
+  return JSON.stringify(circuit);
+};
+
+const mock = (settings) => ({
+  async complete(request, { signal } = {}) {
+    await sleep(settings.delayMs || 0, signal);
+    return mockReply(request);
+  }
+});
+
+export const PROVIDERS = {
+  gemini: { label: 'Google Gemini', create: gemini },
+  openai: { label: 'OpenAI-compatible (OpenAI, Ollama, llama.cpp)', create: openai },
+  mock: { label: 'Offline mock (fixtures)', create: mock }
+};
+
+export const createProvider = (config, fetchImpl = (...args) => fetch(...args)) => {
+  const entry = PROVIDERS[config.provider];
+  if (!entry) throw new LLMError(`Unknown AI provider '${config.provider}'.`);
+  return entry.create(config[config.provider] || {}, fetchImpl);
+};
+
+// --- CALLS ---
+// One request with a timeout per attempt and up to `retries` retries (exponential backoff)
+// on network errors, timeouts, 429 and 5xx. Aborting `signal` cancels at any point.
+export const callLLM = async (config, request, { signal, fetchImpl, backoffMs = 500 } = {}) => {
+  const provider = createProvider(config, fetchImpl);
+  const retries = Math.max(0, config.retries | 0);
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, config.timeoutMs || DEFAULT_LLM_CONFIG.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    try {
+      return await provider.complete(request, { signal: controller.signal });
+    } catch (e) {
+      let err = e;
+      if (signal && signal.aborted) err = new LLMError('Cancelled.', { cancelled: true });
+      else if (timedOut) err = new LLMError(`No reply within ${Math.round((config.timeoutMs || DEFAULT_LLM_CONFIG.timeoutMs) / 1000)} s.`, { retryable: true });
+      else if (!(e instanceof LLMError)) err = new LLMError(e.message);
+      if (!err.retryable || attempt >= retries) throw err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+    await sleep(backoffMs * 2 ** attempt, signal);
+  }
+};
+
+// Follow-up request for a circuit that failed validation
+export const repromptText = (prompt, problems, previous) => (
+  `${prompt}\n\n${REPROMPT_MARKER}:\n${problems}\n\nPrevious circuit:\n${JSON.stringify(previous)}\n\nReturn a corrected circuit.`
+);
+
+// Models often wrap JSON in a ``` fence or add a sentence around it
+export const parseJSONReply = (text) => {
+  const body = String(text).replace(/^[\s\S]*?```(?:json)?\s*([\s\S]*?)```[\s\S]*$/, '$1').trim();
+  try { return JSON.parse(body); } catch { /* fall through to the outermost braces */ }
+  const start = body.indexOf('{'), end = body.lastIndexOf('}');
+  if (start >= 0 && end > start) {
+    try { return JSON.parse(body.slice(start, end + 1)); } catch { /* reported below */ }
+  }
+  throw new LLMError('The reply is not valid JSON.');
+};
@@ -0,0 +1,104 @@
+import { callLLM, mockReply, mergeLLMConfig, loadLLMConfig, saveLLMConfig, parseJSONReply, repromptText, LLMError } from './llm';
+import { MOCK_CIRCUITS } from './llmFixtures';
+import { validateCircuit, describeIssues } from './schema';
+import { verifyRecipe } from './verifier';
+
+const config = (provider, extra = {}) => mergeLLMConfig({ provider, retries: 2, timeoutMs: 1000, mock: { delayMs: 0 }, ...extra });
+
+const reply = (status, body) => ({
+  ok: status < 400, status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+test('mock provider serves the same fixture for the same request', async () => {
+  const request = { system: '', prompt: 'xor', json: true };
+  const first = await callLLM(config('mock'), request);
+  expect(await callLLM(config('mock'), request)).toBe(first);
+  const { circuit, ok } = validateCircuit(parseJSONReply(first));
+  expect(ok).toBe(true);
+  expect(verifyRecipe(circuit).ok).toBe(true);
+  expect(() => mockReply({ prompt: 'flux capacitor', json: true })).toThrow(/No mock circuit matches/);
+});
+
+test('every fixture that is meant to be valid passes the checker', () => {
+  MOCK_CIRCUITS.forEach(f => {
+    const { circuit, ok } = validateCircuit(f.corrected || f.circuit);
+    expect([f.keywords, ok, verifyRecipe(circuit).ok]).toEqual([f.keywords, true, true]);
+  });
+});
+
+test('mock answers a re-prompt with the corrected circuit', () => {
+  const broken = JSON.parse(mockReply({ prompt: 'repair demo', json: true }));
+  const first = validateCircuit(broken);
+  expect(first.ok).toBe(false);
+  const fixed = validateCircuit(JSON.parse(mockReply({ prompt: repromptText('repair demo', describeIssues(first.issues), broken), json: true })));
+  expect(fixed.ok).toBe(true);
+  expect(verifyRecipe(fixed.circuit).ok).toBe(true);
+});
+
+test('gemini and OpenAI-compatible requests', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    return url.includes('googleapis')
+      ? reply(200, { candidates: [{ content: { parts: [{ text: 'gem' }] } }] })
+      : reply(200, { choices: [{ message: { content: 'oai' } }] });
+  };
+  const request = { system: 'sys', prompt: 'hi', json: true };
+  expect(await callLLM(config('gemini', { gemini: { apiKey: 'k' } }), request, { fetchImpl })).toBe('gem');
+  expect(await callLLM(config('openai', { openai: { baseUrl: 'http://localhost:8080/v1/', model: 'm' } }), request, { fetchImpl })).toBe('oai');
+  expect(calls[0].url).toMatch(/models\/gemini-[^:]+:generateContent\?key=k$/);
+  expect(calls[0].body.generationConfig).toEqual({ responseMimeType: 'application/json' });
+  expect(calls[1].url).toBe('http://localhost:8080/v1/chat/completions');
+  expect(calls[1].body).toEqual({ model: 'm', messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'hi' }], response_format: { type: 'json_object' } });
+  expect(calls[1].headers.Authorization).toBeUndefined();
+  await expect(callLLM(config('gemini', { gemini: { apiKey: '' } }), request, { fetchImpl })).rejects.toThrow(/API key is not set/);
+});
+
+test('retries server errors but not client errors', async () => {
+  let n = 0;
+  const flaky = async () => (++n < 3 ? reply(503, 'busy') : reply(200, { choices: [{ message: { content: 'ok' } }] }));
+  expect(await callLLM(config('openai'), { prompt: 'x' }, { fetchImpl: flaky, backoffMs: 0 })).toBe('ok');
+  expect(n).toBe(3);
+
+  n = 0;
+  const denied = async () => { n++; return reply(401, 'no'); };
+  await expect(callLLM(config('openai'), { prompt: 'x' }, { fetchImpl: denied, backoffMs: 0 })).rejects.toMatchObject({ status: 401 });
+  expect(n).toBe(1);
+});
+
+const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+test('times out each attempt', async () => {
+  await expect(callLLM(config('openai', { timeoutMs: 20, retries: 1 }), { prompt: 'x' }, { fetchImpl: hanging, backoffMs: 0 }))
+    .rejects.toThrow(/No reply within/);
+});
+
+test('cancellation stops the request without retrying', async () => {
+  const controller = new AbortController();
+  const pending = callLLM(config('openai'), { prompt: 'x' }, { fetchImpl: hanging, signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ cancelled: true });
+  await expect(callLLM(config('mock', { mock: { delayMs: 1000 } }), { prompt: 'xor', json: true }, { signal: controller.signal }))
+    .rejects.toBeInstanceOf(LLMError);
+});
+
+test('settings persist over the defaults', () => {
+  const data = {};
+  const storage = { getItem: (k) => data[k] || null, setItem: (k, v) => { data[k] = v; } };
+  saveLLMConfig({ provider: 'openai', openai: { model: 'qwen' } }, storage);
+  const loaded = loadLLMConfig(storage);
+  expect(loaded.provider).toBe('openai');
+  expect(loaded.openai.model).toBe('qwen');
+  expect(loaded.openai.baseUrl).toBe('http://localhost:11434/v1');
+  expect(loaded.timeoutMs).toBeGreaterThan(0);
+});
+
+test('JSON replies are read out of code fences and prose', () => {
+  expect(parseJSONReply('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+  expect(parseJSONReply('Here you go: {"a":2} hope it helps')).toEqual({ a: 2 });
+  expect(() => parseJSONReply('sorry')).toThrow('The reply is not valid JSON.');
+});
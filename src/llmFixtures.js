@@ -0,0 +1,97 @@
+// --- MOCK PROVIDER FIXTURES ---
+// Canned replies for the offline mock provider, in the shape the generator prompt asks
+// for. `keywords` must all appear in the request. `corrected`, when present, answers the
+// follow-up sent after validation errors, so the repair/re-prompt flow can be exercised.
+
+const power = (c, vcc = 14, gnd = 7) => [
+  { s: 'VCC', e: { c, p: vcc }, color: 'WIRE_RED' },
+  { s: 'GND', e: { c, p: gnd }, color: 'WIRE_BLACK' }
+];
+
+const XOR_FROM_NAND = {
+  title: 'XOR from NAND Gates',
+  desc: 'Exclusive OR built from four NAND gates on one 7400.',
+  explanation: 'N = NAND(A, B). NAND(A, N) and NAND(B, N) are each low only when their input is 1 and the other is 0; a final NAND of the two gives A XOR B.',
+  bom: ['1x 7400 (Quad 2-input NAND)'],
+  chips: [{ id: 'u1', type: '7400', x: 25 }],
+  inputs: ['A', 'B'],
+  outputs: ['Y'],
+  wires: [
+    ...power(0),
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 2 }, color: 'WIRE_BLUE' },
+    { s: 'SW_0', e: { c: 0, p: 4 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 3 }, e: { c: 0, p: 5 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 3 }, e: { c: 0, p: 9 }, color: 'WIRE_ORANGE' },
+    { s: 'SW_1', e: { c: 0, p: 10 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 6 }, e: { c: 0, p: 12 }, color: 'WIRE_GREEN' },
+    { s: { c: 0, p: 8 }, e: { c: 0, p: 13 }, color: 'WIRE_GREEN' },
+    { s: { c: 0, p: 11 }, e: 'LED_0', color: 'WIRE_YELLOW' }
+  ],
+  logic: 'Y = A ^ B'
+};
+
+const MAJORITY = {
+  title: '3-Input Majority Voter',
+  desc: 'Output is high when at least two of the three inputs are high.',
+  explanation: 'Three AND gates detect each pair of high inputs and two OR gates combine them: Y = AB + BC + AC.',
+  bom: ['1x 7408 (Quad 2-input AND)', '1x 7432 (Quad 2-input OR)'],
+  chips: [{ id: 'u1', type: '7408', x: 15 }, { id: 'u2', type: '7432', x: 35 }],
+  inputs: ['A', 'B', 'C'],
+  outputs: ['Y'],
+  wires: [
+    ...power(0), ...power(1),
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 2 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 4 }, color: 'WIRE_BLUE' },
+    { s: 'SW_2', e: { c: 0, p: 5 }, color: 'WIRE_BLUE' },
+    { s: 'SW_0', e: { c: 0, p: 9 }, color: 'WIRE_BLUE' },
+    { s: 'SW_2', e: { c: 0, p: 10 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 3 }, e: { c: 1, p: 1 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 6 }, e: { c: 1, p: 2 }, color: 'WIRE_ORANGE' },
+    { s: { c: 1, p: 3 }, e: { c: 1, p: 4 }, color: 'WIRE_GREEN' },
+    { s: { c: 0, p: 8 }, e: { c: 1, p: 5 }, color: 'WIRE_ORANGE' },
+    { s: { c: 1, p: 6 }, e: 'LED_0', color: 'WIRE_YELLOW' }
+  ],
+  logic: 'Y = A & B | B & C | A & C'
+};
+
+// A typical first attempt: unknown part, a switch that does not exist and no power
+const BROKEN_NAND_OR = {
+  title: 'OR from NAND Gates',
+  chips: [{ id: 'u1', type: '74LS00', x: 80 }, { id: 'u2', type: '7499', x: 40 }],
+  inputs: ['A', 'B'],
+  outputs: ['Y'],
+  wires: [
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: 'SW_0', e: { c: 0, p: 2 }, color: 'WIRE_BLUE' },
+    { s: 'SW_2', e: { c: 0, p: 4 }, color: 'WIRE_BLUE' },
+    { s: { c: 1, p: 3 }, e: { c: 0, p: 5 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 3 }, e: { c: 0, p: 9 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 6 }, e: { c: 0, p: 10 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 8 }, e: 'LED_0', color: 'WIRE_YELLOW' }
+  ],
+  logic: 'Y = A | B'
+};
+
+const NAND_OR = {
+  ...BROKEN_NAND_OR,
+  desc: 'A + B = NAND(NOT A, NOT B), with each NOT made from a NAND with tied inputs.',
+  chips: [{ id: 'u1', type: '7400', x: 25 }],
+  wires: [
+    ...power(0),
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: 'SW_0', e: { c: 0, p: 2 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 4 }, color: 'WIRE_BLUE' },
+    { s: 'SW_1', e: { c: 0, p: 5 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 3 }, e: { c: 0, p: 9 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 6 }, e: { c: 0, p: 10 }, color: 'WIRE_ORANGE' },
+    { s: { c: 0, p: 8 }, e: 'LED_0', color: 'WIRE_YELLOW' }
+  ]
+};
+
+export const MOCK_CIRCUITS = [
+  { keywords: ['xor'], circuit: XOR_FROM_NAND },
+  { keywords: ['majority'], circuit: MAJORITY },
+  { keywords: ['repair'], circuit: BROKEN_NAND_OR, corrected: NAND_OR }
+];
@@ -0,0 +1,160 @@
+// --- LOGIC MINIMISATION (QUINE–McCLUSKEY) AND KARNAUGH MAPS ---
+// An implicant is { value, mask } over n variables, first variable as the MSB: bits set
+// in `mask` are eliminated, the others must equal `value`. Minterm and don't-care lists
+// are row numbers of the truth table, as in inputRows().
+
+export const MAX_QM_VARS = 6;
+const MAX_PETRICK_PRODUCTS = 4096;
+
+const popcount = (x) => { let n = 0; for (let v = x; v; v >>= 1) n += v & 1; return n; };
+
+export const covers = (imp, m) => (m & ~imp.mask) === imp.value;
+
+export const implicantMinterms = (imp, n) => Array.from({ length: 1 << n }, (_, m) => m).filter(m => covers(imp, m));
+
+// All prime implicants of minterms ∪ don't-cares
+export const primeImplicants = (n, minterms, dontCares = []) => {
+  let current = new Map();
+  [...minterms, ...dontCares].forEach(m => current.set(`${m}/0`, { value: m, mask: 0 }));
+  const primes = [];
+  while (current.size) {
+    const list = [...current.values()];
+    const merged = new Set();
+    const next = new Map();
+    list.forEach((a, i) => list.slice(i + 1).forEach(b => {
+      const diff = a.value ^ b.value;
+      if (a.mask !== b.mask || popcount(diff) !== 1) return;
+      const imp = { value: a.value & ~diff, mask: a.mask | diff };
+      next.set(`${imp.value}/${imp.mask}`, imp);
+      merged.add(a); merged.add(b);
+    }));
+    list.forEach(imp => { if (!merged.has(imp)) primes.push(imp); });
+    current = next;
+  }
+  // Implicants made only of don't-cares are never needed
+  return primes
+    .filter(p => minterms.some(m => covers(p, m)))
+    .sort((a, b) => popcount(b.mask) - popcount(a.mask) || a.value - b.value);
+};
+
+const literalCount = (imp, n) => n - popcount(imp.mask);
+const coverCost = (set, n) => [set.length, set.reduce((acc, imp) => acc + literalCount(imp, n), 0)];
+const cheaper = (a, b, n) => {
+  const [ca, la] = coverCost(a, n), [cb, lb] = coverCost(b, n);
+  return ca < cb || (ca === cb && la < lb);
+};
+
+// Smallest set of primes covering every minterm: essential primes, then Petrick's
+// method on what is left (greedy if the product of sums grows too large)
+export const selectCover = (n, minterms, primes) => {
+  const chosen = [];
+  let left = [...new Set(minterms)];
+  for (;;) {
+    const open = left;
+    const essential = primes.find(p => !chosen.includes(p) && open.some(m => primes.filter(q => covers(q, m)).length === 1 && covers(p, m)));
+    if (!essential) break;
+    chosen.push(essential);
+    left = left.filter(m => !covers(essential, m));
+  }
+  if (!left.length) return chosen;
+
+  const candidates = primes.filter(p => !chosen.includes(p) && left.some(m => covers(p, m)));
+  let products = [new Set()];
+  for (const m of left) {
+    const options = candidates.filter(p => covers(p, m));
+    const next = [];
+    products.forEach(prod => {
+      if (options.some(p => prod.has(p))) { next.push(prod); return; }
+      options.forEach(p => next.push(new Set([...prod, p])));
+    });
+    // Drop products that contain another product
+    products = next.filter((a, i) => !next.some((b, j) => j !== i && b.size < a.size && [...b].every(p => a.has(p))));
+    if (products.length > MAX_PETRICK_PRODUCTS) { products = null; break; }
+  }
+  if (products) {
+    const best = products.map(p => [...p]).reduce((a, b) => (cheaper(b, a, n) ? b : a));
+    return [...chosen, ...best];
+  }
+  while (left.length) {
+    const open = left;
+    const pick = candidates.reduce((a, b) => {
+      const ca = open.filter(m => covers(a, m)).length, cb = open.filter(m => covers(b, m)).length;
+      return cb > ca || (cb === ca && literalCount(b, n) < literalCount(a, n)) ? b : a;
+    });
+    chosen.push(pick);
+    left = left.filter(m => !covers(pick, m));
+  }
+  return chosen;
+};
+
+// --- EXPRESSIONS ---
+// Text in the synthesizer's notation (synth.js): A'B + AC and (A + B')(C). Products of
+// multi-letter names are joined with · so they stay readable.
+const isSimple = (name) => /^[A-Za-z][0-9]*$/.test(name);
+const literals = (imp, vars, negate) => {
+  const n = vars.length;
+  return vars.map((v, k) => {
+    const bit = 1 << (n - 1 - k);
+    if (imp.mask & bit) return null;
+    return !(imp.value & bit) === negate ? `${v}'` : v;
+  }).filter(Boolean);
+};
+
+export const productTerm = (imp, vars) => {
+  const lits = literals(imp, vars, true);
+  return lits.length ? lits.join(vars.every(isSimple) ? '' : '·') : '1';
+};
+
+// An implicant of F' read as a sum clause of F
+export const sumClause = (imp, vars) => {
+  const lits = literals(imp, vars, false);
+  return lits.length ? `(${lits.join(' + ')})` : '0';
+};
+
+const allRows = (n) => Array.from({ length: 1 << n }, (_, m) => m);
+
+// { sop, pos } each { implicants, primes, text }, plus the canonical SOP for comparison
+export const minimize = (vars, minterms, dontCares = []) => {
+  const n = vars.length;
+  if (n > MAX_QM_VARS) throw new Error(`Minimisation handles up to ${MAX_QM_VARS} variables`);
+  const ones = [...new Set(minterms)].filter(m => !dontCares.includes(m)).sort((a, b) => a - b);
+  const zeros = allRows(n).filter(m => !ones.includes(m) && !dontCares.includes(m));
+
+  const sopPrimes = primeImplicants(n, ones, dontCares);
+  const sop = ones.length ? selectCover(n, ones, sopPrimes) : [];
+  const posPrimes = primeImplicants(n, zeros, dontCares);
+  const pos = zeros.length ? selectCover(n, zeros, posPrimes) : [];
+
+  return {
+    vars, minterms: ones, dontCares, maxterms: zeros,
+    canonical: ones.length ? ones.map(m => productTerm({ value: m, mask: 0 }, vars)).join(' + ') : '0',
+    sop: { primes: sopPrimes, implicants: sop, text: ones.length ? sop.map(imp => productTerm(imp, vars)).join(' + ') : '0' },
+    pos: { primes: posPrimes, implicants: pos, text: zeros.length ? pos.map(imp => sumClause(imp, vars)).join('') : '1' }
+  };
+};
+
+// Minterms of output `k` from a truth table (buildTruthTable): rows where it is 1
+export const tableMinterms = (table, k) => {
+  const n = table.columns.filter(c => c.group === 'in').length;
+  return table.rows.map((row, m) => (row.cells[n + k] === 1 ? m : -1)).filter(m => m >= 0);
+};
+
+// --- KARNAUGH MAP LAYOUT ---
+const GRAY = { 1: [0, 1], 2: [0, 1, 3, 2] };
+
+// Rows take the first half of the variables, columns the rest, both in Gray order.
+// cells[r][c] is the minterm shown at that position.
+export const kmapLayout = (vars) => {
+  const n = vars.length;
+  if (n < 2 || n > 4) return null;
+  const rowBits = n >> 1, colBits = n - rowBits;
+  const rows = GRAY[rowBits], cols = GRAY[colBits];
+  const code = (v, bits) => v.toString(2).padStart(bits, '0');
+  return {
+    rowVars: vars.slice(0, rowBits),
+    colVars: vars.slice(rowBits),
+    rowLabels: rows.map(v => code(v, rowBits)),
+    colLabels: cols.map(v => code(v, colBits)),
+    cells: rows.map(r => cols.map(c => (r << colBits) | c))
+  };
+};
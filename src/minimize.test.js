@@ -0,0 +1,74 @@
+import { minimize, primeImplicants, selectCover, kmapLayout, tableMinterms, productTerm, MAX_QM_VARS } from './minimize';
+import { buildTruthTable } from './truthTable';
+import { RECIPES } from './recipes';
+import { synthesize, parseBoolean, astToLogic } from './synth';
+import { verifyRecipe, inputRows } from './verifier';
+import { compileLogic } from './expr';
+
+const ABCD = ['A', 'B', 'C', 'D'];
+
+// Rows of the truth table where a synthesizer expression is 1
+const onesOf = (text, vars) => {
+  const fn = compileLogic(`Y = ${astToLogic(parseBoolean(`Y = ${text}`, { inputs: vars }).statements[0].ast)}`, vars, ['Y']);
+  return inputRows(vars.length).map((row, m) => (fn(row)[0] ? m : -1)).filter(m => m >= 0);
+};
+
+test('prime implicants of the textbook example', () => {
+  const primes = primeImplicants(4, [4, 8, 10, 11, 12, 15], [9, 14]);
+  expect(primes.map(p => productTerm(p, ABCD)).sort()).toEqual(['AB\'', 'AC', 'AD\'', 'BC\'D\''].sort());
+});
+
+test('minimal SOP and POS cover exactly the function', () => {
+  const result = minimize(ABCD, [0, 2, 5, 7, 8, 10, 13, 15]);
+  expect(result.sop.text).toBe("B'D' + BD");
+  expect(result.pos.text).toBe("(B + D')(B' + D)");
+  expect(onesOf(result.sop.text, ABCD)).toEqual(result.minterms);
+  expect(onesOf(result.pos.text, ABCD)).toEqual(result.minterms);
+});
+
+test('don\'t-cares are used to enlarge groups', () => {
+  const result = minimize(['A', 'B', 'C'], [1, 3], [5, 7]);
+  expect(result.sop.text).toBe('C');
+  expect(result.pos.text).toBe('(C)');
+});
+
+test('cyclic covers are solved with the fewest terms', () => {
+  const vars = ['A', 'B', 'C'];
+  const ones = [0, 1, 2, 5, 6, 7];
+  const cover = selectCover(3, ones, primeImplicants(3, ones));
+  expect(cover).toHaveLength(3);
+  expect(onesOf(cover.map(p => productTerm(p, vars)).join(' + '), vars)).toEqual(ones);
+});
+
+test('constant functions', () => {
+  expect(minimize(['A', 'B'], [])).toMatchObject({ sop: { text: '0' }, pos: { text: '0' } });
+  expect(minimize(['A', 'B'], [0, 1, 2, 3])).toMatchObject({ sop: { text: '1' }, pos: { text: '1' } });
+});
+
+test('six variables and random functions stay exact', () => {
+  const vars = ['A', 'B', 'C', 'D', 'E', 'F'];
+  let seed = 7;
+  const rand = () => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed; };
+  for (let t = 0; t < 5; t++) {
+    const ones = Array.from({ length: 64 }, (_, m) => m).filter(() => rand() % 3 === 0);
+    const result = minimize(vars, ones);
+    expect(onesOf(result.sop.text, vars)).toEqual(result.minterms);
+  }
+  expect(() => minimize([...vars, 'G'], [1])).toThrow(`up to ${MAX_QM_VARS}`);
+});
+
+test('K-map layout uses Gray order', () => {
+  expect(kmapLayout(['A', 'B', 'C']).cells).toEqual([[0, 1, 3, 2], [4, 5, 7, 6]]);
+  expect(kmapLayout(ABCD).cells[2]).toEqual([12, 13, 15, 14]);
+  expect(kmapLayout(['A'])).toBeNull();
+});
+
+test('minimised recipe outputs load as working circuits', () => {
+  const recipe = RECIPES['full_adder'];
+  const table = buildTruthTable(recipe);
+  const result = minimize(recipe.inputs, tableMinterms(table, 1));
+  expect(result.sop.text.split(' + ').sort()).toEqual(['A·B', 'A·Cin', 'B·Cin']);
+  const circuit = synthesize(`Cout = ${result.sop.text}`, { inputs: recipe.inputs });
+  expect(verifyRecipe(circuit).ok).toBe(true);
+  expect(onesOf(result.sop.text, recipe.inputs)).toEqual(tableMinterms(table, 1));
+});
@@ -0,0 +1,132 @@
+import { getChip } from './chips';
+import { simulate, isSequential, buildNetlist, pinKey } from './simulator';
+import { inputRows } from './verifier';
+import { buildTable } from './truthTable';
+
+// --- QUIZ QUESTIONS ---
+// Questions are generated from any recipe's inputs, outputs and simulation, so AI and
+// hand-built circuits work the same as the built-in ones:
+//   predict  switches set to a random row, give every LED        (combinational only)
+//   row      one truth/state table row with its result cells blanked
+//   chip     which chip drives a given LED                        (two or more chips)
+// Every question carries its `answer` as an array; responses are graded element-wise.
+
+export const QUIZ_KINDS = {
+  predict: 'Predict the outputs',
+  row: 'Complete the table row',
+  chip: 'Which chip drives it?'
+};
+
+const MAX_PREDICT_INPUTS = 8;
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+
+// Chip whose output pin shares a net with the LED, or -1
+export const drivingChip = (recipe, o) => {
+  const { netOf } = buildNetlist(recipe);
+  const led = netOf(`LED_${o}`);
+  return recipe.chips.findIndex((chip, c) => {
+    const model = getChip(chip.type);
+    return model && model.outputs.some(p => netOf(pinKey(c, p)) === led);
+  });
+};
+
+export const availableKinds = (recipe) => Object.keys(QUIZ_KINDS).filter(kind => {
+  if (kind === 'predict') return !isSequential(recipe) && recipe.inputs.length <= MAX_PREDICT_INPUTS && recipe.outputs.length > 0;
+  if (kind === 'row') return recipe.outputs.length > 0;
+  return recipe.chips.length > 1 && recipe.outputs.some((_, o) => drivingChip(recipe, o) >= 0);
+});
+
+const HIDDEN_GROUPS = ['out', 'ns', 'exc'];
+
+export const createQuestion = (recipe, kind, random = Math.random, table = null) => {
+  if (kind === 'predict') {
+    const inputs = pick(inputRows(recipe.inputs.length), random);
+    return { kind, inputs, labels: recipe.outputs, answer: simulate(recipe, inputs).outputs };
+  }
+  if (kind === 'row') {
+    const t = table || buildTable(recipe);
+    if (!t.rows.length) return null;
+    const r = Math.floor(random() * t.rows.length);
+    const hidden = t.columns.map((col, k) => k).filter(k => HIDDEN_GROUPS.includes(t.columns[k].group));
+    return {
+      kind, row: r, inputs: t.rows[r].inputs,
+      columns: t.columns.map(col => col.label),
+      cells: t.rows[r].cells.map((v, k) => (hidden.includes(k) ? null : v)),
+      labels: hidden.map(k => t.columns[k].label),
+      answer: hidden.map(k => t.rows[r].cells[k])
+    };
+  }
+  if (kind === 'chip') {
+    const driven = recipe.outputs.map((_, o) => o).filter(o => drivingChip(recipe, o) >= 0);
+    if (!driven.length) return null;
+    const o = pick(driven, random);
+    return {
+      kind, output: recipe.outputs[o],
+      options: recipe.chips.map(chip => `${chip.id} (${chip.type})`),
+      answer: [drivingChip(recipe, o)]
+    };
+  }
+  return null;
+};
+
+// A question of a random kind the recipe supports, or null
+export const nextQuestion = (recipe, random = Math.random, table = null) => {
+  const kinds = availableKinds(recipe);
+  return kinds.length ? createQuestion(recipe, pick(kinds, random), random, table) : null;
+};
+
+export const gradeAnswer = (question, response) => (
+  question.answer.length === response.length && question.answer.every((v, k) => v === response[k])
+);
+
+// --- SESSION ---
+// { title, startedAt, answers: [{ kind, prompt, expected, given, correct, ms }], streak,
+// bestStreak }. Pure updates; `now` is a timestamp in ms.
+export const createSession = (recipe, now) => ({ title: recipe.title, startedAt: now, answers: [], streak: 0, bestStreak: 0 });
+
+export const questionPrompt = (recipe, question) => {
+  if (question.kind === 'predict') return `${recipe.inputs.map((lbl, i) => `${lbl}=${question.inputs[i]}`).join(' ')}: ${question.labels.join(', ')}?`;
+  if (question.kind === 'row') return `Row ${question.row + 1}: ${question.labels.join(', ')}?`;
+  return `Which chip drives ${question.output}?`;
+};
+
+export const recordAnswer = (session, recipe, question, response, askedAt, now) => {
+  const correct = gradeAnswer(question, response);
+  const streak = correct ? session.streak + 1 : 0;
+  const format = (values) => (question.kind === 'chip' ? values.map(v => question.options[v]).join('') : values.join(''));
+  return {
+    ...session,
+    answers: [...session.answers, {
+      kind: question.kind, prompt: questionPrompt(recipe, question),
+      expected: format(question.answer), given: format(response), correct, ms: now - askedAt
+    }],
+    streak,
+    bestStreak: Math.max(session.bestStreak, streak)
+  };
+};
+
+export const sessionStats = (session) => {
+  const correct = session.answers.filter(a => a.correct).length;
+  return {
+    asked: session.answers.length,
+    correct,
+    percent: session.answers.length ? Math.round((100 * correct) / session.answers.length) : 0,
+    ms: session.answers.reduce((acc, a) => acc + a.ms, 0)
+  };
+};
+
+// --- EXPORT ---
+export const quizToJSON = (session) => JSON.stringify({
+  title: session.title,
+  startedAt: new Date(session.startedAt).toISOString(),
+  ...sessionStats(session),
+  bestStreak: session.bestStreak,
+  answers: session.answers
+}, null, 2);
+
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+export const quizToCSV = (session) => [
+  'n,kind,prompt,expected,given,correct,ms',
+  ...session.answers.map((a, k) => [k + 1, a.kind, a.prompt, a.expected, a.given, a.correct ? 1 : 0, a.ms].map(csvCell).join(','))
+].join('\n');
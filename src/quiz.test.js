@@ -0,0 +1,65 @@
+import { RECIPES } from './recipes';
+import { simulate } from './simulator';
+import { availableKinds, createQuestion, nextQuestion, drivingChip, gradeAnswer, createSession, recordAnswer, sessionStats, quizToJSON, quizToCSV } from './quiz';
+
+const seeded = (seed) => () => { seed = (seed * 16807) % 2147483647; return (seed - 1) / 2147483646; };
+
+test('question kinds depend on the circuit', () => {
+  expect(availableKinds(RECIPES['full_adder'])).toEqual(['predict', 'row', 'chip']);
+  expect(availableKinds(RECIPES['mux_74153'])).toEqual(['predict', 'row']);
+  expect(availableKinds(RECIPES['counter_mod4'])).toEqual(['row']);
+});
+
+test('predict questions are answered by the simulation', () => {
+  const recipe = RECIPES['full_adder'];
+  const random = seeded(11);
+  for (let k = 0; k < 5; k++) {
+    const q = createQuestion(recipe, 'predict', random);
+    expect(q.inputs).toHaveLength(3);
+    expect(q.answer).toEqual(simulate(recipe, q.inputs).outputs);
+    expect(gradeAnswer(q, q.answer)).toBe(true);
+    expect(gradeAnswer(q, q.answer.map(v => 1 - v))).toBe(false);
+  }
+});
+
+test('table rows blank their results, including next state', () => {
+  const q = createQuestion(RECIPES['counter_mod4'], 'row', seeded(5));
+  expect(q.labels).toEqual(expect.arrayContaining(['Q0+', 'Q1+']));
+  expect(q.cells.filter(v => v === null)).toHaveLength(q.answer.length);
+  expect(q.answer.every(v => v === 0 || v === 1)).toBe(true);
+});
+
+test('chip questions name the chip wired to the LED', () => {
+  const recipe = RECIPES['half_adder'];
+  expect(recipe.outputs.map((_, o) => recipe.chips[drivingChip(recipe, o)].type)).toEqual(['7486', '7408']);
+  const q = createQuestion(recipe, 'chip', seeded(2));
+  expect(q.options).toHaveLength(2);
+  expect(recipe.chips[q.answer[0]].type).toBe(q.output === 'Sum' ? '7486' : '7408');
+});
+
+test('questions work on circuits that are not built in', () => {
+  const custom = { ...RECIPES['basic_gates'], title: 'Generated', logic: undefined };
+  const q = nextQuestion(custom, seeded(9));
+  expect(Object.keys(q)).toContain('answer');
+});
+
+test('sessions keep score, streaks and time, and export', () => {
+  const recipe = RECIPES['half_adder'];
+  const q = createQuestion(recipe, 'predict', seeded(4));
+  let session = createSession(recipe, 0);
+  session = recordAnswer(session, recipe, q, q.answer, 0, 4000);
+  session = recordAnswer(session, recipe, q, q.answer, 4000, 6000);
+  expect(session.streak).toBe(2);
+  session = recordAnswer(session, recipe, q, q.answer.map(v => 1 - v), 6000, 7000);
+  expect(session.streak).toBe(0);
+  expect(session.bestStreak).toBe(2);
+  expect(sessionStats(session)).toEqual({ asked: 3, correct: 2, percent: 67, ms: 7000 });
+
+  const json = JSON.parse(quizToJSON(session));
+  expect(json.title).toBe('Half Adder');
+  expect(json.answers).toHaveLength(3);
+  const csv = quizToCSV(session).split('\n');
+  expect(csv[0]).toBe('n,kind,prompt,expected,given,correct,ms');
+  expect(csv).toHaveLength(4);
+  expect(csv[3].endsWith(',0,1000')).toBe(true);
+});
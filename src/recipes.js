@@ -0,0 +1,819 @@
+import { getChip } from './chips';
+
+// --- HELPER TO GENERATE WIRES FOR VCC/GND ---
+// `part` is a package size (14 or 16 pins, standard corner power) or a chip type, whose
+// power pins come from its catalogue entry
+const PACKAGE_POWER = { 14: { vcc: 14, gnd: 7 }, 16: { vcc: 16, gnd: 8 } };
+
+export const powerWires = (chipIdx, part = 14) => {
+  const power = typeof part === 'number' ? PACKAGE_POWER[part] : getChip(part);
+  if (!power) return [];
+  return [
+    { s: 'VCC', e: {c: chipIdx, p: power.vcc}, color: 'WIRE_RED' },
+    { s: 'GND', e: {c: chipIdx, p: power.gnd}, color: 'WIRE_BLACK' }
+  ];
+};
+
+// --- COMPREHENSIVE RECIPE LIBRARY ---
+// The breadboard is simulated from `chips` and `wires`. `logic` is optional and only
+// describes the behaviour the circuit is expected to show, for comparison. It is written
+// in the expression language from expr.js, one `Output = expression` per statement. Sequential
+// recipes use `sequence` instead: input steps applied in order with the outputs expected
+// after each one.
+// `category`, `tags` and `aliases` feed the search index (search.js); chip numbers are
+// taken from `chips`. The recipe browser (catalog.js) lists categories in the order
+// they first appear here.
+export const RECIPES = {
+  // --- 1. BASIC GATES ---
+  'basic_gates': {
+    title: 'Basic Logic Gates',
+    category: 'Basic Gates',
+    tags: ['and', 'or', 'gate', 'logic', 'truth table'],
+    aliases: ['basic gates', 'and or gates'],
+    desc: 'Verify Truth Tables for AND, OR.',
+    explanation: 'Demonstrates basic 7400-series logic gates. \n\n- AND (7408): Output High only if both inputs High. \n- OR (7432): Output High if at least one input High.',
+    bom: ['1x 7408 (AND)', '1x 7432 (OR)', 'Switches & LEDs'],
+    chips: [{id: 'u1', type: '7408', x: 20}, {id: 'u2', type: '7432', x: 35}],
+    inputs: ['A', 'B'], outputs: ['AND', 'OR'],
+    wires: [
+      ...powerWires(0), ...powerWires(1),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
+      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
+    ],
+    logic: 'AND = A & B; OR = A | B'
+  },
+
+  'and3_7411': {
+    title: '3-Input AND (7411)',
+    category: 'Basic Gates',
+    tags: ['and', '3-input', 'three input', 'gate', 'logic'],
+    aliases: ['3 input and', 'triple and'],
+    desc: 'One gate of the 7411 Triple 3-input AND.',
+    explanation: 'The 7411 packs three AND gates with three inputs each. \n\nThe output is High only when A, B and C are all High. Note the odd pinout: the first gate uses pins 1, 2 and 13, with its output on pin 12.',
+    bom: ['1x 7411 (3-input AND)', 'Switches & LEDs'],
+    chips: [{id: 'u1', type: '7411', x: 25}],
+    inputs: ['A', 'B', 'C'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0, '7411'),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: 'SW_2', e: {c:0, p:13}, color: 'WIRE_YELLOW' }, // 1C
+      { s: {c:0, p:12}, e: 'LED_0', color: 'WIRE_GREEN' } // 1Y
+    ],
+    logic: 'Y = A & B & C'
+  },
+
+  // --- 2. UNIVERSAL NAND IMPLEMENTATIONS ---
+  'not_using_nand': {
+    title: 'NOT using NAND',
+    category: 'Universal NAND',
+    tags: ['nand', 'not', 'inverter', 'universal'],
+    aliases: ['nand inverter', 'nand not'],
+    desc: 'Universal Gate: Inverter created by tying NAND inputs together.',
+    explanation: 'A NAND gate can act as a NOT gate (Inverter) if you connect both of its inputs together. \n\nWhen Input A is 0, NAND(0,0) = 1. \nWhen Input A is 1, NAND(1,1) = 0.',
+    bom: ['1x 7400 (NAND)'],
+    chips: [{id: 'u1', type: '7400', x: 25}],
+    inputs: ['A'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' },
+      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = !A'
+  },
+  'and_using_nand': {
+    title: 'AND using NAND',
+    category: 'Universal NAND',
+    tags: ['nand', 'and', 'universal'],
+    aliases: ['nand and'],
+    desc: 'Universal Gate: NAND followed by NOT (NAND as inverter).',
+    explanation: 'An AND gate is just a NAND gate followed by an Inverter. \n\nHere, the first NAND gate produces (A NAND B). The second NAND gate (wired as an inverter) flips that output to give (A AND B).',
+    bom: ['1x 7400 (NAND)'],
+    chips: [{id: 'u1', type: '7400', x: 25}],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: {c:0, p:3}, e: {c:0, p:5}, color: 'WIRE_PURPLE' },
+      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = A & B'
+  },
+  'or_using_nand': {
+    title: 'OR using NAND',
+    category: 'Universal NAND',
+    tags: ['nand', 'or', 'universal', 'de morgan'],
+    aliases: ['nand or'],
+    desc: 'Universal Gate: Invert A, Invert B, then NAND them.',
+    explanation: 'To make an OR gate from NANDs, we use De Morgan\'s Law: A OR B = (NOT A) NAND (NOT B). \n\nWe use two NAND gates to invert inputs A and B separately, then feed those inverted signals into a third NAND gate.',
+    bom: ['1x 7400 (NAND)'],
+    chips: [{id: 'u1', type: '7400', x: 25}],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      // Invert A (Gate 1)
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' },
+      // Invert B (Gate 2)
+      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_ORANGE' }, { s: 'SW_1', e: {c:0, p:5}, color: 'WIRE_ORANGE' },
+      // NAND outputs (Gate 3)
+      { s: {c:0, p:3}, e: {c:0, p:9}, color: 'WIRE_PURPLE' }, { s: {c:0, p:6}, e: {c:0, p:10}, color: 'WIRE_PURPLE' },
+      { s: {c:0, p:8}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = A | B'
+  },
+
+  // --- 3. UNIVERSAL NOR IMPLEMENTATIONS ---
+  'not_using_nor': {
+    title: 'NOT using NOR',
+    category: 'Universal NOR',
+    tags: ['nor', 'not', 'inverter', 'universal'],
+    aliases: ['nor inverter', 'nor not'],
+    desc: 'Universal Gate: Inverter created by tying NOR inputs together.',
+    explanation: 'A NOR gate acts as a NOT gate if its inputs are tied together. NOR(A,A) = NOT(A).',
+    bom: ['1x 7402 (NOR)'],
+    chips: [{id: 'u1', type: '7402', x: 25}],
+    inputs: ['A'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:3}, color: 'WIRE_BLUE' },
+      { s: {c:0, p:1}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = !A'
+  },
+  'or_using_nor': {
+    title: 'OR using NOR',
+    category: 'Universal NOR',
+    tags: ['nor', 'or', 'universal'],
+    aliases: ['nor or'],
+    desc: 'Universal Gate: NOR followed by NOT (NOR as inverter).',
+    explanation: 'An OR gate is just a NOR gate followed by an Inverter. \n\nThe first gate produces (A NOR B). The second gate inverts it to get (A OR B).',
+    bom: ['1x 7402 (NOR)'],
+    chips: [{id: 'u1', type: '7402', x: 25}],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:1}, e: {c:0, p:5}, color: 'WIRE_PURPLE' }, { s: {c:0, p:1}, e: {c:0, p:6}, color: 'WIRE_PURPLE' },
+      { s: {c:0, p:4}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = A | B'
+  },
+  'and_using_nor': {
+    title: 'AND using NOR',
+    category: 'Universal NOR',
+    tags: ['nor', 'and', 'universal', 'de morgan'],
+    aliases: ['nor and'],
+    desc: 'Universal Gate: Invert A, Invert B, then NOR them.',
+    explanation: 'To make an AND gate from NORs, we use De Morgan\'s Law: A AND B = (NOT A) NOR (NOT B). \n\nWe invert both inputs using NOR gates, then feed them into a final NOR gate.',
+    bom: ['1x 7402 (NOR)'],
+    chips: [{id: 'u1', type: '7402', x: 25}],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      ...powerWires(0),
+      // Invert A (Gate 1: In 2,3 -> Out 1)
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, { s: 'SW_0', e: {c:0, p:3}, color: 'WIRE_BLUE' },
+      // Invert B (Gate 2: In 5,6 -> Out 4)
+      { s: 'SW_1', e: {c:0, p:5}, color: 'WIRE_ORANGE' }, { s: 'SW_1', e: {c:0, p:6}, color: 'WIRE_ORANGE' },
+      // NOR outputs (Gate 3: In 8,9 -> Out 10)
+      { s: {c:0, p:1}, e: {c:0, p:8}, color: 'WIRE_PURPLE' }, { s: {c:0, p:4}, e: {c:0, p:9}, color: 'WIRE_PURPLE' },
+      { s: {c:0, p:10}, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = A & B'
+  },
+
+  // --- 4. ARITHMETIC ---
+  'half_adder': {
+    title: 'Half Adder',
+    category: 'Arithmetic',
+    tags: ['adder', 'sum', 'carry', 'xor', 'half'],
+    aliases: ['ha', 'half add'],
+    desc: 'Adds 2 bits. Sum = A^B, Carry = A.B',
+    explanation: 'A Half Adder adds two binary digits. \n\n- Sum is calculated using an XOR gate (A ^ B). \n- Carry is calculated using an AND gate (A & B).',
+    bom: ['1x 7486 (XOR)', '1x 7408 (AND)'],
+    chips: [{id: 'u1', type: '7486', x: 20}, {id: 'u2', type: '7408', x: 35}],
+    inputs: ['A', 'B'], outputs: ['Sum', 'Cout'],
+    wires: [
+      ...powerWires(0), ...powerWires(1),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
+      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_YELLOW' }
+    ],
+    logic: 'Sum = A ^ B; Cout = A & B'
+  },
+  'full_adder': {
+    title: 'Full Adder',
+    category: 'Arithmetic',
+    tags: ['adder', 'sum', 'carry', 'full'],
+    aliases: ['fa', 'full add', '1-bit adder'],
+    desc: 'Adds A, B, Cin.',
+    explanation: 'A Full Adder adds three bits (A, B, Carry-In). \n\nIt effectively uses two Half Adders. \n- Sum = A XOR B XOR Cin. \n- Carry Out = (A AND B) OR (Cin AND (A XOR B)).',
+    bom: ['1x 7486, 1x 7408, 1x 7432'],
+    chips: [{id:'u1',type:'7486',x:15}, {id:'u2',type:'7408',x:28}, {id:'u3',type:'7432',x:41}],
+    inputs: ['A', 'B', 'Cin'], outputs: ['Sum', 'Cout'],
+    wires: [
+      ...powerWires(0), ...powerWires(1), ...powerWires(2),
+      // Sum = A^B^C
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_YELLOW' },
+      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' },
+      // Carry
+      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: {c:1, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:1, p:5}, color: 'WIRE_YELLOW' },
+      { s: {c:1, p:3}, e: {c:2, p:1}, color: 'WIRE_PURPLE' }, { s: {c:1, p:6}, e: {c:2, p:2}, color: 'WIRE_PURPLE' },
+      { s: {c:2, p:3}, e: 'LED_1', color: 'WIRE_RED' }
+    ],
+    logic: 'Sum = A ^ B ^ Cin; Cout = A & B | Cin & (A ^ B)'
+  },
+  'half_subtractor': {
+    title: 'Half Subtractor',
+    category: 'Arithmetic',
+    tags: ['subtractor', 'difference', 'borrow', 'half'],
+    aliases: ['hs', 'half sub'],
+    desc: 'Diff = A^B, Borrow = (!A).B',
+    explanation: 'Subtracts B from A (A-B). \n\n- Difference = A XOR B. \n- Borrow = (NOT A) AND B. (We need to borrow if A=0 and B=1).',
+    bom: ['1x 7486, 1x 7404, 1x 7408'],
+    chips: [{id:'u1',type:'7486',x:15}, {id:'u2',type:'7404',x:28}, {id:'u3',type:'7408',x:41}],
+    inputs: ['A', 'B'], outputs: ['Diff', 'Borr'],
+    wires: [
+      ...powerWires(0), ...powerWires(1), ...powerWires(2),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
+      { s: 'SW_0', e: {c:1, p:1}, color: 'WIRE_BLUE' }, { s: {c:1, p:2}, e: {c:2, p:1}, color: 'WIRE_PURPLE' },
+      { s: 'SW_1', e: {c:2, p:2}, color: 'WIRE_ORANGE' }, { s: {c:2, p:3}, e: 'LED_1', color: 'WIRE_RED' }
+    ],
+    logic: 'Diff = A ^ B; Borr = !A & B'
+  },
+  'full_subtractor': {
+    title: 'Full Subtractor',
+    category: 'Arithmetic',
+    tags: ['subtractor', 'difference', 'borrow', 'full'],
+    aliases: ['fs', 'full sub'],
+    desc: 'Subtracts A - B - Bin. Outputs Diff & Bout.',
+    explanation: 'Subtracts three bits: A - B - BorrowIn. \n\n- Difference = A XOR B XOR Bin. \n- Borrow Out logic handles cases where we need to borrow from the next stage.',
+    bom: ['1x 7486 (XOR)', '1x 7408 (AND)', '1x 7404 (NOT)', '1x 7432 (OR)'],
+    chips: [{id: 'u1', type: '7486', x: 10}, {id: 'u2', type: '7408', x: 22}, {id: 'u3', type: '7404', x: 34}, {id: 'u4', type: '7432', x: 46}],
+    inputs: ['A', 'B', 'Bin'], outputs: ['Diff', 'Bout'],
+    wires: [
+      ...powerWires(0), ...powerWires(1), ...powerWires(2), ...powerWires(3),
+      // Diff = A^B^Bin
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_GREEN' },
+      { s: {c:0, p:6}, e: 'LED_0', color: 'WIRE_GREEN' },
+      // Bout = (NOT A).B + NOT(A^B).Bin
+      { s: 'SW_0', e: {c:2, p:1}, color: 'WIRE_BLUE' }, // A -> NOT
+      { s: {c:2, p:2}, e: {c:1, p:1}, color: 'WIRE_YELLOW' }, { s: 'SW_1', e: {c:1, p:2}, color: 'WIRE_ORANGE' }, // NOT A . B
+      { s: {c:0, p:3}, e: {c:2, p:3}, color: 'WIRE_PURPLE' }, // A^B -> NOT
+      { s: {c:2, p:4}, e: {c:1, p:4}, color: 'WIRE_YELLOW' }, { s: 'SW_2', e: {c:1, p:5}, color: 'WIRE_GREEN' }, // NOT(A^B) . Bin
+      { s: {c:1, p:3}, e: {c:3, p:1}, color: 'WIRE_YELLOW' }, { s: {c:1, p:6}, e: {c:3, p:2}, color: 'WIRE_YELLOW' }, // AND -> OR
+      { s: {c:3, p:3}, e: 'LED_1', color: 'WIRE_RED' },
+    ],
+    logic: 'Diff = A ^ B ^ Bin; Bout = !A & B | !(A ^ B) & Bin'
+  },
+  'multiplier_2bit': {
+    title: '2-Bit Multiplier',
+    category: 'Arithmetic',
+    tags: ['multiplier', 'product', 'multiply', '2-bit'],
+    aliases: ['2x2 multiplier', 'mul'],
+    desc: 'Multiplies two 2-bit numbers (A1A0 * B1B0).',
+    explanation: 'Multiplies two 2-bit numbers. \n\nUses AND gates to create partial products (like digit multiplication) and Half Adders to sum them up. Output is 4 bits (P3 P2 P1 P0).',
+    bom: ['2x 7408 (AND)', '1x 7486 (XOR)', '4x LEDs'],
+    chips: [{id: 'u1', type: '7408', x: 15}, {id: 'u2', type: '7486', x: 28}, {id: 'u3', type: '7408', x: 41}],
+    inputs: ['A0', 'A1', 'B0', 'B1'], outputs: ['P0', 'P1', 'P2', 'P3'],
+    wires: [
+      ...powerWires(0), ...powerWires(1), ...powerWires(2),
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_2', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: 'LED_0', color: 'WIRE_GREEN' },
+      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_PURPLE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_ORANGE' }, 
+      { s: 'SW_0', e: {c:0, p:9}, color: 'WIRE_BLUE' }, { s: 'SW_3', e: {c:0, p:10}, color: 'WIRE_YELLOW' },
+      { s: 'SW_1', e: {c:0, p:12}, color: 'WIRE_PURPLE' }, { s: 'SW_3', e: {c:0, p:13}, color: 'WIRE_YELLOW' }, // A1.B1
+      // P1 = A1.B0 ^ A0.B1
+      { s: {c:0, p:6}, e: {c:1, p:1}, color: 'WIRE_PURPLE' }, { s: {c:0, p:8}, e: {c:1, p:2}, color: 'WIRE_PURPLE' },
+      { s: {c:1, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
+      // Carry C1 = A1.B0 . A0.B1
+      { s: {c:0, p:6}, e: {c:2, p:1}, color: 'WIRE_PURPLE' }, { s: {c:0, p:8}, e: {c:2, p:2}, color: 'WIRE_PURPLE' },
+      // P2 = A1.B1 ^ C1, P3 = A1.B1 . C1
+      { s: {c:0, p:11}, e: {c:1, p:4}, color: 'WIRE_ORANGE' }, { s: {c:2, p:3}, e: {c:1, p:5}, color: 'WIRE_YELLOW' },
+      { s: {c:1, p:6}, e: 'LED_2', color: 'WIRE_GREEN' },
+      { s: {c:0, p:11}, e: {c:2, p:4}, color: 'WIRE_ORANGE' }, { s: {c:2, p:3}, e: {c:2, p:5}, color: 'WIRE_YELLOW' },
+      { s: {c:2, p:6}, e: 'LED_3', color: 'WIRE_RED' },
+    ],
+    logic: 'p = (A0 + 2 * A1) * (B0 + 2 * B1); P0 = p[0]; P1 = p[1]; P2 = p[2]; P3 = p[3]'
+  },
+
+  'adder_74283': {
+    title: '4-Bit Binary Adder (74283)',
+    category: 'Arithmetic',
+    tags: ['adder', 'sum', 'carry', '4-bit', 'binary', 'arithmetic'],
+    aliases: ['4 bit adder', 'binary adder', 'parallel adder'],
+    desc: 'Adds two 4-bit words A4..A1 and B4..B1 in one chip.',
+    explanation: 'The 74283 is four full adders with fast look-ahead carry in one package. \n\nSum = A + B + C0. C0 (the carry in) is tied Low here; C4 is the carry out, so the LEDs read a 5-bit result from 0 to 30.',
+    bom: ['1x 74283 (4-bit Adder)'],
+    chips: [{id:'u1', type:'74283', x:25}], // 16-pin
+    inputs: ['A4', 'A3', 'A2', 'A1', 'B4', 'B3', 'B2', 'B1'],
+    outputs: ['C4', 'S4', 'S3', 'S2', 'S1'],
+    wires: [
+      ...powerWires(0, '74283'),
+      { s: 'GND', e: {c:0, p:7}, color: 'WIRE_BLACK' }, // C0
+      // Word A: A4(12), A3(14), A2(3), A1(5)
+      { s: 'SW_0', e: {c:0, p:12}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:14}, color: 'WIRE_BLUE' },
+      { s: 'SW_2', e: {c:0, p:3}, color: 'WIRE_BLUE' }, { s: 'SW_3', e: {c:0, p:5}, color: 'WIRE_BLUE' },
+      // Word B: B4(11), B3(15), B2(2), B1(6)
+      { s: 'SW_4', e: {c:0, p:11}, color: 'WIRE_ORANGE' }, { s: 'SW_5', e: {c:0, p:15}, color: 'WIRE_ORANGE' },
+      { s: 'SW_6', e: {c:0, p:2}, color: 'WIRE_ORANGE' }, { s: 'SW_7', e: {c:0, p:6}, color: 'WIRE_ORANGE' },
+      // Outputs: C4(9), Σ4(10), Σ3(13), Σ2(1), Σ1(4)
+      { s: {c:0, p:9}, e: 'LED_0', color: 'WIRE_RED' },
+      { s: {c:0, p:10}, e: 'LED_1', color: 'WIRE_GREEN' }, { s: {c:0, p:13}, e: 'LED_2', color: 'WIRE_GREEN' },
+      { s: {c:0, p:1}, e: 'LED_3', color: 'WIRE_GREEN' }, { s: {c:0, p:4}, e: 'LED_4', color: 'WIRE_GREEN' }
+    ],
+    logic: 'a = 8 * A4 + 4 * A3 + 2 * A2 + A1; b = 8 * B4 + 4 * B3 + 2 * B2 + B1; s = a + b; C4 = s[4]; S4 = s[3]; S3 = s[2]; S2 = s[1]; S1 = s[0]'
+  },
+
+  // --- 5. CONVERTERS ---
+  'binary_gray': {
+    title: 'Binary to Gray Code',
+    category: 'Code Converters',
+    tags: ['gray', 'binary', 'code', 'converter', 'xor'],
+    aliases: ['binary to gray', 'gray code'],
+    desc: '4-bit Binary to Gray using XOR (7486).',
+    explanation: 'Converts Binary to Gray code. \n\nGray code ensures only one bit changes at a time. \nLogic: G[i] = B[i] XOR B[i+1]. MSB stays the same.',
+    bom: ['1x 7486 (XOR)'],
+    chips: [{id:'u1',type:'7486',x:25}],
+    inputs: ['B3','B2','B1','B0'], outputs: ['G3','G2','G1','G0'],
+    wires: [
+      ...powerWires(0),
+      { s: 'SW_0', e: 'LED_0', color: 'WIRE_BLUE' }, // G3=B3
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: {c:0, p:3}, e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: 'SW_1', e: {c:0, p:4}, color: 'WIRE_ORANGE' }, { s: 'SW_2', e: {c:0, p:5}, color: 'WIRE_YELLOW' },
+      { s: {c:0, p:6}, e: 'LED_2', color: 'WIRE_GREEN' },
+      { s: 'SW_2', e: {c:0, p:9}, color: 'WIRE_YELLOW' }, { s: 'SW_3', e: {c:0, p:10}, color: 'WIRE_PURPLE' },
+      { s: {c:0, p:8}, e: 'LED_3', color: 'WIRE_GREEN' }
+    ],
+    logic: 'G3 = B3; G2 = B3 ^ B2; G1 = B2 ^ B1; G0 = B1 ^ B0'
+  },
+
+  'bcd_7seg_7447': {
+    title: 'BCD to 7-Segment Decoder (7447)',
+    category: 'Code Converters',
+    tags: ['bcd', '7-segment', 'seven segment', 'display', 'decoder', 'driver', 'active low'],
+    aliases: ['bcd to 7 segment', 'seven segment decoder', 'display driver'],
+    desc: 'Drives segments a-g of a common-anode display from a BCD digit.',
+    explanation: 'The 7447 turns a 4-bit BCD digit (D C B A) into the seven segment lines a-g. \n\nIts outputs are ACTIVE LOW: a lit segment is pulled to 0V, so here an LED that is OFF marks a lit segment. Codes 10-14 give odd glyphs and 15 blanks the display. /LT, /RBI and /BI are tied High for normal operation.',
+    bom: ['1x 7447 (BCD to 7-Segment)'],
+    chips: [{id:'u1', type:'7447', x:25}], // 16-pin
+    inputs: ['D', 'C', 'B', 'A'], outputs: ['a', 'b', 'c', 'd', 'e', 'f', 'g'],
+    wires: [
+      ...powerWires(0, '7447'),
+      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // /LT
+      { s: 'VCC', e: {c:0, p:4}, color: 'WIRE_RED' }, // /BI
+      { s: 'VCC', e: {c:0, p:5}, color: 'WIRE_RED' }, // /RBI
+      { s: 'SW_0', e: {c:0, p:6}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: 'SW_2', e: {c:0, p:1}, color: 'WIRE_YELLOW' }, { s: 'SW_3', e: {c:0, p:7}, color: 'WIRE_PURPLE' },
+      // Segments a(13) b(12) c(11) d(10) e(9) f(15) g(14)
+      { s: {c:0, p:13}, e: 'LED_0', color: 'WIRE_GREEN' }, { s: {c:0, p:12}, e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: {c:0, p:11}, e: 'LED_2', color: 'WIRE_GREEN' }, { s: {c:0, p:10}, e: 'LED_3', color: 'WIRE_GREEN' },
+      { s: {c:0, p:9}, e: 'LED_4', color: 'WIRE_GREEN' }, { s: {c:0, p:15}, e: 'LED_5', color: 'WIRE_GREEN' },
+      { s: {c:0, p:14}, e: 'LED_6', color: 'WIRE_GREEN' }
+    ],
+    // From the 7447 function table: each output is High (segment dark) for the codes
+    // listed: 6 is drawn without its top bar (a), 9 without its bottom bar (d), 15 blank.
+    logic: 'n = 8 * D + 4 * C + 2 * B + A; ' +
+      'a = n == 1 | n == 4 | n == 6 | n == 10 | n == 11 | n == 12 | n == 14 | n == 15; ' +
+      'b = n == 5 | n == 6 | n == 10 | n == 11 | n == 13 | n == 14 | n == 15; ' +
+      'c = n == 2 | n == 10 | n == 12 | n == 13 | n == 14 | n == 15; ' +
+      'd = n == 1 | n == 4 | n == 7 | n == 9 | n == 12 | n == 15; ' +
+      'e = n == 1 | n == 3 | n == 4 | n == 5 | n == 7 | n == 9 | n == 11 | n == 12 | n == 13 | n == 15; ' +
+      'f = n == 1 | n == 2 | n == 3 | n == 7 | n == 10 | n == 11 | n == 15; ' +
+      'g = n == 0 | n == 1 | n == 7 | n == 15'
+  },
+
+  'keypad_7seg': {
+    title: 'Hex Keypad to 7-Segment Display (7447)',
+    category: 'Code Converters',
+    tags: ['keypad', 'bcd', '7-segment', 'seven segment', 'display', 'decoder', 'common anode'],
+    aliases: ['keypad display', 'key to display', 'digit display'],
+    desc: 'Shows the key held on a hex keypad on a common-anode display.',
+    explanation: 'The keypad drives the binary weight of the key held on its 8, 4, 2 and 1 pins, which go straight to the D C B A inputs of the 7447. \n\nThe 7447 pulls the segments of the digit Low, and the display\'s common anode sits on +5V, so each Low segment lights. Keys A-E show the datasheet\'s odd glyphs and F blanks the display.',
+    bom: ['1x 7447 (BCD to 7-Segment)', '1x Hex keypad', '1x Common-anode 7-segment display'],
+    chips: [{id:'u1', type:'7447', x:25}], // 16-pin
+    devices: [{type:'KEYPAD', label:'Keys'}, {type:'SEG_CA', label:'Digit'}],
+    inputs: [], outputs: [],
+    wires: [
+      ...powerWires(0, '7447'),
+      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // /LT
+      { s: 'VCC', e: {c:0, p:4}, color: 'WIRE_RED' }, // /BI
+      { s: 'VCC', e: {c:0, p:5}, color: 'WIRE_RED' }, // /RBI
+      { s: 'KEY_0.8', e: {c:0, p:6}, color: 'WIRE_PURPLE' }, { s: 'KEY_0.4', e: {c:0, p:2}, color: 'WIRE_YELLOW' },
+      { s: 'KEY_0.2', e: {c:0, p:1}, color: 'WIRE_ORANGE' }, { s: 'KEY_0.1', e: {c:0, p:7}, color: 'WIRE_BLUE' },
+      // Segments a(13) b(12) c(11) d(10) e(9) f(15) g(14)
+      { s: {c:0, p:13}, e: 'SEG_0.a', color: 'WIRE_GREEN' }, { s: {c:0, p:12}, e: 'SEG_0.b', color: 'WIRE_GREEN' },
+      { s: {c:0, p:11}, e: 'SEG_0.c', color: 'WIRE_GREEN' }, { s: {c:0, p:10}, e: 'SEG_0.d', color: 'WIRE_GREEN' },
+      { s: {c:0, p:9}, e: 'SEG_0.e', color: 'WIRE_GREEN' }, { s: {c:0, p:15}, e: 'SEG_0.f', color: 'WIRE_GREEN' },
+      { s: {c:0, p:14}, e: 'SEG_0.g', color: 'WIRE_GREEN' },
+      { s: 'VCC', e: 'SEG_0.com', color: 'WIRE_RED' } // common anode
+    ],
+    // Each key in turn, and the segments it lights
+    sequence: ['abcdef', 'bc', 'abdeg', 'abcdg', 'bcfg', 'acdfg', 'cdefg', 'abc', 'abcdefg', 'abcfg', 'deg', 'cdg', 'bfg', 'adfg', 'defg', '']
+      .map((lit, key) => ({ inputs: [], controls: { KEY_0: key }, expect: [], displays: { SEG_0: lit } }))
+  },
+
+  // --- 6. MULTIPLEXER (74153) ---
+  'mux_74153': {
+    title: '4:1 Multiplexer (74153)',
+    category: 'Multiplexers',
+    tags: ['multiplexer', 'mux', 'selector', '4:1'],
+    aliases: ['4 to 1 mux', 'data selector'],
+    desc: 'Dual 4-Input Mux. Selected by A, B.',
+    explanation: 'A 4:1 Multiplexer selects one of 4 data inputs (C0-C3) based on the Select lines (A, B) and sends it to the Output Y. \n\nLike a digital switch controlled by A and B.',
+    bom: ['1x 74153 (Dual 4:1 Mux)'],
+    chips: [{id:'u1', type:'74153', x:25}], // 16-pin
+    inputs: ['A', 'B', '1C0', '1C1', '1C2', '1C3'], outputs: ['1Y'],
+    wires: [
+      ...powerWires(0, 16), // 16 pin power
+      { s: 'GND', e: {c:0, p:1}, color: 'WIRE_BLACK' }, // 1G (Enable) grounded (Active Low)
+      { s: 'SW_0', e: {c:0, p:14}, color: 'WIRE_BLUE' }, // Select A
+      { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' }, // Select B
+      // Inputs
+      { s: 'SW_2', e: {c:0, p:6}, color: 'WIRE_GREEN' }, // 1C0
+      { s: 'SW_3', e: {c:0, p:5}, color: 'WIRE_GREEN' }, // 1C1
+      { s: 'SW_4', e: {c:0, p:4}, color: 'WIRE_GREEN' }, // 1C2
+      { s: 'SW_5', e: {c:0, p:3}, color: 'WIRE_GREEN' }, // 1C3
+      // Output
+      { s: {c:0, p:7}, e: 'LED_0', color: 'WIRE_RED' }
+    ],
+    // B is the MSB of the select lines
+    logic: 'sel = 2 * B + A; 1Y = sel == 0 ? 1C0 : sel == 1 ? 1C1 : sel == 2 ? 1C2 : 1C3'
+  },
+
+  'mux_74151': {
+    title: '3-Variable Function with 8:1 Mux (74151)',
+    category: 'Multiplexers',
+    tags: ['multiplexer', 'mux', '8:1', 'selector', 'parity', 'function'],
+    aliases: ['8 to 1 mux', 'mux function', 'parity generator'],
+    desc: 'Any function of C, B, A: wire its truth table to D0-D7.',
+    explanation: 'An 8:1 Multiplexer can implement any 3-variable function. The variables drive the select lines and each data input D0-D7 is tied High or Low to match the truth table row it selects. \n\nHere D1, D2, D4 and D7 are High, giving odd parity: Y = A XOR B XOR C. W is the inverted output.',
+    bom: ['1x 74151 (8:1 Mux)'],
+    chips: [{id:'u1', type:'74151', x:25}], // 16-pin
+    inputs: ['C', 'B', 'A'], outputs: ['Y', 'W'],
+    wires: [
+      ...powerWires(0, '74151'),
+      { s: 'GND', e: {c:0, p:7}, color: 'WIRE_BLACK' }, // /G enabled
+      // Truth table: D1, D2, D4, D7 High; D0, D3, D5, D6 Low
+      { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' }, { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:0, p:2}, color: 'WIRE_RED' }, { s: 'GND', e: {c:0, p:1}, color: 'WIRE_BLACK' },
+      { s: 'VCC', e: {c:0, p:15}, color: 'WIRE_RED' }, { s: 'GND', e: {c:0, p:14}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:13}, color: 'WIRE_BLACK' }, { s: 'VCC', e: {c:0, p:12}, color: 'WIRE_RED' },
+      // Select C(9), B(10), A(11)
+      { s: 'SW_0', e: {c:0, p:9}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:10}, color: 'WIRE_ORANGE' },
+      { s: 'SW_2', e: {c:0, p:11}, color: 'WIRE_YELLOW' },
+      { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' }, // Y
+      { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_PURPLE' } // W
+    ],
+    logic: 'Y = A ^ B ^ C; W = !(A ^ B ^ C)'
+  },
+
+  // --- 7. DECODER (74139) ---
+  'decoder_74139': {
+    title: '2-to-4 Decoder (74139)',
+    category: 'Decoders',
+    tags: ['decoder', 'demultiplexer', 'demux', '2:4', 'active low'],
+    aliases: ['2 to 4 decoder', 'demux'],
+    desc: 'Dual 2-to-4 Line Decoder (Active Low Outputs).',
+    explanation: 'Decodes a 2-bit input (A, B) to activate one of 4 output lines. \n\nNote: The 74139 has ACTIVE LOW outputs, meaning the selected output goes to 0V (LED Off or Inverted), while others stay High.',
+    bom: ['1x 74139 (Dual Decoder)'],
+    chips: [{id:'u1', type:'74139', x:25}], // 16-pin
+    inputs: ['A', 'B', 'En'], outputs: ['Y0', 'Y1', 'Y2', 'Y3'],
+    wires: [
+      ...powerWires(0, 16),
+      { s: 'SW_2', e: {c:0, p:1}, color: 'WIRE_BLACK' }, // Enable (1G)
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, // A (Select 0)
+      { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_ORANGE' }, // B (Select 1)
+      // Outputs (Active Low)
+      { s: {c:0, p:4}, e: 'LED_0', color: 'WIRE_RED' },
+      { s: {c:0, p:5}, e: 'LED_1', color: 'WIRE_RED' },
+      { s: {c:0, p:6}, e: 'LED_2', color: 'WIRE_RED' },
+      { s: {c:0, p:7}, e: 'LED_3', color: 'WIRE_RED' }
+    ],
+    // Outputs and Enable are active low: the selected LED goes dark
+    logic: 'sel = 2 * B + A; Y0 = En | sel != 0; Y1 = En | sel != 1; Y2 = En | sel != 2; Y3 = En | sel != 3'
+  },
+
+  'decoder_74138': {
+    title: '3-to-8 Decoder (74138)',
+    category: 'Decoders',
+    tags: ['decoder', 'demultiplexer', 'demux', '3:8', 'active low', 'address'],
+    aliases: ['3 to 8 decoder', 'line decoder', 'address decoder'],
+    desc: '3-to-8 Line Decoder with three enables (Active Low Outputs).',
+    explanation: 'Decodes a 3-bit input (C, B, A) to pull one of 8 output lines Low. \n\nThe chip is enabled only when G1 is High and /G2A, /G2B are Low; here /G2A and /G2B are grounded and En drives G1. Disabled, every output stays High.',
+    bom: ['1x 74138 (3-to-8 Decoder)'],
+    chips: [{id:'u1', type:'74138', x:28}], // 16-pin
+    inputs: ['A', 'B', 'C', 'En'],
+    outputs: ['Y0', 'Y1', 'Y2', 'Y3', 'Y4', 'Y5', 'Y6', 'Y7'],
+    wires: [
+      ...powerWires(0, '74138'),
+      { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:5}, color: 'WIRE_BLACK' }, // /G2A, /G2B
+      { s: 'SW_3', e: {c:0, p:6}, color: 'WIRE_RED' }, // G1
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:2}, color: 'WIRE_ORANGE' },
+      { s: 'SW_2', e: {c:0, p:3}, color: 'WIRE_YELLOW' },
+      // Outputs (Active Low): /Y0(15) .. /Y6(9), /Y7(7)
+      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, { s: {c:0, p:14}, e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: {c:0, p:13}, e: 'LED_2', color: 'WIRE_GREEN' }, { s: {c:0, p:12}, e: 'LED_3', color: 'WIRE_GREEN' },
+      { s: {c:0, p:11}, e: 'LED_4', color: 'WIRE_GREEN' }, { s: {c:0, p:10}, e: 'LED_5', color: 'WIRE_GREEN' },
+      { s: {c:0, p:9}, e: 'LED_6', color: 'WIRE_GREEN' }, { s: {c:0, p:7}, e: 'LED_7', color: 'WIRE_GREEN' }
+    ],
+    // The selected LED goes dark while En is High
+    logic: 'sel = 4 * C + 2 * B + A; Y0 = !En | sel != 0; Y1 = !En | sel != 1; Y2 = !En | sel != 2; Y3 = !En | sel != 3; Y4 = !En | sel != 4; Y5 = !En | sel != 5; Y6 = !En | sel != 6; Y7 = !En | sel != 7'
+  },
+
+  // --- 8. COMPARATOR (7485) ---
+  'comparator_7485': {
+    title: '4-Bit Magnitude Comparator',
+    category: 'Comparators',
+    tags: ['comparator', 'magnitude', 'compare', 'greater', 'less', 'equal'],
+    aliases: ['magnitude comparator', 'compare'],
+    desc: 'Compares Word A (A3..A0) and B (B3..B0).',
+    explanation: 'Compares two binary numbers (A and B). \n\nOutputs signals for: \n- A > B \n- A = B \n- A < B',
+    bom: ['1x 7485 (4-bit Comparator)'],
+    chips: [{id:'u1', type:'7485', x:25}], // 16-pin
+    inputs: ['A1', 'A0', 'B1', 'B0'], 
+    outputs: ['A>B', 'A=B', 'A<B'],
+    wires: [
+      ...powerWires(0, 16),
+      // Tie unused inputs (A3,A2,B3,B2) to Ground
+      { s: 'GND', e: {c:0, p:15}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:13}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:1}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:14}, color: 'WIRE_BLACK' },
+      // Cascading inputs: A=B(3) High, others Low
+      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, 
+      { s: 'GND', e: {c:0, p:2}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
+      // Inputs A1(12), A0(10), B1(11), B0(9)
+      { s: 'SW_0', e: {c:0, p:12}, color: 'WIRE_BLUE' }, { s: 'SW_1', e: {c:0, p:10}, color: 'WIRE_BLUE' },
+      { s: 'SW_2', e: {c:0, p:11}, color: 'WIRE_ORANGE' }, { s: 'SW_3', e: {c:0, p:9}, color: 'WIRE_ORANGE' },
+      // Outputs
+      { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' }, // A>B
+      { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_YELLOW' }, // A=B
+      { s: {c:0, p:7}, e: 'LED_2', color: 'WIRE_RED' }  // A<B
+    ],
+    logic: 'a = 2 * A1 + A0; b = 2 * B1 + B0; "A>B" = a > b; "A=B" = a == b; "A<B" = a < b'
+  },
+
+  // --- 9. FLIP FLOPS ---
+  'd_ff_7474': {
+    title: 'D Flip-Flop (7474)',
+    category: 'Flip-Flops',
+    tags: ['flip-flop', 'd', 'latch', 'edge', 'sequential', 'preset', 'clear'],
+    aliases: ['d flip flop', 'dff', 'd-ff'],
+    desc: 'Rising Edge Triggered. 1:/CLR, 2:D, 3:CLK, 4:/PRE',
+    explanation: 'A D Flip-Flop stores 1 bit of data. \n\nWhen the Clock rises, the value of D is captured and stored at Q. \nPreset and Clear pins allow forcing the state.',
+    bom: ['1x 7474 (Dual D-FF)'],
+    chips: [{id:'u1', type:'7474', x:25}],
+    inputs: ['D', 'CLK', 'PRE', 'CLR'], outputs: ['Q', '/Q'],
+    wires: [
+      ...powerWires(0, 14),
+      { s: 'SW_2', e: {c:0, p:4}, color: 'WIRE_RED' }, // PRE (Active Low, default High)
+      { s: 'SW_3', e: {c:0, p:1}, color: 'WIRE_RED' }, // CLR (Active Low)
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_BLUE' }, // D
+      { s: 'SW_1', e: {c:0, p:3}, color: 'WIRE_YELLOW' }, // CLK
+      { s: {c:0, p:5}, e: 'LED_0', color: 'WIRE_GREEN' },
+      { s: {c:0, p:6}, e: 'LED_1', color: 'WIRE_ORANGE' }
+    ],
+    // Expected behaviour over time: each step sets the switches, edges come from the change
+    sequence: [
+      { inputs: [0,0,1,1], expect: [0,1] },
+      { inputs: [1,0,1,1], expect: [0,1] },
+      { inputs: [1,1,1,1], expect: [1,0] }, // rising edge captures D=1
+      { inputs: [0,1,1,1], expect: [1,0] }, // D ignored while CLK stays high
+      { inputs: [0,0,1,1], expect: [1,0] },
+      { inputs: [0,1,1,1], expect: [0,1] }, // rising edge captures D=0
+      { inputs: [0,1,0,1], expect: [1,0] }, // PRE forces Q high
+      { inputs: [0,1,1,0], expect: [0,1] }, // CLR forces Q low
+      { inputs: [0,1,0,0], expect: [1,1] }  // both asserted: Q = /Q = 1
+    ]
+  },
+  'jk_ff_7476': {
+    title: 'JK Flip-Flop (7476)',
+    category: 'Flip-Flops',
+    tags: ['flip-flop', 'jk', 'toggle', 'sequential'],
+    aliases: ['jk flip flop', 'jkff', 'jk-ff'],
+    desc: 'Dual JK FF. Pin 5=VCC, 13=GND. 1K=16, 1J=4.',
+    explanation: 'JK Flip-Flop functionality: \n- J=0, K=0: No Change \n- J=1, K=0: Set High \n- J=0, K=1: Reset Low \n- J=1, K=1: Toggle (Flip) state.',
+    bom: ['1x 7476 (Dual JK)'],
+    chips: [{id:'u1', type:'7476', x:25}], // 16-pin
+    inputs: ['J', 'K', 'CLK'], outputs: ['Q', '/Q'],
+    wires: [
+      ...powerWires(0, '7476'), // Custom power
+      { s: 'SW_0', e: {c:0, p:4}, color: 'WIRE_BLUE' }, // 1J
+      { s: 'SW_1', e: {c:0, p:16}, color: 'WIRE_ORANGE' }, // 1K
+      { s: 'SW_2', e: {c:0, p:1}, color: 'WIRE_YELLOW' }, // 1CLK
+      { s: 'VCC', e: {c:0, p:2}, color: 'WIRE_RED' }, // PRE
+      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // CLR
+      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, // 1Q
+      { s: {c:0, p:14}, e: 'LED_1', color: 'WIRE_RED' }  // 1/Q
+    ],
+    // Outputs change on the falling clock edge
+    sequence: [
+      { inputs: [0,0,0], expect: [0,1] },
+      { inputs: [1,0,1], expect: [0,1] },
+      { inputs: [1,0,0], expect: [1,0] }, // set
+      { inputs: [0,0,1], expect: [1,0] },
+      { inputs: [0,0,0], expect: [1,0] }, // hold
+      { inputs: [0,1,1], expect: [1,0] },
+      { inputs: [0,1,0], expect: [0,1] }, // reset
+      { inputs: [1,1,1], expect: [0,1] },
+      { inputs: [1,1,0], expect: [1,0] }, // toggle
+      { inputs: [1,1,1], expect: [1,0] },
+      { inputs: [1,1,0], expect: [0,1] }  // toggle
+    ]
+  },
+
+  // --- 10. COUNTER ---
+  'counter_mod4': {
+    title: 'Mod-4 Asynchronous Counter',
+    category: 'Counters',
+    tags: ['counter', 'ripple', 'asynchronous', 'mod-4', 'sequential'],
+    aliases: ['mod 4 counter', '2-bit counter', 'ripple counter'],
+    desc: '2-bit Up Counter using JK FFs (7476). J=K=1 (Toggle).',
+    explanation: 'A 2-bit counter counts 00 -> 01 -> 10 -> 11. \n\nCreated by cascading two JK Flip-Flops in "Toggle Mode" (J=1, K=1). The output of the first FF acts as the clock for the second.',
+    bom: ['1x 7476 (Dual JK)'],
+    chips: [{id:'u1', type:'7476', x:25}],
+    inputs: ['CLK'], outputs: ['Q0', 'Q1'],
+    wires: [
+      ...powerWires(0, '7476'),
+      // Set all J, K, PRE, CLR to High
+      { s: 'VCC', e: {c:0, p:4}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:16}, color: 'WIRE_RED' }, // FF1 JK
+      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:12}, color: 'WIRE_RED' }, // FF2 JK
+      { s: 'VCC', e: {c:0, p:2}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, // FF1 Pre/Clr
+      { s: 'VCC', e: {c:0, p:7}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:8}, color: 'WIRE_RED' }, // FF2 Pre/Clr
+      // Clock 1
+      { s: 'SW_0', e: {c:0, p:1}, color: 'WIRE_YELLOW' },
+      // Output 1 -> Clock 2
+      { s: {c:0, p:15}, e: {c:0, p:6}, color: 'WIRE_PURPLE' },
+      // LEDs
+      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, // Q0
+      { s: {c:0, p:11}, e: 'LED_1', color: 'WIRE_GREEN' }  // Q1
+    ],
+    // Each falling clock edge advances Q1Q0: 00 -> 01 -> 10 -> 11 -> 00
+    sequence: [
+      { inputs: [0], expect: [0,0] },
+      { inputs: [1], expect: [0,0] }, { inputs: [0], expect: [1,0] },
+      { inputs: [1], expect: [1,0] }, { inputs: [0], expect: [0,1] },
+      { inputs: [1], expect: [0,1] }, { inputs: [0], expect: [1,1] },
+      { inputs: [1], expect: [1,1] }, { inputs: [0], expect: [0,0] }
+    ]
+  },
+  'decade_74161': {
+    title: 'Decade Counter (74161)',
+    category: 'Counters',
+    tags: ['counter', 'synchronous', 'decade', 'mod-10', 'bcd', 'sequential'],
+    aliases: ['mod 10 counter', 'decade counter', 'bcd counter'],
+    desc: 'Synchronous 4-bit counter cut short to count 0-9.',
+    explanation: 'The 74161 counts up on every rising clock edge while ENP, ENT and /LOAD are High. \n\nOn its own it counts 0-15. A NAND gate watches for 10 (QD and QB both High) and pulls the asynchronous /CLR Low, so the count snaps straight back to 0 and the counter steps 0-9.',
+    bom: ['1x 74161 (4-bit Counter)', '1x 7400 (NAND)'],
+    chips: [{id:'u1', type:'74161', x:20}, {id:'u2', type:'7400', x:35}],
+    inputs: ['CLK'], outputs: ['QA', 'QB', 'QC', 'QD'],
+    wires: [
+      ...powerWires(0, '74161'), ...powerWires(1, '7400'),
+      // Count enables and /LOAD High; parallel data unused
+      { s: 'VCC', e: {c:0, p:7}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:10}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' },
+      { s: 'GND', e: {c:0, p:3}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:5}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:6}, color: 'WIRE_BLACK' },
+      { s: 'SW_0', e: {c:0, p:2}, color: 'WIRE_YELLOW' }, // CLK
+      // Clear on 10: /CLR = NAND(QD, QB)
+      { s: {c:0, p:11}, e: {c:1, p:1}, color: 'WIRE_PURPLE' }, { s: {c:0, p:13}, e: {c:1, p:2}, color: 'WIRE_PURPLE' },
+      { s: {c:1, p:3}, e: {c:0, p:1}, color: 'WIRE_ORANGE' },
+      // LEDs: QA(14) QB(13) QC(12) QD(11)
+      { s: {c:0, p:14}, e: 'LED_0', color: 'WIRE_GREEN' }, { s: {c:0, p:13}, e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: {c:0, p:12}, e: 'LED_2', color: 'WIRE_GREEN' }, { s: {c:0, p:11}, e: 'LED_3', color: 'WIRE_GREEN' }
+    ],
+    // Each rising clock edge counts up; 9 -> 10 clears straight to 0
+    sequence: [
+      { inputs: [0], expect: [0,0,0,0] },
+      { inputs: [1], expect: [1,0,0,0] }, { inputs: [0], expect: [1,0,0,0] },
+      { inputs: [1], expect: [0,1,0,0] }, { inputs: [0], expect: [0,1,0,0] },
+      { inputs: [1], expect: [1,1,0,0] }, { inputs: [0], expect: [1,1,0,0] },
+      { inputs: [1], expect: [0,0,1,0] }, { inputs: [0], expect: [0,0,1,0] },
+      { inputs: [1], expect: [1,0,1,0] }, { inputs: [0], expect: [1,0,1,0] },
+      { inputs: [1], expect: [0,1,1,0] }, { inputs: [0], expect: [0,1,1,0] },
+      { inputs: [1], expect: [1,1,1,0] }, { inputs: [0], expect: [1,1,1,0] },
+      { inputs: [1], expect: [0,0,0,1] }, { inputs: [0], expect: [0,0,0,1] },
+      { inputs: [1], expect: [1,0,0,1] }, { inputs: [0], expect: [1,0,0,1] },
+      { inputs: [1], expect: [0,0,0,0] }, { inputs: [0], expect: [0,0,0,0] }  // 9 -> 0
+    ]
+  },
+  'ring_counter_74194': {
+    title: 'Ring Counter (74194)',
+    category: 'Counters',
+    tags: ['shift register', 'ring counter', 'shift', 'register', 'sequential', 'load'],
+    aliases: ['ring counter', 'shift register', 'circulating register'],
+    desc: 'A single 1 circulating through a 4-bit shift register.',
+    explanation: 'The 74194 loads, holds or shifts 4 bits on the rising clock edge, chosen by S1 and S0. \n\nWith LOAD High (S1 = S0 = 1) a clock loads 1000 from the data inputs. With LOAD Low it shifts right, and QD is fed back into the serial input SR, so the 1 travels QA -> QB -> QC -> QD and round again.',
+    bom: ['1x 74194 (Shift Register)'],
+    chips: [{id:'u1', type:'74194', x:25}], // 16-pin
+    inputs: ['CLK', 'LOAD'], outputs: ['QA', 'QB', 'QC', 'QD'],
+    wires: [
+      ...powerWires(0, '74194'),
+      { s: 'VCC', e: {c:0, p:1}, color: 'WIRE_RED' }, // /CLR
+      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' }, // S0
+      { s: 'SW_1', e: {c:0, p:10}, color: 'WIRE_ORANGE' }, // S1
+      { s: 'SW_0', e: {c:0, p:11}, color: 'WIRE_YELLOW' }, // CLK
+      // Parallel data 1000 (A High), SL unused
+      { s: 'VCC', e: {c:0, p:3}, color: 'WIRE_RED' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:5}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:6}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:7}, color: 'WIRE_BLACK' },
+      { s: {c:0, p:12}, e: {c:0, p:2}, color: 'WIRE_PURPLE' }, // QD -> SR
+      // LEDs: QA(15) QB(14) QC(13) QD(12)
+      { s: {c:0, p:15}, e: 'LED_0', color: 'WIRE_GREEN' }, { s: {c:0, p:14}, e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: {c:0, p:13}, e: 'LED_2', color: 'WIRE_GREEN' }, { s: {c:0, p:12}, e: 'LED_3', color: 'WIRE_GREEN' }
+    ],
+    sequence: [
+      { inputs: [0,1], expect: [0,0,0,0] },
+      { inputs: [1,1], expect: [1,0,0,0] }, // load 1000
+      { inputs: [0,0], expect: [1,0,0,0] },
+      { inputs: [1,0], expect: [0,1,0,0] }, { inputs: [0,0], expect: [0,1,0,0] },
+      { inputs: [1,0], expect: [0,0,1,0] }, { inputs: [0,0], expect: [0,0,1,0] },
+      { inputs: [1,0], expect: [0,0,0,1] }, { inputs: [0,0], expect: [0,0,0,1] },
+      { inputs: [1,0], expect: [1,0,0,0] }  // back round to QA
+    ]
+  },
+  'clock_counter_7448': {
+    title: 'Clocked Decade Counter on a Display (74161 + 7448)',
+    category: 'Counters',
+    tags: ['counter', 'decade', 'clock', '555', '7-segment', 'display', 'common cathode', 'sequential'],
+    aliases: ['counting display', 'digital counter', 'seconds counter'],
+    desc: 'A 555 clock counts 0-9 on a common-cathode display.',
+    explanation: 'The 555 clock ticks the decade counter (74161 with a NAND clearing it at 10) once per period; change its rate with - and +, or stop it. \n\nThe count goes to a 7448, whose outputs are ACTIVE HIGH, so it drives a common-cathode display whose common pin sits on GND.',
+    bom: ['1x 74161 (4-bit Counter)', '1x 7400 (NAND)', '1x 7448 (BCD to 7-Segment)', '1x 555 clock', '1x Common-cathode 7-segment display'],
+    chips: [{id:'u1', type:'74161', x:15}, {id:'u2', type:'7400', x:28}, {id:'u3', type:'7448', x:40}],
+    devices: [{type:'CLOCK', hz:1}, {type:'SEG_CC', label:'Count'}],
+    inputs: [], outputs: [],
+    wires: [
+      ...powerWires(0, '74161'), ...powerWires(1, '7400'), ...powerWires(2, '7448'),
+      // Count enables and /LOAD High; parallel data unused
+      { s: 'VCC', e: {c:0, p:7}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:10}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' },
+      { s: 'GND', e: {c:0, p:3}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:5}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:6}, color: 'WIRE_BLACK' },
+      { s: 'CLK_0', e: {c:0, p:2}, color: 'WIRE_YELLOW' }, // CLK
+      // Clear on 10: /CLR = NAND(QD, QB)
+      { s: {c:0, p:11}, e: {c:1, p:1}, color: 'WIRE_PURPLE' }, { s: {c:0, p:13}, e: {c:1, p:2}, color: 'WIRE_PURPLE' },
+      { s: {c:1, p:3}, e: {c:0, p:1}, color: 'WIRE_ORANGE' },
+      // QA(14) QB(13) QC(12) QD(11) -> A(7) B(1) C(2) D(6); /LT, /BI, /RBI High
+      { s: {c:0, p:14}, e: {c:2, p:7}, color: 'WIRE_BLUE' }, { s: {c:0, p:13}, e: {c:2, p:1}, color: 'WIRE_BLUE' },
+      { s: {c:0, p:12}, e: {c:2, p:2}, color: 'WIRE_BLUE' }, { s: {c:0, p:11}, e: {c:2, p:6}, color: 'WIRE_BLUE' },
+      { s: 'VCC', e: {c:2, p:3}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:2, p:4}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:2, p:5}, color: 'WIRE_RED' },
+      // Segments a(13) b(12) c(11) d(10) e(9) f(15) g(14)
+      { s: {c:2, p:13}, e: 'SEG_0.a', color: 'WIRE_GREEN' }, { s: {c:2, p:12}, e: 'SEG_0.b', color: 'WIRE_GREEN' },
+      { s: {c:2, p:11}, e: 'SEG_0.c', color: 'WIRE_GREEN' }, { s: {c:2, p:10}, e: 'SEG_0.d', color: 'WIRE_GREEN' },
+      { s: {c:2, p:9}, e: 'SEG_0.e', color: 'WIRE_GREEN' }, { s: {c:2, p:15}, e: 'SEG_0.f', color: 'WIRE_GREEN' },
+      { s: {c:2, p:14}, e: 'SEG_0.g', color: 'WIRE_GREEN' },
+      { s: 'GND', e: 'SEG_0.com', color: 'WIRE_BLACK' } // common cathode
+    ],
+    // Ten clock periods show 1-9 and wrap back to 0
+    sequence: [
+      { inputs: [], controls: { CLK_0: 0 }, expect: [], displays: { SEG_0: 'abcdef' } },
+      ...['bc', 'abdeg', 'abcdg', 'bcfg', 'acdfg', 'cdefg', 'abc', 'abcdefg', 'abcfg', 'abcdef'].flatMap(lit => [
+        { inputs: [], controls: { CLK_0: 1 }, expect: [], displays: { SEG_0: lit } },
+        { inputs: [], controls: { CLK_0: 0 }, expect: [], displays: { SEG_0: lit } }
+      ])
+    ]
+  },
+  'button_counter_74161': {
+    title: 'Push-Button Counter with Contact Bounce (74161)',
+    category: 'Counters',
+    tags: ['counter', 'push button', 'bounce', 'debounce', 'bar graph', 'sequential'],
+    aliases: ['button counter', 'switch bounce', 'contact bounce'],
+    desc: 'Counts button presses on a bar graph, and shows why buttons need debouncing.',
+    explanation: 'Each press of the button clocks the 74161 once, and the count shows in binary on the bar graph (bar 0 is QA). \n\nThis button bounces: its contacts chatter for a few milliseconds as they close and open, and every chatter is another rising edge, so one press can count several times. A debouncer (an SR latch, or an RC filter into a Schmitt trigger) gives the counter one clean edge per press.',
+    bom: ['1x 74161 (4-bit Counter)', '1x Push button', '1x Bar-graph LED'],
+    chips: [{id:'u1', type:'74161', x:25}], // 16-pin
+    devices: [{type:'BUTTON', label:'Count', bounce:true}, {type:'BARGRAPH', size:4}],
+    inputs: [], outputs: [],
+    wires: [
+      ...powerWires(0, '74161'),
+      // /CLR, count enables and /LOAD High; parallel data unused
+      { s: 'VCC', e: {c:0, p:1}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:0, p:7}, color: 'WIRE_RED' }, { s: 'VCC', e: {c:0, p:10}, color: 'WIRE_RED' },
+      { s: 'VCC', e: {c:0, p:9}, color: 'WIRE_RED' },
+      { s: 'GND', e: {c:0, p:3}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:4}, color: 'WIRE_BLACK' },
+      { s: 'GND', e: {c:0, p:5}, color: 'WIRE_BLACK' }, { s: 'GND', e: {c:0, p:6}, color: 'WIRE_BLACK' },
+      { s: 'BTN_0', e: {c:0, p:2}, color: 'WIRE_YELLOW' }, // CLK
+      // Bars: QA(14) QB(13) QC(12) QD(11)
+      { s: {c:0, p:14}, e: 'BAR_0.0', color: 'WIRE_GREEN' }, { s: {c:0, p:13}, e: 'BAR_0.1', color: 'WIRE_GREEN' },
+      { s: {c:0, p:12}, e: 'BAR_0.2', color: 'WIRE_GREEN' }, { s: {c:0, p:11}, e: 'BAR_0.3', color: 'WIRE_GREEN' }
+    ],
+    // A clean press counts once; a press that bounces three times counts four, and the
+    // bouncing release three more
+    sequence: [
+      { inputs: [], controls: { BTN_0: 0 }, expect: [], displays: { BAR_0: '' } },
+      { inputs: [], controls: { BTN_0: 1 }, expect: [], displays: { BAR_0: '0' } },
+      { inputs: [], controls: { BTN_0: 0 }, expect: [], displays: { BAR_0: '0' } },
+      ...[1, 0, 1, 0, 1, 0, 1].map(v => ({ inputs: [], controls: { BTN_0: v }, expect: [] })),
+      { inputs: [], controls: { BTN_0: 1 }, expect: [], displays: { BAR_0: '02' } }, // 5
+      ...[0, 1, 0, 1, 0, 1, 0].map(v => ({ inputs: [], controls: { BTN_0: v }, expect: [] })),
+      { inputs: [], controls: { BTN_0: 0 }, expect: [], displays: { BAR_0: '3' } } // 8
+    ]
+  }
+};
@@ -0,0 +1,232 @@
+import { CELL, OFF_X, OFF_Y, wireEnds } from './board';
+import { MAX_BOARDS, boardCount, boardColumns, chipWidth } from './editor';
+import { BOARD_ROWS, boardJumpers } from './breadboard';
+import { buildNetlist, endpointKey } from './simulator';
+
+// --- WIRE ROUTER ---
+// Wires are routed one at a time by A* over the breadboard's hole grid (one node per
+// CELL), between the holes they plug into (board.js `wireEnds`). Chip bodies and the
+// wire ends of other nets are walls; the rail jumpers are already in place. Cells already used by
+// another net cost extra: running along the same track is expensive (the wires would
+// overlap), crossing one is cheaper, and every bend costs a little, so later wires
+// take parallel tracks and cross as little as possible. Wires of the same net may share
+// cells freely. Where a wire still has to cross another, its horizontal run gets a
+// bridge there. The grid spans every board of the chain, gaps included: a wire can jump
+// from one board to the next.
+
+const COST = { step: 1, bend: 1.5, parallel: 12, cross: 3 };
+const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]]; // 0,1 horizontal; 2,3 vertical
+const isHorizontal = (d) => d < 2;
+
+const cellOf = (pt, cols = boardColumns(MAX_BOARDS)) => ({
+  col: Math.max(0, Math.min(cols - 1, Math.floor((pt.x - OFF_X) / CELL))),
+  row: Math.max(0, Math.min(BOARD_ROWS - 1, Math.floor((pt.y - OFF_Y) / CELL)))
+});
+const centre = (col, row) => ({ x: OFF_X + col * CELL + CELL / 2, y: OFF_Y + row * CELL + CELL / 2 });
+const index = (grid, col, row) => row * grid.cols + col;
+
+// --- PRIORITY QUEUE ---
+const push = (heap, item) => {
+  heap.push(item);
+  for (let i = heap.length - 1; i > 0;) {
+    const up = (i - 1) >> 1;
+    if (heap[up].f <= heap[i].f) break;
+    [heap[up], heap[i]] = [heap[i], heap[up]];
+    i = up;
+  }
+};
+
+const pop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    for (let i = 0; ;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l].f < heap[m].f) m = l;
+      if (r < heap.length && heap[r].f < heap[m].f) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+};
+
+// --- GRID ---
+const markUsage = (grid, cells, net) => {
+  cells.forEach((cell, k) => {
+    const prev = cells[k - 1], next = cells[k + 1];
+    const h = (prev && prev.row === cell.row) || (next && next.row === cell.row);
+    const v = (prev && prev.col === cell.col) || (next && next.col === cell.col);
+    grid.usage[index(grid, cell.col, cell.row)].push({ net, h: !!h, v: !!v });
+  });
+};
+
+// walls[i] is true for chip bodies; owner[i] is the net whose wire end sits in the
+// cell; usage[i] lists { net, h, v } for every routed wire passing through
+const createGrid = (recipe, ends, netOf) => {
+  const cols = boardColumns(boardCount(recipe));
+  const size = cols * BOARD_ROWS;
+  const grid = { cols, walls: new Array(size).fill(false), owner: new Array(size).fill(null), usage: Array.from({ length: size }, () => []) };
+  (recipe.chips || []).forEach(chip => {
+    for (let col = chip.x; col < chip.x + chipWidth(chip.type) && col < cols; col++) {
+      for (let row = 7; row < 11; row++) if (col >= 0) grid.walls[index(grid, col, row)] = true;
+    }
+  });
+  (recipe.wires || []).forEach((w, i) => {
+    const net = netOf(w.s);
+    [ends[i].s, ends[i].e].forEach(pt => { const { col, row } = cellOf(pt, cols); grid.owner[index(grid, col, row)] = net; });
+  });
+  boardJumpers(boardCount(recipe)).forEach(j => {
+    const cells = Array.from({ length: j.to.col - j.from.col + 1 }, (_, k) => ({ col: j.from.col + k, row: j.from.row }));
+    markUsage(grid, cells, netOf(j.rail));
+  });
+  return grid;
+};
+
+const stepCost = (grid, i, dir, net) => {
+  let cost = COST.step;
+  grid.usage[i].forEach(u => {
+    if (u.net === net) return;
+    cost += (isHorizontal(dir) ? u.h : u.v) ? COST.parallel : COST.cross;
+  });
+  return cost;
+};
+
+// A* from one cell to any of the target cells; returns the list of cells or null
+const search = (grid, start, targets, net) => {
+  const targetSet = new Set(targets.map(t => index(grid, t.col, t.row)));
+  const h = (col, row) => Math.min(...targets.map(t => Math.abs(t.col - col) + Math.abs(t.row - row)));
+  const best = new Map();
+  const heap = [];
+  const startKey = index(grid, start.col, start.row) * 5 + 4;
+  best.set(startKey, 0);
+  push(heap, { f: h(start.col, start.row), g: 0, col: start.col, row: start.row, dir: 4, key: startKey, prev: null });
+
+  while (heap.length) {
+    const node = pop(heap);
+    if (node.g > best.get(node.key)) continue;
+    if (targetSet.has(index(grid, node.col, node.row))) {
+      const cells = [];
+      for (let n = node; n; n = n.prev) cells.unshift({ col: n.col, row: n.row });
+      return cells;
+    }
+    DIRS.forEach(([dc, dr], dir) => {
+      const col = node.col + dc, row = node.row + dr;
+      if (col < 0 || row < 0 || col >= grid.cols || row >= BOARD_ROWS) return;
+      const i = index(grid, col, row);
+      const isTarget = targetSet.has(i);
+      if (!isTarget && (grid.walls[i] || (grid.owner[i] !== null && grid.owner[i] !== net))) return;
+      const g = node.g + stepCost(grid, i, dir, net) + (node.dir !== 4 && node.dir !== dir ? COST.bend : 0);
+      const key = i * 5 + dir;
+      if (best.has(key) && best.get(key) <= g) return;
+      best.set(key, g);
+      push(heap, { f: g + h(col, row), g, col, row, dir, key, prev: node });
+    });
+  }
+  return null;
+};
+
+
+// Corner points only, with the exact endpoint coordinates joined by a square elbow
+const toPoints = (cells, p1, p2) => {
+  const pts = cells.map(c => centre(c.col, c.row));
+  const corners = pts.filter((pt, k) => k === 0 || k === pts.length - 1
+    || !((pts[k - 1].x === pt.x && pts[k + 1].x === pt.x) || (pts[k - 1].y === pt.y && pts[k + 1].y === pt.y)));
+  const out = [];
+  if (p1 && (p1.x !== corners[0].x || p1.y !== corners[0].y)) out.push(p1, { x: p1.x, y: corners[0].y });
+  out.push(...corners);
+  const last = corners[corners.length - 1];
+  if (p2 && (p2.x !== last.x || p2.y !== last.y)) out.push({ x: p2.x, y: last.y }, p2);
+  return out;
+};
+
+// Fallback for a wire the router could not place: the old three-segment path
+const directPoints = (p1, p2) => {
+  const midY = (p1.y + p2.y) / 2;
+  return [p1, { x: p1.x, y: midY }, { x: p2.x, y: midY }, p2];
+};
+
+// [{ points: [{x, y}], hops: [{x, y}], net, routed }] in wire order. Short wires are routed
+// first so they get the direct tracks.
+export const routeWires = (recipe) => {
+  const wires = recipe.wires || [];
+  const { netOf: netOfKey } = buildNetlist(recipe);
+  const netOf = (ep) => netOfKey(endpointKey(ep));
+  const ends = wireEnds(recipe);
+  const grid = createGrid(recipe, ends, netOf);
+  const routes = new Array(wires.length).fill(null);
+  const cellsOf = new Array(wires.length).fill(null);
+  const length = ({ s, e }) => Math.abs(s.x - e.x) + Math.abs(s.y - e.y);
+  const order = wires.map((_, i) => i).sort((i, j) => length(ends[i]) - length(ends[j]));
+
+  order.forEach(i => {
+    const { s: pa, e: pb } = ends[i];
+    const net = netOf(wires[i].s);
+    const cells = !pa.x || !pb.x ? null : search(grid, cellOf(pa, grid.cols), [cellOf(pb, grid.cols)], net);
+    if (!cells) {
+      routes[i] = { points: directPoints(pa, pb), hops: [], net, routed: false };
+      return;
+    }
+    markUsage(grid, cells, net);
+    cellsOf[i] = { cells, net };
+    routes[i] = { points: toPoints(cells, pa, pb), hops: [], net, routed: true };
+  });
+
+  // Bridges: the horizontal wire hops over wherever it runs straight across a cell that
+  // a wire of another net runs straight through vertically
+  const vertical = new Map();
+  const straight = (cells, k, same) => k > 0 && k < cells.length - 1 && same(cells[k - 1], cells[k]) && same(cells[k + 1], cells[k]);
+  const sameCol = (p, q) => p.col === q.col, sameRow = (p, q) => p.row === q.row;
+  cellsOf.forEach(entry => entry && entry.cells.forEach((cell, k) => {
+    if (!straight(entry.cells, k, sameCol)) return;
+    const key = index(grid, cell.col, cell.row);
+    vertical.set(key, [...(vertical.get(key) || []), entry.net]);
+  }));
+  cellsOf.forEach((entry, i) => entry && entry.cells.forEach((cell, k) => {
+    if (!straight(entry.cells, k, sameRow)) return;
+    if ((vertical.get(index(grid, cell.col, cell.row)) || []).some(n => n !== entry.net)) routes[i].hops.push(centre(cell.col, cell.row));
+  }));
+  return routes;
+};
+
+// SVG path for a route, with a small arc over each bridge
+export const routePath = (route, radius = 4) => {
+  const pts = route.points;
+  const segment = (a, b) => {
+    if (a.y !== b.y) return ` L ${b.x} ${b.y}`;
+    const sign = b.x > a.x ? 1 : -1;
+    const bridges = route.hops
+      .filter(hp => hp.y === a.y && (hp.x - a.x) * sign > radius && (b.x - hp.x) * sign > radius)
+      .sort((p, q) => (p.x - q.x) * sign)
+      .map(hp => ` L ${hp.x - sign * radius} ${hp.y} A ${radius} ${radius} 0 0 ${sign > 0 ? 1 : 0} ${hp.x + sign * radius} ${hp.y}`);
+    return `${bridges.join('')} L ${b.x} ${b.y}`;
+  };
+  return `M ${pts[0].x} ${pts[0].y}${pts.slice(1).map((b, k) => segment(pts[k], b)).join('')}`;
+};
+
+// Cells where wires of different nets run along the same track, as "col,row" strings.
+// The router only accepts these when there is no other way through.
+export const overlaps = (routes) => {
+  const runs = new Map();
+  const found = new Set();
+  routes.forEach(route => {
+    const pts = route.points;
+    for (let k = 1; k < pts.length; k++) {
+      const a = pts[k - 1], b = pts[k];
+      const dir = a.y === b.y ? 'h' : 'v';
+      const steps = Math.round(Math.abs(b.x - a.x + b.y - a.y) / CELL);
+      for (let s = 1; s < steps; s++) {
+        const pt = { x: a.x + ((b.x - a.x) * s) / steps, y: a.y + ((b.y - a.y) * s) / steps };
+        const { col, row } = cellOf(pt);
+        const key = `${col},${row}`;
+        const nets = runs.get(`${key}${dir}`) || [];
+        if (nets.some(n => n !== route.net)) found.add(key);
+        runs.set(`${key}${dir}`, [...nets, route.net]);
+      }
+    }
+  });
+  return [...found];
+};
@@ -0,0 +1,89 @@
+import { RECIPES } from './recipes';
+import { CELL, OFF_X, OFF_Y, wireEnds } from './board';
+import { chipWidth } from './editor';
+import { routeWires, routePath, overlaps } from './router';
+
+// Every grid cell a route passes through, as { col, row }
+const cellsOnRoute = (route) => {
+  const cells = [];
+  route.points.forEach((b, k) => {
+    if (!k) return;
+    const a = route.points[k - 1];
+    const steps = Math.max(1, Math.round(Math.abs(b.x - a.x + b.y - a.y) / CELL));
+    for (let s = 0; s <= steps; s++) {
+      const x = a.x + ((b.x - a.x) * s) / steps, y = a.y + ((b.y - a.y) * s) / steps;
+      cells.push({ col: Math.floor((x - OFF_X) / CELL), row: Math.floor((y - OFF_Y) / CELL) });
+    }
+  });
+  return cells;
+};
+
+const insideChip = (recipe, { col, row }) => recipe.chips.some(chip => (
+  row >= 7 && row < 11 && col >= chip.x && col < chip.x + chipWidth(chip.type)
+));
+
+test('every built-in wire is routed around the chips', () => {
+  Object.values(RECIPES).forEach(recipe => {
+    const routes = routeWires(recipe);
+    expect(routes).toHaveLength(recipe.wires.length);
+    routes.forEach(route => {
+      expect(route.routed).toBe(true);
+      expect(cellsOnRoute(route).filter(cell => insideChip(recipe, cell))).toEqual([]);
+    });
+  });
+});
+
+test('routes are orthogonal and end in the holes their wires plug into', () => {
+  const recipe = RECIPES['full_adder'];
+  const ends = wireEnds(recipe);
+  routeWires(recipe).forEach((route, i) => {
+    route.points.slice(1).forEach((b, k) => {
+      const a = route.points[k];
+      expect(a.x === b.x || a.y === b.y).toBe(true);
+    });
+    expect(route.points[0]).toEqual(ends[i].s);
+    expect(route.points[route.points.length - 1]).toEqual(ends[i].e);
+  });
+});
+
+test('wires of different nets never share a track on the dense boards', () => {
+  ['full_adder', 'comparator_7485', 'multiplier_2bit'].forEach(key => {
+    expect(overlaps(routeWires(RECIPES[key]))).toEqual([]);
+  });
+});
+
+test('wires jump the gap between chained boards', () => {
+  const recipe = {
+    boards: 2, inputs: ['A'], outputs: ['X'],
+    chips: [{ id: 'u1', type: '7404', x: 20 }, { id: 'u2', type: '7404', x: 80 }],
+    wires: [
+      { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_GREEN' },
+      { s: { c: 0, p: 2 }, e: { c: 1, p: 1 }, color: 'WIRE_BLUE' },
+      { s: { c: 1, p: 2 }, e: 'LED_0', color: 'WIRE_GREEN' }
+    ]
+  };
+  const routes = routeWires(recipe);
+  expect(routes.every(r => r.routed)).toBe(true);
+  expect(Math.max(...routes[1].points.map(pt => pt.x))).toBe(wireEnds(recipe)[1].e.x);
+});
+
+test('unavoidable crossings get a bridge', () => {
+  const recipe = {
+    chips: [],
+    inputs: ['A', 'B'],
+    outputs: ['X', 'Y'],
+    wires: [
+      { s: 'SW_0', e: 'LED_1', color: 'WIRE_GREEN' },
+      { s: 'SW_1', e: 'LED_0', color: 'WIRE_BLUE' }
+    ]
+  };
+  const routes = routeWires(recipe);
+  expect(routes.reduce((n, r) => n + r.hops.length, 0)).toBeGreaterThan(0);
+  const bridged = routes.find(r => r.hops.length);
+  expect(routePath(bridged)).toContain(' A ');
+});
+
+test('a route without bridges is a plain polyline', () => {
+  const route = { points: [{ x: 0, y: 0 }, { x: 0, y: 30 }, { x: 45, y: 30 }], hops: [] };
+  expect(routePath(route)).toBe('M 0 0 L 0 30 L 45 30');
+});
@@ -0,0 +1,245 @@
+import { getChip } from './chips';
+import { powerWires } from './recipes';
+import { buildNetlist, pinKey } from './simulator';
+import { recipeLogic } from './expr';
+import { WIRE_COLORS, chipWidth, bomFor, boardCount, boardColumns, ontoBoard } from './editor';
+import { getDevice, parseDeviceEndpoint, findDevice } from './devices';
+
+// --- CIRCUIT SCHEMA VALIDATION ---
+// Checks an untrusted circuit (AI output, hand-edited JSON) against the recipe shape and
+// the chip pinouts before anything renders or simulates it. Safe fixes are applied to a
+// copy; everything else is reported. Issues are { severity, path, message } where
+// severity is 'error' (something was dropped or is still wrong), 'repaired' or 'warning'.
+
+const MAX_LABELS = 8;
+
+// Top-level fields: type plus the value used when the field is missing or malformed
+export const CIRCUIT_SCHEMA = {
+  title: { type: 'string', fallback: () => 'Generated Circuit' },
+  desc: { type: 'string', fallback: () => '' },
+  explanation: { type: 'string', fallback: () => '' },
+  bom: { type: 'string[]', fallback: (c) => bomFor(c.chips) },
+  chips: { type: 'array', required: true },
+  inputs: { type: 'string[]', required: true },
+  outputs: { type: 'string[]', required: true },
+  wires: { type: 'array', required: true },
+  devices: { type: 'array', optional: true },
+  boards: { type: 'number', optional: true },
+  logic: { type: 'string', optional: true },
+  sequence: { type: 'array', optional: true }
+};
+
+const matchesType = (value, type) => {
+  if (type === 'string') return typeof value === 'string';
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'number') return typeof value === 'number';
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+};
+
+const isInt = (v) => Number.isInteger(v);
+
+// Endpoint as the simulator expects it, or null when it cannot be read
+const normalizeEndpoint = (ep, circuit, path, issues) => {
+  if (typeof ep === 'string') {
+    const up = ep.trim().toUpperCase();
+    if (up === 'VCC' || up === 'GND') {
+      if (up !== ep) issues.push({ severity: 'repaired', path, message: `'${ep}' read as ${up}` });
+      return up;
+    }
+    if (parseDeviceEndpoint(ep.trim())) {
+      if (findDevice(circuit, ep.trim())) return ep.trim();
+      issues.push({ severity: 'error', path, message: `'${ep}' is not a pin of any device` });
+      return null;
+    }
+    const m = up.match(/^(SW|LED)_(\d+)$/);
+    if (!m) {
+      issues.push({ severity: 'error', path, message: `Unknown endpoint '${ep}'` });
+      return null;
+    }
+    const n = Number(m[2]);
+    const labels = m[1] === 'SW' ? circuit.inputs : circuit.outputs;
+    if (n >= labels.length) {
+      issues.push({ severity: 'error', path, message: `${m[1]}_${n} does not exist (${labels.length} ${m[1] === 'SW' ? 'inputs' : 'outputs'})` });
+      return null;
+    }
+    return `${m[1]}_${n}`;
+  }
+  if (!ep || typeof ep !== 'object') {
+    issues.push({ severity: 'error', path, message: 'Endpoint is missing' });
+    return null;
+  }
+  const c = Number(ep.c), p = Number(ep.p);
+  if (!isInt(c) || c < 0 || c >= circuit.chips.length) {
+    issues.push({ severity: 'error', path, message: `Chip index ${ep.c} is out of range (${circuit.chips.length} chips)` });
+    return null;
+  }
+  const model = getChip(circuit.chips[c].type);
+  if (!isInt(p) || p < 1 || p > model.pins) {
+    issues.push({ severity: 'error', path, message: `${circuit.chips[c].id} (${circuit.chips[c].type}) has no pin ${ep.p}` });
+    return null;
+  }
+  if (p !== ep.p) issues.push({ severity: 'repaired', path, message: `Pin ${JSON.stringify(ep.p)} read as ${p}` });
+  return { c, p };
+};
+
+const checkFields = (raw, circuit, issues) => {
+  Object.entries(CIRCUIT_SCHEMA).forEach(([key, rule]) => {
+    const value = raw[key];
+    if (value === undefined && rule.optional) return;
+    if (matchesType(value, rule.type)) {
+      circuit[key] = JSON.parse(JSON.stringify(value));
+    } else if (rule.optional) {
+      issues.push({ severity: 'warning', path: key, message: `Ignored: expected ${rule.type}` });
+    } else if (rule.required && rule.type === 'string[]' && Array.isArray(value)) {
+      circuit[key] = value.map(String);
+      issues.push({ severity: 'repaired', path: key, message: 'Labels converted to text' });
+    } else if (rule.required) {
+      circuit[key] = [];
+      issues.push({ severity: 'error', path: key, message: value === undefined ? 'Missing' : `Expected ${rule.type}` });
+    } else {
+      circuit[key] = null;
+      if (value !== undefined) issues.push({ severity: 'repaired', path: key, message: `Replaced: expected ${rule.type}` });
+    }
+  });
+  ['inputs', 'outputs'].forEach(key => {
+    if (circuit[key].length > MAX_LABELS) {
+      issues.push({ severity: 'error', path: key, message: `Only the first ${MAX_LABELS} are shown on the board` });
+      circuit[key] = circuit[key].slice(0, MAX_LABELS);
+    }
+  });
+};
+
+// Drops unknown chip types (and renumbers wires past them), fixes ids and positions
+const checkChips = (circuit, issues) => {
+  if (circuit.boards !== undefined && circuit.boards !== boardCount(circuit)) {
+    issues.push({ severity: 'repaired', path: 'boards', message: `${circuit.boards} read as ${boardCount(circuit)}` });
+    circuit.boards = boardCount(circuit);
+  }
+  const remap = [];
+  const chips = [];
+  const ids = new Set();
+  circuit.chips.forEach((chip, k) => {
+    const path = `chips[${k}]`;
+    const type = chip && String(chip.type || '').replace(/^(SN)?74(LS|HCT|HC)?/i, '74');
+    if (!getChip(type)) {
+      issues.push({ severity: 'error', path, message: `Unknown chip type '${chip && chip.type}'; removed with its wires` });
+      remap.push(null);
+      return;
+    }
+    const next = { ...chip, type };
+    if (type !== chip.type) issues.push({ severity: 'repaired', path, message: `'${chip.type}' read as ${type}` });
+    if (typeof next.id !== 'string' || !next.id || ids.has(next.id)) {
+      let n = chips.length + 1;
+      while (ids.has(`u${n}`)) n++;
+      next.id = `u${n}`;
+      issues.push({ severity: 'repaired', path, message: `Named ${next.id}` });
+    }
+    ids.add(next.id);
+    const max = boardColumns(boardCount(circuit)) - chipWidth(type);
+    const x = ontoBoard(Math.max(0, Math.min(max, Math.round(Number(next.x) || 0))), chipWidth(type));
+    if (x !== next.x) issues.push({ severity: 'repaired', path, message: `Position ${JSON.stringify(chip.x)} moved to column ${x}` });
+    next.x = x;
+    remap.push(chips.length);
+    chips.push(next);
+  });
+  chips.forEach((chip, i) => chips.slice(i + 1).forEach(other => {
+    if (chip.x < other.x + chipWidth(other.type) && other.x < chip.x + chipWidth(chip.type)) {
+      issues.push({ severity: 'warning', path: 'chips', message: `${chip.id} and ${other.id} overlap on the board` });
+    }
+  }));
+  circuit.chips = chips;
+  return remap;
+};
+
+// Drops devices of unknown types; the rest keep their order, so their addresses hold
+const checkDevices = (circuit, issues) => {
+  if (!circuit.devices) return;
+  circuit.devices = circuit.devices.filter((device, k) => {
+    if (device && getDevice(device.type)) return true;
+    issues.push({ severity: 'error', path: `devices[${k}]`, message: `Unknown device type '${device && device.type}'; removed` });
+    return false;
+  });
+};
+
+const checkWires = (circuit, remap, issues) => {
+  const wires = [];
+  circuit.wires.forEach((w, k) => {
+    const path = `wires[${k}]`;
+    if (!w || typeof w !== 'object') {
+      issues.push({ severity: 'error', path, message: 'Not a wire; removed' });
+      return;
+    }
+    const chipRef = (ep) => (ep && typeof ep === 'object' ? remap[Number(ep.c)] : undefined);
+    if ([w.s, w.e].some(ep => chipRef(ep) === null)) {
+      issues.push({ severity: 'error', path, message: 'Touches a removed chip; removed' });
+      return;
+    }
+    // Chip indices in the source refer to the chip list before unknown types were dropped
+    const ends = ['s', 'e'].map(side => {
+      const ep = w[side];
+      const moved = chipRef(ep) !== undefined ? { ...ep, c: chipRef(ep) } : ep;
+      return normalizeEndpoint(moved, circuit, `${path}.${side}`, issues);
+    });
+    if (ends.includes(null)) return;
+    let color = w.color;
+    if (!WIRE_COLORS.includes(color)) {
+      color = 'WIRE_GREEN';
+      issues.push({ severity: 'repaired', path, message: `Colour ${JSON.stringify(w.color)} replaced` });
+    }
+    wires.push({ s: ends[0], e: ends[1], color });
+  });
+  circuit.wires = wires;
+};
+
+// Every chip needs its supply pins on the rails; add the standard power wires when not
+const checkPower = (circuit, issues) => {
+  const { netOf } = buildNetlist(circuit);
+  circuit.chips.forEach((chip, c) => {
+    const wires = powerWires(c, chip.type);
+    const missing = wires.filter(w => netOf(w.s) !== netOf(pinKey(c, w.e.p)));
+    if (!missing.length) return;
+    circuit.wires.push(...missing);
+    issues.push({ severity: 'repaired', path: `chips[${c}]`, message: `Added ${missing.map(w => w.s).join(' and ')} wire${missing.length > 1 ? 's' : ''} for ${chip.id}` });
+  });
+};
+
+const checkBehaviour = (raw, circuit, issues) => {
+  if (raw.logicFuncString !== undefined) {
+    issues.push({ severity: 'warning', path: 'logicFuncString', message: 'JavaScript logic is never run; ignored' });
+  }
+  if (circuit.logic) {
+    const { error } = recipeLogic(circuit);
+    if (error) issues.push({ severity: 'error', path: 'logic', message: error });
+  }
+  if (circuit.sequence) {
+    const bad = circuit.sequence.findIndex(step => !step || !Array.isArray(step.inputs) || step.inputs.length !== circuit.inputs.length
+      || (step.expect && (!Array.isArray(step.expect) || step.expect.length !== circuit.outputs.length)));
+    if (bad >= 0) {
+      issues.push({ severity: 'warning', path: `sequence[${bad}]`, message: 'Step does not match the inputs and outputs; sequence ignored' });
+      delete circuit.sequence;
+    }
+  }
+};
+
+// Returns { circuit, issues, ok }. `circuit` is null only when nothing usable was given.
+export const validateCircuit = (raw) => {
+  const issues = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { circuit: null, issues: [{ severity: 'error', path: '', message: 'Circuit is not a JSON object' }], ok: false };
+  }
+  const circuit = {};
+  checkFields(raw, circuit, issues);
+  const remap = checkChips(circuit, issues);
+  checkDevices(circuit, issues);
+  checkWires(circuit, remap, issues);
+  checkPower(circuit, issues);
+  Object.entries(CIRCUIT_SCHEMA).forEach(([key, rule]) => { if (circuit[key] === null) circuit[key] = rule.fallback(circuit); });
+  checkBehaviour(raw, circuit, issues);
+  return { circuit, issues, ok: !issues.some(i => i.severity === 'error') };
+};
+
+// Issues as lines for a follow-up prompt
+export const describeIssues = (issues) => issues
+  .filter(i => i.severity !== 'repaired')
+  .map(i => `- ${i.path ? `${i.path}: ` : ''}${i.message}`)
+  .join('\n');
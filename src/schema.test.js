@@ -0,0 +1,85 @@
+import { RECIPES } from './recipes';
+import { verifyRecipe } from './verifier';
+import { validateCircuit, describeIssues } from './schema';
+
+const messages = (issues, severity) => issues.filter(i => i.severity === severity).map(i => `${i.path}: ${i.message}`);
+
+test('built-in recipes validate without changes', () => {
+  Object.entries(RECIPES).forEach(([key, recipe]) => {
+    const { circuit, issues, ok } = validateCircuit(recipe);
+    expect([key, ok, issues]).toEqual([key, true, []]);
+    expect(circuit.wires).toEqual(recipe.wires);
+  });
+});
+
+test('missing fields, positions and power wires are repaired', () => {
+  const { circuit, issues, ok } = validateCircuit({
+    chips: [{ type: '74LS08', x: 90 }],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      { s: 'SW_0', e: { c: 0, p: '1' }, color: 'WIRE_BLUE' },
+      { s: 'SW_1', e: { c: 0, p: 2 }, color: 'blue' },
+      { s: { c: 0, p: 3 }, e: 'LED_0', color: 'WIRE_YELLOW' }
+    ],
+    logic: 'Y = A & B'
+  });
+  expect(ok).toBe(true);
+  expect(circuit.chips).toEqual([{ id: 'u1', type: '7408', x: 56 }]);
+  expect(circuit.bom).toEqual(['1x 7408 (Quad 2-input AND)']);
+  expect(circuit.title).toBe('Generated Circuit');
+  expect(circuit.wires.slice(3)).toEqual([
+    { s: 'VCC', e: { c: 0, p: 14 }, color: 'WIRE_RED' },
+    { s: 'GND', e: { c: 0, p: 7 }, color: 'WIRE_BLACK' }
+  ]);
+  expect(messages(issues, 'repaired')).toHaveLength(6);
+  expect(verifyRecipe(circuit).ok).toBe(true);
+});
+
+test('chips stay on the boards the circuit has', () => {
+  const { circuit, issues } = validateCircuit({
+    boards: 9, chips: [{ id: 'u1', type: '7404', x: 62 }, { id: 'u2', type: '7404', x: 400 }],
+    inputs: [], outputs: [], wires: []
+  });
+  expect(circuit.boards).toBe(4);
+  expect(circuit.chips.map(chip => chip.x)).toEqual([66, 254]);
+  expect(messages(issues, 'repaired')).toContain('boards: 9 read as 4');
+});
+
+test('bad references are dropped and reported', () => {
+  const { circuit, issues, ok } = validateCircuit({
+    chips: [{ id: 'u1', type: '74999', x: 5 }, { id: 'u2', type: '7404', x: 20 }],
+    inputs: ['A', 'B'], outputs: ['Y'],
+    wires: [
+      { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+      { s: 'SW_7', e: { c: 1, p: 1 }, color: 'WIRE_BLUE' },
+      { s: 'SW_0', e: { c: 1, p: 15 }, color: 'WIRE_BLUE' },
+      { s: 'SW_0', e: { c: 4, p: 1 }, color: 'WIRE_BLUE' },
+      { s: 'SW_0', e: { c: 1, p: 1 }, color: 'WIRE_BLUE' },
+      { s: { c: 1, p: 2 }, e: 'LED_0', color: 'WIRE_GREEN' }
+    ],
+    logic: 'Y = !A'
+  });
+  expect(ok).toBe(false);
+  expect(messages(issues, 'error')).toEqual([
+    "chips[0]: Unknown chip type '74999'; removed with its wires",
+    'wires[0]: Touches a removed chip; removed',
+    'wires[1].s: SW_7 does not exist (2 inputs)',
+    'wires[2].e: u2 (7404) has no pin 15',
+    'wires[3].e: Chip index 4 is out of range (1 chips)'
+  ]);
+  // The surviving wires point at the 7404, now chip 0
+  expect(circuit.wires.slice(0, 2)).toEqual([
+    { s: 'SW_0', e: { c: 0, p: 1 }, color: 'WIRE_BLUE' },
+    { s: { c: 0, p: 2 }, e: 'LED_0', color: 'WIRE_GREEN' }
+  ]);
+  expect(verifyRecipe(circuit).ok).toBe(true);
+  expect(describeIssues(issues).split('\n')).toHaveLength(5);
+});
+
+test('unusable input and bad logic are reported', () => {
+  expect(validateCircuit('nope')).toMatchObject({ circuit: null, ok: false });
+  const { circuit, issues } = validateCircuit({ inputs: ['A'], outputs: ['Y'], chips: [], logic: 'Y = A +', logicFuncString: 'i => [1]' });
+  expect(circuit.wires).toEqual([]);
+  expect(messages(issues, 'error')).toEqual(['wires: Missing', expect.stringMatching(/^logic: Line 1/)]);
+  expect(messages(issues, 'warning')).toEqual(['logicFuncString: JavaScript logic is never run; ignored']);
+});
@@ -0,0 +1,103 @@
+// --- RECIPE SEARCH INDEX ---
+// Ranked, typo-tolerant search over built-in recipes and saved circuits. Each document
+// is a set of weighted terms taken from its title, aliases, tags, chip numbers, category
+// and description. Every word of the query has to match some term (exactly, as a prefix
+// or substring, or within a small edit distance); the best weighted match per word adds
+// up to the score.
+
+const FIELD_WEIGHTS = { title: 3, alias: 3, chip: 3, tag: 2, category: 1.5, desc: 0.5 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, substring: 0.6, fuzzy: 0.5 };
+export const MIN_SCORE = 1;
+
+// Lower-case words; '4:1', 'mod-4' and '7474' stay whole, 'd-ff' also splits
+export const tokenize = (text) => {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[-:][a-z0-9]+)*/g) || [];
+  return [...new Set(words.flatMap(w => (/[-:]/.test(w) ? [w, ...w.split(/[-:]/)] : [w])))];
+};
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Typos allowed grow with word length; short words and numbers must be spelled right
+const allowedTypos = (word) => (/^\d+$/.test(word) || word.length < 4 ? 0 : word.length < 7 ? 1 : 2);
+
+export const matchWord = (word, term) => {
+  if (word === term) return MATCH_QUALITY.exact;
+  if (term.startsWith(word)) return MATCH_QUALITY.prefix;
+  if (word.length >= 3 && term.includes(word)) return MATCH_QUALITY.substring;
+  const typos = allowedTypos(word);
+  const d = typos ? editDistance(word, term, typos) : typos + 1;
+  // One typo scores half an exact match, two a quarter
+  return d <= typos ? MATCH_QUALITY.fuzzy / d : 0;
+};
+
+// Documents: { id, source: 'recipe' | 'library', title, category, terms: [{ term, weight }], ... }
+const documentTerms = (fields) => {
+  const best = new Map();
+  Object.entries(fields).forEach(([field, values]) => {
+    [].concat(values || []).forEach(value => tokenize(value).forEach(term => {
+      best.set(term, Math.max(best.get(term) || 0, FIELD_WEIGHTS[field]));
+    }));
+  });
+  return [...best].map(([term, weight]) => ({ term, weight }));
+};
+
+const chipNumbers = (recipe) => [...new Set((recipe.chips || []).map(c => c.type))];
+
+export const recipeDocument = (key, recipe) => ({
+  id: `recipe:${key}`, source: 'recipe', key, title: recipe.title, category: recipe.category || 'Other',
+  terms: documentTerms({ title: recipe.title, alias: recipe.aliases, tag: recipe.tags, chip: chipNumbers(recipe), category: recipe.category, desc: recipe.desc })
+});
+
+export const libraryDocument = (entry) => ({
+  id: `library:${entry.id}`, source: 'library', entryId: entry.id, title: entry.name, category: entry.circuit.category || 'My Library',
+  terms: documentTerms({ title: entry.name, tag: entry.tags, chip: chipNumbers(entry.circuit), category: entry.circuit.category, desc: entry.circuit.desc })
+});
+
+export const buildIndex = (recipes, entries = []) => [
+  ...entries.map(libraryDocument),
+  ...Object.entries(recipes).map(([key, recipe]) => recipeDocument(key, recipe))
+];
+
+const scoreDocument = (doc, words) => {
+  let score = 0;
+  for (const word of words) {
+    const best = doc.terms.reduce((acc, t) => Math.max(acc, t.weight * matchWord(word, t.term)), 0);
+    if (!best) return 0;
+    score += best;
+  }
+  // A query naming the whole title (or more of it) ranks above a partial hit
+  const titleWords = tokenize(doc.title);
+  if (titleWords.every(w => words.includes(w))) score += 1;
+  return score;
+};
+
+// [{ doc, score }] best first; saved circuits win ties
+export const searchIndex = (index, query, limit = 8) => {
+  const words = tokenize(query);
+  if (!words.length) return [];
+  return index
+    .map(doc => ({ doc, score: scoreDocument(doc, words) }))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || (a.doc.source === 'library' ? -1 : 0) - (b.doc.source === 'library' ? -1 : 0))
+    .slice(0, limit);
+};
@@ -0,0 +1,56 @@
+import { RECIPES } from './recipes';
+import { addEntry } from './library';
+import { tokenize, editDistance, buildIndex, searchIndex } from './search';
+
+const index = buildIndex(RECIPES);
+const top = (query, idx = index) => {
+  const [best] = searchIndex(idx, query);
+  return best && (best.doc.key || best.doc.title);
+};
+
+test('every recipe is indexed with a category', () => {
+  expect(index).toHaveLength(Object.keys(RECIPES).length);
+  index.forEach(doc => expect(doc.category).not.toBe('Other'));
+});
+
+test('the old keyword queries still find their circuits', () => {
+  expect(top('mux')).toBe('mux_74153');
+  expect(top('74153')).toBe('mux_74153');
+  expect(top('jk flip flop')).toBe('jk_ff_7476');
+  expect(top('d flip flop')).toBe('d_ff_7474');
+  expect(top('full adder')).toBe('full_adder');
+  expect(top('half subtractor')).toBe('half_subtractor');
+  expect(top('and using nor')).toBe('and_using_nor');
+  expect(top('not using nand')).toBe('not_using_nand');
+  expect(top('gray code')).toBe('binary_gray');
+});
+
+test('typos and aliases are tolerated', () => {
+  expect(top('multiplexr')).toBe('mux_74153');
+  expect(top('ful addr')).toBe('full_adder');
+  expect(top('comparater')).toBe('comparator_7485');
+  expect(top('multiplyer')).toBe('multiplier_2bit');
+});
+
+test('every query word has to match', () => {
+  expect(searchIndex(index, 'qwzx blorp')).toEqual([]);
+  expect(searchIndex(index, 'adder qwzx')).toEqual([]);
+  expect(searchIndex(index, '   ')).toEqual([]);
+});
+
+test('saved circuits are searched alongside the recipes', () => {
+  const library = addEntry([], RECIPES['full_adder'], { name: 'My ripple adder', tags: 'lab 3' });
+  const idx = buildIndex(RECIPES, library);
+  expect(top('ripple', idx)).toBe('My ripple adder');
+  const [best] = searchIndex(idx, 'full adder');
+  expect(best.doc.source).toBe('recipe');
+  expect(searchIndex(idx, 'adder').map(r => r.doc.source)).toContain('library');
+});
+
+test('tokenize and editDistance', () => {
+  expect(tokenize('4:1 Mux, D-FF')).toEqual(['4:1', '4', '1', 'mux', 'd-ff', 'd', 'ff']);
+  expect(editDistance('adder', 'adder')).toBe(0);
+  expect(editDistance('addr', 'adder')).toBe(1);
+  expect(editDistance('flpi', 'flip')).toBe(1);
+  expect(editDistance('counter', 'xyz', 2)).toBe(3);
+});
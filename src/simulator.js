@@ -0,0 +1,153 @@
+import { getChip } from './chips';
+import { recipeLogic } from './expr';
+import { boardLinks, isBoardNode } from './breadboard';
+import { sourceLevel } from './devices';
+
+// --- NETLIST ---
+// Wire endpoints are 'VCC', 'GND', 'SW_n', 'LED_n', an I/O device pin ('SEG_0.a',
+// devices.js) or a chip pin {c, p}.
+// Every endpoint is reduced to a string key. Keys are merged into nets by what the
+// breadboard joins (breadboard.js): a wire joins the strips or rails its ends plug
+// into, and each chip pin joins its strip. The board's own strip and rail nodes are
+// left out of `nets`, which lists endpoint keys only.
+
+export const endpointKey = (ep) => (typeof ep === 'string' ? ep : `${ep.c}:${ep.p}`);
+export const pinKey = (c, p) => `${c}:${p}`;
+
+export const buildNetlist = (recipe) => {
+  const parent = new Map();
+  const find = (k) => {
+    if (!parent.has(k)) parent.set(k, k);
+    let root = k;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(k, root);
+    return root;
+  };
+  const union = (a, b) => { parent.set(find(a), find(b)); };
+
+  boardLinks(recipe, endpointKey).forEach(([a, b]) => union(a, b));
+  // Make sure every chip pin has a net of its own even when nothing touches it
+  (recipe.chips || []).forEach((chip, c) => {
+    const model = getChip(chip.type);
+    for (let p = 1; p <= (model ? model.pins : 0); p++) find(pinKey(c, p));
+  });
+
+  const nets = new Map();
+  for (const k of parent.keys()) {
+    if (isBoardNode(k)) continue;
+    const root = find(k);
+    if (!nets.has(root)) nets.set(root, []);
+    nets.get(root).push(k);
+  }
+  return { netOf: (k) => find(k), nets };
+};
+
+// --- EVALUATION ---
+// Levels are 1, 0 or null (floating). When drivers disagree LOW wins, which is what
+// a TTL totem-pole output pulling against another does in practice.
+// Two optional recipe fields model damaged parts (faults.js): a chip marked `dead`
+// drives nothing, and each `stuck` pin {c, p, level} holds its net at that level
+// whatever else drives it, like a pin shorted to a rail inside the package.
+const resolve = (levels) => {
+  const driven = levels.filter(v => v !== null && v !== undefined);
+  if (!driven.length) return null;
+  return driven.includes(0) ? 0 : 1;
+};
+
+const MAX_PASSES = 64;
+
+const sameOutputs = (a, b) => a.every((out, c) => {
+  const keys = new Set([...Object.keys(out), ...Object.keys(b[c])]);
+  return [...keys].every(k => out[k] === b[c][k]);
+});
+
+// Persistent state for sequential simulation: flip-flop contents per chip plus the chip
+// outputs of the previous call, which seed the next one so a ripple stage never sees a
+// spurious edge from an output that has not settled yet.
+export const createSimState = () => ({ chips: [], out: null });
+
+// `controls` holds what the I/O devices are doing: buttons held, clock levels, keys
+export const simulate = (recipe, inputs = [], state = createSimState(), controls = {}) => {
+  const { netOf, nets } = buildNetlist(recipe);
+  const chips = recipe.chips || [];
+  const powerOn = !state.out || state.out.length !== chips.length;
+
+  // Fixed sources: rails, switches and device sources
+  const fixed = new Map();
+  const addDriver = (map, net, v) => { map.set(net, [...(map.get(net) || []), v]); };
+  for (const keys of nets.values()) {
+    keys.forEach(k => {
+      if (k === 'VCC') addDriver(fixed, netOf(k), 1);
+      else if (k === 'GND') addDriver(fixed, netOf(k), 0);
+      else if (k.startsWith('SW_')) addDriver(fixed, netOf(k), inputs[parseInt(k.slice(3), 10)] ? 1 : 0);
+      else if (recipe.devices) {
+        const level = sourceLevel(recipe, k, controls);
+        if (level !== null) addDriver(fixed, netOf(k), level);
+      }
+    });
+  }
+
+  const netLevel = (chipOut) => {
+    const drivers = new Map(fixed);
+    chipOut.forEach((out, c) => Object.entries(out).forEach(([p, v]) => addDriver(drivers, netOf(pinKey(c, p)), v)));
+    const next = new Map();
+    for (const root of nets.keys()) next.set(root, resolve(drivers.get(root) || []));
+    (recipe.stuck || []).forEach(({ c, p, level }) => next.set(netOf(pinKey(c, p)), level));
+    return next;
+  };
+  const evaluateChips = (levels, edges) => chips.map((chip, c) => {
+    const model = getChip(chip.type);
+    if (!model || chip.dead) return {};
+    const level = (p) => levels.get(netOf(pinKey(c, p)));
+    // An unpowered chip leaves all of its outputs floating
+    if (level(model.vcc) !== 1 || level(model.gnd) !== 0) return {};
+    const read = (p) => (level(p) === 0 ? 0 : 1);
+    state.chips[c] = state.chips[c] || {};
+    return model.evaluate(read, state.chips[c], edges);
+  });
+
+  let chipOut = powerOn ? chips.map(() => ({})) : state.out;
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const next = evaluateChips(netLevel(chipOut), !powerOn);
+    const stable = sameOutputs(next, chipOut);
+    chipOut = next;
+    if (stable) break;
+  }
+  state.out = chipOut;
+  const levels = netLevel(chipOut);
+
+  const led = (i) => (levels.get(netOf(`LED_${i}`)) === 1 ? 1 : 0);
+  return {
+    outputs: (recipe.outputs || []).map((_, i) => led(i)),
+    levelOf: (ep) => {
+      const v = levels.get(netOf(endpointKey(ep)));
+      return v === undefined ? null : v;
+    },
+    netOf: (ep) => netOf(endpointKey(ep)),
+    nets
+  };
+};
+
+export const isSequential = (recipe) => (recipe.chips || []).some(chip => getChip(chip.type)?.sequential);
+
+// Indices of the switches that reach a flip-flop clock pin
+export const clockInputs = (recipe) => {
+  const { netOf } = buildNetlist(recipe);
+  const clockNets = new Set();
+  (recipe.chips || []).forEach((chip, c) => {
+    (getChip(chip.type)?.clockPins || []).forEach(p => clockNets.add(netOf(pinKey(c, p))));
+  });
+  return (recipe.inputs || []).map((_, i) => i).filter(i => clockNets.has(netOf(`SW_${i}`)));
+};
+
+// Drive a recipe through a list of input vectors, keeping flip-flop state between them
+export const runSequence = (recipe, steps, state = createSimState()) => (
+  steps.map(inputs => simulate(recipe, inputs, state).outputs)
+);
+
+// Output of the recipe's optional reference `logic`, normalised to 0/1
+export const expectedOutputs = (recipe, inputs) => {
+  const { fn } = recipeLogic(recipe);
+  if (!fn) return null;
+  try { return fn(inputs).map(v => (v ? 1 : 0)); } catch { return null; }
+};
@@ -0,0 +1,66 @@
+import { RECIPES, powerWires } from './recipes';
+import { simulate, expectedOutputs, runSequence, clockInputs, createSimState } from './simulator';
+
+const rows = (n) => Array.from({ length: 1 << n }, (_, r) => Array.from({ length: n }, (_, b) => (r >> (n - 1 - b)) & 1));
+
+test('half adder LEDs follow the wired gates', () => {
+  const recipe = RECIPES['half_adder'];
+  rows(2).forEach(i => {
+    expect(simulate(recipe, i).outputs).toEqual(expectedOutputs(recipe, i));
+  });
+});
+
+test('a miswired board lights the LEDs wrongly', () => {
+  const recipe = {
+    ...RECIPES['basic_gates'],
+    // AND output routed to the OR LED and vice versa
+    wires: RECIPES['basic_gates'].wires.map(w => (w.e === 'LED_0' ? { ...w, e: 'LED_1' } : w.e === 'LED_1' ? { ...w, e: 'LED_0' } : w))
+  };
+  expect(simulate(recipe, [1, 0]).outputs).toEqual([1, 0]);
+  expect(expectedOutputs(recipe, [1, 0])).toEqual([0, 1]);
+});
+
+test('unpowered chips leave their outputs floating', () => {
+  const recipe = {
+    chips: [{ id: 'u1', type: '7404', x: 20 }],
+    inputs: ['A'], outputs: ['Y'],
+    wires: [{ s: 'SW_0', e: { c: 0, p: 1 } }, { s: { c: 0, p: 2 }, e: 'LED_0' }]
+  };
+  expect(simulate(recipe, [0]).outputs).toEqual([0]);
+  expect(simulate({ ...recipe, wires: [...powerWires(0), ...recipe.wires] }, [0]).outputs).toEqual([1]);
+});
+
+test('floating TTL inputs read HIGH', () => {
+  const recipe = {
+    chips: [{ id: 'u1', type: '7408', x: 20 }],
+    inputs: ['A'], outputs: ['Y'],
+    wires: [...powerWires(0), { s: 'SW_0', e: { c: 0, p: 1 } }, { s: { c: 0, p: 3 }, e: 'LED_0' }]
+  };
+  expect(simulate(recipe, [1]).outputs).toEqual([1]);
+});
+
+test('7485 compares words and honours the cascade inputs', () => {
+  const recipe = RECIPES['comparator_7485'];
+  expect(simulate(recipe, [1, 0, 0, 1]).outputs).toEqual([1, 0, 0]);
+  expect(simulate(recipe, [0, 1, 0, 1]).outputs).toEqual([0, 1, 0]);
+  expect(simulate(recipe, [0, 0, 1, 1]).outputs).toEqual([0, 0, 1]);
+});
+
+test.each(['d_ff_7474', 'jk_ff_7476', 'counter_mod4', 'decade_74161', 'ring_counter_74194'])('%s follows its clocked sequence', (key) => {
+  const recipe = RECIPES[key];
+  const steps = recipe.sequence;
+  expect(runSequence(recipe, steps.map(s => s.inputs))).toEqual(steps.map(s => s.expect));
+});
+
+test('flip-flops hold their state when nothing clocks them', () => {
+  const recipe = RECIPES['jk_ff_7476'];
+  const state = createSimState();
+  runSequence(recipe, [[1, 0, 1], [1, 0, 0]], state);
+  expect(simulate(recipe, [0, 1, 0], state).outputs).toEqual([1, 0]);
+});
+
+test('clock switches are found through the netlist', () => {
+  expect(clockInputs(RECIPES['d_ff_7474'])).toEqual([1]);
+  expect(clockInputs(RECIPES['counter_mod4'])).toEqual([0]);
+  expect(clockInputs(RECIPES['half_adder'])).toEqual([]);
+});
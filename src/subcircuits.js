@@ -0,0 +1,207 @@
+import { RECIPES } from './recipes';
+import { BOARD_PITCH, boardOf, ontoBoard, chipWidth, bomFor } from './editor';
+
+// --- SUBCIRCUITS ---
+// A circuit can use other circuits as blocks: `blocks: [{ id, type }]`, `type` naming a
+// recipe whose switches and LEDs become the block's ports, by label. A wire reaches a
+// port as { b, port }: { b: 1, port: 'Cin' } is input Cin of the second block. Blocks can
+// hold blocks themselves.
+//
+// flattenCircuit() expands the blocks into an ordinary breadboard recipe, so everything
+// else (simulator, router, build guide) sees chips and wires only. An input port's
+// inside wires are rewired to whatever drives the port; an output port is replaced by
+// whatever drives its LED inside. The block-level wiring is kept as `structure` for the
+// block view, with `ports[b][name]`, the flat endpoint that carries each port's level.
+
+const MAX_DEPTH = 4;
+const CHIP_GAP = 2;
+
+// Columns to the right of this on the first board are left to the LEDs
+export const LED_BAY = 49;
+
+const isPort = (ep) => !!ep && typeof ep === 'object' && ep.b !== undefined;
+const indexOf = (ep, prefix) => (typeof ep === 'string' && ep.startsWith(prefix) ? Number(ep.slice(prefix.length)) : -1);
+
+// Columns for chips of the given widths, left to right from `start`, onto as many
+// chained boards as they need. Returns { xs, boards }.
+export const layoutChips = (widths, gap = CHIP_GAP, start = 2) => {
+  let x = start;
+  const xs = widths.map(w => {
+    let col = ontoBoard(x, w);
+    if (boardOf(col) === 0 && col + w > LED_BAY) col = BOARD_PITCH;
+    x = col + w + gap;
+    return col;
+  });
+  const boards = xs.length ? boardOf(xs[xs.length - 1] + widths[widths.length - 1] - 1) + 1 : 1;
+  return { xs, boards };
+};
+
+// Ports of a block type: { inputs, outputs } labels, or null for an unknown type
+export const blockPorts = (type, lookup = (t) => RECIPES[t]) => {
+  const def = lookup(type);
+  return def ? { inputs: def.inputs, outputs: def.outputs } : null;
+};
+
+// One block expanded: its chips, the wires that stay inside it, what drives each of
+// its outputs and which pins each of its inputs feeds
+const expandBlock = (block, offset, lookup, depth) => {
+  const def = lookup(block.type);
+  if (!def) throw new Error(`Unknown block type '${block.type}'`);
+  const flat = flattenCircuit(def, lookup, depth + 1);
+  const moved = (ep) => (ep && typeof ep === 'object' ? { ...ep, c: ep.c + offset } : ep);
+  const drivers = [];
+  const sinks = flat.inputs.map(() => []);
+  const wires = [];
+  flat.wires.forEach(w => {
+    const o = Math.max(indexOf(w.s, 'LED_'), indexOf(w.e, 'LED_'));
+    const i = Math.max(indexOf(w.s, 'SW_'), indexOf(w.e, 'SW_'));
+    if (o >= 0) {
+      const other = indexOf(w.s, 'LED_') >= 0 ? w.e : w.s;
+      drivers[o] = indexOf(other, 'SW_') >= 0 ? { sw: indexOf(other, 'SW_') } : moved(other);
+    } else if (i >= 0) {
+      sinks[i].push({ ep: moved(indexOf(w.s, 'SW_') >= 0 ? w.e : w.s), color: w.color });
+    } else {
+      wires.push({ ...w, s: moved(w.s), e: moved(w.e) });
+    }
+  });
+  return {
+    ...block, inputs: flat.inputs, outputs: flat.outputs, drivers, sinks, wires,
+    chips: flat.chips.map(chip => ({ ...chip, id: `${block.id}.${chip.id}` }))
+  };
+};
+
+// A recipe with `blocks` as a flat one; anything else comes back unchanged
+export const flattenCircuit = (circuit, lookup = (t) => RECIPES[t], depth = 0) => {
+  if (!circuit.blocks || !circuit.blocks.length) return circuit;
+  if (depth >= MAX_DEPTH) throw new Error(`Blocks nest more than ${MAX_DEPTH} deep`);
+  const own = (circuit.chips || []).map(chip => ({ ...chip }));
+  const blocks = [];
+  circuit.blocks.forEach(block => {
+    const offset = own.length + blocks.reduce((n, b) => n + b.chips.length, 0);
+    blocks.push(expandBlock(block, offset, lookup, depth));
+  });
+  const wires = circuit.wires || [];
+  const portOf = (ep) => {
+    const block = isPort(ep) && blocks[ep.b];
+    if (!block) return null;
+    if (block.inputs.includes(ep.port)) return { block, input: block.inputs.indexOf(ep.port) };
+    if (block.outputs.includes(ep.port)) return { block, output: block.outputs.indexOf(ep.port) };
+    throw new Error(`Block ${block.id} (${block.type}) has no port '${ep.port}'`);
+  };
+  const samePort = (a, b) => isPort(a) && isPort(b) && a.b === b.b && a.port === b.port;
+
+  // The flat endpoint driving a parent-level endpoint, or null when nothing does.
+  // `seen` stops loops of input ports wired to each other.
+  const resolve = (ep, seen = []) => {
+    const port = portOf(ep);
+    if (!port) return ep;
+    if (port.output !== undefined) {
+      const driver = port.block.drivers[port.output];
+      if (!driver) return null;
+      return driver.sw !== undefined ? resolve({ b: ep.b, port: port.block.inputs[driver.sw] }, seen) : driver;
+    }
+    if (seen.some(s => samePort(s, ep))) return null;
+    for (const w of wires) {
+      const other = samePort(w.s, ep) ? w.e : samePort(w.e, ep) ? w.s : undefined;
+      const found = other === undefined ? null : resolve(other, [...seen, ep]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const flatWires = [...blocks.flatMap(b => b.wires)];
+  blocks.forEach((block, b) => block.sinks.forEach((sinks, i) => {
+    const driver = resolve({ b, port: block.inputs[i] });
+    if (driver) sinks.forEach(({ ep, color }) => flatWires.push({ s: driver, e: ep, color }));
+  }));
+  wires.forEach(w => {
+    const ends = [w.s, w.e].map(portOf);
+    if (ends.some(p => p && p.input !== undefined)) return;
+    const s = resolve(w.s), e = resolve(w.e);
+    if (s && e) flatWires.push({ ...w, s, e });
+  });
+
+  const chips = [...own, ...blocks.flatMap(b => b.chips)];
+  const { xs, boards } = layoutChips(chips.map(chip => chipWidth(chip.type)));
+  const { blocks: _blocks, ...rest } = circuit;
+  return {
+    ...rest,
+    chips: chips.map((chip, k) => ({ ...chip, x: xs[k] })),
+    wires: flatWires,
+    boards: Math.max(boards, circuit.boards || 1),
+    bom: bomFor(chips),
+    structure: {
+      blocks: blocks.map(({ id, type, inputs, outputs }) => ({ id, type, inputs, outputs })),
+      wires,
+      ports: blocks.map((block, b) => Object.fromEntries(
+        [...block.inputs, ...block.outputs].map(port => [port, resolve({ b, port })])
+      ))
+    }
+  };
+};
+
+// --- BLOCK VIEW LAYOUT ---
+// Where the block view draws a flattened recipe's `structure` on a width × height sheet:
+// switches down the left, LEDs down the right, blocks in columns by how many blocks
+// stand between them and the switches. Blocks are { x, y, width, height, ports } with
+// ports[name] = { x, y } on the box edge, inputs left and outputs right. point() places a
+// wire end, or gives null for one the view leaves out (rails, the parent's own chips).
+export const BLOCK_W = 120;
+const PORT_GAP = 22;
+const BLOCK_HEAD = 34;
+const EDGE = 60;
+
+export const blockLayout = (recipe, width = 1200, height = 600) => {
+  const { blocks, wires } = recipe.structure;
+  const rank = blocks.map(() => 0);
+  for (let pass = 0; pass < blocks.length; pass++) {
+    wires.forEach(w => {
+      if (!isPort(w.s) || !isPort(w.e) || w.s.b === w.e.b) return;
+      const [from, to] = blocks[w.s.b].outputs.includes(w.s.port) ? [w.s, w.e] : [w.e, w.s];
+      rank[to.b] = Math.max(rank[to.b], rank[from.b] + 1);
+    });
+  }
+  const columns = Math.max(...rank) + 1;
+  const boxes = blocks.map(block => ({ width: BLOCK_W, height: BLOCK_HEAD + Math.max(block.inputs.length, block.outputs.length) * PORT_GAP }));
+  for (let r = 0; r < columns; r++) {
+    const inColumn = blocks.map((_, b) => b).filter(b => rank[b] === r);
+    const total = inColumn.reduce((sum, b) => sum + boxes[b].height, 0) + (inColumn.length - 1) * 30;
+    let y = (height - total) / 2;
+    inColumn.forEach(b => {
+      const box = boxes[b];
+      box.x = 2 * EDGE + ((r + 0.5) * (width - 4 * EDGE)) / columns - BLOCK_W / 2;
+      box.y = y;
+      y += box.height + 30;
+      box.ports = Object.fromEntries([
+        ...blocks[b].inputs.map((port, k) => [port, { x: box.x, y: box.y + BLOCK_HEAD + (k + 0.5) * PORT_GAP }]),
+        ...blocks[b].outputs.map((port, k) => [port, { x: box.x + BLOCK_W, y: box.y + BLOCK_HEAD + (k + 0.5) * PORT_GAP }])
+      ]);
+    });
+  }
+  const row = (i, n) => ((i + 1) * height) / (n + 1);
+  const point = (ep) => {
+    if (isPort(ep)) return boxes[ep.b] ? boxes[ep.b].ports[ep.port] || null : null;
+    const sw = indexOf(ep, 'SW_'), led = indexOf(ep, 'LED_');
+    if (sw >= 0) return { x: EDGE, y: row(sw, recipe.inputs.length) };
+    if (led >= 0) return { x: width - EDGE, y: row(led, recipe.outputs.length) };
+    return null;
+  };
+  return { blocks: boxes, point };
+};
+
+// The flat endpoint that carries the level of a structure-level wire end
+export const flatEndpoint = (recipe, ep) => (isPort(ep) ? recipe.structure.ports[ep.b][ep.port] : ep);
+
+// Whether a `structure` read back from storage still fits its flat recipe: a block list
+// with port labels, wires, and for every block an endpoint (or null) per port, chip
+// pins among the recipe's chips
+export const structureFits = (structure, recipe) => {
+  if (!structure || !Array.isArray(structure.blocks) || !Array.isArray(structure.wires) || !Array.isArray(structure.ports)) return false;
+  if (structure.ports.length !== structure.blocks.length) return false;
+  const isLabels = (list) => Array.isArray(list) && list.every(l => typeof l === 'string');
+  const fits = (ep) => ep === null || typeof ep === 'string' || (!!ep && typeof ep === 'object' && Number.isInteger(ep.c) && ep.c >= 0 && ep.c < recipe.chips.length);
+  return structure.blocks.every((block, b) => (
+    !!block && typeof block.id === 'string' && isLabels(block.inputs) && isLabels(block.outputs)
+    && !!structure.ports[b] && [...block.inputs, ...block.outputs].every(port => fits(structure.ports[b][port]))
+  ));
+};
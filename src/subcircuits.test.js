@@ -0,0 +1,109 @@
+import { RECIPES } from './recipes';
+import { simulate } from './simulator';
+import { verifyRecipe } from './verifier';
+import { boardOf } from './editor';
+import { LED_BAY, layoutChips, blockPorts, flattenCircuit, blockLayout, flatEndpoint } from './subcircuits';
+
+// Two full adders chained: a 2-bit adder, A1 A0 B1 B0 in, Cout S1 S0 out
+const twoBitAdder = () => ({
+  title: 'Two full adders',
+  blocks: [{ id: 'lo', type: 'full_adder' }, { id: 'hi', type: 'full_adder' }],
+  chips: [],
+  inputs: ['A1', 'A0', 'B1', 'B0'],
+  outputs: ['Cout', 'S1', 'S0'],
+  wires: [
+    { s: 'SW_1', e: { b: 0, port: 'A' } }, { s: 'SW_3', e: { b: 0, port: 'B' } }, { s: 'GND', e: { b: 0, port: 'Cin' } },
+    { s: 'SW_0', e: { b: 1, port: 'A' } }, { s: 'SW_2', e: { b: 1, port: 'B' } },
+    { s: { b: 0, port: 'Cout' }, e: { b: 1, port: 'Cin' } },
+    { s: { b: 1, port: 'Cout' }, e: 'LED_0' }, { s: { b: 1, port: 'Sum' }, e: 'LED_1' }, { s: { b: 0, port: 'Sum' }, e: 'LED_2' }
+  ],
+  logic: 's = 2 * A1 + A0 + 2 * B1 + B0; Cout = s[2]; S1 = s[1]; S0 = s[0]'
+});
+
+test('layoutChips keeps chips on one board each and clear of the LED bay', () => {
+  const widths = Array.from({ length: 9 }, () => 7);
+  const { xs, boards } = layoutChips(widths);
+  xs.forEach((x, k) => expect(boardOf(x)).toBe(boardOf(x + widths[k] - 1)));
+  expect(xs.filter(x => boardOf(x) === 0 && x + 7 > LED_BAY)).toEqual([]);
+  expect(xs.slice(1).filter((x, k) => x < xs[k] + 7)).toEqual([]);
+  expect(boards).toBe(boardOf(xs[8]) + 1);
+  expect(layoutChips([])).toEqual({ xs: [], boards: 1 });
+});
+
+test('a block’s ports are its recipe’s switch and LED labels', () => {
+  expect(blockPorts('full_adder')).toEqual({ inputs: ['A', 'B', 'Cin'], outputs: ['Sum', 'Cout'] });
+  expect(blockPorts('no_such_recipe')).toBeNull();
+});
+
+test('a recipe without blocks comes back unchanged', () => {
+  expect(flattenCircuit(RECIPES.full_adder)).toBe(RECIPES.full_adder);
+});
+
+test('two full adder blocks flatten to a working 2-bit adder', () => {
+  const flat = flattenCircuit(twoBitAdder());
+  expect(flat.blocks).toBeUndefined();
+  expect(flat.chips).toHaveLength(2 * RECIPES.full_adder.chips.length);
+  expect(flat.chips[0].id).toBe(`lo.${RECIPES.full_adder.chips[0].id}`);
+  expect(flat.bom).toEqual(expect.arrayContaining(['2x 7486 (Quad 2-input XOR)']));
+  const ends = flat.wires.flatMap(w => [w.s, w.e]);
+  expect(ends.filter(ep => ep.b !== undefined)).toEqual([]);
+  expect(ends.filter(ep => ep.c >= flat.chips.length)).toEqual([]);
+  expect(simulate(flat, [1, 1, 0, 1]).outputs).toEqual([1, 0, 0]);
+  const result = verifyRecipe(flat);
+  expect(result.mode).toBe('exhaustive');
+  expect(result.ok).toBe(true);
+});
+
+test('structure keeps the block wiring and the flat endpoint behind every port', () => {
+  const flat = flattenCircuit(twoBitAdder());
+  expect(flat.structure.blocks.map(b => b.id)).toEqual(['lo', 'hi']);
+  expect(flat.structure.wires).toHaveLength(9);
+  expect(flatEndpoint(flat, { b: 0, port: 'A' })).toBe('SW_1');
+  expect(flatEndpoint(flat, { b: 0, port: 'Cin' })).toBe('GND');
+  expect(flatEndpoint(flat, 'SW_2')).toBe('SW_2');
+  // The carry between the blocks is a pin of the low adder's chips
+  const carry = flatEndpoint(flat, { b: 1, port: 'Cin' });
+  expect(carry).toEqual(flatEndpoint(flat, { b: 0, port: 'Cout' }));
+  expect(carry.c).toBeLessThan(RECIPES.full_adder.chips.length);
+  const result = simulate(flat, [0, 1, 0, 1]);
+  expect(result.levelOf(carry)).toBe(1);
+});
+
+test('blocks nest, and inputs reach ports passed straight through', () => {
+  const lookup = (type) => (type === 'adder2' ? twoBitAdder() : RECIPES[type]);
+  const outer = {
+    title: 'Wrapped',
+    blocks: [{ id: 'x', type: 'adder2' }],
+    chips: [],
+    inputs: ['A1', 'A0', 'B1', 'B0'],
+    outputs: ['Cout', 'S1', 'S0'],
+    wires: [
+      ...['A1', 'A0', 'B1', 'B0'].map((port, i) => ({ s: `SW_${i}`, e: { b: 0, port } })),
+      ...['Cout', 'S1', 'S0'].map((port, i) => ({ s: { b: 0, port }, e: `LED_${i}` }))
+    ],
+    logic: twoBitAdder().logic
+  };
+  const flat = flattenCircuit(outer, lookup);
+  expect(flat.chips[0].id).toMatch(/^x\.lo\./);
+  expect(verifyRecipe(flat).ok).toBe(true);
+});
+
+test('unknown block types, unknown ports and runaway nesting are errors', () => {
+  const circuit = twoBitAdder();
+  expect(() => flattenCircuit({ ...circuit, blocks: [{ id: 'q', type: 'nope' }] })).toThrow("Unknown block type 'nope'");
+  expect(() => flattenCircuit({ ...circuit, wires: [{ s: 'SW_0', e: { b: 0, port: 'Q' } }] })).toThrow("Block lo (full_adder) has no port 'Q'");
+  const selfish = { ...circuit, blocks: [{ id: 's', type: 'self' }] };
+  expect(() => flattenCircuit(selfish, () => selfish)).toThrow('Blocks nest more than');
+});
+
+test('blockLayout puts switches left, LEDs right and each block after what feeds it', () => {
+  const flat = flattenCircuit(twoBitAdder());
+  const { blocks, point } = blockLayout(flat);
+  expect(point('SW_0').x).toBeLessThan(blocks[0].x);
+  expect(point('LED_0').x).toBeGreaterThan(blocks[1].x + blocks[1].width);
+  expect(blocks[1].x).toBeGreaterThan(blocks[0].x + blocks[0].width);
+  expect(point({ b: 0, port: 'A' })).toEqual({ x: blocks[0].x, y: expect.any(Number) });
+  expect(point({ b: 1, port: 'Cout' }).x).toBe(blocks[1].x + blocks[1].width);
+  expect(point('GND')).toBeNull();
+  expect(point({ c: 0, p: 1 })).toBeNull();
+});
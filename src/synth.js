@@ -0,0 +1,397 @@
+import { ExprError, formatName } from './expr';
+import { chipSections } from './chips';
+import { powerWires } from './recipes';
+import { bomFor } from './editor';
+
+// --- BOOLEAN EXPRESSION TO BREADBOARD SYNTHESIZER ---
+// Turns textbook notation into a wired recipe:
+//
+//   Y = A'B + AB'C            juxtaposition or * & · is AND, + | is OR, ^ ⊕ is XOR
+//   Z = (A + B)' ^ C          ' ! ~ are NOT, 0 and 1 are constants
+//   F(A,B,C) = m(1,2,4,7)     minterms, first listed input is the MSB; + d(...) allowed
+//
+// Statements are separated by ';' or new lines. Signal names are one letter plus optional
+// digits (A, B0, X12) unless `inputs` is given, in which case those names are matched.
+// Gates are allocated to 7400-series packages in one of three styles: 'mixed' (AND, OR,
+// XOR, NOT, NAND, NOR as written), 'nand' (7400 only) or 'nor' (7402 only).
+
+export const SYNTH_STYLES = { mixed: 'Mixed gates', nand: 'NAND only', nor: 'NOR only' };
+
+const MAX_INPUTS = 8;
+const MAX_CHIPS = 6;
+const CHIP_PITCH = 9;
+const GATE_CHIPS = { NOT: '7404', AND: '7408', OR: '7432', XOR: '7486', NAND: '7400', NOR: '7402' };
+
+// --- PARSER ---
+// AST: { type: 'var', name } | { type: 'const', value } | { type: 'not', arg }
+// | { type: 'and' | 'or' | 'xor', args: [...] }
+const tokenizeExpr = (src, line, col0, names) => {
+  const tokens = [];
+  const byLength = names ? [...names].sort((a, b) => b.length - a.length) : null;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    const col = col0 + i;
+    if (/\s/.test(ch)) { i++; continue; }
+    const at = i;
+    const known = byLength && byLength.find(n => src.startsWith(n, at));
+    if (known) {
+      tokens.push({ type: 'var', name: known, col });
+      i += known.length;
+      continue;
+    }
+    if ('+|'.includes(ch)) tokens.push({ type: 'or', col });
+    else if ('^⊕'.includes(ch)) tokens.push({ type: 'xor', col });
+    else if ('*&·.'.includes(ch)) tokens.push({ type: 'and', col });
+    else if ('!~¬'.includes(ch)) tokens.push({ type: 'not', col });
+    else if (ch === "'" || ch === '’') tokens.push({ type: 'prime', col });
+    else if (ch === '(' || ch === ')') tokens.push({ type: ch, col });
+    else if (ch === '0' || ch === '1') tokens.push({ type: 'const', value: Number(ch), col });
+    else {
+      const name = byLength ? null : (src.slice(i).match(/^[A-Za-z][0-9]*/) || [])[0];
+      if (!name) throw new ExprError(`Unexpected '${ch}'`, line, col);
+      tokens.push({ type: 'var', name, col });
+      i += name.length;
+      continue;
+    }
+    i++;
+  }
+  tokens.push({ type: 'eof', col: col0 + src.length });
+  return tokens;
+};
+
+const parseExpr = (tokens, line) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (msg) => { throw new ExprError(msg, line, peek().col); };
+  const startsTerm = (t) => ['var', 'const', 'not', '('].includes(t.type);
+  const nary = (type, args) => (args.length === 1 ? args[0] : { type, args });
+
+  const primary = () => {
+    const t = peek();
+    if (t.type === 'var') { pos++; return { type: 'var', name: t.name }; }
+    if (t.type === 'const') { pos++; return { type: 'const', value: t.value }; }
+    if (t.type === '(') {
+      pos++;
+      const e = or();
+      if (peek().type !== ')') fail("Expected ')'");
+      pos++;
+      return e;
+    }
+    return fail(t.type === 'eof' ? 'Expression ends too early' : 'Expected a signal, 0, 1 or (');
+  };
+  const postfix = () => {
+    let node = primary();
+    while (peek().type === 'prime') { pos++; node = { type: 'not', arg: node }; }
+    return node;
+  };
+  const unary = () => {
+    if (peek().type === 'not') { pos++; return { type: 'not', arg: unary() }; }
+    return postfix();
+  };
+  const and = () => {
+    const args = [unary()];
+    for (;;) {
+      if (peek().type === 'and') { pos++; args.push(unary()); }
+      else if (startsTerm(peek())) args.push(unary());
+      else return nary('and', args);
+    }
+  };
+  const xor = () => {
+    const args = [and()];
+    while (peek().type === 'xor') { pos++; args.push(and()); }
+    return nary('xor', args);
+  };
+  const or = () => {
+    const args = [xor()];
+    while (peek().type === 'or') { pos++; args.push(xor()); }
+    return nary('or', args);
+  };
+
+  const ast = or();
+  if (peek().type !== 'eof') fail('Unexpected symbol after expression');
+  return ast;
+};
+
+const MINTERMS = /^\s*(?:Σ\s*m|sum|m)\s*\(([^)]*)\)\s*(?:\+\s*d\s*\(([^)]*)\))?\s*$/i;
+
+const parseNumbers = (list, limit, line, col) => (list || '').split(',').map(s => s.trim()).filter(Boolean).map(s => {
+  const n = Number(s);
+  if (!Number.isInteger(n) || n < 0 || n >= limit) throw new ExprError(`Minterm ${s} is out of range 0-${limit - 1}`, line, col);
+  return n;
+});
+
+// Sum of products over `vars` (first is the MSB) for the listed minterms
+export const mintermsToAst = (vars, minterms) => {
+  if (!minterms.length) return { type: 'const', value: 0 };
+  const terms = [...new Set(minterms)].sort((a, b) => a - b).map(m => {
+    const lits = vars.map((name, k) => {
+      const v = { type: 'var', name };
+      return (m >> (vars.length - 1 - k)) & 1 ? v : { type: 'not', arg: v };
+    });
+    return lits.length === 1 ? lits[0] : { type: 'and', args: lits };
+  });
+  return terms.length === 1 ? terms[0] : { type: 'or', args: terms };
+};
+
+const collectVars = (node, out) => {
+  if (node.type === 'var') out.add(node.name);
+  if (node.arg) collectVars(node.arg, out);
+  if (node.args) node.args.forEach(a => collectVars(a, out));
+  return out;
+};
+
+const naturalOrder = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Statements as [{ name, ast, minterms?, dontCares?, vars? }] plus the input order
+export const parseBoolean = (src, { inputs } = {}) => {
+  const statements = [];
+  String(src || '').split('\n').forEach((text, l) => {
+    let offset = 0;
+    text.split(';').forEach(part => {
+      const line = l + 1;
+      const col = offset + 1;
+      offset += part.length + 1;
+      if (!part.trim()) return;
+      const eq = part.indexOf('=');
+      if (eq < 0) throw new ExprError("Expected 'Output = expression'", line, col);
+      const lhs = part.slice(0, eq).match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\(([^)]*)\))?\s*$/);
+      if (!lhs) throw new ExprError('Expected an output name before =', line, col);
+      const vars = lhs[2] ? lhs[2].split(',').map(s => s.trim()).filter(Boolean) : null;
+      const rhs = part.slice(eq + 1);
+      const rhsCol = col + eq + 1;
+      const mt = rhs.match(MINTERMS);
+      if (mt) {
+        const over = vars || inputs;
+        if (!over) throw new ExprError(`List the inputs for minterms, e.g. ${lhs[1]}(A,B,C) = m(...)`, line, col);
+        const minterms = parseNumbers(mt[1], 1 << over.length, line, rhsCol);
+        const dontCares = parseNumbers(mt[2], 1 << over.length, line, rhsCol);
+        statements.push({ name: lhs[1], ast: mintermsToAst(over, minterms), minterms, dontCares, vars: over, line });
+      } else {
+        statements.push({ name: lhs[1], ast: parseExpr(tokenizeExpr(rhs, line, rhsCol, inputs), line), vars, line });
+      }
+    });
+  });
+  if (!statements.length) throw new ExprError('Nothing to synthesize');
+
+  const seen = new Set();
+  statements.forEach(st => {
+    if (seen.has(st.name)) throw new ExprError(`'${st.name}' is defined twice`, st.line, 1);
+    seen.add(st.name);
+  });
+  const used = new Set();
+  statements.forEach(st => { (st.vars || []).forEach(v => used.add(v)); collectVars(st.ast, used); });
+  const order = inputs ? [...inputs] : [
+    ...new Set([...statements.flatMap(st => st.vars || []), ...[...used].sort(naturalOrder)])
+  ];
+  const unknown = [...used].filter(v => !order.includes(v));
+  if (unknown.length) throw new ExprError(`Unknown input${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+  const clash = statements.find(st => order.includes(st.name));
+  if (clash) throw new ExprError(`'${clash.name}' is both an input and an output`, clash.line, 1);
+  if (order.length > MAX_INPUTS) throw new ExprError(`At most ${MAX_INPUTS} inputs fit on the board`);
+  return { statements, inputs: order };
+};
+
+// AST in the checker's expression language (expr.js)
+export const astToLogic = (node) => {
+  switch (node.type) {
+    case 'var': return formatName(node.name);
+    case 'const': return String(node.value);
+    case 'not': return `!${node.arg.type === 'var' || node.arg.type === 'const' || node.arg.type === 'not' ? astToLogic(node.arg) : `(${astToLogic(node.arg)})`}`;
+    default: {
+      const op = { and: ' & ', or: ' | ', xor: ' ^ ' }[node.type];
+      return node.args.map(a => (a.args ? `(${astToLogic(a)})` : astToLogic(a))).join(op);
+    }
+  }
+};
+
+// --- GATE NETLIST ---
+// Signals are 'VCC', 'GND', 'SW_n' or 'g<k>' for the output of gate k. Gates are
+// { op, ins } with two inputs (one for NOT); identical gates are shared.
+const createNetlist = (style) => {
+  const gates = [];
+  const byKey = new Map();
+
+  const gate = (op, a, b) => {
+    const ins = b === undefined ? [a] : [a, b].sort();
+    const key = `${op}:${ins.join(',')}`;
+    if (!byKey.has(key)) { gates.push({ op, ins }); byKey.set(key, `g${gates.length - 1}`); }
+    return byKey.get(key);
+  };
+  const def = (sig) => (sig.startsWith('g') ? gates[Number(sig.slice(1))] : null);
+  // The signal an inverter-shaped gate inverts, if `sig` is one
+  const inverted = (sig) => {
+    const g = def(sig);
+    if (!g) return null;
+    if (g.op === 'NOT') return g.ins[0];
+    if ((g.op === 'NAND' || g.op === 'NOR') && g.ins[0] === g.ins[1] && g.op === (style === 'nor' ? 'NOR' : 'NAND')) return g.ins[0];
+    return null;
+  };
+
+  const complementary = (a, b) => inverted(a) === b || inverted(b) === a;
+
+  const not = (a) => {
+    if (a === 'VCC') return 'GND';
+    if (a === 'GND') return 'VCC';
+    const inner = inverted(a);
+    if (inner) return inner;
+    if (style === 'nand') return gate('NAND', a, a);
+    if (style === 'nor') return gate('NOR', a, a);
+    return gate('NOT', a);
+  };
+  const nand = (a, b) => {
+    if (a === 'GND' || b === 'GND') return 'VCC';
+    if (a === 'VCC') return not(b);
+    if (b === 'VCC' || a === b) return not(a);
+    if (style === 'nor') return not(and(a, b));
+    return gate('NAND', a, b);
+  };
+  const nor = (a, b) => {
+    if (a === 'VCC' || b === 'VCC') return 'GND';
+    if (a === 'GND') return not(b);
+    if (b === 'GND' || a === b) return not(a);
+    if (style === 'nand') return not(or(a, b));
+    return gate('NOR', a, b);
+  };
+  const and = (a, b) => {
+    if (a === 'GND' || b === 'GND') return 'GND';
+    if (a === 'VCC') return b;
+    if (b === 'VCC' || a === b) return a;
+    if (complementary(a, b)) return 'GND';
+    if (style === 'nand') return not(gate('NAND', a, b));
+    if (style === 'nor') return gate('NOR', not(a), not(b));
+    return gate('AND', a, b);
+  };
+  const or = (a, b) => {
+    if (a === 'VCC' || b === 'VCC') return 'VCC';
+    if (a === 'GND') return b;
+    if (b === 'GND' || a === b) return a;
+    if (complementary(a, b)) return 'VCC';
+    if (style === 'nand') return gate('NAND', not(a), not(b));
+    if (style === 'nor') return not(gate('NOR', a, b));
+    return gate('OR', a, b);
+  };
+  const xor = (a, b) => {
+    if (a === b) return 'GND';
+    if (a === 'GND') return b;
+    if (b === 'GND') return a;
+    if (a === 'VCC') return not(b);
+    if (b === 'VCC') return not(a);
+    if (complementary(a, b)) return 'VCC';
+    if (style === 'nand') {
+      const t = gate('NAND', a, b);
+      return gate('NAND', gate('NAND', a, t), gate('NAND', b, t));
+    }
+    if (style === 'nor') {
+      const t = gate('NOR', a, b);
+      return not(gate('NOR', gate('NOR', a, t), gate('NOR', b, t)));
+    }
+    return gate('XOR', a, b);
+  };
+
+  const build = (node, inputs) => {
+    switch (node.type) {
+      case 'var': return `SW_${inputs.indexOf(node.name)}`;
+      case 'const': return node.value ? 'VCC' : 'GND';
+      case 'not': {
+        // (AB)' and (A+B)' map straight onto NAND and NOR gates
+        const { arg } = node;
+        if (arg.type === 'and' || arg.type === 'or') {
+          const sigs = arg.args.map(a => build(a, inputs));
+          const fold = arg.type === 'and' ? and : or;
+          const last = sigs.pop();
+          return (arg.type === 'and' ? nand : nor)(sigs.reduce(fold), last);
+        }
+        return not(build(arg, inputs));
+      }
+      default: {
+        const fold = { and, or, xor }[node.type];
+        return node.args.map(a => build(a, inputs)).reduce(fold);
+      }
+    }
+  };
+
+  return { gates, build };
+};
+
+// Only gates that drive an output end up on the board
+const liveGates = (gates, roots) => {
+  const live = new Set();
+  const visit = (sig) => {
+    if (!sig.startsWith('g') || live.has(sig)) return;
+    live.add(sig);
+    gates[Number(sig.slice(1))].ins.forEach(visit);
+  };
+  roots.forEach(visit);
+  return live;
+};
+
+// --- PLACEMENT AND WIRING ---
+const SOURCE_COLORS = { VCC: 'WIRE_RED', GND: 'WIRE_BLACK' };
+const wireColor = (sig) => SOURCE_COLORS[sig] || (sig.startsWith('SW_') ? 'WIRE_BLUE' : 'WIRE_ORANGE');
+
+export const synthesize = (src, { style = 'mixed', inputs: inputNames } = {}) => {
+  if (!SYNTH_STYLES[style]) throw new ExprError(`Unknown style '${style}'`);
+  const { statements, inputs } = parseBoolean(src, { inputs: inputNames });
+  const { gates, build } = createNetlist(style);
+  const roots = statements.map(st => build(st.ast, inputs));
+  const live = liveGates(gates, roots);
+
+  // Gates are packed into packages in order of first use
+  const chips = [];
+  const slot = new Map(); // gate signal -> { c, pins }
+  const open = {}; // chip type -> { c, used }
+  gates.forEach((g, k) => {
+    const sig = `g${k}`;
+    if (!live.has(sig)) return;
+    const type = GATE_CHIPS[g.op];
+    const sections = chipSections(type);
+    if (!open[type] || open[type].used === sections.length) {
+      open[type] = { c: chips.length, used: 0 };
+      chips.push({ id: `u${chips.length + 1}`, type, x: 2 + chips.length * CHIP_PITCH });
+    }
+    slot.set(sig, { c: open[type].c, pins: sections[open[type].used++] });
+  });
+  if (chips.length > MAX_CHIPS) throw new ExprError(`Needs ${chips.length} chips; the board holds ${MAX_CHIPS}`);
+
+  const endpoint = (sig) => {
+    if (!slot.has(sig)) return sig;
+    const { c, pins } = slot.get(sig);
+    return { c, p: pins[pins.length - 1] };
+  };
+  const wires = chips.flatMap((chip, c) => powerWires(c, 14));
+  gates.forEach((g, k) => {
+    const sig = `g${k}`;
+    if (!live.has(sig)) return;
+    const { c, pins } = slot.get(sig);
+    pins.slice(0, -1).forEach((p, i) => {
+      const from = g.ins[Math.min(i, g.ins.length - 1)];
+      wires.push({ s: endpoint(from), e: { c, p }, color: wireColor(from) });
+    });
+  });
+  roots.forEach((sig, k) => wires.push({ s: endpoint(sig), e: `LED_${k}`, color: 'WIRE_YELLOW' }));
+
+  const counts = Object.entries(GATE_CHIPS)
+    .map(([op, type]) => [op, type, [...live].filter(sig => gates[Number(sig.slice(1))].op === op).length])
+    .filter(([, , n]) => n);
+  const equations = statements.map(st => `${st.name} = ${astToLogic(st.ast)}`);
+  return {
+    title: `Synthesized ${statements.map(st => st.name).join(', ')}`,
+    desc: `${SYNTH_STYLES[style]}: ${String(src).trim().replace(/\s*\n\s*/g, '; ')}`,
+    explanation: `Generated from:\n${equations.join('\n')}\n\n` +
+      (counts.length ? `Gates: ${counts.map(([op, type, n]) => `${n}x ${op} (${type})`).join(', ')}.` : 'No gates needed: every output is an input or a constant.'),
+    bom: bomFor(chips),
+    chips,
+    inputs,
+    outputs: statements.map(st => st.name),
+    wires,
+    logic: statements.map(st => `${formatName(st.name)} = ${astToLogic(st.ast)}`).join('; ')
+  };
+};
+
+// Packages and gates (sections with any pin wired) a recipe uses
+export const circuitCost = (recipe) => {
+  const wired = new Set(recipe.wires.flatMap(w => [w.s, w.e]).filter(ep => typeof ep === 'object').map(ep => `${ep.c}:${ep.p}`));
+  const gates = recipe.chips.reduce((acc, chip, c) => acc + chipSections(chip.type).filter(pins => pins.some(p => wired.has(`${c}:${p}`))).length, 0);
+  return { chips: recipe.chips.length, gates };
+};
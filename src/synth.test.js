@@ -0,0 +1,74 @@
+import { synthesize, parseBoolean, astToLogic, mintermsToAst } from './synth';
+import { verifyRecipe } from './verifier';
+import { validateCircuit } from './schema';
+
+const chipTypes = (recipe) => [...new Set(recipe.chips.map(c => c.type))].sort();
+
+test('parses textbook notation', () => {
+  const { statements, inputs } = parseBoolean("Y = A'B + AB'C");
+  expect(inputs).toEqual(['A', 'B', 'C']);
+  expect(astToLogic(statements[0].ast)).toBe('(!A & B) | (A & !B & C)');
+  expect(astToLogic(parseBoolean('Z = (A + B)\' ⊕ C·1').statements[0].ast)).toBe('!(A | B) ^ (C & 1)');
+  expect(parseBoolean('S = Cin ^ A', { inputs: ['A', 'Cin'] }).inputs).toEqual(['A', 'Cin']);
+});
+
+test('minterms expand to a sum of products, first input as MSB', () => {
+  expect(astToLogic(mintermsToAst(['A', 'B'], [1, 2]))).toBe('(!A & B) | (A & !B)');
+  const { statements } = parseBoolean('F(A,B,C) = Σm(1, 2, 4, 7) + d(0)');
+  expect(statements[0].minterms).toEqual([1, 2, 4, 7]);
+  expect(statements[0].dontCares).toEqual([0]);
+});
+
+test('reports parse errors with a position', () => {
+  expect(() => parseBoolean('Y = A +')).toThrow('Line 1, col 8: Expression ends too early');
+  expect(() => parseBoolean('Y = A $ B')).toThrow("Line 1, col 7: Unexpected '$'");
+  expect(() => parseBoolean('F = m(1,2)')).toThrow(/List the inputs/);
+  expect(() => parseBoolean('F(A) = m(2)')).toThrow(/out of range 0-1/);
+  expect(() => parseBoolean('Y = A; Y = B')).toThrow(/defined twice/);
+  expect(() => parseBoolean('A = B; Y = A')).toThrow(/both an input and an output/);
+});
+
+test.each([
+  ['mixed', ['7404', '7408', '7432']],
+  ['nand', ['7400']],
+  ['nor', ['7402']]
+])('%s synthesis of a sum of products verifies', (style, types) => {
+  const recipe = synthesize("Y = A'B + AB'C", { style });
+  expect(chipTypes(recipe)).toEqual(types);
+  expect(verifyRecipe(recipe)).toMatchObject({ ok: true, mode: 'exhaustive', floating: [] });
+  expect(validateCircuit(recipe).issues).toEqual([]);
+});
+
+test.each(['mixed', 'nand', 'nor'])('%s synthesis of a full adder with shared terms', (style) => {
+  const recipe = synthesize('S = A ^ B ^ Cin\nCout = AB + Cin(A ^ B)', { style, inputs: ['A', 'B', 'Cin'] });
+  expect(recipe.outputs).toEqual(['S', 'Cout']);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('NAND and NOR forms go straight onto 7400 and 7402', () => {
+  const recipe = synthesize("Y = (AB)'; Z = (A + B + C)'");
+  expect(chipTypes(recipe)).toEqual(['7400', '7402', '7432']);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('gates are packed four to a package and powered', () => {
+  const recipe = synthesize('Y = AB + CD + EF + GH');
+  expect(recipe.bom).toEqual(['1x 7408 (Quad 2-input AND)', '1x 7432 (Quad 2-input OR)']);
+  expect(recipe.wires.filter(w => w.s === 'VCC')).toHaveLength(2);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('constants and plain inputs need no gates', () => {
+  const recipe = synthesize("Y = A + 1; Z = B''; W = A A'");
+  expect(recipe.chips).toEqual([]);
+  expect(recipe.wires).toEqual([
+    { s: 'VCC', e: 'LED_0', color: 'WIRE_YELLOW' },
+    { s: 'SW_1', e: 'LED_1', color: 'WIRE_YELLOW' },
+    { s: 'GND', e: 'LED_2', color: 'WIRE_YELLOW' }
+  ]);
+  expect(verifyRecipe(recipe).ok).toBe(true);
+});
+
+test('refuses circuits that do not fit on the board', () => {
+  expect(() => synthesize('F(A,B,C,D,E,G) = m(' + Array.from({ length: 32 }, (_, k) => 2 * k).join(',') + ')')).toThrow(/the board holds 6/);
+});
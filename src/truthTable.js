@@ -0,0 +1,136 @@
+import { getChip } from './chips';
+import { simulate, createSimState, clockInputs, isSequential, buildNetlist, pinKey } from './simulator';
+import { inputRows } from './verifier';
+
+// --- TRUTH / STATE TABLES ---
+// Tables are { kind, columns: [{ label, group }], rows: [{ cells, inputs }] } where
+// `group` is 'in' | 'ps' | 'ns' | 'exc' | 'out' and `inputs` is the switch vector the
+// row corresponds to (clicking a row in the UI sets it). A circuit with more inputs than
+// a table can list gets no rows and an `error` saying so, never a partial table.
+
+const MAX_INPUTS = 8;
+const MAX_STATES = 64;
+
+const tooManyInputs = (kind, n) => ({ kind, columns: [], rows: [], error: `Too many inputs to tabulate (${n}; at most ${MAX_INPUTS})` });
+
+export const buildTruthTable = (recipe) => {
+  const n = recipe.inputs.length;
+  if (n > MAX_INPUTS) return tooManyInputs('truth', n);
+  return {
+    kind: 'truth',
+    columns: [
+      ...recipe.inputs.map(label => ({ label, group: 'in' })),
+      ...recipe.outputs.map(label => ({ label, group: 'out' }))
+    ],
+    rows: inputRows(n).map(inputs => ({ inputs, cells: [...inputs, ...simulate(recipe, inputs).outputs] }))
+  };
+};
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+const stateKey = (state) => JSON.stringify(state.chips.map(ffs => Object.values(ffs || {}).map(ff => ff.q)));
+
+// Flip-flops whose clock pin is wired to something, with their data input pins
+const clockedFlipFlops = (recipe) => {
+  const { nets, netOf } = buildNetlist(recipe);
+  const result = [];
+  (recipe.chips || []).forEach((chip, c) => {
+    const model = getChip(chip.type);
+    if (!model || !model.flipFlops) return;
+    model.flipFlops.forEach((ff, n) => {
+      const clk = model.clockPins[n];
+      if (nets.get(netOf(pinKey(c, clk))).length < 2) return;
+      const data = Object.entries(model.dataInputs).map(([name, idx]) => ({ name, pin: ff[idx] }));
+      result.push({ c, label: model.flipFlops.length > 1 ? `${chip.id}.${n + 1}` : chip.id, data });
+    });
+  });
+  return result;
+};
+
+// State/excitation table: every state reachable from power-on, crossed with every
+// combination of the non-clock inputs, followed by one full clock pulse. Present and
+// next state are the LED outputs; excitation is what each flip-flop's data pins saw
+// just before its clock edge.
+export const buildStateTable = (recipe) => {
+  const clocks = clockInputs(recipe);
+  const clock = clocks.length ? clocks[0] : -1;
+  const free = recipe.inputs.map((_, i) => i).filter(i => i !== clock);
+  if (free.length > MAX_INPUTS) return tooManyInputs('state', free.length);
+  const flipFlops = clockedFlipFlops(recipe);
+  const width = recipe.inputs.length;
+  const vector = (combo, clk) => {
+    const v = Array(width).fill(0);
+    free.forEach((i, k) => { v[i] = combo[k]; });
+    if (clock >= 0) v[clock] = clk;
+    return v;
+  };
+
+  const start = createSimState();
+  simulate(recipe, vector(free.map(() => 0), 0), start);
+  const seen = new Set([stateKey(start)]);
+  const queue = [start];
+  const rows = [];
+
+  while (queue.length && seen.size <= MAX_STATES) {
+    const base = queue.shift();
+    inputRows(free.length).forEach(combo => {
+      const state = cloneState(base);
+      const present = simulate(recipe, vector(combo, 0), state).outputs;
+      const high = simulate(recipe, vector(combo, 1), state);
+      const next = simulate(recipe, vector(combo, 0), state).outputs;
+      const excitation = flipFlops.flatMap(ff => ff.data.map(d => (high.levelOf({ c: ff.c, p: d.pin }) === 0 ? 0 : 1)));
+      rows.push({ inputs: vector(combo, 0), present, cells: [...combo, ...present, ...next, ...excitation] });
+      const key = stateKey(state);
+      if (!seen.has(key)) { seen.add(key); queue.push(state); }
+    });
+  }
+
+  return {
+    kind: 'state',
+    columns: [
+      ...free.map(i => ({ label: recipe.inputs[i], group: 'in' })),
+      ...recipe.outputs.map(label => ({ label, group: 'ps' })),
+      ...recipe.outputs.map(label => ({ label: `${label}+`, group: 'ns' })),
+      ...flipFlops.flatMap(ff => ff.data.map(d => ({ label: `${ff.label} ${d.name}`, group: 'exc' })))
+    ],
+    rows
+  };
+};
+
+export const buildTable = (recipe) => (isSequential(recipe) ? buildStateTable(recipe) : buildTruthTable(recipe));
+
+// --- EXPORT ---
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+export const toCSV = (table) => [
+  table.columns.map(col => csvCell(col.label)).join(','),
+  ...table.rows.map(row => row.cells.join(','))
+].join('\n');
+
+export const toMarkdown = (table) => {
+  const md = (v) => String(v).replace(/\|/g, '\\|');
+  return [
+    `| ${table.columns.map(col => md(col.label)).join(' | ')} |`,
+    `|${table.columns.map(() => ':-:').join('|')}|`,
+    ...table.rows.map(row => `| ${row.cells.join(' | ')} |`)
+  ].join('\n');
+};
+
+const latexEscape = (v) => String(v)
+  .replace(/\\/g, '\\textbackslash{}')
+  .replace(/([&%$#_{}])/g, '\\$1')
+  .replace(/</g, '$<$').replace(/>/g, '$>$')
+  .replace(/\//g, '\\slash{}');
+
+export const toLatex = (table) => {
+  // A vertical rule wherever the column group changes
+  const spec = table.columns.map((col, k) => (k && col.group !== table.columns[k - 1].group ? '|c' : 'c')).join('');
+  return [
+    `\\begin{tabular}{${spec}}`,
+    '\\hline',
+    `${table.columns.map(col => latexEscape(col.label)).join(' & ')} \\\\`,
+    '\\hline',
+    ...table.rows.map(row => `${row.cells.join(' & ')} \\\\`),
+    '\\hline',
+    '\\end{tabular}'
+  ].join('\n');
+};
@@ -0,0 +1,38 @@
+import { RECIPES } from './recipes';
+import { buildTable, toCSV, toMarkdown, toLatex } from './truthTable';
+
+test('combinational recipes get a full truth table from the simulation', () => {
+  const table = buildTable(RECIPES['half_adder']);
+  expect(table.kind).toBe('truth');
+  expect(toCSV(table)).toBe('A,B,Sum,Cout\n0,0,0,0\n0,1,1,0\n1,0,1,0\n1,1,0,1');
+});
+
+test('markdown and LaTeX exports keep the header and rows', () => {
+  const table = buildTable(RECIPES['basic_gates']);
+  expect(toMarkdown(table).split('\n').slice(0, 3)).toEqual(['| A | B | AND | OR |', '|:-:|:-:|:-:|:-:|', '| 0 | 0 | 0 | 0 |']);
+  const tex = toLatex(buildTable(RECIPES['comparator_7485']));
+  expect(tex).toContain('\\begin{tabular}{cccc|ccc}');
+  expect(tex).toContain('A$>$B & A=B & A$<$B \\\\');
+});
+
+test('the mod-4 counter gets a state table walking through all four states', () => {
+  const table = buildTable(RECIPES['counter_mod4']);
+  expect(table.kind).toBe('state');
+  expect(table.columns.map(c => c.label)).toEqual(['Q0', 'Q1', 'Q0+', 'Q1+', 'u1.1 J', 'u1.1 K', 'u1.2 J', 'u1.2 K']);
+  expect(table.rows.map(r => r.cells.slice(0, 4))).toEqual([[0, 0, 1, 0], [1, 0, 0, 1], [0, 1, 1, 1], [1, 1, 0, 0]]);
+});
+
+test('the JK flip-flop state table shows hold, set, reset and toggle', () => {
+  const table = buildTable(RECIPES['jk_ff_7476']);
+  const q = table.rows.filter(r => r.cells[2] === 0).map(r => [r.cells[0], r.cells[1], r.cells[4]]);
+  expect(q).toEqual([[0, 0, 0], [0, 1, 0], [1, 0, 1], [1, 1, 1]]);
+});
+
+test('a circuit with more inputs than a table can list gets an error, not a partial table', () => {
+  const labels = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  const table = buildTable({ ...RECIPES['half_adder'], inputs: labels });
+  expect(table.kind).toBe('truth');
+  expect(table.rows).toEqual([]);
+  expect(table.error).toBe('Too many inputs to tabulate (9; at most 8)');
+  expect(buildTable(RECIPES['half_adder']).error).toBeUndefined();
+});
@@ -0,0 +1,92 @@
+import { getChip, pinRole, chipSections } from './chips';
+import { recipeLogic } from './expr';
+import { buildNetlist, simulate, createSimState, expectedOutputs, pinKey, endpointKey } from './simulator';
+import { isDeviceSource, displayMismatches } from './devices';
+
+// --- RECIPE SELF-CONSISTENCY CHECKER ---
+// Proves a recipe's wiring does what its reference says: combinational recipes are
+// simulated for every input combination against `logic`, sequential ones are driven
+// through their `sequence`, whose steps can also work I/O devices (`controls`) and check
+// their displays (`displays`). Also lists chip input pins left floating.
+
+const MAX_INPUTS = 10;
+
+// All 2^n input rows, first input as the most significant bit
+export const inputRows = (n) => Array.from({ length: 1 << n }, (_, r) => (
+  Array.from({ length: n }, (_, b) => (r >> (n - 1 - b)) & 1)
+));
+
+const isDriver = (recipe, k) => k === 'VCC' || k === 'GND' || k.startsWith('SW_') || isDeviceSource(recipe, k);
+
+// Input pins whose net has nothing driving it. Only sections that are at least partly
+// wired are considered, so spare gates or flip-flops on a chip are not reported.
+export const floatingPins = (recipe) => {
+  const { netOf, nets } = buildNetlist(recipe);
+  const chips = recipe.chips || [];
+  const wired = new Set((recipe.wires || []).flatMap(w => [endpointKey(w.s), endpointKey(w.e)]));
+  const isOutputPin = (k) => {
+    if (!k.includes(':')) return false;
+    const [c, p] = k.split(':').map(Number);
+    return !!chips[c] && pinRole(chips[c].type, p) === 'out';
+  };
+  const driven = new Set();
+  for (const [root, keys] of nets) {
+    if (keys.some(k => isDriver(recipe, k) || isOutputPin(k))) driven.add(root);
+  }
+
+  const result = [];
+  chips.forEach((chip, c) => {
+    const model = getChip(chip.type);
+    if (!model) return;
+    const used = chipSections(chip.type).filter(pins => pins.some(p => wired.has(pinKey(c, p))));
+    const pins = new Set(used.flat());
+    if (used.length) (model.sharedInputs || []).forEach(p => pins.add(p));
+    pins.forEach(p => {
+      if (pinRole(chip.type, p) === 'in' && !driven.has(netOf(pinKey(c, p)))) result.push({ c, p, type: chip.type });
+    });
+  });
+  return result;
+};
+
+export const verifyRecipe = (recipe) => {
+  const outputs = recipe.outputs || [];
+  const n = (recipe.inputs || []).length;
+  const rows = [];
+  let checked = 0;
+  let mode = 'none';
+  const { fn: logic, error: logicError } = recipeLogic(recipe);
+
+  if (Array.isArray(recipe.sequence) && recipe.sequence.length) {
+    mode = 'sequence';
+    const state = createSimState();
+    recipe.sequence.forEach((step, k) => {
+      const result = simulate(recipe, step.inputs, state, step.controls);
+      const expected = step.expect.map(v => (v ? 1 : 0));
+      const wrong = outputs.map((_, o) => o).filter(o => expected[o] !== result.outputs[o]);
+      const displays = displayMismatches(recipe, result.levelOf, step.displays);
+      if (wrong.length || displays.length) rows.push({ step: k, inputs: step.inputs, expected, actual: result.outputs, wrong, displays });
+    });
+    checked = recipe.sequence.length;
+  } else if (logic && n <= MAX_INPUTS) {
+    mode = 'exhaustive';
+    inputRows(n).forEach(inputs => {
+      const expected = expectedOutputs(recipe, inputs);
+      const actual = simulate(recipe, inputs).outputs;
+      const wrong = outputs.map((_, o) => o).filter(o => !expected || expected[o] !== actual[o]);
+      if (wrong.length) rows.push({ inputs, expected, actual, wrong });
+    });
+    checked = 1 << n;
+  }
+
+  const floating = floatingPins(recipe);
+  return {
+    ok: mode !== 'none' && !rows.length && !floating.length,
+    mode,
+    logicError,
+    checked,
+    rows,
+    // Output wires that disagree on at least one row
+    wrongOutputs: [...new Set(rows.flatMap(r => r.wrong))].sort().map(o => ({ index: o, led: `LED_${o}`, label: outputs[o] })),
+    floating
+  };
+};
@@ -0,0 +1,30 @@
+import { RECIPES } from './recipes';
+import { verifyRecipe, floatingPins } from './verifier';
+
+test.each(Object.keys(RECIPES))('%s wiring matches its reference behaviour', (key) => {
+  const report = verifyRecipe(RECIPES[key]);
+  expect(report.rows).toEqual([]);
+  expect(report.floating).toEqual([]);
+  expect(report.ok).toBe(true);
+});
+
+test('reports the rows and output wires that disagree', () => {
+  const recipe = { ...RECIPES['half_adder'], logic: 'Sum = A ^ B; Cout = A | B' };
+  const report = verifyRecipe(recipe);
+  expect(report.ok).toBe(false);
+  expect(report.rows.map(r => r.inputs)).toEqual([[0, 1], [1, 0]]);
+  expect(report.wrongOutputs).toEqual([{ index: 1, led: 'LED_1', label: 'Cout' }]);
+});
+
+test('reports floating inputs of partly wired gates only', () => {
+  const recipe = {
+    ...RECIPES['half_adder'],
+    wires: RECIPES['half_adder'].wires.filter(w => !(w.s === 'SW_1' && w.e.c === 1))
+  };
+  expect(floatingPins(recipe)).toEqual([{ c: 1, p: 2, type: '7408' }]);
+});
+
+test('recipes without a reference are not counted as verified', () => {
+  const { logic, ...recipe } = RECIPES['half_adder'];
+  expect(verifyRecipe(recipe)).toMatchObject({ ok: false, mode: 'none' });
+});
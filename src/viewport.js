@@ -0,0 +1,78 @@
+import { CELL, OFF_X, OFF_Y, SWITCH_X, SWITCH_Y, getCoords, wireEnds, deviceSlots } from './board';
+import { BOARD_ROWS } from './breadboard';
+import { boardCount, boardColumns, chipWidth } from './editor';
+
+// --- CANVAS VIEWPORT ---
+// The canvas shows a window { x, y, w, h } onto the board's SVG coordinates, always at
+// the canvas's 2:1 shape. The home view is the old fixed 1200×600 frame; zooming and
+// panning move the window, never the drawing. Pure functions, so the canvas, the
+// minimap and the keyboard all work the same way.
+
+export const CANVAS_W = 1200;
+export const CANVAS_H = 600;
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 4;
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export const zoomOf = (view) => CANVAS_W / view.w;
+export const viewBox = (view) => `${view.x} ${view.y} ${view.w} ${view.h}`;
+
+// Everything the canvas can draw: the supply, the chain of boards, switches, LEDs and
+// devices underneath
+export const sceneBox = (recipe) => ({
+  x: 0, y: 0,
+  width: Math.max(CANVAS_W, OFF_X + boardColumns(boardCount(recipe)) * CELL + 20),
+  height: CANVAS_H
+});
+
+// Window of the same shape around `box`, with `margin` to spare
+export const fitView = (box, margin = 20) => {
+  const w = clamp(Math.max(box.width + 2 * margin, ((box.height + 2 * margin) * CANVAS_W) / CANVAS_H), CANVAS_W / MAX_ZOOM, CANVAS_W / MIN_ZOOM);
+  const h = (w * CANVAS_H) / CANVAS_W;
+  return { x: box.x + box.width / 2 - w / 2, y: box.y + box.height / 2 - h / 2, w, h };
+};
+
+// The old fixed frame when the scene fits in it, the whole scene otherwise
+export const homeView = (recipe) => {
+  const scene = sceneBox(recipe);
+  return scene.width <= CANVAS_W ? { x: 0, y: 0, w: CANVAS_W, h: CANVAS_H } : fitView(scene, 0);
+};
+
+// Zoom by `factor` (> 1 zooms in) keeping the point `at` where it is on screen
+export const zoomView = (view, factor, at = { x: view.x + view.w / 2, y: view.y + view.h / 2 }) => {
+  const w = clamp(view.w / factor, CANVAS_W / MAX_ZOOM, CANVAS_W / MIN_ZOOM);
+  const k = w / view.w;
+  return { x: at.x - (at.x - view.x) * k, y: at.y - (at.y - view.y) * k, w, h: (w * CANVAS_H) / CANVAS_W };
+};
+
+export const panView = (view, dx, dy) => ({ ...view, x: view.x + dx, y: view.y + dy });
+
+export const centreView = (view, at) => ({ ...view, x: at.x - view.w / 2, y: at.y - view.h / 2 });
+
+// SVG point under a client position, given the canvas's on-screen rectangle
+export const toSvgPoint = (view, rect, clientX, clientY) => ({
+  x: view.x + ((clientX - rect.left) * view.w) / rect.width,
+  y: view.y + ((clientY - rect.top) * view.h) / rect.height
+});
+
+// Bounding box of what is built: chips, wire ends, the switches, LEDs and devices in
+// use. The bare board when nothing is.
+export const circuitBox = (recipe) => {
+  const boxes = [];
+  (recipe.chips || []).forEach(chip => boxes.push({ x: OFF_X + chip.x * CELL, y: OFF_Y + 7 * CELL, width: chipWidth(chip.type) * CELL, height: 4 * CELL }));
+  wireEnds(recipe).forEach(({ s, e }) => [s, e].forEach(pt => pt.x && boxes.push({ x: pt.x, y: pt.y, width: 0, height: 0 })));
+  if ((recipe.inputs || []).length) boxes.push({ x: SWITCH_X - 10, y: SWITCH_Y - 10, width: recipe.inputs.length * 20 + 20, height: 55 });
+  (recipe.outputs || []).forEach((_, i) => {
+    const pt = getCoords('LED', `LED_${i}`, recipe.chips);
+    boxes.push({ x: pt.x - 50, y: pt.y - 14, width: 90, height: 33 });
+  });
+  deviceSlots(recipe.devices).forEach(slot => boxes.push({ x: slot.x, y: slot.y - 10, width: slot.width * CELL, height: 130 }));
+  if (!boxes.length) return { x: OFF_X, y: OFF_Y, width: boardColumns(boardCount(recipe)) * CELL, height: BOARD_ROWS * CELL };
+  const x = Math.min(...boxes.map(b => b.x)), y = Math.min(...boxes.map(b => b.y));
+  return {
+    x, y,
+    width: Math.max(...boxes.map(b => b.x + b.width)) - x,
+    height: Math.max(...boxes.map(b => b.y + b.height)) - y
+  };
+};
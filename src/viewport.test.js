@@ -0,0 +1,34 @@
+import { RECIPES } from './recipes';
+import { CANVAS_W, CANVAS_H, MAX_ZOOM, homeView, fitView, zoomView, panView, zoomOf, toSvgPoint, circuitBox, sceneBox } from './viewport';
+
+const rect = { left: 100, top: 50, width: CANVAS_W, height: CANVAS_H };
+
+test('one board opens in the fixed frame, a chain of boards shows whole', () => {
+  expect(homeView(RECIPES['half_adder'])).toEqual({ x: 0, y: 0, w: CANVAS_W, h: CANVAS_H });
+  const view = homeView({ ...RECIPES['half_adder'], boards: 3 });
+  const scene = sceneBox({ boards: 3 });
+  expect(view.x).toBeLessThanOrEqual(0);
+  expect(view.x + view.w).toBeGreaterThanOrEqual(scene.width);
+  expect(view.w / view.h).toBe(2);
+});
+
+test('zooming keeps the point under the pointer still', () => {
+  const view = homeView(RECIPES['half_adder']);
+  const at = toSvgPoint(view, rect, 400, 200);
+  const zoomed = zoomView(view, 2, at);
+  expect(zoomOf(zoomed)).toBe(2);
+  expect(toSvgPoint(zoomed, rect, 400, 200)).toEqual(at);
+  expect(zoomOf(zoomView(zoomed, 100))).toBe(MAX_ZOOM);
+  expect(panView(zoomed, 10, -5)).toEqual({ ...zoomed, x: zoomed.x + 10, y: zoomed.y - 5 });
+});
+
+test('fitting the circuit frames everything that is built', () => {
+  const recipe = RECIPES['half_adder'];
+  const box = circuitBox(recipe);
+  const view = fitView(box, 30);
+  expect(view.x).toBeLessThanOrEqual(box.x);
+  expect(view.y).toBeLessThanOrEqual(box.y);
+  expect(view.x + view.w).toBeGreaterThanOrEqual(box.x + box.width);
+  expect(view.y + view.h).toBeGreaterThanOrEqual(box.y + box.height);
+  expect(zoomOf(view)).toBeGreaterThan(1);
+});
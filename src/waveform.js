@@ -0,0 +1,83 @@
+// --- SIGNAL TRACE RECORDING ---
+// A trace holds one entry per signal (switches then LEDs) and a list of samples
+// { t, values } in milliseconds since the trace started. A sample is only added when
+// some value changed, so every sample marks an edge on at least one signal.
+
+const MAX_SAMPLES = 5000;
+
+export const createTrace = (recipe, start = Date.now()) => ({
+  start,
+  signals: [
+    ...recipe.inputs.map(name => ({ name, kind: 'in' })),
+    ...recipe.outputs.map(name => ({ name, kind: 'out' }))
+  ],
+  samples: []
+});
+
+export const recordSample = (trace, now, inputs, outputs) => {
+  const nIn = trace.signals.filter(s => s.kind === 'in').length;
+  const values = [...inputs.slice(0, nIn), ...outputs].map(v => (v ? 1 : 0));
+  const last = trace.samples[trace.samples.length - 1];
+  if (last && last.values.every((v, i) => v === values[i])) return trace;
+  const t = Math.max(0, now - trace.start);
+  return { ...trace, samples: [...trace.samples, { t, values }].slice(-MAX_SAMPLES) };
+};
+
+export const traceEnd = (trace) => (trace.samples.length ? trace.samples[trace.samples.length - 1].t : 0);
+
+// Value of every signal at time t (the last sample at or before t)
+export const valuesAt = (trace, t) => {
+  let current = null;
+  for (const s of trace.samples) {
+    if (s.t > t) break;
+    current = s.values;
+  }
+  return current || trace.signals.map(() => null);
+};
+
+// --- VCD EXPORT ---
+// IEEE 1364 value change dump, one-bit wires, 1 ms timescale.
+
+const VCD_NAME_MAP = { '>': 'gt', '<': 'lt', '=': 'eq', '/': 'n', '+': 'p' };
+
+const vcdName = (name) => name.replace(/[><=/+]/g, c => VCD_NAME_MAP[c]).replace(/[^A-Za-z0-9_]/g, '_') || 'sig';
+
+// Short identifiers from the printable ASCII range '!'..'~'
+const vcdId = (n) => {
+  let id = '';
+  do { id += String.fromCharCode(33 + (n % 94)); n = Math.floor(n / 94); } while (n > 0);
+  return id;
+};
+
+export const toVCD = (trace, { title = 'circuit', date = new Date() } = {}) => {
+  const ids = trace.signals.map((_, i) => vcdId(i));
+  const used = new Map();
+  const names = trace.signals.map(s => {
+    const base = vcdName(s.name);
+    const n = used.get(base) || 0;
+    used.set(base, n + 1);
+    return n ? `${base}_${n}` : base;
+  });
+  const lines = [
+    `$date ${date.toUTCString()} $end`,
+    '$version CircuitGen $end',
+    '$timescale 1ms $end',
+    `$scope module ${vcdName(title)} $end`,
+    ...trace.signals.map((_, i) => `$var wire 1 ${ids[i]} ${names[i]} $end`),
+    '$upscope $end',
+    '$enddefinitions $end'
+  ];
+  let prev = null;
+  let lastT = -1;
+  trace.samples.forEach((s, k) => {
+    // Changes landing on the same millisecond share one timestamp
+    const t = Math.max(lastT, Math.round(s.t));
+    if (t !== lastT) lines.push(`#${t}`);
+    lastT = t;
+    if (k === 0) lines.push('$dumpvars');
+    s.values.forEach((v, i) => { if (!prev || prev[i] !== v) lines.push(`${v}${ids[i]}`); });
+    if (k === 0) lines.push('$end');
+    prev = s.values;
+  });
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,44 @@
+import { RECIPES } from './recipes';
+import { runSequence } from './simulator';
+import { createTrace, recordSample, valuesAt, toVCD } from './waveform';
+
+const counterTrace = () => {
+  const recipe = RECIPES['counter_mod4'];
+  const steps = [[0], [1], [0], [1], [0]];
+  const outputs = runSequence(recipe, steps);
+  return steps.reduce((tr, inputs, k) => recordSample(tr, 1000 + k * 100, inputs, outputs[k]), createTrace(recipe, 1000));
+};
+
+test('only changes are recorded', () => {
+  const trace = createTrace(RECIPES['basic_gates'], 0);
+  const once = recordSample(trace, 10, [1, 0], [0, 1]);
+  expect(recordSample(once, 20, [1, 0, 0, 0], [0, 1])).toBe(once);
+  expect(recordSample(once, 30, [1, 1], [1, 1]).samples).toEqual([{ t: 10, values: [1, 0, 0, 1] }, { t: 30, values: [1, 1, 1, 1] }]);
+});
+
+test('values are looked up at any time', () => {
+  const trace = counterTrace();
+  expect(valuesAt(trace, 250)).toEqual([0, 1, 0]);
+  expect(valuesAt(trace, 400)).toEqual([0, 0, 1]);
+});
+
+test('VCD export declares every signal and dumps only changes', () => {
+  const vcd = toVCD(counterTrace(), { title: 'Mod-4 Counter', date: new Date(0) });
+  expect(vcd).toBe([
+    '$date Thu, 01 Jan 1970 00:00:00 GMT $end',
+    '$version CircuitGen $end',
+    '$timescale 1ms $end',
+    '$scope module Mod_4_Counter $end',
+    '$var wire 1 ! CLK $end',
+    '$var wire 1 " Q0 $end',
+    '$var wire 1 # Q1 $end',
+    '$upscope $end',
+    '$enddefinitions $end',
+    '#0', '$dumpvars', '0!', '0"', '0#', '$end',
+    '#100', '1!',
+    '#200', '0!', '1"',
+    '#300', '1!',
+    '#400', '0!', '0"', '1#',
+    ''
+  ].join('\n'));
+});